@@ -0,0 +1,169 @@
+const { ethers } = require('ethers');
+const abiService = require('../services/abi.service');
+const { getNetworkInfo, DEFAULT_NETWORK, DEFAULT_NETWORK_TYPE } = require('../utils/network');
+const { createHttpError } = require('../utils/errors');
+
+/**
+ * Resolves the chain ID of a network / network type pair
+ * @param {string} network - Network name
+ * @param {string} networkType - Network type
+ * @returns {number} - Chain ID
+ * @private
+ */
+const getChainId = (network = DEFAULT_NETWORK, networkType = DEFAULT_NETWORK_TYPE) => {
+  try {
+    return getNetworkInfo(network, networkType).chainId;
+  } catch (error) {
+    throw createHttpError(400, error.message);
+  }
+};
+
+/**
+ * Checks a contract address route parameter
+ * @private
+ */
+const checkAddress = (address) => {
+  if (!ethers.isAddress(address)) {
+    throw createHttpError(400, `Invalid address: ${address}`);
+  }
+};
+
+/**
+ * Uploads (or replaces) the ABI of a contract
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next function
+ */
+const registerAbi = async (req, res, next) => {
+  try {
+    const { address, abi, name } = req.body;
+    const chainId = getChainId(req.body.network, req.body.networkType);
+
+    const entry = abiService.registerAbi(chainId, address, abi, name);
+
+    res.status(201).json({
+      success: true,
+      data: entry
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Lists registered ABIs
+ * Query params: ?network=ethereum&networkType=mainnet (all chains when omitted)
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next function
+ */
+const listAbis = async (req, res, next) => {
+  try {
+    const { network, networkType } = req.query;
+    const chainId = network || networkType ? getChainId(network, networkType) : undefined;
+
+    res.status(200).json({
+      success: true,
+      data: abiService.listAbis(chainId)
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Gets the registered ABI of a contract
+ * Query params: ?network=ethereum&networkType=mainnet
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next function
+ */
+const getAbi = async (req, res, next) => {
+  try {
+    const { address } = req.params;
+    checkAddress(address);
+    const chainId = getChainId(req.query.network, req.query.networkType);
+
+    res.status(200).json({
+      success: true,
+      data: abiService.getAbi(chainId, address)
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Deletes an uploaded ABI
+ * Query params: ?network=ethereum&networkType=mainnet
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next function
+ */
+const deleteAbi = async (req, res, next) => {
+  try {
+    const { address } = req.params;
+    checkAddress(address);
+    const chainId = getChainId(req.query.network, req.query.networkType);
+
+    abiService.deleteAbi(chainId, address);
+
+    res.status(200).json({
+      success: true,
+      message: 'ABI deleted'
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Adds function, event and error signatures to the signature database
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next function
+ */
+const registerSignatures = async (req, res, next) => {
+  try {
+    const result = abiService.registerSignatures(req.body.signatures);
+
+    res.status(201).json({
+      success: true,
+      data: result
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Looks up a 4-byte selector or an event topic in the signature database
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next function
+ */
+const lookupSignature = async (req, res, next) => {
+  try {
+    const { hash } = req.params;
+
+    if (!/^0x([a-fA-F0-9]{8}|[a-fA-F0-9]{64})$/.test(hash)) {
+      throw createHttpError(400, 'Hash must be a 4-byte selector (0x + 8 hex) or a 32-byte event topic (0x + 64 hex)');
+    }
+
+    res.status(200).json({
+      success: true,
+      data: abiService.lookupSignature(hash)
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  registerAbi,
+  listAbis,
+  getAbi,
+  deleteAbi,
+  registerSignatures,
+  lookupSignature
+};
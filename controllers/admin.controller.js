@@ -0,0 +1,129 @@
+const { reencrypt, getKeyringStatus } = require('../utils/crypto');
+const apiKeyService = require('../services/apikey.service');
+
+/**
+ * Returns encryption keyring status (key IDs only)
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next function
+ */
+const getEncryptionStatus = async (req, res, next) => {
+  try {
+    res.status(200).json({
+      success: true,
+      data: getKeyringStatus()
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Re-encrypts submitted ciphertexts (e.g. encryptedPrivateKey) with the current key
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next function
+ */
+const reencryptCiphertexts = async (req, res, next) => {
+  try {
+    const { ciphertext, ciphertexts } = req.body;
+
+    // Single ciphertext
+    if (ciphertext) {
+      try {
+        return res.status(200).json({
+          success: true,
+          data: reencrypt(ciphertext)
+        });
+      } catch (error) {
+        return res.status(400).json({
+          success: false,
+          message: 'Ciphertext could not be re-encrypted: ' + error.message
+        });
+      }
+    }
+
+    // Multiple ciphertexts - each item reports its own result
+    const results = ciphertexts.map((item, index) => {
+      try {
+        return { index, success: true, ...reencrypt(item) };
+      } catch (error) {
+        return { index, success: false, message: error.message };
+      }
+    });
+
+    res.status(200).json({
+      success: true,
+      data: {
+        total: results.length,
+        upgraded: results.filter(result => result.upgraded).length,
+        failed: results.filter(result => !result.success).length,
+        results
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Creates an API key (the key is only returned in this response)
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next function
+ */
+const createApiKey = async (req, res, next) => {
+  try {
+    const { name, scopes, rateLimit } = req.body;
+    const apiKey = apiKeyService.createApiKey({ name, scopes, rateLimit });
+
+    res.status(201).json({
+      success: true,
+      data: apiKey
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Lists API keys (without secrets)
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next function
+ */
+const listApiKeys = async (req, res, next) => {
+  try {
+    res.status(200).json({
+      success: true,
+      data: apiKeyService.listApiKeys()
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Revokes an API key
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next function
+ */
+const revokeApiKey = async (req, res, next) => {
+  try {
+    res.status(200).json({
+      success: true,
+      data: apiKeyService.revokeApiKey(req.params.keyId)
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  getEncryptionStatus,
+  reencryptCiphertexts,
+  createApiKey,
+  listApiKeys,
+  revokeApiKey
+};
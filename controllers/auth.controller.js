@@ -0,0 +1,90 @@
+const authService = require('../services/auth.service');
+const { getBearerToken } = require('../middleware/session-auth');
+
+/**
+ * Creates a nonce for a Sign-In With Ethereum message
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next function
+ */
+const getNonce = async (req, res, next) => {
+  try {
+    const domain = authService.getSiweDomain();
+    const result = authService.createNonce();
+
+    res.status(200).json({
+      success: true,
+      data: {
+        ...result,
+        domain
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Verifies a signed Sign-In With Ethereum message and issues a session token
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next function
+ */
+const verify = async (req, res, next) => {
+  try {
+    const { message, signature } = req.body;
+    // Messages must be bound to this API's domain
+    const session = authService.verifySiweLogin(message, signature, authService.getSiweDomain());
+
+    res.status(200).json({
+      success: true,
+      data: session
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Returns the current session
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next function
+ */
+const getSession = async (req, res, next) => {
+  try {
+    res.status(200).json({
+      success: true,
+      data: req.session || null
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Revokes the current session token
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next function
+ */
+const logout = async (req, res, next) => {
+  try {
+    const token = getBearerToken(req);
+    const revoked = token ? authService.revokeSession(token) : false;
+
+    res.status(200).json({
+      success: true,
+      data: { revoked }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  getNonce,
+  verify,
+  getSession,
+  logout
+};
@@ -0,0 +1,81 @@
+const batchService = require('../services/batch.service');
+const vaultService = require('../services/vault.service');
+const { DEFAULT_NETWORK, DEFAULT_NETWORK_TYPE } = require('../utils/network');
+const { getRequestOwner, getRequestMetadata } = require('../utils/request');
+
+/**
+ * Validates and starts a batch payout (runs in the background)
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next function
+ */
+const createBatchPayout = async (req, res, next) => {
+  try {
+    const { asset, tokenAddress, decimals, recipients, csv, mode, stopOnError, dryRun } = req.body;
+    const signerRef = vaultService.resolveSignerRef(req.body, getRequestOwner(req));
+    const network = req.body.network || DEFAULT_NETWORK;
+    const networkType = req.body.networkType || DEFAULT_NETWORK_TYPE;
+
+    const result = await batchService.createBatchPayout(
+      signerRef,
+      { asset, tokenAddress, decimals, recipients, csv, mode, stopOnError, dryRun },
+      getRequestMetadata(req),
+      network,
+      networkType
+    );
+
+    res.status(dryRun ? 200 : 202).json({
+      success: true,
+      data: result
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Gets the per-recipient report of a batch payout
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next function
+ */
+const getBatchPayout = async (req, res, next) => {
+  try {
+    const batch = batchService.getBatchPayout(req.params.batchId, getRequestOwner(req));
+
+    res.status(200).json({
+      success: true,
+      data: batch
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Lists batch payouts (summaries without recipients)
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next function
+ */
+const listBatchPayouts = async (req, res, next) => {
+  try {
+    const batches = batchService.listBatchPayouts({ from: req.query.from, owner: getRequestOwner(req) });
+
+    res.status(200).json({
+      success: true,
+      data: {
+        total: batches.length,
+        batches
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  createBatchPayout,
+  getBatchPayout,
+  listBatchPayouts
+};
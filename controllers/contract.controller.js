@@ -0,0 +1,95 @@
+const { ethers } = require('ethers');
+const contractService = require('../services/contract.service');
+const vaultService = require('../services/vault.service');
+const ledgerService = require('../services/ledger.service');
+const confirmationService = require('../services/confirmation.service');
+const { DEFAULT_NETWORK, DEFAULT_NETWORK_TYPE } = require('../utils/network');
+const { broadcastTransactionUpdate } = require('../utils/websocket');
+const { getRequestOwner, getRequestMetadata } = require('../utils/request');
+
+/**
+ * Read-only contract call with outputs decoded by the supplied or registered ABI
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next function
+ */
+const callContract = async (req, res, next) => {
+  try {
+    const { contractAddress, abi, abiName, method, args, from, value, blockTag } = req.body;
+    const network = req.body.network || DEFAULT_NETWORK;
+    const networkType = req.body.networkType || DEFAULT_NETWORK_TYPE;
+
+    const result = await contractService.callContract(
+      { contractAddress, abi, abiName, method, args, from, value, blockTag },
+      network,
+      networkType
+    );
+
+    res.status(200).json({
+      success: true,
+      data: result
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Signs and sends a state-changing contract call
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next function
+ */
+const executeContract = async (req, res, next) => {
+  try {
+    const { contractAddress, abi, abiName, method, args, value, gasLimit, gasPrice, maxFeePerGas, maxPriorityFeePerGas } = req.body;
+    const signerRef = vaultService.resolveSignerRef(req.body, getRequestOwner(req));
+    const network = req.body.network || DEFAULT_NETWORK;
+    const networkType = req.body.networkType || DEFAULT_NETWORK_TYPE;
+
+    // Arrange gas parameters
+    const gasOptions = {};
+    if (gasPrice) gasOptions.gasPrice = gasPrice;
+    if (maxFeePerGas) gasOptions.maxFeePerGas = maxFeePerGas;
+    if (maxPriorityFeePerGas) gasOptions.maxPriorityFeePerGas = maxPriorityFeePerGas;
+    if (gasLimit) gasOptions.gasLimit = gasLimit;
+
+    const txResult = await contractService.executeContract(
+      signerRef,
+      { contractAddress, abi, abiName, method, args, value },
+      gasOptions,
+      network,
+      networkType
+    );
+
+    // A ledger failure does not fail the request (the transaction is already broadcast)
+    try {
+      ledgerService.recordTransaction({
+        ...txResult,
+        kind: 'contract',
+        network,
+        networkType,
+        amount: txResult.value !== '0' ? ethers.formatEther(txResult.value) : null
+      }, getRequestMetadata(req));
+    } catch (error) {
+      console.error('Ledger record error:', error);
+    }
+
+    // Broadcast transaction update (WebSocket)
+    broadcastTransactionUpdate(txResult.txHash, 'pending', null);
+
+    const result = await confirmationService.applyConfirmationPolicy(txResult, confirmationService.getConfirmationPolicy(req.body), network, networkType);
+
+    res.status(200).json({
+      success: true,
+      data: result
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  callContract,
+  executeContract
+};
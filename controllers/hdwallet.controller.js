@@ -0,0 +1,146 @@
+const hdWalletService = require('../services/hdwallet.service');
+const { DEFAULT_NETWORK, DEFAULT_NETWORK_TYPE } = require('../utils/network');
+const { getRequestOwner } = require('../utils/request');
+
+/**
+ * Creates a new HD wallet with a random mnemonic
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next function
+ */
+const createHdWallet = async (req, res, next) => {
+  try {
+    const { wordCount, passphrase, label } = req.body;
+    const hdWallet = hdWalletService.createHdWallet({ wordCount, passphrase, label, owner: getRequestOwner(req) });
+
+    res.status(201).json({
+      success: true,
+      data: hdWallet
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Imports an HD wallet using mnemonic
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next function
+ */
+const importHdWallet = async (req, res, next) => {
+  try {
+    const { mnemonic, passphrase, label } = req.body;
+    const hdWallet = hdWalletService.importHdWallet(mnemonic, { passphrase, label, owner: getRequestOwner(req) });
+
+    res.status(200).json({
+      success: true,
+      data: hdWallet
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Lists derived accounts of an HD wallet
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next function
+ */
+const listHdAccounts = async (req, res, next) => {
+  try {
+    const { hdWalletId } = req.params;
+    const hdWallet = hdWalletService.listHdAccounts(hdWalletId, getRequestOwner(req));
+
+    res.status(200).json({
+      success: true,
+      data: hdWallet
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Derives accounts of an HD wallet by index
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next function
+ */
+const deriveHdAccounts = async (req, res, next) => {
+  try {
+    const { hdWalletId } = req.params;
+    const { index, count, label } = req.body;
+    const hdWallet = hdWalletService.deriveHdAccounts(hdWalletId, { index, count, label }, getRequestOwner(req));
+
+    res.status(200).json({
+      success: true,
+      data: hdWallet
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Sets the label of a derived account
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next function
+ */
+const labelHdAccount = async (req, res, next) => {
+  try {
+    const { hdWalletId } = req.params;
+    const index = parseInt(req.params.index, 10);
+
+    if (isNaN(index) || index < 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Account index must be a non-negative integer'
+      });
+    }
+
+    const account = hdWalletService.labelHdAccount(hdWalletId, index, req.body.label, getRequestOwner(req));
+
+    res.status(200).json({
+      success: true,
+      data: account
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Discovers used accounts of an HD wallet on a network
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next function
+ */
+const discoverHdAccounts = async (req, res, next) => {
+  try {
+    const { hdWalletId } = req.params;
+    const { gapLimit } = req.body;
+    const network = req.body.network || DEFAULT_NETWORK;
+    const networkType = req.body.networkType || DEFAULT_NETWORK_TYPE;
+
+    const result = await hdWalletService.discoverHdAccounts(hdWalletId, { gapLimit, network, networkType }, getRequestOwner(req));
+
+    res.status(200).json({
+      success: true,
+      data: result
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  createHdWallet,
+  importHdWallet,
+  listHdAccounts,
+  deriveHdAccounts,
+  labelHdAccount,
+  discoverHdAccounts
+};
@@ -0,0 +1,118 @@
+const { ethers } = require('ethers');
+const ledgerService = require('../services/ledger.service');
+const { createHttpError } = require('../utils/errors');
+const { getRequestOwner } = require('../utils/request');
+
+const TX_KINDS = ['native', 'token', 'nft', 'raw', 'speed-up', 'cancel', 'batch', 'contract'];
+
+/**
+ * Parses a positive integer query parameter
+ * @param {string} value - Query value
+ * @param {string} name - Parameter name (for the error message)
+ * @returns {number|undefined} - Parsed value
+ * @private
+ */
+const parsePositiveInt = (value, name) => {
+  if (value === undefined) {
+    return undefined;
+  }
+  if (!/^\d+$/.test(value) || Number(value) < 1) {
+    throw createHttpError(400, `${name} must be a positive integer`);
+  }
+  return Number(value);
+};
+
+/**
+ * Parses a date query parameter to ISO format
+ * @param {string} value - Query value
+ * @param {string} name - Parameter name (for the error message)
+ * @returns {string|undefined} - ISO date
+ * @private
+ */
+const parseDate = (value, name) => {
+  if (value === undefined) {
+    return undefined;
+  }
+  const timestamp = Date.parse(value);
+  if (isNaN(timestamp)) {
+    throw createHttpError(400, `${name} must be a date (ISO 8601)`);
+  }
+  return new Date(timestamp).toISOString();
+};
+
+/**
+ * Gets a transaction recorded in the ledger
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next function
+ */
+const getTransaction = async (req, res, next) => {
+  try {
+    const { hash } = req.params;
+
+    if (!/^0x[a-fA-F0-9]{64}$/.test(hash)) {
+      throw createHttpError(400, `Invalid transaction hash: ${hash}`);
+    }
+
+    const transaction = await ledgerService.getTransaction(hash, getRequestOwner(req));
+
+    res.status(200).json({
+      success: true,
+      data: transaction
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Lists ledger transactions sent or received by an address
+ * Query params: status, kind, network, networkType, direction (in|out|all), since, until, page, limit
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next function
+ */
+const listWalletTransactions = async (req, res, next) => {
+  try {
+    const { address } = req.params;
+    const { status, kind, network, networkType, direction = 'all' } = req.query;
+
+    if (!ethers.isAddress(address)) {
+      throw createHttpError(400, `Invalid address: ${address}`);
+    }
+    if (status && !Object.values(ledgerService.TX_STATUS).includes(status)) {
+      throw createHttpError(400, 'Status must be one of: ' + Object.values(ledgerService.TX_STATUS).join(', '));
+    }
+    if (kind && !TX_KINDS.includes(kind)) {
+      throw createHttpError(400, 'Kind must be one of: ' + TX_KINDS.join(', '));
+    }
+    if (!['in', 'out', 'all'].includes(direction)) {
+      throw createHttpError(400, 'Direction must be in, out or all');
+    }
+
+    const result = ledgerService.listTransactions(address, {
+      status,
+      kind,
+      network,
+      networkType,
+      direction,
+      since: parseDate(req.query.since, 'since'),
+      until: parseDate(req.query.until, 'until'),
+      page: parsePositiveInt(req.query.page, 'page'),
+      limit: parsePositiveInt(req.query.limit, 'limit'),
+      owner: getRequestOwner(req)
+    });
+
+    res.status(200).json({
+      success: true,
+      data: result
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  getTransaction,
+  listWalletTransactions
+};
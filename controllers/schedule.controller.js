@@ -0,0 +1,139 @@
+const schedulerService = require('../services/scheduler.service');
+const { DEFAULT_NETWORK, DEFAULT_NETWORK_TYPE } = require('../utils/network');
+const { getRequestOwner, getRequestMetadata } = require('../utils/request');
+
+/**
+ * Creates a scheduled (one-time or recurring) transfer
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next function
+ */
+const createSchedule = async (req, res, next) => {
+  try {
+    const { walletId, label, action, runAt, cron, endAt, maxRuns, maxGasPriceGwei, maxPostponeMinutes } = req.body;
+    const network = req.body.network || DEFAULT_NETWORK;
+    const networkType = req.body.networkType || DEFAULT_NETWORK_TYPE;
+
+    const schedule = schedulerService.createSchedule(
+      { walletId, label, action, runAt, cron, endAt, maxRuns, maxGasPriceGwei, maxPostponeMinutes },
+      getRequestMetadata(req),
+      network,
+      networkType
+    );
+
+    res.status(201).json({
+      success: true,
+      data: schedule
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Lists schedules
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next function
+ */
+const listSchedules = async (req, res, next) => {
+  try {
+    const { status, walletId } = req.query;
+
+    if (status && !Object.values(schedulerService.SCHEDULE_STATUS).includes(status)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Status must be one of: ' + Object.values(schedulerService.SCHEDULE_STATUS).join(', ')
+      });
+    }
+
+    const schedules = schedulerService.listSchedules({ status, walletId, owner: getRequestOwner(req) });
+
+    res.status(200).json({
+      success: true,
+      data: {
+        total: schedules.length,
+        schedules
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Gets a schedule with its run history
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next function
+ */
+const getSchedule = async (req, res, next) => {
+  try {
+    res.status(200).json({
+      success: true,
+      data: schedulerService.getSchedule(req.params.scheduleId, getRequestOwner(req))
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Pauses a schedule
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next function
+ */
+const pauseSchedule = async (req, res, next) => {
+  try {
+    res.status(200).json({
+      success: true,
+      data: schedulerService.pauseSchedule(req.params.scheduleId, getRequestOwner(req))
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Resumes a paused schedule
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next function
+ */
+const resumeSchedule = async (req, res, next) => {
+  try {
+    res.status(200).json({
+      success: true,
+      data: schedulerService.resumeSchedule(req.params.scheduleId, getRequestOwner(req))
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Cancels a schedule
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next function
+ */
+const cancelSchedule = async (req, res, next) => {
+  try {
+    res.status(200).json({
+      success: true,
+      data: schedulerService.cancelSchedule(req.params.scheduleId, getRequestOwner(req))
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  createSchedule,
+  listSchedules,
+  getSchedule,
+  pauseSchedule,
+  resumeSchedule,
+  cancelSchedule
+};
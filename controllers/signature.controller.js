@@ -0,0 +1,101 @@
+const signatureService = require('../services/signature.service');
+const vaultService = require('../services/vault.service');
+const { DEFAULT_NETWORK, DEFAULT_NETWORK_TYPE } = require('../utils/network');
+const { getRequestOwner } = require('../utils/request');
+
+/**
+ * Signs a message with EIP-191 (personal_sign)
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next function
+ */
+const signMessage = async (req, res, next) => {
+  try {
+    const { message, encoding } = req.body;
+    const signerRef = vaultService.resolveSignerRef(req.body, getRequestOwner(req));
+    const result = await signatureService.signMessage(signerRef, message, encoding);
+
+    res.status(200).json({
+      success: true,
+      data: result
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Verifies an EIP-191 (personal_sign) signature
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next function
+ */
+const verifyMessage = async (req, res, next) => {
+  try {
+    const { message, signature, address, encoding } = req.body;
+    const result = signatureService.verifyMessage(message, signature, address, encoding);
+
+    res.status(200).json({
+      success: true,
+      data: result
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Signs EIP-712 typed data (eth_signTypedData_v4)
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next function
+ */
+const signTypedData = async (req, res, next) => {
+  try {
+    const { domain, types, message, primaryType } = req.body;
+    const signerRef = vaultService.resolveSignerRef(req.body, getRequestOwner(req));
+    const network = req.body.network || DEFAULT_NETWORK;
+    const networkType = req.body.networkType || DEFAULT_NETWORK_TYPE;
+
+    const result = await signatureService.signTypedData(
+      signerRef,
+      { domain, types, message, primaryType },
+      network,
+      networkType
+    );
+
+    res.status(200).json({
+      success: true,
+      data: result
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Verifies an EIP-712 typed data signature
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next function
+ */
+const verifyTypedData = async (req, res, next) => {
+  try {
+    const { domain, types, message, primaryType, signature, address } = req.body;
+    const result = signatureService.verifyTypedData({ domain, types, message, primaryType }, signature, address);
+
+    res.status(200).json({
+      success: true,
+      data: result
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  signMessage,
+  verifyMessage,
+  signTypedData,
+  verifyTypedData
+};
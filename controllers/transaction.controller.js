@@ -1,12 +1,27 @@
+const { ethers } = require('ethers');
 const { 
   simulateTransaction,
   predictGasPrice, 
   analyzeAndOptimizeGas,
   getOptimalGasFees
 } = require('../utils/transaction');
-const { DEFAULT_NETWORK, DEFAULT_NETWORK_TYPE } = require('../utils/network');
+const { getNetworkInfo, DEFAULT_NETWORK, DEFAULT_NETWORK_TYPE } = require('../utils/network');
 const { getCacheStats, invalidateCache } = require('../utils/ethereum');
 const transactionService = require('../services/transaction.service');
+const abiService = require('../services/abi.service');
+const stateOverrideService = require('../services/state-override.service');
+const { getNonceStates, inspectNonceState, resetNonceState } = require('../utils/nonce-manager');
+const { createHttpError } = require('../utils/errors');
+
+/**
+ * Builds the eth_call state override set of a simulation request (null when nothing is overridden)
+ * @private
+ */
+const getStateOverride = (body, network, networkType) => stateOverrideService.buildStateOverride(
+  { stateOverrides: body.stateOverrides, tokenBalances: body.tokenBalances, tokenAllowances: body.tokenAllowances },
+  network,
+  networkType
+);
 
 /**
  * Simulates transaction before sending
@@ -25,7 +40,9 @@ const simulateTx = async (req, res, next) => {
       maxFeePerGas, 
       maxPriorityFeePerGas,
       gasLimit,
-      nonce
+      nonce,
+      abi,
+      tokens
     } = req.body;
     
     const network = req.query.network || DEFAULT_NETWORK;
@@ -44,8 +61,20 @@ const simulateTx = async (req, res, next) => {
       nonce: nonce !== undefined ? nonce : undefined
     };
     
+    // The ABI is only used to decode custom errors, reject it before simulating
+    if (abi) {
+      abiService.parseAbi(abi);
+    }
+    
+    const stateOverride = await getStateOverride(req.body, network, networkType);
+    
     // Simulate transaction
-    const simulation = await simulateTransaction(txParams, network, networkType);
+    const simulation = await simulateTransaction(txParams, network, networkType, { abi, stateOverride });
+    
+    // Predicted balance changes of a successful transaction
+    if (simulation.success) {
+      simulation.assetChanges = await transactionService.simulateAssetChanges(txParams, network, networkType, { tokens, stateOverride });
+    }
     
     res.status(200).json({
       success: true,
@@ -82,8 +111,10 @@ const simulateTokenTx = async (req, res, next) => {
       data
     };
 
+    const stateOverride = await getStateOverride(req.body, network, networkType);
+
     // Get call results
-    const result = await transactionService.simulateTransaction(txParams, network, networkType);
+    const result = await transactionService.simulateTransaction(txParams, network, networkType, { stateOverride });
 
     res.status(200).json({
       success: true,
@@ -135,8 +166,10 @@ const simulateNFTTx = async (req, res, next) => {
       data
     };
 
+    const stateOverride = await getStateOverride(req.body, network, networkType);
+
     // Get call results
-    const result = await transactionService.simulateTransaction(txParams, network, networkType);
+    const result = await transactionService.simulateTransaction(txParams, network, networkType, { stateOverride });
 
     res.status(200).json({
       success: true,
@@ -217,7 +250,8 @@ const analyzeTransaction = async (req, res, next) => {
       gasPrice, 
       maxFeePerGas, 
       maxPriorityFeePerGas,
-      gasLimit
+      gasLimit,
+      abi
     } = req.body;
     
     const network = req.query.network || DEFAULT_NETWORK;
@@ -235,8 +269,15 @@ const analyzeTransaction = async (req, res, next) => {
       gasLimit: gasLimit ? BigInt(gasLimit) : undefined
     };
     
+    // The ABI is only used to decode custom errors, reject it before simulating
+    if (abi) {
+      abiService.parseAbi(abi);
+    }
+    
+    const stateOverride = await getStateOverride(req.body, network, networkType);
+    
     // Analyze and optimize transaction
-    const analysis = await analyzeAndOptimizeGas(txParams, network, networkType);
+    const analysis = await analyzeAndOptimizeGas(txParams, network, networkType, { abi, stateOverride });
     
     res.status(200).json({
       success: true,
@@ -301,6 +342,164 @@ const clearCache = async (req, res, next) => {
   }
 };
 
+/**
+ * Gets nonce manager state of an address
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next function
+ */
+const getNonceStatus = async (req, res, next) => {
+  try {
+    const { address } = req.params;
+    const network = req.query.network || DEFAULT_NETWORK;
+    const networkType = req.query.networkType || DEFAULT_NETWORK_TYPE;
+
+    if (!ethers.isAddress(address)) {
+      throw createHttpError(400, `Invalid address: ${address}`);
+    }
+
+    const nonceState = await inspectNonceState(address, network, networkType);
+
+    res.status(200).json({
+      success: true,
+      data: nonceState
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Lists nonce manager state of all tracked addresses
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next function
+ */
+const listNonceStates = async (req, res, next) => {
+  try {
+    const { network, networkType } = req.query;
+
+    res.status(200).json({
+      success: true,
+      data: getNonceStates({ network, networkType })
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Resets nonce manager state of an address (resynced with the chain on next send)
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next function
+ */
+const resetNonce = async (req, res, next) => {
+  try {
+    const { address } = req.params;
+    const network = req.body.network || DEFAULT_NETWORK;
+    const networkType = req.body.networkType || DEFAULT_NETWORK_TYPE;
+
+    if (!ethers.isAddress(address)) {
+      throw createHttpError(400, `Invalid address: ${address}`);
+    }
+
+    res.status(200).json({
+      success: true,
+      data: resetNonceState(address, network, networkType)
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Detects the balance (and allowance) storage slots of an ERC-20 token, for state overrides
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next function
+ */
+const getTokenStorageSlots = async (req, res, next) => {
+  try {
+    const { tokenAddress } = req.params;
+    const { holder, spender } = req.query;
+    const network = req.query.network || DEFAULT_NETWORK;
+    const networkType = req.query.networkType || DEFAULT_NETWORK_TYPE;
+
+    if (!ethers.isAddress(tokenAddress) || !holder || !ethers.isAddress(holder) || (spender && !ethers.isAddress(spender))) {
+      throw createHttpError(400, 'Valid token address and holder (and optional spender) addresses are required');
+    }
+
+    const slots = await stateOverrideService.getTokenStorageSlots(tokenAddress, { holder, spender }, network, networkType);
+
+    res.status(200).json({
+      success: true,
+      data: slots
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Decodes calldata with a supplied ABI, the ABI registry (to address) or the selector database
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next function
+ */
+const decodeCalldata = async (req, res, next) => {
+  try {
+    const { data, to, value, abi } = req.body;
+    const network = req.body.network || DEFAULT_NETWORK;
+    const networkType = req.body.networkType || DEFAULT_NETWORK_TYPE;
+
+    // Reject an invalid ABI instead of reporting the calldata as unknown
+    if (abi) {
+      abiService.parseAbi(abi);
+    }
+
+    const result = transactionService.decodeTransactionData(
+      { to, data, value },
+      { abi, chainId: getNetworkInfo(network, networkType).chainId }
+    );
+
+    res.status(200).json({
+      success: true,
+      data: result
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Decodes a transaction by hash: function call, receipt logs and token movement summary
+ * Query params: ?network=ethereum&networkType=mainnet
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next function
+ */
+const decodeTransaction = async (req, res, next) => {
+  try {
+    const { hash } = req.params;
+    const network = req.query.network || DEFAULT_NETWORK;
+    const networkType = req.query.networkType || DEFAULT_NETWORK_TYPE;
+
+    if (!/^0x[a-fA-F0-9]{64}$/.test(hash)) {
+      throw createHttpError(400, `Invalid transaction hash: ${hash}`);
+    }
+
+    const result = await transactionService.decodeTransaction(hash, network, networkType);
+
+    res.status(200).json({
+      success: true,
+      data: result
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
 module.exports = {
   simulateTx,
   simulateTokenTx,
@@ -309,5 +508,11 @@ module.exports = {
   getOptimalFees,
   analyzeTransaction,
   getCacheStatistics,
-  clearCache
+  clearCache,
+  getNonceStatus,
+  listNonceStates,
+  resetNonce,
+  getTokenStorageSlots,
+  decodeCalldata,
+  decodeTransaction
 }; 
\ No newline at end of file
@@ -0,0 +1,166 @@
+const vaultService = require('../services/vault.service');
+const { getRequestOwner } = require('../utils/request');
+
+/**
+ * Stores a wallet in the server-side vault
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next function
+ */
+const storeWallet = async (req, res, next) => {
+  try {
+    const { encryptedPrivateKey, privateKey, signer, label } = req.body;
+    const wallet = await vaultService.storeWallet({
+      encryptedPrivateKey,
+      privateKey,
+      signer,
+      label,
+      owner: getRequestOwner(req)
+    });
+
+    res.status(201).json({
+      success: true,
+      data: wallet
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Lists vault wallets
+ * Query params: ?status=active|archived|all&address=0x...
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next function
+ */
+const listWallets = async (req, res, next) => {
+  try {
+    const { status = 'active', address } = req.query;
+
+    if (!['active', 'archived', 'all'].includes(status)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Status must be active, archived or all'
+      });
+    }
+
+    const wallets = vaultService.listWallets({ status, address, owner: getRequestOwner(req) });
+
+    res.status(200).json({
+      success: true,
+      data: {
+        total: wallets.length,
+        wallets
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Gets a vault wallet
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next function
+ */
+const getWallet = async (req, res, next) => {
+  try {
+    const wallet = vaultService.getWallet(req.params.walletId, getRequestOwner(req));
+
+    res.status(200).json({
+      success: true,
+      data: wallet
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Renames a vault wallet
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next function
+ */
+const renameWallet = async (req, res, next) => {
+  try {
+    const wallet = vaultService.renameWallet(req.params.walletId, req.body.label, getRequestOwner(req));
+
+    res.status(200).json({
+      success: true,
+      data: wallet
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Archives a vault wallet
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next function
+ */
+const archiveWallet = async (req, res, next) => {
+  try {
+    const wallet = vaultService.archiveWallet(req.params.walletId, getRequestOwner(req));
+
+    res.status(200).json({
+      success: true,
+      data: wallet
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Restores an archived vault wallet
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next function
+ */
+const restoreWallet = async (req, res, next) => {
+  try {
+    const wallet = vaultService.restoreWallet(req.params.walletId, getRequestOwner(req));
+
+    res.status(200).json({
+      success: true,
+      data: wallet
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Permanently deletes an archived vault wallet
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next function
+ */
+const deleteWallet = async (req, res, next) => {
+  try {
+    const wallet = vaultService.deleteWallet(req.params.walletId, getRequestOwner(req));
+
+    res.status(200).json({
+      success: true,
+      message: 'Wallet deleted',
+      data: wallet
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  storeWallet,
+  listWallets,
+  getWallet,
+  renameWallet,
+  archiveWallet,
+  restoreWallet,
+  deleteWallet
+};
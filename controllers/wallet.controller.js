@@ -1,6 +1,36 @@
 const walletService = require('../services/wallet.service');
+const vaultService = require('../services/vault.service');
+const replacementService = require('../services/replacement.service');
+const ledgerService = require('../services/ledger.service');
+const confirmationService = require('../services/confirmation.service');
 const { getSupportedNetworks, DEFAULT_NETWORK, DEFAULT_NETWORK_TYPE } = require('../utils/network');
 const { broadcastBalanceUpdate, broadcastTransactionUpdate } = require('../utils/websocket');
+const { getRequestOwner, getRequestMetadata } = require('../utils/request');
+
+/**
+ * Records a submitted transaction in the ledger with the request metadata
+ * A ledger failure does not fail the request (the transaction is already broadcast)
+ * @param {Object} req - Express request object
+ * @param {string} kind - native | token | nft | raw | speed-up | cancel
+ * @param {Object} txResult - Send result
+ * @param {string} network - Network name
+ * @param {string} networkType - Network type
+ * @private
+ */
+const recordSubmission = (req, kind, txResult, network, networkType) => {
+  try {
+    ledgerService.recordTransaction({
+      ...txResult,
+      kind,
+      network,
+      networkType,
+      tokenAddress: txResult.tokenAddress || txResult.nftAddress,
+      replaces: txResult.replacedTxHash
+    }, getRequestMetadata(req));
+  } catch (error) {
+    console.error('Ledger record error:', error);
+  }
+};
 
 /**
  * Creates a new wallet
@@ -76,6 +106,51 @@ const importWalletByMnemonic = async (req, res, next) => {
   }
 };
 
+/**
+ * Exports wallet as encrypted JSON keystore (Web3 Secret Storage v3)
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next function
+ */
+const exportKeystore = async (req, res, next) => {
+  try {
+    const { password, kdf } = req.body;
+    const encryptedPrivateKey = vaultService.resolveEncryptedPrivateKey(req.body, getRequestOwner(req));
+    const result = await walletService.exportWalletToKeystore(encryptedPrivateKey, password, kdf);
+
+    res.status(200).json({
+      success: true,
+      data: result
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Imports a wallet using encrypted JSON keystore (Web3 Secret Storage v3)
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next function
+ */
+const importWalletByKeystore = async (req, res, next) => {
+  try {
+    // Note: Wallet import works independently of the network
+    const { keystore, password } = req.body;
+    const wallet = await walletService.importWalletFromKeystore(keystore, password);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        address: wallet.address,
+        encryptedPrivateKey: wallet.encryptedPrivateKey
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
 /**
  * Gets wallet balance and token information
  * @param {Object} req - Express request object
@@ -138,7 +213,8 @@ const getTokenBalance = async (req, res, next) => {
  */
 const sendTransaction = async (req, res, next) => {
   try {
-    const { encryptedPrivateKey, to, amount, gasPrice, maxFeePerGas, maxPriorityFeePerGas, gasLimit } = req.body;
+    const { to, amount, gasPrice, maxFeePerGas, maxPriorityFeePerGas, gasLimit } = req.body;
+    const signerRef = vaultService.resolveSignerRef(req.body, getRequestOwner(req));
     const network = req.body.network || DEFAULT_NETWORK;
     const networkType = req.body.networkType || DEFAULT_NETWORK_TYPE;
     
@@ -150,7 +226,7 @@ const sendTransaction = async (req, res, next) => {
     if (gasLimit) gasOptions.gasLimit = gasLimit;
     
     const txResult = await walletService.sendTransaction(
-      encryptedPrivateKey, 
+      signerRef,
       to, 
       amount,
       gasOptions,
@@ -158,6 +234,8 @@ const sendTransaction = async (req, res, next) => {
       networkType
     );
     
+    recordSubmission(req, 'native', txResult, network, networkType);
+
     // Broadcast transaction and balance updates (WebSocket)
     broadcastTransactionUpdate(txResult.txHash, 'pending', null);
     
@@ -174,9 +252,146 @@ const sendTransaction = async (req, res, next) => {
       }, 2000); // Wait a bit for transaction to enter mempool
     }
     
+    const result = await confirmationService.applyConfirmationPolicy(txResult, confirmationService.getConfirmationPolicy(req.body), network, networkType);
+
+    res.status(200).json({
+      success: true,
+      data: result
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Builds and signs a transaction without broadcasting it
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next function
+ */
+const signTransaction = async (req, res, next) => {
+  try {
+    const { to, amount, data, nonce, gasPrice, maxFeePerGas, maxPriorityFeePerGas, gasLimit } = req.body;
+    const signerRef = vaultService.resolveSignerRef(req.body, getRequestOwner(req));
+    const network = req.body.network || DEFAULT_NETWORK;
+    const networkType = req.body.networkType || DEFAULT_NETWORK_TYPE;
+
+    const result = await walletService.signTransaction(
+      signerRef,
+      { to, amount, data, nonce, gasPrice, maxFeePerGas, maxPriorityFeePerGas, gasLimit },
+      network,
+      networkType
+    );
+
+    res.status(200).json({
+      success: true,
+      data: result
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Broadcasts a signed raw transaction
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next function
+ */
+const broadcastRawTransaction = async (req, res, next) => {
+  try {
+    const { rawTransaction, from } = req.body;
+    const network = req.body.network || DEFAULT_NETWORK;
+    const networkType = req.body.networkType || DEFAULT_NETWORK_TYPE;
+
+    const txResult = await walletService.broadcastRawTransaction(rawTransaction, { from }, network, networkType);
+
+    recordSubmission(req, 'raw', txResult, network, networkType);
+
+    // Broadcast transaction and balance updates (WebSocket)
+    broadcastTransactionUpdate(txResult.txHash, 'pending', null);
+
+    setTimeout(() => {
+      broadcastBalanceUpdate(txResult.from, network, networkType);
+      if (txResult.to) {
+        broadcastBalanceUpdate(txResult.to, network, networkType);
+      }
+    }, 2000); // Wait a bit for transaction to enter mempool
+
+    const result = await confirmationService.applyConfirmationPolicy(txResult, confirmationService.getConfirmationPolicy(req.body), network, networkType);
+
     res.status(200).json({
       success: true,
-      data: txResult
+      data: result
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Speeds up or cancels a pending transaction (replace-by-fee)
+ * @param {string} action - speed-up | cancel
+ * @returns {Function} - Express handler
+ * @private
+ */
+const replaceTransaction = (action) => async (req, res, next) => {
+  try {
+    const { txHash, speed = 'fast' } = req.body;
+    const signerRef = vaultService.resolveSignerRef(req.body, getRequestOwner(req));
+    const network = req.body.network || DEFAULT_NETWORK;
+    const networkType = req.body.networkType || DEFAULT_NETWORK_TYPE;
+
+    const replace = action === 'cancel'
+      ? replacementService.cancelTransaction
+      : replacementService.speedUpTransaction;
+    const txResult = await replace(signerRef, txHash, speed, network, networkType);
+
+    recordSubmission(req, action, txResult, network, networkType);
+
+    // Broadcast transaction update (WebSocket)
+    broadcastTransactionUpdate(txResult.txHash, 'pending', null);
+
+    const result = await confirmationService.applyConfirmationPolicy(txResult, confirmationService.getConfirmationPolicy(req.body), network, networkType);
+
+    res.status(200).json({
+      success: true,
+      data: result
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Speeds up a pending transaction with the same nonce and higher fees
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next function
+ */
+const speedUpTransaction = replaceTransaction('speed-up');
+
+/**
+ * Cancels a pending transaction with a zero-value self-transfer using the same nonce
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next function
+ */
+const cancelTransaction = replaceTransaction('cancel');
+
+/**
+ * Reports which transaction of a speed-up/cancel group was mined
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next function
+ */
+const getReplacementStatus = async (req, res, next) => {
+  try {
+    const status = await replacementService.getReplacementStatus(req.params.hash);
+
+    res.status(200).json({
+      success: true,
+      data: status
     });
   } catch (error) {
     next(error);
@@ -191,7 +406,8 @@ const sendTransaction = async (req, res, next) => {
  */
 const sendTokenTransaction = async (req, res, next) => {
   try {
-    const { encryptedPrivateKey, tokenAddress, to, amount, decimals, gasPrice, maxFeePerGas, maxPriorityFeePerGas, gasLimit } = req.body;
+    const { tokenAddress, to, amount, decimals, gasPrice, maxFeePerGas, maxPriorityFeePerGas, gasLimit } = req.body;
+    const signerRef = vaultService.resolveSignerRef(req.body, getRequestOwner(req));
     const network = req.body.network || DEFAULT_NETWORK;
     const networkType = req.body.networkType || DEFAULT_NETWORK_TYPE;
     
@@ -203,7 +419,7 @@ const sendTokenTransaction = async (req, res, next) => {
     if (gasLimit) gasOptions.gasLimit = gasLimit;
     
     const txResult = await walletService.sendTokenTransaction(
-      encryptedPrivateKey,
+      signerRef,
       tokenAddress,
       to,
       amount,
@@ -213,6 +429,8 @@ const sendTokenTransaction = async (req, res, next) => {
       networkType
     );
     
+    recordSubmission(req, 'token', txResult, network, networkType);
+
     // Broadcast transaction and balance updates (WebSocket)
     broadcastTransactionUpdate(txResult.txHash, 'pending', null);
     
@@ -229,9 +447,11 @@ const sendTokenTransaction = async (req, res, next) => {
       }, 2000); // Wait a bit for transaction to enter mempool
     }
     
+    const result = await confirmationService.applyConfirmationPolicy(txResult, confirmationService.getConfirmationPolicy(req.body), network, networkType);
+
     res.status(200).json({
       success: true,
-      data: txResult
+      data: result
     });
   } catch (error) {
     next(error);
@@ -246,7 +466,8 @@ const sendTokenTransaction = async (req, res, next) => {
  */
 const sendNftTransaction = async (req, res, next) => {
   try {
-    const { encryptedPrivateKey, contractAddress, to, tokenId, amount = '1', nftType = 'ERC721', gasPrice, maxFeePerGas, maxPriorityFeePerGas, gasLimit } = req.body;
+    const { contractAddress, to, tokenId, amount = '1', nftType = 'ERC721', gasPrice, maxFeePerGas, maxPriorityFeePerGas, gasLimit } = req.body;
+    const signerRef = vaultService.resolveSignerRef(req.body, getRequestOwner(req));
     const network = req.body.network || DEFAULT_NETWORK;
     const networkType = req.body.networkType || DEFAULT_NETWORK_TYPE;
     
@@ -258,7 +479,7 @@ const sendNftTransaction = async (req, res, next) => {
     if (gasLimit) gasOptions.gasLimit = gasLimit;
     
     const txResult = await walletService.sendNftTransaction(
-      encryptedPrivateKey,
+      signerRef,
       contractAddress,
       to,
       tokenId,
@@ -269,6 +490,8 @@ const sendNftTransaction = async (req, res, next) => {
       networkType
     );
     
+    recordSubmission(req, 'nft', txResult, network, networkType);
+
     // Broadcast transaction and balance updates (WebSocket)
     broadcastTransactionUpdate(txResult.txHash, 'pending', null);
     
@@ -285,9 +508,11 @@ const sendNftTransaction = async (req, res, next) => {
       }, 2000); // Wait a bit for transaction to enter mempool
     }
     
+    const result = await confirmationService.applyConfirmationPolicy(txResult, confirmationService.getConfirmationPolicy(req.body), network, networkType);
+
     res.status(200).json({
       success: true,
-      data: txResult
+      data: result
     });
   } catch (error) {
     next(error);
@@ -337,9 +562,16 @@ module.exports = {
   createWallet,
   importWalletByPrivateKey,
   importWalletByMnemonic,
+  exportKeystore,
+  importWalletByKeystore,
   getWalletBalance,
   getTokenBalance,
   sendTransaction,
+  signTransaction,
+  broadcastRawTransaction,
+  speedUpTransaction,
+  cancelTransaction,
+  getReplacementStatus,
   sendTokenTransaction,
   sendNftTransaction,
   getSupportedNetworksList
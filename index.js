@@ -7,8 +7,11 @@ const http = require('http');
 const { ethersRoutes } = require('./routes/ethers.routes');
 const { errorHandler } = require('./middleware/error-handler');
 const { bigIntMiddleware } = require('./middleware/bigint-json');
-const { globalLimiter } = require('./middleware/rate-limiter');
+const { globalLimiter, apiKeyLimiter } = require('./middleware/rate-limiter');
+const { apiKeyAuth, requireScope } = require('./middleware/api-key-auth');
 const { initializeWebSocketServer } = require('./utils/websocket');
+const { startLedgerTracker } = require('./services/ledger.service');
+const { startScheduler } = require('./services/scheduler.service');
 
 // Load environment variables
 require('dotenv').config();
@@ -25,6 +28,10 @@ app.use(cors()); // CORS support
 app.use(express.json()); // JSON body parsing
 app.use(bigIntMiddleware); // BigInt serialization
 
+// API key authentication (X-API-Key) - keys get their own rate limit instead of the per-IP limits
+app.use(apiKeyAuth);
+app.use(apiKeyLimiter);
+
 // Global rate limiter for DDoS protection
 app.use(globalLimiter);
 
@@ -37,7 +44,7 @@ app.get('/', (req, res) => {
 });
 
 // Queue statistics endpoint
-app.get('/api/v1/queue/stats', (req, res) => {
+app.get('/api/v1/queue/stats', requireScope('admin'), (req, res) => {
   const { getQueueStats } = require('./utils/queue');
   res.json({
     success: true,
@@ -51,6 +58,17 @@ app.use(errorHandler);
 // Initialize WebSocket server
 initializeWebSocketServer(server);
 
+// Track status of transactions recorded in the ledger
+startLedgerTracker();
+
+// Execute scheduled transfers
+startScheduler();
+
+// Sign-in needs a configured domain (the Host header is client controlled)
+if (process.env.AUTH_REQUIRED !== 'false' && !process.env.SIWE_DOMAIN) {
+  console.warn('SIWE_DOMAIN is not set, Sign-In With Ethereum is disabled.');
+}
+
 // Start server
 server.listen(PORT, () => {
   console.log(`Server running on port ${PORT}.`);
@@ -0,0 +1,41 @@
+const crypto = require('crypto');
+
+/**
+ * Compares two strings in constant time
+ * @param {string} a - First value
+ * @param {string} b - Second value
+ * @returns {boolean} - Whether values are equal
+ */
+const safeEqual = (a, b) => {
+  const hashA = crypto.createHash('sha256').update(String(a)).digest();
+  const hashB = crypto.createHash('sha256').update(String(b)).digest();
+  return crypto.timingSafeEqual(hashA, hashB);
+};
+
+/**
+ * Protects admin routes with the ADMIN_API_KEY (sent in X-Admin-Key header)
+ * Admin routes are disabled when ADMIN_API_KEY is not configured
+ */
+const requireAdminKey = (req, res, next) => {
+  const adminKey = process.env.ADMIN_API_KEY;
+
+  if (!adminKey) {
+    return res.status(403).json({
+      success: false,
+      message: 'Admin endpoints are disabled. Set ADMIN_API_KEY to enable them.'
+    });
+  }
+
+  const providedKey = req.get('x-admin-key');
+
+  if (!providedKey || !safeEqual(providedKey, adminKey)) {
+    return res.status(401).json({
+      success: false,
+      message: 'Invalid or missing admin key'
+    });
+  }
+
+  next();
+};
+
+module.exports = { requireAdminKey };
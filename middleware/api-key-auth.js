@@ -0,0 +1,62 @@
+const { authenticateApiKey, API_KEY_SCOPES } = require('../services/apikey.service');
+const { requireSession } = require('./session-auth');
+const { requireAdminKey } = require('./admin-auth');
+
+/**
+ * Authenticates the X-API-Key header when present and sets req.apiKey
+ * Requests without an API key continue with the user/admin authentication of each route
+ */
+const apiKeyAuth = (req, res, next) => {
+  const key = req.get('x-api-key');
+  if (!key) {
+    return next();
+  }
+
+  const apiKey = authenticateApiKey(key);
+  if (!apiKey) {
+    return res.status(401).json({
+      success: false,
+      message: 'Invalid or revoked API key'
+    });
+  }
+
+  req.apiKey = apiKey;
+  next();
+};
+
+// Authentication used for each scope when the request has no API key
+const FALLBACK_AUTH = {
+  [API_KEY_SCOPES.READ]: (req, res, next) => next(), // public chain data
+  [API_KEY_SCOPES.SIMULATE]: requireSession,
+  [API_KEY_SCOPES.SEND]: requireSession,
+  [API_KEY_SCOPES.ADMIN]: requireAdminKey
+};
+
+/**
+ * Requires an API key scope for a route
+ * Without an API key the route falls back to SIWE session (simulate, send) or admin key (admin) authentication
+ * @param {string} scope - Required scope (read, simulate, send, admin)
+ * @returns {Function} - Express middleware
+ */
+const requireScope = (scope) => {
+  if (!FALLBACK_AUTH[scope]) {
+    throw new Error(`Unknown API key scope: ${scope}`);
+  }
+
+  return (req, res, next) => {
+    if (!req.apiKey) {
+      return FALLBACK_AUTH[scope](req, res, next);
+    }
+
+    if (!req.apiKey.scopes.includes(scope)) {
+      return res.status(403).json({
+        success: false,
+        message: `API key does not have the "${scope}" scope`
+      });
+    }
+
+    next();
+  };
+};
+
+module.exports = { apiKeyAuth, requireScope };
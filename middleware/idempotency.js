@@ -0,0 +1,143 @@
+const { beginRequest, completeRequest, releaseRequest } = require('../services/idempotency.service');
+const { getBearerToken } = require('./session-auth');
+
+// Printable ASCII, as sent by common HTTP clients (UUIDs, ULIDs etc.)
+const IDEMPOTENCY_KEY_PATTERN = /^[\x21-\x7e]{1,255}$/;
+
+// Responses that say nothing about the operation itself; the key can be retried after them
+const RETRYABLE_STATUS_CODES = [401, 403, 429];
+
+// Routes whose responses carry key material or credentials (private keys, mnemonics, encrypted keys,
+// API keys, session tokens). Responses are stored on disk, so these routes ignore Idempotency-Key.
+const CREDENTIAL_ROUTES = [
+  /^\/create-wallet$/,
+  /^\/import-wallet\//,
+  /^\/wallet\/export\/keystore$/,
+  /^\/hd-wallet\//,
+  /^\/admin\/api-keys$/,
+  /^\/auth\//
+];
+
+/**
+ * Returns the identity an idempotency key belongs to, so callers cannot read each other's responses
+ * @param {Object} req - Express request object
+ * @returns {string} - Caller scope
+ * @private
+ */
+const getCallerScope = (req) => {
+  if (req.apiKey) {
+    return `api-key:${req.apiKey.keyId}`;
+  }
+  const token = getBearerToken(req);
+  if (token) {
+    return `session:${token}`;
+  }
+  const adminKey = req.get('x-admin-key');
+  if (adminKey) {
+    return `admin:${adminKey}`;
+  }
+  return `ip:${req.ip}`;
+};
+
+/**
+ * Sends a stored response
+ * @private
+ */
+const replayResponse = (res, response) => {
+  res.set('Idempotent-Replayed', 'true');
+  return res.status(response.statusCode).json(response.body);
+};
+
+/**
+ * Idempotency-Key support for POST routes
+ * A repeated key returns the stored response of the first request (or waits for it while it is in flight);
+ * the same key with a different method, path or body is rejected
+ */
+const idempotency = async (req, res, next) => {
+  const key = req.get('idempotency-key');
+  if (req.method !== 'POST' || key === undefined || CREDENTIAL_ROUTES.some(route => route.test(req.path))) {
+    return next();
+  }
+
+  if (!IDEMPOTENCY_KEY_PATTERN.test(key)) {
+    return res.status(400).json({
+      success: false,
+      message: 'Idempotency-Key must be 1-255 printable ASCII characters'
+    });
+  }
+
+  let result;
+  try {
+    result = beginRequest(getCallerScope(req), key, {
+      method: req.method,
+      path: req.baseUrl + req.path,
+      body: req.body
+    });
+  } catch (error) {
+    return next(error);
+  }
+
+  switch (result.state) {
+    case 'mismatch':
+      return res.status(422).json({
+        success: false,
+        message: 'Idempotency-Key was already used with a different request'
+      });
+
+    case 'completed':
+      return replayResponse(res, result.response);
+
+    case 'in-flight': {
+      const response = await result.wait;
+      if (!response) {
+        return res.status(409).json({
+          success: false,
+          message: 'The original request with this Idempotency-Key did not complete, retry the request'
+        });
+      }
+      return replayResponse(res, response);
+    }
+
+    case 'interrupted':
+      return res.status(409).json({
+        success: false,
+        message: 'The original request with this Idempotency-Key was interrupted, its outcome is unknown. Check the transaction history before retrying with a new key.'
+      });
+
+    default:
+      break;
+  }
+
+  // Capture the response of the first request
+  let settled = false;
+  const originalJson = res.json;
+
+  res.json = function(obj) {
+    if (!settled) {
+      settled = true;
+      const response = {
+        statusCode: res.statusCode,
+        body: JSON.parse(JSON.stringify(obj, (k, value) => (typeof value === 'bigint' ? value.toString() : value)))
+      };
+
+      if (res.statusCode >= 500 || RETRYABLE_STATUS_CODES.includes(res.statusCode)) {
+        releaseRequest(result.id, response);
+      } else {
+        completeRequest(result.id, response);
+      }
+    }
+    return originalJson.call(this, obj);
+  };
+
+  // Responses sent without res.json (e.g. rate limiter messages) are not stored
+  res.on('finish', () => {
+    if (!settled) {
+      settled = true;
+      releaseRequest(result.id, null);
+    }
+  });
+
+  next();
+};
+
+module.exports = { idempotency };
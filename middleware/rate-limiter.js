@@ -11,7 +11,9 @@ const globalLimiter = rateLimit({
     message: 'Too many requests, please try again after 15 minutes.'
   },
   standardHeaders: true,
-  legacyHeaders: false
+  legacyHeaders: false,
+  // Requests with an API key are limited per key by apiKeyLimiter instead
+  skip: (req) => Boolean(req.apiKey)
 });
 
 /**
@@ -39,7 +41,9 @@ const transactionLimiter = rateLimit({
     message: 'Too many transaction requests, please try again after 10 minutes.'
   },
   standardHeaders: true,
-  legacyHeaders: false
+  legacyHeaders: false,
+  // Requests with an API key are limited per key by apiKeyLimiter instead
+  skip: (req) => Boolean(req.apiKey)
 });
 
 /**
@@ -56,9 +60,27 @@ const websocketLimiter = rateLimit({
   legacyHeaders: false
 });
 
+/**
+ * Per API key limit - replaces globalLimiter and transactionLimiter for requests with an API key
+ * Each key has its own limit (requests per window), set when the key is created
+ */
+const apiKeyLimiter = rateLimit({
+  windowMs: parseInt(process.env.API_KEY_RATE_WINDOW_MS || '60000', 10), // 1 minute
+  limit: (req) => req.apiKey.rateLimit,
+  keyGenerator: (req) => req.apiKey.keyId,
+  skip: (req) => !req.apiKey,
+  message: {
+    success: false,
+    message: 'API key rate limit exceeded, please try again later.'
+  },
+  standardHeaders: true,
+  legacyHeaders: false
+});
+
 module.exports = {
   globalLimiter,
   walletActionLimiter,
   transactionLimiter,
-  websocketLimiter
+  websocketLimiter,
+  apiKeyLimiter
 }; 
\ No newline at end of file
@@ -0,0 +1,36 @@
+const { getSession } = require('../services/auth.service');
+
+/**
+ * Reads the bearer token from the Authorization header
+ * @param {Object} req - Express request object
+ * @returns {string|null} - Token
+ */
+const getBearerToken = (req) => {
+  const match = (req.get('authorization') || '').match(/^Bearer\s+(\S+)$/i);
+  return match ? match[1] : null;
+};
+
+/**
+ * Protects routes with a SIWE session token (Authorization: Bearer <token>)
+ * Authentication can be turned off for local development with AUTH_REQUIRED=false
+ */
+const requireSession = (req, res, next) => {
+  if (process.env.AUTH_REQUIRED === 'false') {
+    return next();
+  }
+
+  const token = getBearerToken(req);
+  const session = token ? getSession(token) : null;
+
+  if (!session) {
+    return res.status(401).json({
+      success: false,
+      message: 'Authentication required. Sign in with Ethereum at /api/v1/auth/verify.'
+    });
+  }
+
+  req.session = session;
+  next();
+};
+
+module.exports = { requireSession, getBearerToken };
@@ -3,6 +3,20 @@ const { validator } = require('../middleware/validator');
 const walletController = require('../controllers/wallet.controller');
 const transactionController = require('../controllers/transaction.controller');
 const nftController = require('../controllers/nft.controller');
+const hdWalletController = require('../controllers/hdwallet.controller');
+const adminController = require('../controllers/admin.controller');
+const vaultController = require('../controllers/vault.controller');
+const signatureController = require('../controllers/signature.controller');
+const authController = require('../controllers/auth.controller');
+const ledgerController = require('../controllers/ledger.controller');
+const batchController = require('../controllers/batch.controller');
+const scheduleController = require('../controllers/schedule.controller');
+const contractController = require('../controllers/contract.controller');
+const abiController = require('../controllers/abi.controller');
+const { requireAdminKey } = require('../middleware/admin-auth');
+const { requireSession } = require('../middleware/session-auth');
+const { requireScope } = require('../middleware/api-key-auth');
+const { idempotency } = require('../middleware/idempotency');
 const { 
   walletActionLimiter, 
   transactionLimiter,
@@ -10,30 +24,71 @@ const {
 } = require('../middleware/rate-limiter');
 const { 
   importWalletSchema, 
+  hdWalletSchema,
+  keystoreSchema,
+  vaultSchema,
   sendTransactionSchema, 
   sendTokenTransactionSchema,
   sendNftTransactionSchema,
+  signTransactionSchema,
+  broadcastRawTransactionSchema,
+  replaceTransactionSchema,
+  batchPayoutSchema,
   addressSchema 
 } = require('../validations/wallet.validation');
 const {
   simulateTransactionSchema,
   simulateTokenTransferSchema,
   simulateNftTransferSchema,
+  decodeCalldataSchema,
   gasParamsSchema
 } = require('../validations/transaction.validation');
+const { reencryptSchema, createApiKeySchema } = require('../validations/admin.validation');
+const { messageSchema, typedDataSchema } = require('../validations/signature.validation');
+const { siweVerifySchema } = require('../validations/auth.validation');
+const { createScheduleSchema } = require('../validations/schedule.validation');
+const { contractCallSchema, contractExecuteSchema } = require('../validations/contract.validation');
+const { abiSchema } = require('../validations/abi.validation');
 
 const router = express.Router();
 
+// Idempotency-Key header support for all POST routes
+router.use(idempotency);
+
+/**
+ * Authentication routes - Sign-In With Ethereum (EIP-4361)
+ * Each route requires an API key scope (X-API-Key header): read, simulate, send or admin.
+ * Without an API key, simulate/send routes require the SIWE session token (Authorization: Bearer <token>)
+ * and admin routes require X-Admin-Key; read routes are public.
+ */
+// Get nonce for a SIWE message
+router.get('/auth/nonce', transactionLimiter, authController.getNonce);
+
+// Verify signed SIWE message and issue session token
+router.post(
+  '/auth/verify',
+  transactionLimiter,
+  validator(siweVerifySchema),
+  authController.verify
+);
+
+// Current session
+router.get('/auth/session', requireSession, authController.getSession);
+
+// Revoke session token
+router.post('/auth/logout', authController.logout);
+
 /**
  * Wallet Routes
  */
 // Create a new wallet - Stricter limit
-router.post('/create-wallet', walletActionLimiter, walletController.createWallet);
+router.post('/create-wallet', walletActionLimiter, requireScope('send'), walletController.createWallet);
 
 // Import wallet with private key - Stricter limit
 router.post(
   '/import-wallet/private-key', 
   walletActionLimiter,
+  requireScope('send'),
   validator(importWalletSchema.privateKey), 
   walletController.importWalletByPrivateKey
 );
@@ -42,20 +97,136 @@ router.post(
 router.post(
   '/import-wallet/mnemonic', 
   walletActionLimiter,
+  requireScope('send'),
   validator(importWalletSchema.mnemonic), 
   walletController.importWalletByMnemonic
 );
 
+// Import wallet with JSON keystore (Web3 Secret Storage v3) - Stricter limit
+router.post(
+  '/import-wallet/keystore',
+  walletActionLimiter,
+  requireScope('send'),
+  validator(keystoreSchema.import),
+  walletController.importWalletByKeystore
+);
+
+// Export wallet as JSON keystore (Web3 Secret Storage v3) - Stricter limit
+router.post(
+  '/wallet/export/keystore',
+  walletActionLimiter,
+  requireScope('send'),
+  validator(keystoreSchema.export),
+  walletController.exportKeystore
+);
+
+/**
+ * HD Wallet Routes (m/44'/60'/0'/0/n)
+ */
+// Create HD wallet with a new mnemonic - Stricter limit
+router.post(
+  '/hd-wallet/create',
+  walletActionLimiter,
+  requireScope('send'),
+  validator(hdWalletSchema.create),
+  hdWalletController.createHdWallet
+);
+
+// Import HD wallet with mnemonic - Stricter limit
+router.post(
+  '/import-wallet/hd',
+  walletActionLimiter,
+  requireScope('send'),
+  validator(hdWalletSchema.import),
+  hdWalletController.importHdWallet
+);
+
+// List derived accounts
+router.get(
+  '/hd-wallet/:hdWalletId/accounts',
+  requireScope('send'),
+  hdWalletController.listHdAccounts
+);
+
+// Derive accounts by index - Stricter limit
+router.post(
+  '/hd-wallet/:hdWalletId/accounts',
+  walletActionLimiter,
+  requireScope('send'),
+  validator(hdWalletSchema.derive),
+  hdWalletController.deriveHdAccounts
+);
+
+// Set account label
+router.patch(
+  '/hd-wallet/:hdWalletId/accounts/:index',
+  requireScope('send'),
+  validator(hdWalletSchema.label),
+  hdWalletController.labelHdAccount
+);
+
+// Discover used accounts with gap limit scan - Stricter limit
+router.post(
+  '/hd-wallet/:hdWalletId/discover',
+  walletActionLimiter,
+  requireScope('send'),
+  validator(hdWalletSchema.discover),
+  hdWalletController.discoverHdAccounts
+);
+
+/**
+ * Vault Routes - encrypted keys are stored server-side and referenced by walletId
+ */
+// Store a wallet (or create a new one) - Stricter limit
+router.post(
+  '/vault/wallets',
+  walletActionLimiter,
+  requireScope('send'),
+  validator(vaultSchema.store),
+  vaultController.storeWallet
+);
+
+// List stored wallets
+// Query params: ?status=active|archived|all&address=0x...
+router.get('/vault/wallets', requireScope('send'), vaultController.listWallets);
+
+// Get stored wallet
+router.get('/vault/wallets/:walletId', requireScope('send'), vaultController.getWallet);
+
+// Rename stored wallet
+router.patch(
+  '/vault/wallets/:walletId',
+  requireScope('send'),
+  validator(vaultSchema.rename),
+  vaultController.renameWallet
+);
+
+// Archive stored wallet (archived wallets cannot sign)
+router.post('/vault/wallets/:walletId/archive', requireScope('send'), vaultController.archiveWallet);
+
+// Restore archived wallet
+router.post('/vault/wallets/:walletId/restore', requireScope('send'), vaultController.restoreWallet);
+
+// Delete archived wallet permanently - Stricter limit
+router.delete(
+  '/vault/wallets/:walletId',
+  walletActionLimiter,
+  requireScope('send'),
+  vaultController.deleteWallet
+);
+
 // Get wallet balance and token information
 // Query params: ?tokens=SYM1:0xADDR1,SYM2:0xADDR2
 router.get(
   '/wallet/:address/balance', 
+  requireScope('read'),
   walletController.getWalletBalance
 );
 
 // Query balance for a specific token
 router.get(
   '/wallet/:address/token/:tokenAddress',
+  requireScope('read'),
   walletController.getTokenBalance
 );
 
@@ -63,6 +234,7 @@ router.get(
 router.post(
   '/send-transaction', 
   transactionLimiter,
+  requireScope('send'),
   validator(sendTransactionSchema), 
   walletController.sendTransaction
 );
@@ -71,6 +243,7 @@ router.post(
 router.post(
   '/send-token', 
   transactionLimiter,
+  requireScope('send'),
   validator(sendTokenTransactionSchema), 
   walletController.sendTokenTransaction
 );
@@ -79,12 +252,202 @@ router.post(
 router.post(
   '/send-nft',
   transactionLimiter,
+  requireScope('send'),
   validator(sendNftTransactionSchema),
   walletController.sendNftTransaction
 );
 
+// Build and sign transaction without sending (returns raw transaction) - Transaction limiter
+router.post(
+  '/sign-transaction',
+  transactionLimiter,
+  requireScope('send'),
+  validator(signTransactionSchema),
+  walletController.signTransaction
+);
+
+// Broadcast signed raw transaction - Transaction limiter
+router.post(
+  '/broadcast-raw-transaction',
+  transactionLimiter,
+  requireScope('send'),
+  validator(broadcastRawTransactionSchema),
+  walletController.broadcastRawTransaction
+);
+
+// Batch payout to many recipients (native or ERC-20, JSON list or CSV) - Transaction limiter
+router.post(
+  '/batch-payouts',
+  transactionLimiter,
+  requireScope('send'),
+  validator(batchPayoutSchema),
+  batchController.createBatchPayout
+);
+
+// List batch payouts (?from=0x...)
+router.get('/batch-payouts', requireScope('send'), batchController.listBatchPayouts);
+
+// Batch payout report with per-recipient status
+router.get('/batch-payouts/:batchId', requireScope('send'), batchController.getBatchPayout);
+
+/**
+ * Generic contract interaction (ABI supplied with the request or registered)
+ */
+// Read-only contract call with decoded outputs
+router.post(
+  '/contract/call',
+  transactionLimiter,
+  requireScope('read'),
+  validator(contractCallSchema),
+  contractController.callContract
+);
+
+// Sign and send a contract transaction - Transaction limiter
+router.post(
+  '/contract/execute',
+  transactionLimiter,
+  requireScope('send'),
+  validator(contractExecuteSchema),
+  contractController.executeContract
+);
+
+/**
+ * ABI registry (chain + contract address) and function/event signature database
+ */
+// Upload or replace a contract ABI
+router.post(
+  '/abis',
+  walletActionLimiter,
+  requireScope('admin'),
+  validator(abiSchema.register),
+  abiController.registerAbi
+);
+
+// List registered ABIs (?network=ethereum&networkType=mainnet)
+router.get('/abis', requireScope('read'), abiController.listAbis);
+
+// Add signatures to the selector/topic database
+router.post(
+  '/abis/signatures',
+  walletActionLimiter,
+  requireScope('admin'),
+  validator(abiSchema.signatures),
+  abiController.registerSignatures
+);
+
+// Get a registered ABI (?network=ethereum&networkType=mainnet)
+router.get('/abis/:address', requireScope('read'), abiController.getAbi);
+
+// Delete an uploaded ABI (?network=ethereum&networkType=mainnet)
+router.delete('/abis/:address', requireScope('admin'), abiController.deleteAbi);
+
+// Look up a 4-byte selector or event topic
+router.get('/signatures/:hash', requireScope('read'), abiController.lookupSignature);
+
+/**
+ * Scheduled and recurring transfers (vault wallets only)
+ */
+// Create schedule (one-time runAt or recurring cron) - Transaction limiter
+router.post(
+  '/schedules',
+  transactionLimiter,
+  requireScope('send'),
+  validator(createScheduleSchema),
+  scheduleController.createSchedule
+);
+
+// List schedules (?status=active&walletId=wlt_...)
+router.get('/schedules', requireScope('send'), scheduleController.listSchedules);
+
+// Schedule with run history
+router.get('/schedules/:scheduleId', requireScope('send'), scheduleController.getSchedule);
+
+// Pause / resume / cancel schedule
+router.post('/schedules/:scheduleId/pause', requireScope('send'), scheduleController.pauseSchedule);
+router.post('/schedules/:scheduleId/resume', requireScope('send'), scheduleController.resumeSchedule);
+router.post('/schedules/:scheduleId/cancel', requireScope('send'), scheduleController.cancelSchedule);
+
+// Speed up pending transaction (same nonce, bumped fees) - Transaction limiter
+router.post(
+  '/speed-up-transaction',
+  transactionLimiter,
+  requireScope('send'),
+  validator(replaceTransactionSchema),
+  walletController.speedUpTransaction
+);
+
+// Cancel pending transaction (zero-value self-transfer with the same nonce) - Transaction limiter
+router.post(
+  '/cancel-transaction',
+  transactionLimiter,
+  requireScope('send'),
+  validator(replaceTransactionSchema),
+  walletController.cancelTransaction
+);
+
+// Transaction ledger: status of a transaction sent through the API
+router.get(
+  '/transactions/:hash',
+  requireScope('send'),
+  ledgerController.getTransaction
+);
+
+// Transaction ledger: transactions sent or received by an address
+// Query params: ?status=pending&kind=token&direction=out&since=2024-01-01&page=1&limit=20
+router.get(
+  '/wallet/:address/transactions',
+  requireScope('send'),
+  ledgerController.listWalletTransactions
+);
+
+// Which transaction of a speed-up/cancel group was mined
+router.get(
+  '/replacements/:hash',
+  requireScope('read'),
+  walletController.getReplacementStatus
+);
+
 // List supported networks
-router.get('/networks', walletController.getSupportedNetworksList);
+router.get('/networks', requireScope('read'), walletController.getSupportedNetworksList);
+
+/**
+ * Message signing routes (EIP-191 personal_sign, EIP-712 typed data)
+ */
+// Sign message with encryptedPrivateKey or vault wallet - Transaction limiter
+router.post(
+  '/sign-message',
+  transactionLimiter,
+  requireScope('send'),
+  validator(messageSchema.sign),
+  signatureController.signMessage
+);
+
+// Verify message signature (no key involved) - Transaction limiter
+router.post(
+  '/verify-message',
+  transactionLimiter,
+  requireScope('read'),
+  validator(messageSchema.verify),
+  signatureController.verifyMessage
+);
+
+// Sign EIP-712 typed data (eth_signTypedData_v4) - Transaction limiter
+router.post(
+  '/sign-typed-data',
+  transactionLimiter,
+  requireScope('send'),
+  validator(typedDataSchema.sign),
+  signatureController.signTypedData
+);
+
+// Verify EIP-712 typed data signature - Transaction limiter
+router.post(
+  '/verify-typed-data',
+  transactionLimiter,
+  requireScope('read'),
+  validator(typedDataSchema.verify),
+  signatureController.verifyTypedData
+);
 
 /**
  * Transaction analysis, simulation and gas optimization routes
@@ -93,6 +456,7 @@ router.get('/networks', walletController.getSupportedNetworksList);
 router.post(
   '/simulate-transaction',
   transactionLimiter,
+  requireScope('simulate'),
   validator(simulateTransactionSchema),
   transactionController.simulateTx
 );
@@ -100,12 +464,14 @@ router.post(
 // Gas price estimation
 router.get(
   '/gas-price',
+  requireScope('read'),
   transactionController.getGasPricePrediction
 );
 
 // Optimal gas prices
 router.get(
   '/optimal-gas-fees',
+  requireScope('read'),
   transactionController.getOptimalFees
 );
 
@@ -113,6 +479,7 @@ router.get(
 router.post(
   '/analyze-transaction',
   transactionLimiter,
+  requireScope('simulate'),
   validator(simulateTransactionSchema),
   transactionController.analyzeTransaction
 );
@@ -121,6 +488,7 @@ router.post(
 router.post(
   '/simulate-token-transfer',
   transactionLimiter,
+  requireScope('simulate'),
   validator(simulateTokenTransferSchema),
   transactionController.simulateTokenTx
 );
@@ -129,19 +497,47 @@ router.post(
 router.post(
   '/simulate-nft-transfer',
   transactionLimiter,
+  requireScope('simulate'),
   validator(simulateNftTransferSchema),
   transactionController.simulateNFTTx
 );
 
+// ERC-20 balance/allowance storage slots for state overrides (?holder=0x...&spender=0x...&network=ethereum)
+router.get(
+  '/token/:tokenAddress/storage-slots',
+  transactionLimiter,
+  requireScope('read'),
+  transactionController.getTokenStorageSlots
+);
+
+// Decode calldata (supplied ABI, ABI registry or selector database)
+router.post(
+  '/decode/calldata',
+  transactionLimiter,
+  requireScope('read'),
+  validator(decodeCalldataSchema),
+  transactionController.decodeCalldata
+);
+
+// Decode transaction, receipt logs and token movements (?network=ethereum&networkType=mainnet)
+router.get(
+  '/decode/transaction/:hash',
+  transactionLimiter,
+  requireScope('read'),
+  transactionController.decodeTransaction
+);
+
 // Get NFT ownership information
 router.get(
   '/nft/owner/:contractAddress/:tokenId',
+  requireScope('read'),
   nftController.getNFTOwner
 );
 
 // List wallet NFTs
 router.get(
   '/wallet/:address/nfts',
+  requireScope('read'),
   nftController.getWalletNFTs
 );
 
@@ -151,15 +547,75 @@ router.get(
 // Cache statistics
 router.get(
   '/cache-stats',
+  requireScope('admin'),
   transactionController.getCacheStatistics
 );
 
 // Clear cache
 router.post(
   '/clear-cache/:method?',
+  requireScope('admin'),
   transactionController.clearCache
 );
 
+/**
+ * Nonce manager
+ */
+// Nonce state of an address (local reservations and chain counts)
+router.get(
+  '/nonces/:address',
+  requireScope('read'),
+  transactionController.getNonceStatus
+);
+
+// Nonce state of all tracked addresses
+router.get(
+  '/nonces',
+  requireScope('admin'),
+  transactionController.listNonceStates
+);
+
+// Reset nonce state of an address (forces a resync with the chain)
+router.post(
+  '/nonces/:address/reset',
+  requireScope('admin'),
+  transactionController.resetNonce
+);
+
+/**
+ * Admin routes (X-Admin-Key header or API key with "admin" scope required)
+ */
+// Encryption keyring status
+router.get(
+  '/admin/encryption/status',
+  requireScope('admin'),
+  adminController.getEncryptionStatus
+);
+
+// Re-encrypt ciphertexts with the current encryption key
+router.post(
+  '/admin/encryption/reencrypt',
+  walletActionLimiter,
+  requireScope('admin'),
+  validator(reencryptSchema),
+  adminController.reencryptCiphertexts
+);
+
+// Create API key (X-Admin-Key only, API keys cannot create keys)
+router.post(
+  '/admin/api-keys',
+  walletActionLimiter,
+  requireAdminKey,
+  validator(createApiKeySchema),
+  adminController.createApiKey
+);
+
+// List API keys
+router.get('/admin/api-keys', requireAdminKey, adminController.listApiKeys);
+
+// Revoke API key
+router.delete('/admin/api-keys/:keyId', requireAdminKey, adminController.revokeApiKey);
+
 /**
  * WebSocket Information
  */
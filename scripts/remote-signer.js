@@ -0,0 +1,121 @@
+/**
+ * Reference implementation of the remote signer protocol used by RemoteSigner (utils/signers.js)
+ * Keys are kept in a local encrypted store, so signing flows can be tested offline.
+ *
+ * Usage: node scripts/remote-signer.js
+ * Environment: REMOTE_SIGNER_PORT (default 3100), REMOTE_SIGNER_TOKEN (optional bearer token)
+ */
+const crypto = require('crypto');
+const express = require('express');
+const { ethers } = require('ethers');
+const { encrypt, decrypt } = require('../utils/crypto');
+const { getStore } = require('../utils/store');
+
+require('dotenv').config();
+
+/**
+ * Creates the remote signer express app
+ * @param {Object} options - { token, store }
+ * @returns {express.Application} - Express app
+ */
+const createRemoteSignerApp = ({ token = process.env.REMOTE_SIGNER_TOKEN, store = getStore('remote-signer-keys') } = {}) => {
+  const app = express();
+  app.use(express.json());
+
+  // Bearer token check
+  app.use((req, res, next) => {
+    if (token && req.get('authorization') !== `Bearer ${token}`) {
+      return res.status(401).json({ success: false, message: 'Invalid or missing token' });
+    }
+    next();
+  });
+
+  // Loads the wallet of a key
+  const getKeyWallet = (keyId) => {
+    const key = store.get(keyId);
+    return key ? new ethers.Wallet(decrypt(key.encryptedPrivateKey)) : null;
+  };
+
+  // Create key
+  app.post('/keys', (req, res) => {
+    const wallet = ethers.Wallet.createRandom();
+    const keyId = `rsk_${crypto.randomBytes(12).toString('hex')}`;
+
+    store.set(keyId, {
+      keyId,
+      address: wallet.address,
+      encryptedPrivateKey: encrypt(wallet.privateKey),
+      createdAt: new Date().toISOString()
+    });
+
+    res.status(201).json({ success: true, data: { keyId, address: wallet.address } });
+  });
+
+  // List keys
+  app.get('/keys', (req, res) => {
+    const keys = store.values().map(({ keyId, address, createdAt }) => ({ keyId, address, createdAt }));
+    res.json({ success: true, data: keys });
+  });
+
+  // Resolve key for key routes
+  app.use('/keys/:keyId', (req, res, next) => {
+    const wallet = getKeyWallet(req.params.keyId);
+    if (!wallet) {
+      return res.status(404).json({ success: false, message: `Key not found: ${req.params.keyId}` });
+    }
+    req.keyWallet = wallet;
+    next();
+  });
+
+  // Get key
+  app.get('/keys/:keyId', (req, res) => {
+    res.json({ success: true, data: { keyId: req.params.keyId, address: req.keyWallet.address } });
+  });
+
+  // Sign unsigned serialized transaction
+  app.post('/keys/:keyId/sign-transaction', async (req, res) => {
+    try {
+      const tx = ethers.Transaction.from(req.body.unsignedTransaction);
+      if (tx.signature) {
+        throw new Error('Transaction is already signed');
+      }
+      const signedTransaction = await req.keyWallet.signTransaction(tx);
+      res.json({ success: true, data: { signedTransaction } });
+    } catch (error) {
+      res.status(400).json({ success: false, message: error.message });
+    }
+  });
+
+  // Sign EIP-191 message (hex encoded bytes)
+  app.post('/keys/:keyId/sign-message', async (req, res) => {
+    try {
+      const signature = await req.keyWallet.signMessage(ethers.getBytes(req.body.message));
+      res.json({ success: true, data: { signature } });
+    } catch (error) {
+      res.status(400).json({ success: false, message: error.message });
+    }
+  });
+
+  // Sign EIP-712 typed data
+  app.post('/keys/:keyId/sign-typed-data', async (req, res) => {
+    try {
+      const { domain, types, value } = req.body;
+      const signature = await req.keyWallet.signTypedData(domain, types, value);
+      res.json({ success: true, data: { signature } });
+    } catch (error) {
+      res.status(400).json({ success: false, message: error.message });
+    }
+  });
+
+  return app;
+};
+
+// Start server when run directly
+if (require.main === module) {
+  const PORT = process.env.REMOTE_SIGNER_PORT || 3100;
+  createRemoteSignerApp().listen(PORT, () => {
+    console.log(`Remote signer running on port ${PORT}.`);
+  });
+}
+
+module.exports = { createRemoteSignerApp };
@@ -0,0 +1,581 @@
+const { ethers } = require('ethers');
+const { getStore } = require('../utils/store');
+const { createHttpError } = require('../utils/errors');
+const { NETWORKS } = require('../utils/network');
+const {
+  STANDARD_ABIS,
+  COMMON_SIGNATURES,
+  ERROR_STRING_SELECTOR,
+  PANIC_SELECTOR,
+  PANIC_CODES,
+  MULTICALL3_ADDRESS,
+  WRAPPED_NATIVE_ADDRESSES,
+  formatDecodedArgs
+} = require('../utils/abi');
+
+// Uploaded ABIs, keyed by chainId:address
+const abiStore = getStore('abis');
+// Uploaded function/event/error signatures, keyed by their minimal format
+const signatureStore = getStore('abi-signatures');
+
+/**
+ * Builds the registry key of a contract
+ * @private
+ */
+const getKey = (chainId, address) => `${chainId}:${address.toLowerCase()}`;
+
+/**
+ * Parses an ABI (JSON array, human-readable fragments, a single fragment or a JSON string)
+ * @param {Array|string|Object} abi - ABI
+ * @returns {ethers.Interface} - Contract interface
+ */
+const parseAbi = (abi) => {
+  try {
+    const fragments = typeof abi === 'string' && abi.trim().startsWith('[') ? JSON.parse(abi) : abi;
+    // Fragment.from throws on invalid fragments (Interface would skip them with a warning)
+    const list = Array.isArray(fragments) ? fragments : [fragments];
+    return new ethers.Interface(list.map(fragment => ethers.Fragment.from(fragment)));
+  } catch (error) {
+    throw createHttpError(400, 'Invalid ABI: ' + (error.shortMessage || error.message));
+  }
+};
+
+/**
+ * Built-in registry entries (Multicall3 and the wrapped native token of each supported chain)
+ * @returns {Map<string, Object>} - Seed records by key
+ * @private
+ */
+const buildSeeds = () => {
+  const seeds = new Map();
+  const chainIds = Object.values(NETWORKS).flatMap(network => Object.values(network.chainId));
+
+  chainIds.forEach(chainId => {
+    seeds.set(getKey(chainId, MULTICALL3_ADDRESS), {
+      chainId,
+      address: MULTICALL3_ADDRESS,
+      name: 'Multicall3',
+      abiName: 'Multicall3',
+      source: 'seed'
+    });
+
+    if (WRAPPED_NATIVE_ADDRESSES[chainId]) {
+      seeds.set(getKey(chainId, WRAPPED_NATIVE_ADDRESSES[chainId]), {
+        chainId,
+        address: WRAPPED_NATIVE_ADDRESSES[chainId],
+        name: 'Wrapped native token',
+        abiName: 'WETH',
+        source: 'seed'
+      });
+    }
+  });
+
+  return seeds;
+};
+
+const seeds = buildSeeds();
+
+/**
+ * Selector (functions, errors) and topic (events) database
+ * Several fragments can share a hash (ERC-20 and ERC-721 Transfer differ only by indexed parameters)
+ */
+const selectors = new Map();
+const topics = new Map();
+
+/**
+ * Adds the fragments of an interface to the signature database
+ * The first fragment of a given shape keeps its parameter names
+ * @param {ethers.Interface|Array<ethers.Fragment>} fragments - Fragments
+ * @returns {number} - Number of fragments added
+ * @private
+ */
+const indexFragments = (fragments) => {
+  let added = 0;
+  const list = fragments instanceof ethers.Interface ? fragments.fragments : fragments;
+
+  list.forEach(fragment => {
+    let hash;
+    if (fragment.type === 'function' || fragment.type === 'error') {
+      hash = fragment.selector;
+    } else if (fragment.type === 'event' && !fragment.anonymous) {
+      hash = fragment.topicHash;
+    } else {
+      return;
+    }
+
+    const index = fragment.type === 'event' ? topics : selectors;
+    if (!index.has(hash)) {
+      index.set(hash, new Map());
+    }
+    const shape = fragment.format('minimal');
+    if (!index.get(hash).has(shape)) {
+      index.get(hash).set(shape, fragment);
+      added += 1;
+    }
+  });
+
+  return added;
+};
+
+// Seed the signature database: standard ABIs, common signatures, then uploads
+Object.values(STANDARD_ABIS).forEach(abi => indexFragments(new ethers.Interface(abi)));
+indexFragments(COMMON_SIGNATURES.map(signature => ethers.Fragment.from(signature)));
+abiStore.values().forEach(record => indexFragments(new ethers.Interface(record.abi)));
+indexFragments(signatureStore.values().map(record => ethers.Fragment.from(record.signature)));
+
+/**
+ * Formats a registry record for responses
+ * @param {Object} record - Stored or seed record
+ * @param {boolean} includeAbi - Include the ABI
+ * @returns {Object} - Registry entry
+ * @private
+ */
+const formatRecord = (record, includeAbi = false) => {
+  const iface = new ethers.Interface(record.abi || STANDARD_ABIS[record.abiName]);
+  const entry = {
+    chainId: record.chainId,
+    address: record.address,
+    name: record.name,
+    source: record.source,
+    functions: iface.fragments.filter(fragment => fragment.type === 'function').length,
+    events: iface.fragments.filter(fragment => fragment.type === 'event').length,
+    createdAt: record.createdAt || null,
+    updatedAt: record.updatedAt || null
+  };
+  if (includeAbi) {
+    entry.abi = JSON.parse(iface.formatJson());
+  }
+  return entry;
+};
+
+/**
+ * Registers (or replaces) the ABI of a contract
+ * Uploaded ABIs take precedence over seeds; their fragments are added to the signature database
+ * @param {number} chainId - Chain ID
+ * @param {string} address - Contract address
+ * @param {Array|string|Object} abi - ABI
+ * @param {string} name - Contract name (optional)
+ * @returns {Object} - Registry entry
+ */
+const registerAbi = (chainId, address, abi, name = null) => {
+  const iface = parseAbi(abi);
+  const key = getKey(chainId, address);
+  const existing = abiStore.get(key);
+  const now = new Date().toISOString();
+
+  const record = {
+    chainId,
+    address: ethers.getAddress(address),
+    name,
+    abi: JSON.parse(iface.formatJson()),
+    source: 'upload',
+    createdAt: existing ? existing.createdAt : now,
+    updatedAt: now
+  };
+
+  abiStore.set(key, record);
+  indexFragments(iface);
+
+  return formatRecord(record, false);
+};
+
+/**
+ * Gets the registry record of a contract (uploaded first, then seeds)
+ * @private
+ */
+const findRecord = (chainId, address) => abiStore.get(getKey(chainId, address)) || seeds.get(getKey(chainId, address)) || null;
+
+/**
+ * Gets a registered ABI
+ * @param {number} chainId - Chain ID
+ * @param {string} address - Contract address
+ * @returns {Object} - Registry entry with ABI
+ */
+const getAbi = (chainId, address) => {
+  const record = findRecord(chainId, address);
+  if (!record) {
+    throw createHttpError(404, `No ABI registered for ${address} on chain ${chainId}`);
+  }
+  return formatRecord(record, true);
+};
+
+/**
+ * Gets the interface of a registered contract
+ * @param {number} chainId - Chain ID
+ * @param {string} address - Contract address
+ * @returns {ethers.Interface|null} - Contract interface or null if not registered
+ */
+const getContractInterface = (chainId, address) => {
+  const record = address ? findRecord(chainId, address) : null;
+  if (!record) {
+    return null;
+  }
+  return new ethers.Interface(record.abi || STANDARD_ABIS[record.abiName]);
+};
+
+/**
+ * Gets a standard ABI interface by name
+ * @param {string} abiName - ERC20, ERC721, ERC1155, WETH or Multicall3
+ * @returns {ethers.Interface} - Contract interface
+ */
+const getStandardInterface = (abiName) => {
+  if (!STANDARD_ABIS[abiName]) {
+    throw createHttpError(400, `Unknown ABI name: ${abiName} (available: ${Object.keys(STANDARD_ABIS).join(', ')})`);
+  }
+  return new ethers.Interface(STANDARD_ABIS[abiName]);
+};
+
+/**
+ * Lists registered ABIs
+ * @param {number} chainId - Chain ID filter (optional)
+ * @returns {Array<Object>} - Registry entries (without ABIs)
+ */
+const listAbis = (chainId) => {
+  const uploaded = abiStore.values();
+  const uploadedKeys = new Set(uploaded.map(record => getKey(record.chainId, record.address)));
+  const seeded = Array.from(seeds.entries())
+    .filter(([key]) => !uploadedKeys.has(key))
+    .map(([, record]) => record);
+
+  return [...uploaded, ...seeded]
+    .filter(record => chainId === undefined || record.chainId === chainId)
+    .map(record => formatRecord(record, false));
+};
+
+/**
+ * Deletes an uploaded ABI (seeds cannot be deleted, a seed shadowed by an upload is restored)
+ * Its signatures stay in the signature database
+ * @param {number} chainId - Chain ID
+ * @param {string} address - Contract address
+ * @returns {boolean} - true when deleted
+ */
+const deleteAbi = (chainId, address) => {
+  if (!abiStore.delete(getKey(chainId, address))) {
+    throw createHttpError(404, `No uploaded ABI for ${address} on chain ${chainId}`);
+  }
+  return true;
+};
+
+/**
+ * Adds function, event and error signatures to the signature database
+ * @param {Array<string>} signatures - Human-readable signatures ("function foo(uint256)", "event Bar(address indexed)")
+ * @returns {Object} - { added, signatures }
+ */
+const registerSignatures = (signatures) => {
+  const fragments = signatures.map(signature => {
+    let fragment;
+    try {
+      fragment = ethers.Fragment.from(signature);
+    } catch (error) {
+      throw createHttpError(400, `Invalid signature "${signature}": ${error.shortMessage || error.message}`);
+    }
+    if (!['function', 'event', 'error'].includes(fragment.type)) {
+      throw createHttpError(400, `Only function, event and error signatures can be registered: ${signature}`);
+    }
+    return fragment;
+  });
+
+  fragments.forEach(fragment => {
+    const shape = fragment.format('minimal');
+    if (!signatureStore.has(shape)) {
+      signatureStore.set(shape, { signature: fragment.format('full'), createdAt: new Date().toISOString() });
+    }
+  });
+
+  return {
+    added: indexFragments(fragments),
+    signatures: fragments.map(fragment => fragment.format('sighash'))
+  };
+};
+
+/**
+ * Looks up a 4-byte selector (functions, errors) or an event topic
+ * @param {string} hash - 0x prefixed 4-byte selector or 32-byte topic
+ * @returns {Object} - { hash, type, signatures }
+ */
+const lookupSignature = (hash) => {
+  const normalized = hash.toLowerCase();
+  const isTopic = normalized.length === 66;
+  const matches = (isTopic ? topics : selectors).get(normalized);
+
+  return {
+    hash: normalized,
+    type: isTopic ? 'event' : 'selector',
+    signatures: matches
+      ? Array.from(matches.values()).map(fragment => ({
+        type: fragment.type,
+        signature: fragment.format('sighash'),
+        fullSignature: fragment.format('full')
+      }))
+      : []
+  };
+};
+
+/**
+ * Decodes calldata (best effort)
+ * The ABI is taken from the request, then the registry (contract address), then the selector database
+ * @param {string} data - Calldata
+ * @param {Object} context - { abi, chainId, address }
+ * @returns {Object|null} - { selector, name, signature, args, source, alternatives } or null when not decodable
+ */
+const decodeFunctionData = (data, { abi, chainId, address } = {}) => {
+  if (!data || data === '0x' || data.length < 10) {
+    return null;
+  }
+  const selector = data.slice(0, 10).toLowerCase();
+
+  const interfaces = [];
+  if (abi) interfaces.push({ iface: parseAbi(abi), source: 'supplied' });
+  const registered = chainId !== undefined ? getContractInterface(chainId, address) : null;
+  if (registered) interfaces.push({ iface: registered, source: 'registry' });
+
+  for (const { iface, source } of interfaces) {
+    const fragment = iface.getFunction(selector);
+    if (fragment) {
+      try {
+        const decoded = iface.decodeFunctionData(fragment, data);
+        return {
+          selector,
+          name: fragment.name,
+          signature: fragment.format('sighash'),
+          args: formatDecodedArgs(decoded, fragment.inputs),
+          source,
+          alternatives: []
+        };
+      } catch (error) {
+        // Data does not match the fragment, try the next source
+      }
+    }
+  }
+
+  // Selector database: keep every candidate that decodes the data
+  const candidates = Array.from((selectors.get(selector) || new Map()).values())
+    .filter(fragment => fragment.type === 'function')
+    .map(fragment => {
+      try {
+        const decoded = ethers.AbiCoder.defaultAbiCoder().decode(fragment.inputs, ethers.dataSlice(data, 4));
+        return { fragment, args: formatDecodedArgs(decoded, fragment.inputs) };
+      } catch (error) {
+        return null;
+      }
+    })
+    .filter(Boolean);
+
+  if (candidates.length === 0) {
+    return null;
+  }
+
+  return {
+    selector,
+    name: candidates[0].fragment.name,
+    signature: candidates[0].fragment.format('sighash'),
+    args: candidates[0].args,
+    source: 'signature-db',
+    alternatives: candidates.slice(1).map(candidate => candidate.fragment.format('sighash'))
+  };
+};
+
+/**
+ * Decodes an event log (best effort)
+ * The ABI is taken from the request, then the registry (log address), then the topic database;
+ * database candidates must match the number of indexed parameters
+ * @param {Object} log - { address, topics, data }
+ * @param {Object} context - { abi, chainId }
+ * @returns {Object|null} - { name, signature, args, source } or null when not decodable
+ */
+const decodeLog = (log, { abi, chainId } = {}) => {
+  if (!log.topics || log.topics.length === 0) {
+    return null;
+  }
+  const topic = log.topics[0].toLowerCase();
+
+  const candidates = [];
+  if (abi) {
+    const fragment = parseAbi(abi).getEvent(topic);
+    if (fragment) candidates.push({ fragment, source: 'supplied' });
+  }
+  const registered = chainId !== undefined ? getContractInterface(chainId, log.address) : null;
+  if (registered) {
+    const fragment = registered.getEvent(topic);
+    if (fragment) candidates.push({ fragment, source: 'registry' });
+  }
+  Array.from((topics.get(topic) || new Map()).values())
+    .forEach(fragment => candidates.push({ fragment, source: 'signature-db' }));
+
+  for (const { fragment, source } of candidates) {
+    const indexedCount = fragment.inputs.filter(input => input.indexed).length;
+    if (indexedCount !== log.topics.length - 1) {
+      continue;
+    }
+    try {
+      const iface = new ethers.Interface([fragment]);
+      const decoded = iface.decodeEventLog(fragment, log.data, log.topics);
+      return {
+        name: fragment.name,
+        signature: fragment.format('sighash'),
+        args: formatDecodedArgs(decoded, fragment.inputs),
+        source
+      };
+    } catch (error) {
+      // Data does not match the fragment, try the next candidate
+    }
+  }
+
+  return null;
+};
+
+/**
+ * Formats decoded error arguments as a readable string ("name: value, ...")
+ * @param {Array<Object>} args - Formatted arguments ({ name, type, value })
+ * @returns {string} - Arguments
+ * @private
+ */
+const describeArgs = (args) => args
+  .map(arg => {
+    const value = typeof arg.value === 'object'
+      ? JSON.stringify(arg.value, (key, item) => (typeof item === 'bigint' ? item.toString() : item))
+      : String(arg.value);
+    return arg.name ? `${arg.name}: ${value}` : value;
+  })
+  .join(', ');
+
+/**
+ * Decodes revert data: Error(string), Panic(uint256) or a custom error
+ * Custom errors are looked up in the supplied ABI, then the registry (contract address), then the selector database
+ * @param {string|null} data - Revert data
+ * @param {Object} context - { abi, chainId, address }
+ * @returns {Object} - { type (error, panic, custom, unknown, empty), selector, name, signature, args, reason, panic, source, data }
+ */
+const decodeRevertData = (data, { abi, chainId, address } = {}) => {
+  if (!data || data === '0x') {
+    return { type: 'empty', selector: null, name: null, signature: null, args: [], reason: 'Reverted without data', source: null, data: data || null };
+  }
+  const selector = data.slice(0, 10).toLowerCase();
+  const coder = ethers.AbiCoder.defaultAbiCoder();
+
+  if (selector === ERROR_STRING_SELECTOR) {
+    try {
+      const [message] = coder.decode(['string'], ethers.dataSlice(data, 4));
+      return {
+        type: 'error',
+        selector,
+        name: 'Error',
+        signature: 'Error(string)',
+        args: [{ name: 'message', type: 'string', value: message }],
+        reason: message,
+        source: 'builtin',
+        data
+      };
+    } catch (error) {
+      // Malformed Error(string), reported as unknown below
+    }
+  }
+
+  if (selector === PANIC_SELECTOR) {
+    try {
+      const [code] = coder.decode(['uint256'], ethers.dataSlice(data, 4));
+      const known = PANIC_CODES[Number(code)] || null;
+      const hexCode = '0x' + code.toString(16).padStart(2, '0');
+      return {
+        type: 'panic',
+        selector,
+        name: 'Panic',
+        signature: 'Panic(uint256)',
+        args: [{ name: 'code', type: 'uint256', value: code }],
+        reason: known ? `Panic ${hexCode}: ${known.description}` : `Panic ${hexCode}: unknown panic code`,
+        panic: { code: hexCode, name: known ? known.name : null, description: known ? known.description : null },
+        source: 'builtin',
+        data
+      };
+    } catch (error) {
+      // Malformed Panic(uint256), reported as unknown below
+    }
+  }
+
+  const candidates = [];
+  if (abi) {
+    const fragment = parseAbi(abi).getError(selector);
+    if (fragment) candidates.push({ fragment, source: 'supplied' });
+  }
+  const registered = chainId !== undefined && address ? getContractInterface(chainId, address) : null;
+  if (registered) {
+    const fragment = registered.getError(selector);
+    if (fragment) candidates.push({ fragment, source: 'registry' });
+  }
+  Array.from((selectors.get(selector) || new Map()).values())
+    .filter(fragment => fragment.type === 'error')
+    .forEach(fragment => candidates.push({ fragment, source: 'signature-db' }));
+
+  for (const { fragment, source } of candidates) {
+    try {
+      const decoded = coder.decode(fragment.inputs, ethers.dataSlice(data, 4));
+      const args = formatDecodedArgs(decoded, fragment.inputs);
+      return {
+        type: 'custom',
+        selector,
+        name: fragment.name,
+        signature: fragment.format('sighash'),
+        args,
+        reason: `${fragment.name}(${describeArgs(args)})`,
+        source,
+        data
+      };
+    } catch (error) {
+      // Data does not match the fragment, try the next candidate
+    }
+  }
+
+  return { type: 'unknown', selector, name: null, signature: null, args: [], reason: `Unknown custom error ${selector}`, source: null, data };
+};
+
+/**
+ * Reads the revert data of a failed call from a provider error
+ * @param {Error} error - Provider error
+ * @returns {string|null} - Revert data
+ * @private
+ */
+const getRevertData = (error) => {
+  const candidates = [error.data, error.info?.error?.data, error.error?.data];
+  for (const candidate of candidates) {
+    // Some nodes nest the data ({ error: { data: { data } } })
+    const value = candidate && typeof candidate === 'object' ? candidate.data : candidate;
+    if (typeof value === 'string' && ethers.isHexString(value)) {
+      return value;
+    }
+  }
+  return null;
+};
+
+/**
+ * Decodes the revert of a failed eth_call / eth_estimateGas
+ * @param {Error} error - Provider error
+ * @param {Object} context - { abi, chainId, address }
+ * @returns {Object|null} - Decoded revert (see decodeRevertData), null when the error is not a revert
+ */
+const decodeRevertError = (error, context = {}) => {
+  const data = getRevertData(error);
+  if (error.code !== 'CALL_EXCEPTION' && !data) {
+    return null;
+  }
+  const revert = decodeRevertData(data, context);
+  // Nodes that return the reason in the message only
+  if (revert.type === 'empty' && error.reason) {
+    revert.reason = error.reason;
+  }
+  return revert;
+};
+
+module.exports = {
+  parseAbi,
+  registerAbi,
+  getAbi,
+  getContractInterface,
+  getStandardInterface,
+  listAbis,
+  deleteAbi,
+  registerSignatures,
+  lookupSignature,
+  decodeFunctionData,
+  decodeLog,
+  decodeRevertData,
+  decodeRevertError
+};
@@ -0,0 +1,149 @@
+const crypto = require('crypto');
+const { getStore } = require('../utils/store');
+const { createHttpError } = require('../utils/errors');
+
+// Scopes an API key can be granted
+const API_KEY_SCOPES = {
+  READ: 'read', // balances, NFTs, gas prices, networks
+  SIMULATE: 'simulate', // simulation and transaction analysis
+  SEND: 'send', // wallet management, signing and sending transactions
+  ADMIN: 'admin' // cache, queue and admin routes
+};
+
+// Default per-key limit (requests per API_KEY_RATE_WINDOW_MS)
+const DEFAULT_RATE_LIMIT = parseInt(process.env.API_KEY_DEFAULT_RATE_LIMIT || '120', 10);
+
+// lastUsedAt is written at most this often per key (ms)
+const LAST_USED_UPDATE_INTERVAL = 60 * 1000;
+
+// Key format: ak_<16 hex id>_<43 char base64url secret>
+const API_KEY_PATTERN = /^ak_([a-f0-9]{16})_([A-Za-z0-9_-]{43})$/;
+
+const apiKeyStore = getStore('api-keys');
+
+/**
+ * Hashes an API key secret (only hashes are stored)
+ * @param {string} secret - Key secret
+ * @returns {Buffer} - SHA-256 digest
+ * @private
+ */
+const hashSecret = (secret) => crypto.createHash('sha256').update(secret).digest();
+
+/**
+ * Strips the secret hash from a stored key record
+ * @param {Object} record - Stored key record
+ * @returns {Object} - Public key information
+ * @private
+ */
+const toPublicKey = (record) => ({
+  keyId: record.id,
+  name: record.name,
+  prefix: record.prefix,
+  scopes: record.scopes,
+  rateLimit: record.rateLimit,
+  status: record.status,
+  createdAt: record.createdAt,
+  lastUsedAt: record.lastUsedAt || null,
+  revokedAt: record.revokedAt || null
+});
+
+/**
+ * Creates an API key. The key is returned only once.
+ * @param {Object} params - { name, scopes, rateLimit }
+ * @returns {Object} - Key information with the plaintext key
+ */
+const createApiKey = ({ name, scopes, rateLimit = DEFAULT_RATE_LIMIT }) => {
+  const id = crypto.randomBytes(8).toString('hex');
+  const secret = crypto.randomBytes(32).toString('base64url');
+  const key = `ak_${id}_${secret}`;
+
+  const record = {
+    id,
+    name,
+    prefix: `ak_${id}`,
+    secretHash: hashSecret(secret).toString('hex'),
+    scopes: Array.from(new Set(scopes)),
+    rateLimit,
+    status: 'active',
+    createdAt: new Date().toISOString(),
+    lastUsedAt: null,
+    revokedAt: null
+  };
+
+  apiKeyStore.set(id, record);
+
+  return { ...toPublicKey(record), key };
+};
+
+/**
+ * Lists API keys (without secrets)
+ * @returns {Array<Object>} - Keys
+ */
+const listApiKeys = () => {
+  return apiKeyStore
+    .values()
+    .sort((a, b) => a.createdAt.localeCompare(b.createdAt))
+    .map(toPublicKey);
+};
+
+/**
+ * Revokes an API key
+ * @param {string} keyId - Key ID
+ * @returns {Object} - Revoked key information
+ */
+const revokeApiKey = (keyId) => {
+  const record = apiKeyStore.get(keyId);
+  if (!record) {
+    throw createHttpError(404, `API key not found: ${keyId}`);
+  }
+  if (record.status !== 'revoked') {
+    record.status = 'revoked';
+    record.revokedAt = new Date().toISOString();
+    apiKeyStore.set(keyId, record);
+  }
+  return toPublicKey(record);
+};
+
+/**
+ * Authenticates an API key
+ * @param {string} key - Plaintext API key
+ * @returns {Object|null} - { keyId, name, scopes, rateLimit } or null if invalid/revoked
+ */
+const authenticateApiKey = (key) => {
+  const match = API_KEY_PATTERN.exec(key || '');
+  if (!match) {
+    return null;
+  }
+
+  const [, id, secret] = match;
+  const record = apiKeyStore.get(id);
+  if (!record || record.status !== 'active') {
+    return null;
+  }
+
+  if (!crypto.timingSafeEqual(hashSecret(secret), Buffer.from(record.secretHash, 'hex'))) {
+    return null;
+  }
+
+  const now = Date.now();
+  if (!record.lastUsedAt || now - Date.parse(record.lastUsedAt) > LAST_USED_UPDATE_INTERVAL) {
+    record.lastUsedAt = new Date(now).toISOString();
+    apiKeyStore.set(id, record);
+  }
+
+  return {
+    keyId: record.id,
+    name: record.name,
+    scopes: record.scopes,
+    rateLimit: record.rateLimit
+  };
+};
+
+module.exports = {
+  API_KEY_SCOPES,
+  DEFAULT_RATE_LIMIT,
+  createApiKey,
+  listApiKeys,
+  revokeApiKey,
+  authenticateApiKey
+};
@@ -0,0 +1,196 @@
+const crypto = require('crypto');
+const { ethers } = require('ethers');
+const { getStore } = require('../utils/store');
+const { createHttpError } = require('../utils/errors');
+const { parseSiweMessage } = require('../utils/siwe');
+const { getNetworkNameById } = require('../utils/network');
+
+// Nonce and session lifetimes (seconds)
+const NONCE_TTL = parseInt(process.env.SIWE_NONCE_TTL || '600', 10);
+const SESSION_TTL = parseInt(process.env.SIWE_SESSION_TTL || '86400', 10);
+
+// Allowed clock difference for Issued At / Not Before (ms)
+const CLOCK_SKEW = 60 * 1000;
+
+const nonceStore = getStore('siwe-nonces');
+const sessionStore = getStore('auth-sessions');
+
+/**
+ * Hashes a session token (only hashes are stored)
+ * @param {string} token - Session token
+ * @returns {string} - SHA-256 hex digest
+ * @private
+ */
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+/**
+ * Checks an address against the sign-in allowlist (SIWE_ALLOWED_ADDRESSES, comma separated)
+ * Nobody can sign in while the list is empty.
+ * @param {string} address - Ethereum address
+ * @returns {boolean} - Whether the address may sign in
+ */
+const isAddressAllowed = (address) => {
+  return (process.env.SIWE_ALLOWED_ADDRESSES || '')
+    .split(',')
+    .map(entry => entry.trim().toLowerCase())
+    .includes(address.toLowerCase());
+};
+
+/**
+ * Removes expired nonces and sessions
+ * @private
+ */
+const pruneExpired = () => {
+  const now = Date.now();
+  nonceStore.values(entry => Date.parse(entry.expiresAt) <= now).forEach(entry => nonceStore.delete(entry.nonce));
+  sessionStore.values(entry => Date.parse(entry.expiresAt) <= now).forEach(entry => sessionStore.delete(entry.id));
+};
+
+/**
+ * Returns the domain SIWE messages must be bound to
+ * The request Host header is client controlled, so sign-in is disabled until SIWE_DOMAIN is configured.
+ * @returns {string} - Expected domain
+ */
+const getSiweDomain = () => {
+  const domain = process.env.SIWE_DOMAIN;
+  if (!domain) {
+    throw createHttpError(503, 'Sign-in is disabled: SIWE_DOMAIN is not configured');
+  }
+  return domain;
+};
+
+/**
+ * Creates a single-use nonce for a SIWE message
+ * @returns {Object} - { nonce, expiresAt }
+ */
+const createNonce = () => {
+  pruneExpired();
+
+  const nonce = crypto.randomBytes(16).toString('hex');
+  const expiresAt = new Date(Date.now() + NONCE_TTL * 1000).toISOString();
+
+  nonceStore.set(nonce, { nonce, expiresAt, createdAt: new Date().toISOString() });
+
+  return { nonce, expiresAt };
+};
+
+/**
+ * Verifies a signed SIWE message and issues a session token
+ * @param {string} message - EIP-4361 message
+ * @param {string} signature - personal_sign signature of the message
+ * @param {string} expectedDomain - Domain the message must be bound to
+ * @returns {Object} - { token, address, chainId, expiresAt }
+ */
+const verifySiweLogin = (message, signature, expectedDomain) => {
+  let fields;
+  try {
+    fields = parseSiweMessage(message);
+  } catch (error) {
+    throw createHttpError(400, error.message);
+  }
+
+  // Nonces are single use, even if verification fails below
+  const storedNonce = nonceStore.get(fields.nonce);
+  nonceStore.delete(fields.nonce);
+  if (!storedNonce || Date.parse(storedNonce.expiresAt) <= Date.now()) {
+    throw createHttpError(401, 'Invalid or expired nonce');
+  }
+
+  if (fields.domain !== expectedDomain) {
+    throw createHttpError(401, `Message domain ${fields.domain} does not match ${expectedDomain}`);
+  }
+
+  if (getNetworkNameById(fields.chainId).network === 'unknown') {
+    throw createHttpError(401, `Unsupported chain ID: ${fields.chainId}`);
+  }
+
+  const now = Date.now();
+  if (Date.parse(fields.issuedAt) > now + CLOCK_SKEW) {
+    throw createHttpError(401, 'Message is issued in the future');
+  }
+  if (fields.notBefore && Date.parse(fields.notBefore) > now + CLOCK_SKEW) {
+    throw createHttpError(401, 'Message is not valid yet');
+  }
+  if (fields.expirationTime && Date.parse(fields.expirationTime) <= now) {
+    throw createHttpError(401, 'Message has expired');
+  }
+
+  let recoveredAddress;
+  try {
+    recoveredAddress = ethers.verifyMessage(message, signature);
+  } catch (error) {
+    throw createHttpError(401, 'Invalid signature');
+  }
+  if (recoveredAddress !== fields.address) {
+    throw createHttpError(401, 'Signature does not match the message address');
+  }
+
+  if (!isAddressAllowed(fields.address)) {
+    throw createHttpError(403, `Address ${fields.address} is not allowed to sign in`);
+  }
+
+  // Session never outlives the signed message
+  let expiresAtMs = now + SESSION_TTL * 1000;
+  if (fields.expirationTime) {
+    expiresAtMs = Math.min(expiresAtMs, Date.parse(fields.expirationTime));
+  }
+
+  const token = crypto.randomBytes(32).toString('base64url');
+  const session = {
+    id: hashToken(token),
+    address: fields.address,
+    chainId: fields.chainId,
+    domain: fields.domain,
+    createdAt: new Date(now).toISOString(),
+    expiresAt: new Date(expiresAtMs).toISOString()
+  };
+
+  sessionStore.set(session.id, session);
+
+  return {
+    token,
+    address: session.address,
+    chainId: session.chainId,
+    expiresAt: session.expiresAt
+  };
+};
+
+/**
+ * Returns the active session of a token
+ * Sessions of addresses removed from the allowlist end immediately.
+ * @param {string} token - Session token
+ * @returns {Object|null} - { address, chainId, expiresAt } or null if invalid/expired
+ */
+const getSession = (token) => {
+  const session = sessionStore.get(hashToken(token));
+  if (!session) {
+    return null;
+  }
+  if (Date.parse(session.expiresAt) <= Date.now() || !isAddressAllowed(session.address)) {
+    sessionStore.delete(session.id);
+    return null;
+  }
+  return {
+    address: session.address,
+    chainId: session.chainId,
+    expiresAt: session.expiresAt
+  };
+};
+
+/**
+ * Revokes a session token
+ * @param {string} token - Session token
+ * @returns {boolean} - Whether a session was revoked
+ */
+const revokeSession = (token) => {
+  return sessionStore.delete(hashToken(token));
+};
+
+module.exports = {
+  getSiweDomain,
+  isAddressAllowed,
+  createNonce,
+  verifySiweLogin,
+  getSession,
+  revokeSession
+};
@@ -0,0 +1,552 @@
+const crypto = require('crypto');
+const { ethers } = require('ethers');
+const dotenv = require('dotenv');
+const { getStore } = require('../utils/store');
+const { createHttpError } = require('../utils/errors');
+const { enqueueNetworkRequest } = require('../utils/queue');
+const { withNonce } = require('../utils/nonce-manager');
+const { ERC20_ABI } = require('../utils/ethereum');
+const { getProvider, getNetworkInfo, DEFAULT_NETWORK, DEFAULT_NETWORK_TYPE } = require('../utils/network');
+const walletService = require('./wallet.service');
+const ledgerService = require('./ledger.service');
+const { getFeeData, withSuggestedFees } = require('./fee-oracle.service');
+
+dotenv.config();
+
+// Disperse contract (disperseEther / disperseToken), deployed at the same address on the supported networks
+const MULTISEND_CONTRACT_ADDRESS = process.env.MULTISEND_CONTRACT_ADDRESS || '0xD152f549545093347A162Dce210e7293f1452150';
+
+const MULTISEND_ABI = [
+  'function disperseEther(address[] recipients, uint256[] values) payable',
+  'function disperseToken(address token, address[] recipients, uint256[] values)'
+];
+
+// Recipients per multisend transaction
+const MULTISEND_CHUNK_SIZE = parseInt(process.env.MULTISEND_CHUNK_SIZE || '200', 10);
+
+// Maximum recipients per batch
+const MAX_BATCH_RECIPIENTS = 1000;
+
+// Gas used for the balance pre-check (estimates, the real values are estimated on send)
+const GAS_ESTIMATES = {
+  native: 21000n,
+  token: 65000n,
+  multisendBase: 50000n,
+  multisendNative: 35000n,
+  multisendToken: 40000n,
+  approve: 50000n
+};
+
+const BATCH_STATUS = {
+  RUNNING: 'running',
+  COMPLETED: 'completed', // all recipients paid
+  PARTIAL: 'partial', // some recipients failed
+  FAILED: 'failed', // no recipient paid
+  INTERRUPTED: 'interrupted' // process stopped while running
+};
+
+const RECIPIENT_STATUS = {
+  QUEUED: 'queued',
+  SENT: 'sent',
+  FAILED: 'failed',
+  SKIPPED: 'skipped'
+};
+
+const batchStore = getStore('batch-payouts');
+
+// Batches executed by this process
+const runningBatches = new Set();
+
+/**
+ * Parses recipients from CSV ("address,amount" per line)
+ * A header line, empty lines and lines starting with # are skipped
+ * @param {string} csv - CSV content
+ * @returns {Array<Object>} - Recipients [{ to, amount, line }]
+ */
+const parseRecipientsCsv = (csv) => {
+  const recipients = [];
+
+  csv.split(/\r?\n/).forEach((rawLine, index) => {
+    const line = rawLine.trim();
+    if (!line || line.startsWith('#')) {
+      return;
+    }
+
+    const cells = line.split(/[,;\t]/).map(cell => cell.trim().replace(/^"(.*)"$/, '$1'));
+
+    // Header line
+    if (recipients.length === 0 && !/^0x/i.test(cells[0])) {
+      return;
+    }
+
+    if (cells.length < 2) {
+      throw createHttpError(400, `CSV line ${index + 1}: expected "address,amount"`);
+    }
+
+    recipients.push({ to: cells[0], amount: cells[1], line: index + 1 });
+  });
+
+  if (recipients.length === 0) {
+    throw createHttpError(400, 'CSV does not contain any recipient');
+  }
+
+  return recipients;
+};
+
+/**
+ * Validates recipients, amounts and balances of a batch
+ * @param {Object} params - { from, asset, tokenAddress, decimals, recipients, mode }
+ * @param {string} network - Network name
+ * @param {string} networkType - Network type
+ * @returns {Promise<Object>} - Validation report { valid, errors, warnings, totals, decimals, recipients }
+ * @private
+ */
+const validateBatch = async ({ from, asset, tokenAddress, decimals, recipients, mode }, network, networkType) => {
+  const errors = [];
+  const warnings = [];
+
+  if (recipients.length > MAX_BATCH_RECIPIENTS) {
+    throw createHttpError(400, `A batch can contain at most ${MAX_BATCH_RECIPIENTS} recipients`);
+  }
+
+  return enqueueNetworkRequest(network, networkType, async () => {
+    const provider = getProvider(network, networkType);
+
+    let tokenDecimals = decimals;
+    let tokenContract = null;
+    if (asset === 'token') {
+      tokenContract = new ethers.Contract(tokenAddress, ERC20_ABI, provider);
+      if (tokenDecimals === undefined) {
+        try {
+          tokenDecimals = Number(await tokenContract.decimals());
+        } catch (error) {
+          throw createHttpError(400, `Could not read decimals of token ${tokenAddress}: ${error.shortMessage || error.message}`);
+        }
+      }
+    }
+    const unitDecimals = asset === 'token' ? tokenDecimals : 18;
+
+    const seen = new Set();
+    let totalValue = 0n;
+
+    const normalized = recipients.map((recipient, index) => {
+      const label = recipient.line ? `Line ${recipient.line}` : `Recipient ${index + 1}`;
+      const entry = { index, to: recipient.to, amount: String(recipient.amount), value: null };
+
+      if (!ethers.isAddress(recipient.to)) {
+        errors.push(`${label}: invalid address ${recipient.to}`);
+      } else {
+        entry.to = ethers.getAddress(recipient.to);
+        if (entry.to === ethers.ZeroAddress) {
+          errors.push(`${label}: zero address`);
+        }
+        if (seen.has(entry.to)) {
+          warnings.push(`${label}: duplicate recipient ${entry.to}`);
+        }
+        seen.add(entry.to);
+      }
+
+      try {
+        entry.value = ethers.parseUnits(entry.amount, unitDecimals);
+        if (entry.value <= 0n) {
+          errors.push(`${label}: amount must be greater than 0`);
+        }
+        totalValue += entry.value;
+      } catch (error) {
+        errors.push(`${label}: invalid amount ${entry.amount}`);
+      }
+
+      return entry;
+    });
+
+    // Gas needed for the whole batch
+    const feeData = await getFeeData(network, networkType);
+    const feePerGas = feeData.maxFeePerGas || feeData.gasPrice || 0n;
+    const count = BigInt(recipients.length);
+    let gasUnits;
+    if (mode === 'multisend') {
+      const chunks = BigInt(Math.ceil(recipients.length / MULTISEND_CHUNK_SIZE));
+      const perRecipient = asset === 'token' ? GAS_ESTIMATES.multisendToken : GAS_ESTIMATES.multisendNative;
+      gasUnits = chunks * GAS_ESTIMATES.multisendBase + count * perRecipient + (asset === 'token' ? GAS_ESTIMATES.approve : 0n);
+    } else {
+      gasUnits = count * (asset === 'token' ? GAS_ESTIMATES.token : GAS_ESTIMATES.native);
+    }
+    const estimatedGasCost = gasUnits * feePerGas;
+
+    const nativeBalance = await provider.getBalance(from);
+    const nativeRequired = estimatedGasCost + (asset === 'native' ? totalValue : 0n);
+    if (nativeBalance < nativeRequired) {
+      errors.push(`Insufficient native balance: ${ethers.formatEther(nativeBalance)} < ${ethers.formatEther(nativeRequired)} (amounts and estimated gas)`);
+    }
+
+    let tokenBalance = null;
+    if (tokenContract) {
+      tokenBalance = await tokenContract.balanceOf(from);
+      if (tokenBalance < totalValue) {
+        errors.push(`Insufficient token balance: ${ethers.formatUnits(tokenBalance, tokenDecimals)} < ${ethers.formatUnits(totalValue, tokenDecimals)}`);
+      }
+    }
+
+    if (mode === 'multisend') {
+      const code = await provider.getCode(MULTISEND_CONTRACT_ADDRESS);
+      if (code === '0x') {
+        errors.push(`Multisend contract ${MULTISEND_CONTRACT_ADDRESS} is not deployed on this network`);
+      }
+    }
+
+    return {
+      valid: errors.length === 0,
+      errors,
+      warnings,
+      decimals: unitDecimals,
+      totals: {
+        recipients: recipients.length,
+        amount: ethers.formatUnits(totalValue, unitDecimals),
+        estimatedGasCost: ethers.formatEther(estimatedGasCost),
+        nativeBalance: ethers.formatEther(nativeBalance),
+        ...(tokenBalance !== null ? { tokenBalance: ethers.formatUnits(tokenBalance, tokenDecimals) } : {})
+      },
+      recipients: normalized
+    };
+  });
+};
+
+/**
+ * Stores the current state of a batch
+ * @private
+ */
+const saveBatch = (batch) => {
+  batch.updatedAt = new Date().toISOString();
+  batchStore.set(batch.id, batch);
+};
+
+/**
+ * Records a batch transaction in the ledger (a ledger failure does not stop the batch)
+ * @private
+ */
+const recordLedger = (tx, batch, requestMeta) => {
+  try {
+    ledgerService.recordTransaction({
+      ...tx,
+      network: batch.network,
+      networkType: batch.networkType
+    }, { ...requestMeta, batchId: batch.id });
+  } catch (error) {
+    console.error('Ledger record error:', error);
+  }
+};
+
+/**
+ * Sends each recipient its own nonce-managed transaction
+ * @private
+ */
+const runSequential = async (batch, signerRef, requestMeta, stopOnError) => {
+  for (const recipient of batch.recipients) {
+    if (recipient.status !== RECIPIENT_STATUS.QUEUED) {
+      continue;
+    }
+
+    try {
+      const txResult = batch.asset === 'token'
+        ? await walletService.sendTokenTransaction(signerRef, batch.tokenAddress, recipient.to, recipient.amount, batch.decimals, {}, batch.network, batch.networkType)
+        : await walletService.sendTransaction(signerRef, recipient.to, recipient.amount, {}, batch.network, batch.networkType);
+
+      recipient.status = RECIPIENT_STATUS.SENT;
+      recipient.txHash = txResult.txHash;
+      recipient.nonce = txResult.nonce;
+      recordLedger({ ...txResult, kind: batch.asset }, batch, requestMeta);
+    } catch (error) {
+      recipient.status = RECIPIENT_STATUS.FAILED;
+      recipient.error = error.message;
+
+      if (stopOnError) {
+        batch.recipients
+          .filter(entry => entry.status === RECIPIENT_STATUS.QUEUED)
+          .forEach(entry => { entry.status = RECIPIENT_STATUS.SKIPPED; });
+      }
+    }
+
+    saveBatch(batch);
+  }
+};
+
+/**
+ * Sends a multisend contract call with a managed nonce and the standard fee tier
+ * sendFn receives the transaction overrides ({ nonce, fees })
+ * @private
+ */
+const sendContractCall = (from, batch, sendFn) => {
+  return enqueueNetworkRequest(batch.network, batch.networkType, async () => {
+    const fees = await withSuggestedFees({}, batch.network, batch.networkType);
+    return withNonce(from, batch.network, batch.networkType, (nonce) => sendFn({ ...fees, nonce }));
+  });
+};
+
+/**
+ * Pays recipients in chunks through the multisend contract
+ * @private
+ */
+const runMultisend = async (batch, signerRef, requestMeta) => {
+  const wallet = await walletService.getSigner(signerRef, batch.network, batch.networkType);
+  const multisend = new ethers.Contract(MULTISEND_CONTRACT_ADDRESS, MULTISEND_ABI, wallet);
+  const networkInfo = getNetworkInfo(batch.network, batch.networkType);
+
+  const queued = batch.recipients.filter(recipient => recipient.status === RECIPIENT_STATUS.QUEUED);
+  const values = queued.map(recipient => ethers.parseUnits(recipient.amount, batch.decimals));
+
+  // Token transfers are pulled by the contract (transferFrom), approve the total first
+  if (batch.asset === 'token') {
+    const total = values.reduce((sum, value) => sum + value, 0n);
+    const token = new ethers.Contract(batch.tokenAddress, ERC20_ABI, wallet);
+    const allowance = await enqueueNetworkRequest(batch.network, batch.networkType, () =>
+      token.allowance(batch.from, MULTISEND_CONTRACT_ADDRESS)
+    );
+
+    if (allowance < total) {
+      const approveTx = await sendContractCall(batch.from, batch, (overrides) =>
+        token.approve(MULTISEND_CONTRACT_ADDRESS, total, overrides)
+      );
+      batch.approveTxHash = approveTx.hash;
+      saveBatch(batch);
+
+      // Gas estimation of disperseToken needs the allowance on chain
+      const receipt = await approveTx.wait();
+      if (receipt.status !== 1) {
+        throw new Error(`Approve transaction failed: ${approveTx.hash}`);
+      }
+    }
+  }
+
+  for (let start = 0; start < queued.length; start += MULTISEND_CHUNK_SIZE) {
+    const chunk = queued.slice(start, start + MULTISEND_CHUNK_SIZE);
+    const chunkValues = values.slice(start, start + MULTISEND_CHUNK_SIZE);
+    const addresses = chunk.map(recipient => recipient.to);
+
+    try {
+      const txResponse = await sendContractCall(batch.from, batch, (overrides) =>
+        batch.asset === 'token'
+          ? multisend.disperseToken(batch.tokenAddress, addresses, chunkValues, overrides)
+          : multisend.disperseEther(addresses, chunkValues, {
+            ...overrides,
+            value: chunkValues.reduce((sum, value) => sum + value, 0n)
+          })
+      );
+
+      chunk.forEach(recipient => {
+        recipient.status = RECIPIENT_STATUS.SENT;
+        recipient.txHash = txResponse.hash;
+        recipient.nonce = txResponse.nonce;
+      });
+
+      recordLedger({
+        txHash: txResponse.hash,
+        kind: 'batch',
+        from: batch.from,
+        to: MULTISEND_CONTRACT_ADDRESS,
+        nonce: txResponse.nonce,
+        chainId: networkInfo.chainId,
+        amount: ethers.formatUnits(chunkValues.reduce((sum, value) => sum + value, 0n), batch.decimals),
+        tokenAddress: batch.tokenAddress
+      }, batch, requestMeta);
+    } catch (error) {
+      chunk.forEach(recipient => {
+        recipient.status = RECIPIENT_STATUS.FAILED;
+        recipient.error = error.shortMessage || error.message;
+      });
+    }
+
+    saveBatch(batch);
+  }
+};
+
+/**
+ * Executes a batch in the background and stores its final status
+ * @private
+ */
+const runBatch = async (batch, signerRef, requestMeta, stopOnError) => {
+  runningBatches.add(batch.id);
+
+  try {
+    if (batch.mode === 'multisend') {
+      await runMultisend(batch, signerRef, requestMeta);
+    } else {
+      await runSequential(batch, signerRef, requestMeta, stopOnError);
+    }
+  } catch (error) {
+    console.error('Batch payout error:', error);
+    batch.error = error.message;
+    batch.recipients
+      .filter(recipient => recipient.status === RECIPIENT_STATUS.QUEUED)
+      .forEach(recipient => {
+        recipient.status = RECIPIENT_STATUS.FAILED;
+        recipient.error = error.message;
+      });
+  } finally {
+    const sent = batch.recipients.filter(recipient => recipient.status === RECIPIENT_STATUS.SENT).length;
+    if (sent === batch.recipients.length) {
+      batch.status = BATCH_STATUS.COMPLETED;
+    } else {
+      batch.status = sent > 0 ? BATCH_STATUS.PARTIAL : BATCH_STATUS.FAILED;
+    }
+    batch.completedAt = new Date().toISOString();
+    runningBatches.delete(batch.id);
+    saveBatch(batch);
+  }
+};
+
+/**
+ * Summarizes recipient statuses of a batch
+ * @private
+ */
+const toReport = (batch) => {
+  const counts = Object.values(RECIPIENT_STATUS).reduce((result, status) => ({
+    ...result,
+    [status]: batch.recipients.filter(recipient => recipient.status === status).length
+  }), {});
+
+  return {
+    ...batch,
+    // A batch left running by a stopped process will never finish
+    status: batch.status === BATCH_STATUS.RUNNING && !runningBatches.has(batch.id)
+      ? BATCH_STATUS.INTERRUPTED
+      : batch.status,
+    counts
+  };
+};
+
+/**
+ * Validates and starts a batch payout (native or ERC-20)
+ * Recipients are paid in the background; the returned report can be polled with getBatchPayout
+ * @param {string|Object} signerRef - Encrypted private key or signer reference ({ walletId })
+ * @param {Object} params - { asset (native|token), tokenAddress, decimals, recipients [{ to, amount }] or csv,
+ *   mode (sequential|multisend), stopOnError, dryRun }
+ * @param {Object} requestMeta - Request metadata recorded in the ledger; requestMeta.owner owns the batch
+ * @param {string} network - Network name
+ * @param {string} networkType - Network type
+ * @returns {Promise<Object>} - Validation report (dryRun) or batch report
+ */
+const createBatchPayout = async (
+  signerRef,
+  {
+    asset = 'native',
+    tokenAddress,
+    decimals,
+    recipients,
+    csv,
+    mode = 'sequential',
+    stopOnError = false,
+    dryRun = false
+  },
+  requestMeta = {},
+  network = DEFAULT_NETWORK,
+  networkType = DEFAULT_NETWORK_TYPE
+) => {
+  const batchRecipients = csv ? parseRecipientsCsv(csv) : recipients;
+
+  const wallet = await walletService.getSigner(signerRef, network, networkType);
+  const from = await wallet.getAddress();
+
+  const validation = await validateBatch(
+    { from, asset, tokenAddress, decimals, recipients: batchRecipients, mode },
+    network,
+    networkType
+  );
+
+  if (dryRun) {
+    return {
+      ...validation,
+      recipients: validation.recipients.map(({ value, ...recipient }) => recipient)
+    };
+  }
+
+  if (!validation.valid) {
+    const shown = validation.errors.slice(0, 10).join('; ');
+    const more = validation.errors.length > 10 ? ` (and ${validation.errors.length - 10} more)` : '';
+    throw createHttpError(400, `Batch validation failed: ${shown}${more}`);
+  }
+
+  const now = new Date().toISOString();
+  const batch = {
+    id: `bat_${crypto.randomBytes(12).toString('hex')}`,
+    status: BATCH_STATUS.RUNNING,
+    mode,
+    asset,
+    tokenAddress: asset === 'token' ? ethers.getAddress(tokenAddress) : null,
+    decimals: validation.decimals,
+    from,
+    network,
+    networkType,
+    stopOnError,
+    owner: requestMeta.owner || null,
+    totals: validation.totals,
+    warnings: validation.warnings,
+    recipients: validation.recipients.map(({ index, to, amount }) => ({
+      index,
+      to,
+      amount,
+      status: RECIPIENT_STATUS.QUEUED,
+      txHash: null,
+      nonce: null,
+      error: null
+    })),
+    createdAt: now,
+    updatedAt: now,
+    completedAt: null
+  };
+
+  saveBatch(batch);
+
+  // Signer reference stays in memory only
+  runBatch(batch, signerRef, requestMeta, stopOnError)
+    .catch(error => console.error('Batch payout error:', error));
+
+  return toReport(batch);
+};
+
+/**
+ * Checks whether a batch belongs to an owner (a null owner can access every batch)
+ * @private
+ */
+const isOwnedBy = (batch, owner) => !owner || batch.owner === owner;
+
+/**
+ * Gets the report of a batch payout (other owners' batches are reported as not found)
+ * @param {string} batchId - Batch ID
+ * @param {string|null} owner - Requesting owner (null: any)
+ * @returns {Object} - Batch report with per-recipient status
+ */
+const getBatchPayout = (batchId, owner = null) => {
+  const batch = batchStore.get(batchId);
+  if (!batch || !isOwnedBy(batch, owner)) {
+    throw createHttpError(404, `Batch not found: ${batchId}`);
+  }
+  return toReport(batch);
+};
+
+/**
+ * Lists batch payouts, newest first (without recipients)
+ * @param {Object} filters - { from, owner }
+ * @returns {Array<Object>} - Batch summaries
+ */
+const listBatchPayouts = ({ from, owner = null } = {}) => {
+  return batchStore
+    .values(batch =>
+      isOwnedBy(batch, owner) &&
+      (!from || batch.from.toLowerCase() === from.toLowerCase())
+    )
+    .sort((a, b) => b.createdAt.localeCompare(a.createdAt))
+    .map(batch => {
+      const { recipients, ...summary } = toReport(batch);
+      return summary;
+    });
+};
+
+module.exports = {
+  BATCH_STATUS,
+  RECIPIENT_STATUS,
+  MAX_BATCH_RECIPIENTS,
+  parseRecipientsCsv,
+  createBatchPayout,
+  getBatchPayout,
+  listBatchPayouts
+};
@@ -0,0 +1,159 @@
+const { ethers } = require('ethers');
+const dotenv = require('dotenv');
+const { getProvider } = require('../utils/network');
+
+dotenv.config();
+
+// Default and maximum time a send request waits for its confirmation policy (ms)
+const DEFAULT_WAIT_TIMEOUT = parseInt(process.env.WAIT_FOR_DEFAULT_TIMEOUT_MS || '120000', 10);
+const MAX_WAIT_TIMEOUT = 600000;
+
+// Finalized block polling interval (ms)
+const FINALITY_POLL_INTERVAL = 5000;
+
+/**
+ * Confirmation statuses returned by send routes
+ * pending: not waited for, included: in a block, confirmed: N confirmations, finalized: in a finalized block,
+ * reverted: mined but reverted, timeout: policy not reached within the timeout (the transaction may still be mined)
+ */
+const CONFIRMATION_STATUS = {
+  PENDING: 'pending',
+  INCLUDED: 'included',
+  CONFIRMED: 'confirmed',
+  FINALIZED: 'finalized',
+  REVERTED: 'reverted',
+  TIMEOUT: 'timeout'
+};
+
+/**
+ * Builds the common confirmation fields from a receipt
+ * @param {string} hash - Transaction hash
+ * @param {string} status - Confirmation status
+ * @param {Object|null} receipt - Transaction receipt
+ * @returns {Object} - { hash, status, block, gasUsed, effectiveGasPrice, effectiveFee }
+ * @private
+ */
+const formatConfirmation = (hash, status, receipt = null) => ({
+  hash,
+  status,
+  block: receipt ? receipt.blockNumber : null,
+  gasUsed: receipt ? receipt.gasUsed.toString() : null,
+  effectiveGasPrice: receipt ? receipt.gasPrice.toString() : null,
+  effectiveFee: receipt ? ethers.formatEther(receipt.gasUsed * receipt.gasPrice) : null
+});
+
+/**
+ * Reads the confirmation policy of a send request
+ * @param {Object} body - Request body ({ waitFor, waitTimeout })
+ * @returns {Object} - { waitFor, timeout }
+ */
+const getConfirmationPolicy = (body) => {
+  const waitFor = body.waitFor || 'none';
+
+  // The validator accepts numeric strings without converting the request body
+  return {
+    waitFor: /^\d+$/.test(String(waitFor)) ? Number(waitFor) : waitFor,
+    timeout: body.waitTimeout !== undefined ? Number(body.waitTimeout) : undefined
+  };
+};
+
+/**
+ * Waits until the finalized block reaches a block number
+ * @returns {Promise<boolean>} - true when finalized, false on timeout
+ * @private
+ */
+const waitForFinality = async (provider, blockNumber, deadline) => {
+  while (Date.now() < deadline) {
+    const finalizedBlock = await provider.getBlock('finalized');
+    if (finalizedBlock && finalizedBlock.number >= blockNumber) {
+      return true;
+    }
+    await new Promise(resolve => setTimeout(resolve, Math.min(FINALITY_POLL_INTERVAL, Math.max(deadline - Date.now(), 0))));
+  }
+  return false;
+};
+
+/**
+ * Waits for a sent transaction according to a confirmation policy
+ * @param {string} hash - Transaction hash
+ * @param {Object} policy - { waitFor: 'none' | 'included' | 'finalized' | number of confirmations, timeout (ms) }
+ * @param {string} network - Network name
+ * @param {string} networkType - Network type
+ * @returns {Promise<Object>} - { hash, status, block, gasUsed, effectiveGasPrice, effectiveFee, waitFor }
+ */
+const waitForConfirmation = async (hash, { waitFor = 'none', timeout = DEFAULT_WAIT_TIMEOUT } = {}, network, networkType) => {
+  if (waitFor === 'none') {
+    return { ...formatConfirmation(hash, CONFIRMATION_STATUS.PENDING), waitFor };
+  }
+
+  const provider = getProvider(network, networkType);
+  const waitTimeout = Math.min(timeout, MAX_WAIT_TIMEOUT);
+  const deadline = Date.now() + waitTimeout;
+  const confirmations = typeof waitFor === 'number' ? waitFor : 1;
+
+  let receipt;
+  try {
+    receipt = await provider.waitForTransaction(hash, confirmations, waitTimeout);
+  } catch (error) {
+    if (error.code === 'TIMEOUT') {
+      return { ...formatConfirmation(hash, CONFIRMATION_STATUS.TIMEOUT), waitFor };
+    }
+    throw error;
+  }
+
+  if (receipt.status !== 1) {
+    return { ...formatConfirmation(hash, CONFIRMATION_STATUS.REVERTED, receipt), waitFor };
+  }
+
+  if (waitFor === 'finalized') {
+    let finalized;
+    try {
+      finalized = await waitForFinality(provider, receipt.blockNumber, deadline);
+    } catch (error) {
+      // Nodes without the "finalized" block tag
+      return {
+        ...formatConfirmation(hash, CONFIRMATION_STATUS.INCLUDED, receipt),
+        waitFor,
+        warning: 'Node does not support the finalized block tag: ' + (error.shortMessage || error.message)
+      };
+    }
+    const status = finalized ? CONFIRMATION_STATUS.FINALIZED : CONFIRMATION_STATUS.TIMEOUT;
+    return { ...formatConfirmation(hash, status, receipt), waitFor };
+  }
+
+  const status = typeof waitFor === 'number' && waitFor > 1 ? CONFIRMATION_STATUS.CONFIRMED : CONFIRMATION_STATUS.INCLUDED;
+  return { ...formatConfirmation(hash, status, receipt), waitFor };
+};
+
+/**
+ * Applies the confirmation policy of a send request to its result
+ * The send result keeps its fields; the common confirmation fields are added
+ * @param {Object} txResult - Send result ({ txHash, ... })
+ * @param {Object} policy - { waitFor, timeout }
+ * @param {string} network - Network name
+ * @param {string} networkType - Network type
+ * @returns {Promise<Object>} - Send result with confirmation fields
+ */
+const applyConfirmationPolicy = async (txResult, policy, network, networkType) => {
+  try {
+    const confirmation = await waitForConfirmation(txResult.txHash, policy, network, networkType);
+    return { ...txResult, ...confirmation };
+  } catch (error) {
+    // The transaction is already broadcast, report it instead of failing the request
+    return {
+      ...txResult,
+      ...formatConfirmation(txResult.txHash, CONFIRMATION_STATUS.PENDING),
+      waitFor: policy.waitFor,
+      warning: 'Confirmation could not be checked: ' + error.message
+    };
+  }
+};
+
+module.exports = {
+  CONFIRMATION_STATUS,
+  DEFAULT_WAIT_TIMEOUT,
+  MAX_WAIT_TIMEOUT,
+  getConfirmationPolicy,
+  waitForConfirmation,
+  applyConfirmationPolicy
+};
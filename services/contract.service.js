@@ -0,0 +1,212 @@
+const { ethers } = require('ethers');
+const { createHttpError } = require('../utils/errors');
+const { enqueueNetworkRequest } = require('../utils/queue');
+const { withNonce } = require('../utils/nonce-manager');
+const { estimateGasLimit } = require('../utils/transaction');
+const { formatDecodedValue } = require('../utils/abi');
+const { getProvider, getNetworkInfo, DEFAULT_NETWORK, DEFAULT_NETWORK_TYPE } = require('../utils/network');
+const { getSigner, formatTransactionFee } = require('./wallet.service');
+const { withSuggestedFees } = require('./fee-oracle.service');
+const abiService = require('./abi.service');
+
+/**
+ * Builds the contract interface from a supplied ABI, a standard ABI name or the ABI registry
+ * @param {Array|string|Object} abi - ABI (JSON array, human-readable fragments, a single fragment or a JSON string)
+ * @param {string} abiName - Standard ABI name (ERC20, ERC721, ERC1155, WETH, Multicall3)
+ * @param {number} chainId - Chain ID (registry lookup)
+ * @param {string} contractAddress - Contract address (registry lookup)
+ * @returns {ethers.Interface} - Contract interface
+ */
+const resolveInterface = (abi, abiName, chainId, contractAddress) => {
+  if (abi) {
+    return abiService.parseAbi(abi);
+  }
+  if (abiName) {
+    return abiService.getStandardInterface(abiName);
+  }
+
+  const registered = abiService.getContractInterface(chainId, contractAddress);
+  if (!registered) {
+    throw createHttpError(400, `No ABI registered for ${contractAddress} on chain ${chainId}, send abi or abiName`);
+  }
+  return registered;
+};
+
+/**
+ * Finds the function to call and encodes its calldata
+ * @param {ethers.Interface} iface - Contract interface
+ * @param {string} method - Function name or signature ("balanceOf" or "balanceOf(address)")
+ * @param {Array} args - Function arguments
+ * @returns {Object} - { fragment, data }
+ * @private
+ */
+const encodeCall = (iface, method, args = []) => {
+  let fragment;
+  try {
+    fragment = iface.getFunction(method);
+  } catch (error) {
+    // Overloaded names throw "ambiguous function description"
+    throw createHttpError(400, `Function ${method} cannot be resolved: ${error.shortMessage || error.message}`);
+  }
+  if (!fragment) {
+    throw createHttpError(400, `Function ${method} not found in ABI`);
+  }
+
+  try {
+    return { fragment, data: iface.encodeFunctionData(fragment, args) };
+  } catch (error) {
+    throw createHttpError(400, `Invalid arguments for ${fragment.format()}: ${error.shortMessage || error.message}`);
+  }
+};
+
+/**
+ * Formats decoded function outputs
+ * @param {ethers.Result} result - Decoded result
+ * @param {ethers.ParamType[]} outputs - Output parameters
+ * @returns {Object} - { result (single value or array), named (outputs by name, if named) }
+ * @private
+ */
+const formatOutputs = (result, outputs) => {
+  const values = outputs.map((output, index) => formatDecodedValue(result[index], output));
+  const named = outputs.some(output => output.name)
+    ? Object.fromEntries(outputs.map((output, index) => [output.name || String(index), values[index]]))
+    : null;
+
+  return {
+    result: values.length === 1 ? values[0] : values,
+    named
+  };
+};
+
+/**
+ * Read-only contract call (eth_call) with decoded outputs
+ * @param {Object} params - { contractAddress, abi, abiName, method, args, from, value, blockTag } (without abi/abiName the registry is used)
+ * @param {string} network - Network name
+ * @param {string} networkType - Network type
+ * @returns {Promise<Object>} - Decoded call result
+ */
+const callContract = async (
+  { contractAddress, abi, abiName, method, args = [], from, value, blockTag = 'latest' },
+  network = DEFAULT_NETWORK,
+  networkType = DEFAULT_NETWORK_TYPE
+) => {
+  const networkInfo = getNetworkInfo(network, networkType);
+  const iface = resolveInterface(abi, abiName, networkInfo.chainId, contractAddress);
+  const { fragment, data } = encodeCall(iface, method, args);
+  const provider = getProvider(network, networkType);
+
+  let returnData;
+  try {
+    returnData = await provider.call({
+      to: contractAddress,
+      from,
+      data,
+      value: value ? BigInt(value) : undefined,
+      blockTag
+    });
+  } catch (error) {
+    if (error.code === 'CALL_EXCEPTION') {
+      throw createHttpError(400, `Call reverted: ${error.reason || error.shortMessage || error.message}`);
+    }
+    throw new Error('Contract call failed: ' + (error.shortMessage || error.message));
+  }
+
+  let decoded;
+  try {
+    decoded = iface.decodeFunctionResult(fragment, returnData);
+  } catch (error) {
+    // e.g. no contract at the address (empty return data)
+    throw createHttpError(400, `Return data could not be decoded as ${fragment.format()}: ${error.shortMessage || error.message}`);
+  }
+
+  return {
+    contractAddress,
+    method: fragment.format(),
+    args,
+    ...formatOutputs(decoded, fragment.outputs),
+    returnData,
+    blockTag,
+    network: networkInfo.name,
+    chainId: networkInfo.chainId
+  };
+};
+
+/**
+ * Signs and sends a state-changing contract call
+ * @param {string|Object} signerRef - Encrypted private key or signer reference ({ walletId })
+ * @param {Object} params - { contractAddress, abi, abiName, method, args, value (wei) }
+ * @param {Object} options - Gas options (gasLimit, gasPrice, maxFeePerGas, maxPriorityFeePerGas)
+ * @param {string} network - Network name
+ * @param {string} networkType - Network type
+ * @returns {Promise<Object>} - Transaction information
+ */
+const executeContract = async (
+  signerRef,
+  { contractAddress, abi, abiName, method, args = [], value = '0' },
+  options = {},
+  network = DEFAULT_NETWORK,
+  networkType = DEFAULT_NETWORK_TYPE
+) => {
+  const iface = resolveInterface(abi, abiName, getNetworkInfo(network, networkType).chainId, contractAddress);
+  const { fragment, data } = encodeCall(iface, method, args);
+
+  if (fragment.constant) {
+    throw createHttpError(400, `${fragment.format()} is a ${fragment.stateMutability} function, use /contract/call`);
+  }
+  if (BigInt(value) > 0n && !fragment.payable) {
+    throw createHttpError(400, `${fragment.format()} is not payable`);
+  }
+
+  return enqueueNetworkRequest(network, networkType, async () => {
+    try {
+      const wallet = await getSigner(signerRef, network, networkType);
+      const walletAddress = await wallet.getAddress();
+      const networkInfo = getNetworkInfo(network, networkType);
+
+      const tx = {
+        to: contractAddress,
+        data,
+        value: BigInt(value),
+        ...options
+      };
+
+      // Gas limit estimation also rejects calls that would revert
+      if (!tx.gasLimit) {
+        tx.gasLimit = await estimateGasLimit({ from: walletAddress, to: tx.to, data, value: tx.value }, network, networkType);
+      }
+
+      const txWithFees = await withSuggestedFees(tx, network, networkType);
+
+      const txResponse = await withNonce(walletAddress, network, networkType, (nonce) =>
+        wallet.sendTransaction({ ...txWithFees, nonce })
+      );
+
+      return {
+        txHash: txResponse.hash,
+        from: walletAddress,
+        to: contractAddress,
+        contractAddress,
+        method: fragment.format(),
+        args,
+        value: value.toString(),
+        data,
+        nonce: txResponse.nonce,
+        network: networkInfo.name,
+        chainId: networkInfo.chainId,
+        transactionFee: formatTransactionFee(txResponse)
+      };
+    } catch (error) {
+      if (error.statusCode) {
+        throw error;
+      }
+      console.error('Contract execution error:', error);
+      throw new Error('Contract transaction could not be sent: ' + (error.shortMessage || error.message));
+    }
+  });
+};
+
+module.exports = {
+  resolveInterface,
+  callContract,
+  executeContract
+};
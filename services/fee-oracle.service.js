@@ -0,0 +1,382 @@
+const { ethers } = require('ethers');
+const { getProvider, DEFAULT_NETWORK, DEFAULT_NETWORK_TYPE } = require('../utils/network');
+const { getRollupType, getL1FeeParameters } = require('./l1-fee.service');
+
+// Number of recent blocks sampled with eth_feeHistory
+const FEE_HISTORY_BLOCKS = 20;
+
+// Priority fee percentiles requested per block; the lowest approximates the cheapest transactions a block includes
+const REWARD_PERCENTILES = [10, 50, 90];
+
+// Reward percentile of each tier and the number of full blocks its max fee survives (base fee +12.5% per block)
+const FEE_TIERS = {
+  slow: { percentile: 10, headroomBlocks: 2 },
+  standard: { percentile: 50, headroomBlocks: 4 },
+  fast: { percentile: 90, headroomBlocks: 6 }
+};
+
+// Below this gas usage a block had room for any transaction paying the base fee
+const UNCONGESTED_GAS_USED_RATIO = 0.5;
+
+// Estimates are reused for this long (ms), block times for longer
+const ESTIMATE_TTL = 10000;
+const BLOCK_TIME_TTL = 10 * 60 * 1000;
+const DEFAULT_BLOCK_TIME = 12;
+
+const estimateCache = new Map();
+const blockTimeCache = new Map();
+
+/**
+ * Median of a bigint list (0n when empty)
+ * @private
+ */
+const median = (values) => {
+  if (values.length === 0) return 0n;
+  const sorted = [...values].sort((a, b) => (a < b ? -1 : a > b ? 1 : 0));
+  return sorted[Math.floor(sorted.length / 2)];
+};
+
+/**
+ * Projects the base fee of the next block from the last one (EIP-1559, at most ±12.5% per block)
+ * @param {bigint} baseFee - Base fee of the last block
+ * @param {number} gasUsedRatio - Gas used / gas limit of the last block
+ * @returns {bigint} - Projected base fee
+ */
+const projectBaseFee = (baseFee, gasUsedRatio) => {
+  const ratio = BigInt(Math.round(gasUsedRatio * 10000));
+  return baseFee + baseFee * (ratio - 5000n) / 5000n / 8n;
+};
+
+/**
+ * Worst case base fee after a number of full blocks
+ * @private
+ */
+const maxBaseFeeAfter = (baseFee, blocks) => {
+  let fee = baseFee;
+  for (let i = 0; i < blocks; i++) {
+    fee = fee * 9n / 8n;
+  }
+  return fee;
+};
+
+/**
+ * Average block time (seconds) over the sampled range, cached per network
+ * @private
+ */
+const getBlockTime = async (provider, key, oldestBlock, newestBlock) => {
+  const cached = blockTimeCache.get(key);
+  if (cached && Date.now() - cached.timestamp < BLOCK_TIME_TTL) {
+    return cached.value;
+  }
+
+  let value = DEFAULT_BLOCK_TIME;
+  try {
+    const [oldest, newest] = await Promise.all([provider.getBlock(oldestBlock), provider.getBlock(newestBlock)]);
+    if (oldest && newest && newestBlock > oldestBlock) {
+      value = Math.max((newest.timestamp - oldest.timestamp) / (newestBlock - oldestBlock), 0.25);
+    }
+  } catch (error) {
+    console.error('Block time lookup failed:', error.message);
+  }
+
+  blockTimeCache.set(key, { value, timestamp: Date.now() });
+  return value;
+};
+
+/**
+ * Share of the sampled blocks that would have included a transaction paying the given priority fee
+ * @private
+ */
+const getInclusionRate = (priorityFee, blocks) => {
+  if (blocks.length === 0) return 0;
+  const included = blocks.filter(block =>
+    block.gasUsedRatio < UNCONGESTED_GAS_USED_RATIO || priorityFee >= block.rewards[0]).length;
+  return included / blocks.length;
+};
+
+/**
+ * Human readable waiting time
+ * @private
+ */
+const formatWaitTime = (seconds) => {
+  if (seconds === null) return 'unknown';
+  if (seconds < 60) return `~${Math.max(Math.round(seconds), 1)} seconds`;
+  return `~${Math.round(seconds / 60)} minutes`;
+};
+
+/**
+ * Inclusion probabilities and expected waiting time of a priority fee
+ * @private
+ */
+const describeInclusion = (priorityFee, blocks, blockTime) => {
+  const rate = getInclusionRate(priorityFee, blocks);
+  const within = (count) => Number((1 - Math.pow(1 - rate, count)).toFixed(4));
+  // Blocks until inclusion follow a geometric distribution (mean 1 / rate)
+  const estimatedSeconds = rate > 0 ? Math.round(blockTime / rate) : null;
+
+  return {
+    estimatedTime: formatWaitTime(estimatedSeconds),
+    estimatedSeconds,
+    inclusionProbability: {
+      nextBlock: within(1),
+      within3Blocks: within(3),
+      within10Blocks: within(10)
+    }
+  };
+};
+
+/**
+ * Builds the fee estimate from an eth_feeHistory response
+ * @private
+ */
+const buildFeeHistoryEstimate = async (provider, key, history) => {
+  const baseFees = history.baseFeePerGas.map(fee => ethers.toBigInt(fee));
+  const oldestBlock = Number(history.oldestBlock);
+  const blocks = history.gasUsedRatio.map((gasUsedRatio, index) => ({
+    gasUsedRatio,
+    baseFee: baseFees[index],
+    rewards: (history.reward?.[index] || []).map(reward => ethers.toBigInt(reward))
+  })).filter(block => block.rewards.length === REWARD_PERCENTILES.length);
+
+  const newestBlock = oldestBlock + history.gasUsedRatio.length - 1;
+  const lastIndex = history.gasUsedRatio.length - 1;
+  const currentBaseFee = baseFees[lastIndex] || 0n;
+  // The node returns the next block's base fee after the sampled range; project it otherwise
+  const nextBaseFee = baseFees.length > history.gasUsedRatio.length
+    ? baseFees[baseFees.length - 1]
+    : projectBaseFee(currentBaseFee, history.gasUsedRatio[lastIndex] || 0);
+  const eip1559Supported = nextBaseFee > 0n;
+
+  const blockTime = await getBlockTime(provider, key, oldestBlock, newestBlock);
+  // Empty blocks carry no reward information
+  const sampled = blocks.filter(block => block.gasUsedRatio > 0);
+
+  let legacyGasPrice = null;
+  const tiers = {};
+  for (const [name, tier] of Object.entries(FEE_TIERS)) {
+    const index = REWARD_PERCENTILES.indexOf(tier.percentile);
+    const priorityFee = median(sampled.map(block => block.rewards[index]));
+    const inclusion = describeInclusion(priorityFee, sampled, blockTime);
+
+    if (eip1559Supported) {
+      tiers[name] = {
+        maxFeePerGas: (maxBaseFeeAfter(nextBaseFee, tier.headroomBlocks) + priorityFee).toString(),
+        maxPriorityFeePerGas: priorityFee.toString(),
+        ...inclusion
+      };
+    } else {
+      // Without a base fee the reward is the whole gas price; fall back to the node's price when no block had fees
+      if (priorityFee === 0n && legacyGasPrice === null) {
+        legacyGasPrice = (await provider.getFeeData()).gasPrice;
+      }
+      tiers[name] = {
+        gasPrice: (priorityFee > 0n ? priorityFee : legacyGasPrice).toString(),
+        ...inclusion
+      };
+    }
+  }
+
+  return {
+    ...tiers,
+    ...(eip1559Supported ? { baseFee: nextBaseFee.toString(), currentBaseFee: currentBaseFee.toString() } : {}),
+    eip1559Supported,
+    source: 'feeHistory',
+    sampledBlocks: {
+      oldest: oldestBlock,
+      newest: newestBlock,
+      count: history.gasUsedRatio.length
+    },
+    averageGasUsedRatio: Number((history.gasUsedRatio.reduce((sum, ratio) => sum + ratio, 0)
+      / history.gasUsedRatio.length).toFixed(4)),
+    blockTime: Number(blockTime.toFixed(2))
+  };
+};
+
+/**
+ * Builds a fee estimate from eth_gasPrice / eth_maxPriorityFeePerGas when eth_feeHistory is not available
+ * @private
+ */
+const buildFeeDataEstimate = async (provider) => {
+  const feeData = await provider.getFeeData();
+
+  if (feeData.maxFeePerGas) {
+    const baseFee = feeData.lastBaseFeePerGas || feeData.gasPrice;
+    const priorityFee = feeData.maxPriorityFeePerGas;
+    const tier = (headroomBlocks, fee) => ({
+      maxFeePerGas: (maxBaseFeeAfter(baseFee, headroomBlocks) + fee).toString(),
+      maxPriorityFeePerGas: fee.toString(),
+      estimatedTime: 'unknown',
+      estimatedSeconds: null,
+      inclusionProbability: null
+    });
+
+    return {
+      slow: tier(FEE_TIERS.slow.headroomBlocks, priorityFee / 2n),
+      standard: tier(FEE_TIERS.standard.headroomBlocks, priorityFee),
+      fast: tier(FEE_TIERS.fast.headroomBlocks, priorityFee * 2n),
+      baseFee: baseFee.toString(),
+      eip1559Supported: true,
+      source: 'feeData'
+    };
+  }
+
+  const tier = (gasPrice) => ({
+    gasPrice: gasPrice.toString(),
+    estimatedTime: 'unknown',
+    estimatedSeconds: null,
+    inclusionProbability: null
+  });
+
+  return {
+    slow: tier(feeData.gasPrice * 80n / 100n),
+    standard: tier(feeData.gasPrice),
+    fast: tier(feeData.gasPrice * 120n / 100n),
+    eip1559Supported: false,
+    source: 'feeData'
+  };
+};
+
+/**
+ * Estimates slow / standard / fast fees from the priority fees paid in recent blocks (eth_feeHistory)
+ * Each tier carries the probability of inclusion measured against the sampled blocks.
+ * On rollups the fees are the L2 execution fees, l1DataFee holds the current L1 pricing.
+ * @param {string} network - Network name
+ * @param {string} networkType - Network type
+ * @returns {Promise<Object>} - { slow, standard, fast, baseFee, eip1559Supported, source, l1DataFee, ... } (wei as strings)
+ */
+const getFeeEstimate = async (network = DEFAULT_NETWORK, networkType = DEFAULT_NETWORK_TYPE) => {
+  const key = `${network}:${networkType}`;
+  const cached = estimateCache.get(key);
+  if (cached && Date.now() - cached.timestamp < ESTIMATE_TTL) {
+    return cached.value;
+  }
+
+  const provider = getProvider(network, networkType);
+  let history = null;
+  try {
+    history = await provider.send('eth_feeHistory', [
+      ethers.toQuantity(FEE_HISTORY_BLOCKS),
+      'latest',
+      REWARD_PERCENTILES
+    ]);
+  } catch (error) {
+    console.error(`eth_feeHistory is not available (${key}):`, error.message);
+  }
+
+  const value = history && history.gasUsedRatio?.length > 0
+    ? await buildFeeHistoryEstimate(provider, key, history)
+    : await buildFeeDataEstimate(provider);
+
+  // Rollups also charge an L1 data fee, which depends on the transaction size
+  const rollup = getRollupType(network, networkType);
+  if (rollup) {
+    try {
+      value.l1DataFee = await getL1FeeParameters(network, networkType);
+    } catch (error) {
+      value.l1DataFee = { rollup, error: error.message };
+    }
+  }
+
+  estimateCache.set(key, { value, timestamp: Date.now() });
+  return value;
+};
+
+/**
+ * Fee data of a tier in the shape of ethers' FeeData, for populating transactions
+ * @param {string} network - Network name
+ * @param {string} networkType - Network type
+ * @param {string} tier - slow, standard or fast
+ * @returns {Promise<Object>} - { gasPrice, maxFeePerGas, maxPriorityFeePerGas } (bigint, null when not applicable)
+ */
+const getFeeData = async (network = DEFAULT_NETWORK, networkType = DEFAULT_NETWORK_TYPE, tier = 'standard') => {
+  const estimate = await getFeeEstimate(network, networkType);
+  const fees = estimate[tier] || estimate.standard;
+
+  if (estimate.eip1559Supported) {
+    const maxPriorityFeePerGas = BigInt(fees.maxPriorityFeePerGas);
+    return {
+      // Expected effective price of the next block
+      gasPrice: BigInt(estimate.baseFee) + maxPriorityFeePerGas,
+      maxFeePerGas: BigInt(fees.maxFeePerGas),
+      maxPriorityFeePerGas
+    };
+  }
+
+  return {
+    gasPrice: BigInt(fees.gasPrice),
+    maxFeePerGas: null,
+    maxPriorityFeePerGas: null
+  };
+};
+
+/**
+ * Checks whether transaction overrides carry complete fees
+ * @private
+ */
+const hasCompleteFees = (overrides) =>
+  Boolean(overrides.gasPrice || (overrides.maxFeePerGas && overrides.maxPriorityFeePerGas));
+
+/**
+ * Fills the fee fields missing from transaction overrides, supplied fields are kept
+ * A supplied priority fee gets the tier's base fee headroom on top; a supplied maxFeePerGas
+ * caps the suggested priority fee.
+ * @param {Object} overrides - Transaction overrides (gasPrice, maxFeePerGas, maxPriorityFeePerGas etc.)
+ * @param {Object} feeData - Fees of a tier (see getFeeData)
+ * @returns {Object} - Overrides with fees
+ * @private
+ */
+const fillMissingFees = (overrides, feeData) => {
+  if (hasCompleteFees(overrides)) {
+    return overrides;
+  }
+
+  const { maxFeePerGas, maxPriorityFeePerGas } = overrides;
+
+  if (!feeData.maxFeePerGas) {
+    // Legacy chain: only fill when no EIP-1559 field was chosen
+    return maxFeePerGas || maxPriorityFeePerGas ? overrides : { ...overrides, gasPrice: feeData.gasPrice };
+  }
+
+  if (maxFeePerGas) {
+    const cap = BigInt(maxFeePerGas);
+    return {
+      ...overrides,
+      maxPriorityFeePerGas: feeData.maxPriorityFeePerGas < cap ? feeData.maxPriorityFeePerGas : cap
+    };
+  }
+
+  if (maxPriorityFeePerGas) {
+    return {
+      ...overrides,
+      maxFeePerGas: feeData.maxFeePerGas - feeData.maxPriorityFeePerGas + BigInt(maxPriorityFeePerGas)
+    };
+  }
+
+  return { ...overrides, maxFeePerGas: feeData.maxFeePerGas, maxPriorityFeePerGas: feeData.maxPriorityFeePerGas };
+};
+
+/**
+ * Adds the fees of a tier to the fee fields missing from transaction overrides
+ * Contract calls would otherwise be populated with ethers' default fees.
+ * @param {Object} overrides - Transaction overrides (gasLimit, maxFeePerGas etc.)
+ * @param {string} network - Network name
+ * @param {string} networkType - Network type
+ * @param {string} tier - slow, standard or fast
+ * @returns {Promise<Object>} - Overrides with fees
+ */
+const withSuggestedFees = async (overrides = {}, network = DEFAULT_NETWORK, networkType = DEFAULT_NETWORK_TYPE, tier = 'standard') => {
+  if (hasCompleteFees(overrides)) {
+    return overrides;
+  }
+
+  const feeData = await getFeeData(network, networkType, tier);
+  return fillMissingFees(overrides, feeData);
+};
+
+module.exports = {
+  FEE_TIERS,
+  projectBaseFee,
+  getFeeEstimate,
+  getFeeData,
+  withSuggestedFees
+};
@@ -0,0 +1,375 @@
+const crypto = require('crypto');
+const { ethers } = require('ethers');
+const { encrypt, decrypt } = require('../utils/crypto');
+const { getProvider, DEFAULT_NETWORK, DEFAULT_NETWORK_TYPE, getNetworkInfo } = require('../utils/network');
+const { enqueueNetworkRequest } = require('../utils/queue');
+const { getStore } = require('../utils/store');
+const { createHttpError } = require('../utils/errors');
+
+// BIP-44 account path for Ethereum, accounts are derived as m/44'/60'/0'/0/n
+const HD_BASE_PATH = "m/44'/60'/0'/0";
+
+// Default gap limit for account discovery (BIP-44 recommendation)
+const DEFAULT_GAP_LIMIT = 20;
+
+// Maximum number of addresses checked in a single discovery run
+const MAX_DISCOVERY_SCAN = 200;
+
+const hdWalletStore = getStore('hd-wallets');
+
+/**
+ * Creates root HD node at the account base path
+ * @param {Object} record - Stored HD wallet record
+ * @returns {ethers.HDNodeWallet} - HD node at base path
+ * @private
+ */
+const getBaseNode = (record) => {
+  const mnemonic = decrypt(record.encryptedMnemonic);
+  const passphrase = record.encryptedPassphrase ? decrypt(record.encryptedPassphrase) : '';
+  return ethers.HDNodeWallet.fromPhrase(mnemonic, passphrase, record.basePath);
+};
+
+/**
+ * Derives account information for a given index
+ * @param {ethers.HDNodeWallet} baseNode - HD node at base path
+ * @param {number} index - Account index
+ * @returns {Object} - Account information with encrypted private key
+ * @private
+ */
+const deriveAccount = (baseNode, index) => {
+  const node = baseNode.deriveChild(index);
+  return {
+    index,
+    path: node.path,
+    address: node.address,
+    encryptedPrivateKey: encrypt(node.privateKey)
+  };
+};
+
+/**
+ * Strips secret fields from a stored HD wallet record
+ * @param {Object} record - Stored HD wallet record
+ * @returns {Object} - Public HD wallet information
+ * @private
+ */
+const toPublicHdWallet = (record) => ({
+  hdWalletId: record.id,
+  label: record.label,
+  basePath: record.basePath,
+  accountCount: record.accounts.length,
+  createdAt: record.createdAt,
+  updatedAt: record.updatedAt
+});
+
+/**
+ * Checks whether an HD wallet belongs to an owner
+ * A null owner (authentication disabled) can access every HD wallet.
+ * @private
+ */
+const isOwnedBy = (record, owner) => !owner || (record.owner || null) === owner;
+
+/**
+ * Reads an HD wallet record of an owner or throws 404 (other owners' HD wallets are reported as not found)
+ * @param {string} hdWalletId - HD wallet ID
+ * @param {string|null} owner - Requesting owner (see utils/request getRequestOwner)
+ * @returns {Object} - Stored HD wallet record
+ * @private
+ */
+const getHdWalletRecord = (hdWalletId, owner = null) => {
+  const record = hdWalletStore.get(hdWalletId);
+  if (!record || !isOwnedBy(record, owner)) {
+    throw createHttpError(404, `HD wallet not found: ${hdWalletId}`);
+  }
+  return record;
+};
+
+/**
+ * Adds or updates an account in the record (without secrets)
+ * @param {Object} record - Stored HD wallet record
+ * @param {Object} account - Derived account
+ * @param {Object} fields - Additional fields (label, discovered etc.)
+ * @returns {Object} - Stored account entry
+ * @private
+ */
+const upsertAccount = (record, account, fields = {}) => {
+  let entry = record.accounts.find(item => item.index === account.index);
+
+  if (!entry) {
+    entry = {
+      index: account.index,
+      path: account.path,
+      address: account.address,
+      label: null,
+      createdAt: new Date().toISOString()
+    };
+    record.accounts.push(entry);
+    record.accounts.sort((a, b) => a.index - b.index);
+  }
+
+  Object.entries(fields).forEach(([key, value]) => {
+    if (value !== undefined) entry[key] = value;
+  });
+
+  return entry;
+};
+
+/**
+ * Saves an HD wallet record
+ * @param {Object} record - HD wallet record
+ * @private
+ */
+const saveRecord = (record) => {
+  record.updatedAt = new Date().toISOString();
+  hdWalletStore.set(record.id, record);
+};
+
+/**
+ * Stores a mnemonic as HD wallet and derives its first account
+ * @param {string} mnemonic - Mnemonic words (seed phrase)
+ * @param {Object} options - Options (passphrase, label, owner)
+ * @returns {Object} - HD wallet information and first account
+ * @private
+ */
+const storeHdWallet = (mnemonic, { passphrase = '', label = null, owner = null } = {}) => {
+  // Fingerprint prevents an owner from storing the same seed twice
+  const firstAddress = ethers.HDNodeWallet.fromPhrase(mnemonic, passphrase, `${HD_BASE_PATH}/0`).address;
+  const fingerprint = ethers.keccak256(ethers.toUtf8Bytes(firstAddress.toLowerCase()));
+
+  const existing = hdWalletStore.values(item => item.fingerprint === fingerprint && (item.owner || null) === owner)[0];
+  const now = new Date().toISOString();
+
+  const record = existing || {
+    id: crypto.randomUUID(),
+    fingerprint,
+    encryptedMnemonic: encrypt(mnemonic),
+    encryptedPassphrase: passphrase ? encrypt(passphrase) : null,
+    label,
+    owner,
+    basePath: HD_BASE_PATH,
+    accounts: [],
+    createdAt: now,
+    updatedAt: now
+  };
+
+  const account = deriveAccount(getBaseNode(record), 0);
+  upsertAccount(record, account);
+  saveRecord(record);
+
+  return {
+    ...toPublicHdWallet(record),
+    alreadyImported: Boolean(existing),
+    accounts: [{ ...account, label: record.accounts[0].label }]
+  };
+};
+
+/**
+ * Creates a new HD wallet with a random mnemonic
+ * @param {Object} options - Options (wordCount, passphrase, label, owner)
+ * @returns {Object} - HD wallet information, mnemonic and first account
+ */
+const createHdWallet = ({ wordCount = 12, passphrase = '', label = null, owner = null } = {}) => {
+  try {
+    // 12 words = 128 bits of entropy, every 3 additional words add 32 bits
+    const entropy = ethers.randomBytes((wordCount / 3) * 4);
+    const mnemonic = ethers.Mnemonic.fromEntropy(entropy).phrase;
+
+    return {
+      ...storeHdWallet(mnemonic, { passphrase, label, owner }),
+      mnemonic
+    };
+  } catch (error) {
+    console.error('HD wallet creation error:', error);
+    throw new Error('HD wallet could not be created: ' + error.message);
+  }
+};
+
+/**
+ * Imports an HD wallet from mnemonic
+ * @param {string} mnemonic - Mnemonic words (seed phrase)
+ * @param {Object} options - Options (passphrase, label, owner)
+ * @returns {Object} - HD wallet information and first account
+ */
+const importHdWallet = (mnemonic, { passphrase = '', label = null, owner = null } = {}) => {
+  const normalizedMnemonic = mnemonic.trim().split(/\s+/).join(' ');
+
+  if (!ethers.Mnemonic.isValidMnemonic(normalizedMnemonic)) {
+    throw createHttpError(400, 'HD wallet could not be imported: Invalid mnemonic');
+  }
+
+  try {
+    return storeHdWallet(normalizedMnemonic, { passphrase, label, owner });
+  } catch (error) {
+    console.error('HD wallet import error:', error);
+    throw new Error('HD wallet could not be imported: ' + error.message);
+  }
+};
+
+/**
+ * Lists derived accounts of an HD wallet (without keys)
+ * @param {string} hdWalletId - HD wallet ID
+ * @param {string|null} owner - Requesting owner (null: any)
+ * @returns {Object} - HD wallet information and accounts
+ */
+const listHdAccounts = (hdWalletId, owner = null) => {
+  const record = getHdWalletRecord(hdWalletId, owner);
+
+  return {
+    ...toPublicHdWallet(record),
+    accounts: record.accounts
+  };
+};
+
+/**
+ * Derives accounts by index and returns their encrypted private keys
+ * @param {string} hdWalletId - HD wallet ID
+ * @param {Object} options - Options (index, count, label)
+ * @param {string|null} owner - Requesting owner (null: any)
+ * @returns {Object} - HD wallet information and derived accounts
+ */
+const deriveHdAccounts = (hdWalletId, { index, count = 1, label } = {}, owner = null) => {
+  const record = getHdWalletRecord(hdWalletId, owner);
+  // The validator accepts numeric strings without converting the request body
+  const total = Number(count);
+
+  // Continue after the highest known index when no index is given
+  const startIndex = index !== undefined
+    ? Number(index)
+    : record.accounts.reduce((max, item) => Math.max(max, item.index + 1), 0);
+
+  try {
+    const baseNode = getBaseNode(record);
+    const accounts = [];
+
+    for (let i = startIndex; i < startIndex + total; i++) {
+      const account = deriveAccount(baseNode, i);
+      // Label is only applied when a single account is derived
+      const entry = upsertAccount(record, account, total === 1 ? { label } : {});
+      accounts.push({ ...account, label: entry.label });
+    }
+
+    saveRecord(record);
+
+    return {
+      ...toPublicHdWallet(record),
+      accounts
+    };
+  } catch (error) {
+    console.error('HD account derivation error:', error);
+    throw new Error('HD accounts could not be derived: ' + error.message);
+  }
+};
+
+/**
+ * Sets the label of a derived account
+ * @param {string} hdWalletId - HD wallet ID
+ * @param {number} index - Account index
+ * @param {string|null} label - New label
+ * @param {string|null} owner - Requesting owner (null: any)
+ * @returns {Object} - Updated account
+ */
+const labelHdAccount = (hdWalletId, index, label, owner = null) => {
+  const record = getHdWalletRecord(hdWalletId, owner);
+  const entry = record.accounts.find(item => item.index === index);
+
+  if (!entry) {
+    throw createHttpError(404, `Account ${index} has not been derived for this HD wallet`);
+  }
+
+  entry.label = label;
+  saveRecord(record);
+
+  return entry;
+};
+
+/**
+ * Checks if an address has on-chain activity (balance or sent transactions)
+ * @param {string} address - Wallet address
+ * @param {string} network - Network name
+ * @param {string} networkType - Network type
+ * @returns {Promise<Object>} - Balance, nonce and used flag
+ * @private
+ */
+const getAddressActivity = (address, network, networkType) => {
+  return enqueueNetworkRequest(network, networkType, async () => {
+    const provider = getProvider(network, networkType);
+    const [balance, nonce] = await Promise.all([
+      provider.getBalance(address),
+      provider.getTransactionCount(address)
+    ]);
+
+    return {
+      balance,
+      nonce,
+      used: balance > 0n || nonce > 0
+    };
+  });
+};
+
+/**
+ * Scans accounts in order until `gapLimit` consecutive unused addresses are found
+ * @param {string} hdWalletId - HD wallet ID
+ * @param {Object} options - Options (gapLimit, network, networkType)
+ * @param {string|null} owner - Requesting owner (null: any)
+ * @returns {Promise<Object>} - Used accounts with encrypted private keys
+ */
+const discoverHdAccounts = async (
+  hdWalletId,
+  { gapLimit = DEFAULT_GAP_LIMIT, network = DEFAULT_NETWORK, networkType = DEFAULT_NETWORK_TYPE } = {},
+  owner = null
+) => {
+  const record = getHdWalletRecord(hdWalletId, owner);
+
+  try {
+    const networkInfo = getNetworkInfo(network, networkType);
+    const baseNode = getBaseNode(record);
+    const usedAccounts = [];
+
+    let gap = 0;
+    let index = 0;
+
+    while (gap < gapLimit && index < MAX_DISCOVERY_SCAN) {
+      const account = deriveAccount(baseNode, index);
+      const activity = await getAddressActivity(account.address, network, networkType);
+
+      if (activity.used) {
+        gap = 0;
+        const entry = upsertAccount(record, account);
+        usedAccounts.push({
+          ...account,
+          label: entry.label,
+          balance: activity.balance.toString(),
+          nonce: activity.nonce
+        });
+      } else {
+        gap++;
+      }
+
+      index++;
+    }
+
+    saveRecord(record);
+
+    return {
+      ...toPublicHdWallet(record),
+      network: networkInfo.name,
+      chainId: networkInfo.chainId,
+      gapLimit,
+      scannedCount: index,
+      scanLimitReached: gap < gapLimit,
+      accounts: usedAccounts
+    };
+  } catch (error) {
+    console.error('HD account discovery error:', error);
+    throw new Error('HD account discovery failed: ' + error.message);
+  }
+};
+
+module.exports = {
+  HD_BASE_PATH,
+  createHdWallet,
+  importHdWallet,
+  listHdAccounts,
+  deriveHdAccounts,
+  labelHdAccount,
+  discoverHdAccounts
+};
@@ -0,0 +1,137 @@
+const crypto = require('crypto');
+const { getStore } = require('../utils/store');
+
+// Stored responses are replayed for this long (seconds)
+const IDEMPOTENCY_KEY_TTL = parseInt(process.env.IDEMPOTENCY_KEY_TTL || '86400', 10);
+
+const IDEMPOTENCY_STATUS = {
+  IN_PROGRESS: 'in-progress',
+  COMPLETED: 'completed'
+};
+
+const idempotencyStore = getStore('idempotency-keys');
+
+// Requests being processed by this process: record id -> { promise, resolve }
+const inFlight = {};
+
+/**
+ * Serializes a value with sorted object keys so equal payloads hash the same
+ * @param {any} value - JSON value
+ * @returns {string} - Canonical JSON
+ * @private
+ */
+const canonicalJson = (value) => {
+  if (Array.isArray(value)) {
+    return `[${value.map(canonicalJson).join(',')}]`;
+  }
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value).sort().map(key => `${JSON.stringify(key)}:${canonicalJson(value[key])}`).join(',')}}`;
+  }
+  return JSON.stringify(value === undefined ? null : value);
+};
+
+/**
+ * Hashes a value with SHA-256
+ * @private
+ */
+const sha256 = (value) => crypto.createHash('sha256').update(value).digest('hex');
+
+/**
+ * Removes expired records
+ * @private
+ */
+const pruneExpired = () => {
+  const now = Date.now();
+  idempotencyStore
+    .values(record => Date.parse(record.expiresAt) <= now && !inFlight[record.id])
+    .forEach(record => idempotencyStore.delete(record.id));
+};
+
+/**
+ * Starts an idempotent request or returns the state of an earlier request with the same key
+ * @param {string} scope - Caller identity the key belongs to
+ * @param {string} key - Idempotency-Key header value
+ * @param {Object} request - { method, path, body }
+ * @returns {Object} - { state: 'new' | 'mismatch' | 'completed' | 'in-flight' | 'interrupted', id, response, wait }
+ */
+const beginRequest = (scope, key, { method, path, body }) => {
+  pruneExpired();
+
+  const id = sha256(`${scope}:${key}`);
+  const requestHash = sha256(`${method} ${path} ${canonicalJson(body || {})}`);
+  const record = idempotencyStore.get(id);
+
+  if (record && Date.parse(record.expiresAt) > Date.now()) {
+    if (record.requestHash !== requestHash) {
+      return { state: 'mismatch', id };
+    }
+    if (record.status === IDEMPOTENCY_STATUS.COMPLETED) {
+      return { state: 'completed', id, response: record.response };
+    }
+    if (inFlight[id]) {
+      return { state: 'in-flight', id, wait: inFlight[id].promise };
+    }
+    // In progress when the process stopped: the outcome is unknown
+    return { state: 'interrupted', id };
+  }
+
+  const now = new Date();
+  idempotencyStore.set(id, {
+    id,
+    requestHash,
+    method,
+    path,
+    status: IDEMPOTENCY_STATUS.IN_PROGRESS,
+    response: null,
+    createdAt: now.toISOString(),
+    expiresAt: new Date(now.getTime() + IDEMPOTENCY_KEY_TTL * 1000).toISOString()
+  });
+
+  let resolve;
+  const promise = new Promise(r => { resolve = r; });
+  inFlight[id] = { promise, resolve };
+
+  return { state: 'new', id };
+};
+
+/**
+ * Stores the response of an idempotent request and hands it to waiting retries
+ * @param {string} id - Record ID returned by beginRequest
+ * @param {Object} response - { statusCode, body }
+ */
+const completeRequest = (id, response) => {
+  const record = idempotencyStore.get(id);
+  if (record) {
+    record.status = IDEMPOTENCY_STATUS.COMPLETED;
+    record.response = response;
+    record.completedAt = new Date().toISOString();
+    idempotencyStore.set(id, record);
+  }
+
+  if (inFlight[id]) {
+    inFlight[id].resolve(response);
+    delete inFlight[id];
+  }
+};
+
+/**
+ * Forgets an idempotent request so the key can be retried (response is not stored)
+ * Waiting retries still receive the response
+ * @param {string} id - Record ID returned by beginRequest
+ * @param {Object} response - { statusCode, body }
+ */
+const releaseRequest = (id, response) => {
+  idempotencyStore.delete(id);
+
+  if (inFlight[id]) {
+    inFlight[id].resolve(response);
+    delete inFlight[id];
+  }
+};
+
+module.exports = {
+  IDEMPOTENCY_KEY_TTL,
+  beginRequest,
+  completeRequest,
+  releaseRequest
+};
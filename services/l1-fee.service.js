@@ -0,0 +1,188 @@
+const { ethers } = require('ethers');
+const { getProvider, getNetworkInfo, DEFAULT_NETWORK, DEFAULT_NETWORK_TYPE } = require('../utils/network');
+
+// OP Stack GasPriceOracle predeploy
+const OP_GAS_PRICE_ORACLE_ADDRESS = '0x420000000000000000000000000000000000000F';
+
+// Arbitrum NodeInterface (virtual contract, only reachable through eth_call) and ArbGasInfo precompile
+const ARB_NODE_INTERFACE_ADDRESS = '0x00000000000000000000000000000000000000C8';
+const ARB_GAS_INFO_ADDRESS = '0x000000000000000000000000000000000000006C';
+
+const OP_GAS_PRICE_ORACLE_ABI = [
+  'function getL1Fee(bytes _data) view returns (uint256)',
+  'function getL1GasUsed(bytes _data) view returns (uint256)',
+  'function l1BaseFee() view returns (uint256)'
+];
+
+const ARB_NODE_INTERFACE_ABI = [
+  'function gasEstimateL1Component(address to, bool contractCreation, bytes data) payable returns (uint64 gasEstimateForL1, uint256 baseFee, uint256 l1BaseFeeEstimate)'
+];
+
+const ARB_GAS_INFO_ABI = [
+  'function getPricesInWei() view returns (uint256 perL2Tx, uint256 perL1CalldataByte, uint256 perStorageAllocation, uint256 perArbGasBase, uint256 perArbGasCongestion, uint256 perArbGasTotal)',
+  'function getL1BaseFeeEstimate() view returns (uint256)'
+];
+
+// Placeholder recipient of the native transfer priced in getL1FeeParameters
+const SAMPLE_RECIPIENT = '0x000000000000000000000000000000000000dEaD';
+
+/**
+ * Rollup type of a network (optimism, arbitrum) or null for L1 chains
+ * @param {string} network - Network name
+ * @param {string} networkType - Network type
+ * @returns {string|null} - Rollup type
+ */
+const getRollupType = (network = DEFAULT_NETWORK, networkType = DEFAULT_NETWORK_TYPE) =>
+  getNetworkInfo(network, networkType).rollup;
+
+/**
+ * RLP encodes a transaction without its signature, as posted to L1
+ * @private
+ */
+const serializeUnsigned = async (provider, txParams, chainId) => {
+  let nonce = txParams.nonce;
+  if (nonce === undefined) {
+    nonce = txParams.from ? await provider.getTransactionCount(txParams.from, 'pending') : 0;
+  }
+
+  const tx = {
+    chainId,
+    nonce,
+    to: txParams.to || null,
+    value: BigInt(txParams.value || 0),
+    data: txParams.data || '0x',
+    gasLimit: BigInt(txParams.gasLimit || 0)
+  };
+
+  if (txParams.gasPrice && !txParams.maxFeePerGas) {
+    tx.type = 0;
+    tx.gasPrice = BigInt(txParams.gasPrice);
+  } else {
+    tx.type = 2;
+    tx.maxFeePerGas = BigInt(txParams.maxFeePerGas || 0);
+    tx.maxPriorityFeePerGas = BigInt(txParams.maxPriorityFeePerGas || 0);
+  }
+
+  return ethers.Transaction.from(tx).unsignedSerialized;
+};
+
+/**
+ * L1 data fee of an OP Stack transaction (GasPriceOracle.getL1Fee)
+ * The fee is charged on top of the L2 execution fee.
+ * @private
+ */
+const getOptimismL1Fee = async (provider, txParams, chainId) => {
+  const oracle = new ethers.Contract(OP_GAS_PRICE_ORACLE_ADDRESS, OP_GAS_PRICE_ORACLE_ABI, provider);
+  const serialized = await serializeUnsigned(provider, txParams, chainId);
+
+  const [l1DataFee, l1BaseFee, l1GasUsed] = await Promise.all([
+    oracle.getL1Fee(serialized),
+    oracle.l1BaseFee(),
+    // Deprecated after the Fjord upgrade, informational only
+    oracle.getL1GasUsed(serialized).catch(() => null)
+  ]);
+
+  return {
+    rollup: 'optimism',
+    method: 'gasPriceOracle',
+    l1DataFee,
+    l1GasUsed,
+    l1BaseFee,
+    // The data fee is not part of the L2 gas limit
+    l1GasInL2Units: 0n
+  };
+};
+
+/**
+ * L1 data fee of an Arbitrum transaction
+ * NodeInterface.gasEstimateL1Component returns the L1 component in L2 gas units, which eth_estimateGas already
+ * includes. ArbGasInfo's calldata price is used when the NodeInterface is not reachable.
+ * @private
+ */
+const getArbitrumL1Fee = async (provider, txParams, chainId) => {
+  const nodeInterface = new ethers.Contract(ARB_NODE_INTERFACE_ADDRESS, ARB_NODE_INTERFACE_ABI, provider);
+
+  try {
+    const [gasEstimateForL1, baseFee, l1BaseFeeEstimate] = await nodeInterface.gasEstimateL1Component.staticCall(
+      txParams.to || ethers.ZeroAddress,
+      !txParams.to,
+      txParams.data || '0x',
+      { from: txParams.from, value: BigInt(txParams.value || 0) }
+    );
+
+    return {
+      rollup: 'arbitrum',
+      method: 'nodeInterface',
+      l1DataFee: gasEstimateForL1 * baseFee,
+      l1GasUsed: null,
+      l1BaseFee: l1BaseFeeEstimate,
+      l1GasInL2Units: gasEstimateForL1
+    };
+  } catch (error) {
+    console.error('NodeInterface L1 estimate failed, using ArbGasInfo:', error.message);
+  }
+
+  const gasInfo = new ethers.Contract(ARB_GAS_INFO_ADDRESS, ARB_GAS_INFO_ABI, provider);
+  const [prices, l1BaseFee, feeData] = await Promise.all([
+    gasInfo.getPricesInWei(),
+    gasInfo.getL1BaseFeeEstimate(),
+    provider.getFeeData()
+  ]);
+  const serialized = await serializeUnsigned(provider, txParams, chainId);
+  const l1DataFee = BigInt(ethers.dataLength(serialized)) * prices.perL1CalldataByte;
+
+  return {
+    rollup: 'arbitrum',
+    method: 'arbGasInfo',
+    l1DataFee,
+    l1GasUsed: null,
+    l1BaseFee,
+    l1GasInL2Units: feeData.gasPrice ? l1DataFee / feeData.gasPrice : 0n
+  };
+};
+
+/**
+ * L1 data fee of a transaction on a rollup
+ * @param {Object} txParams - Transaction parameters (from, to, value, data, nonce, gasLimit and fees)
+ * @param {string} network - Network name
+ * @param {string} networkType - Network type
+ * @returns {Promise<Object|null>} - { rollup, method, l1DataFee, l1GasUsed, l1BaseFee, l1GasInL2Units } (bigint),
+ *   null for L1 chains. l1GasInL2Units is the part of the L2 gas estimate that pays for L1 data (Arbitrum).
+ */
+const getL1DataFee = async (txParams, network = DEFAULT_NETWORK, networkType = DEFAULT_NETWORK_TYPE) => {
+  const { rollup, chainId } = getNetworkInfo(network, networkType);
+  if (!rollup) {
+    return null;
+  }
+
+  const provider = getProvider(network, networkType);
+  return rollup === 'arbitrum'
+    ? getArbitrumL1Fee(provider, txParams, chainId)
+    : getOptimismL1Fee(provider, txParams, chainId);
+};
+
+/**
+ * Current L1 pricing of a rollup, with the L1 data fee of a plain native transfer as reference
+ * @param {string} network - Network name
+ * @param {string} networkType - Network type
+ * @returns {Promise<Object|null>} - { rollup, method, l1BaseFee, nativeTransferL1Fee } (wei as strings), null for L1 chains
+ */
+const getL1FeeParameters = async (network = DEFAULT_NETWORK, networkType = DEFAULT_NETWORK_TYPE) => {
+  if (!getRollupType(network, networkType)) {
+    return null;
+  }
+
+  const l1Fee = await getL1DataFee({ to: SAMPLE_RECIPIENT, value: 0n, data: '0x', nonce: 0, gasLimit: 21000n }, network, networkType);
+  return {
+    rollup: l1Fee.rollup,
+    method: l1Fee.method,
+    l1BaseFee: l1Fee.l1BaseFee.toString(),
+    nativeTransferL1Fee: l1Fee.l1DataFee.toString()
+  };
+};
+
+module.exports = {
+  getRollupType,
+  getL1DataFee,
+  getL1FeeParameters
+};
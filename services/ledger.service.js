@@ -0,0 +1,316 @@
+const { ethers } = require('ethers');
+const dotenv = require('dotenv');
+const { getStore } = require('../utils/store');
+const { createHttpError } = require('../utils/errors');
+const { enqueueNetworkRequest } = require('../utils/queue');
+const { getProvider } = require('../utils/network');
+const { broadcastTransactionUpdate } = require('../utils/websocket');
+
+dotenv.config();
+
+// Transaction statuses tracked by the ledger
+const TX_STATUS = {
+  PENDING: 'pending',
+  MINED: 'mined',
+  FAILED: 'failed', // mined but reverted
+  REPLACED: 'replaced', // nonce used by another transaction
+  DROPPED: 'dropped' // no longer known by the node and nonce still free
+};
+
+// Statuses that can still change
+const OPEN_STATUSES = [TX_STATUS.PENDING, TX_STATUS.DROPPED];
+
+// Pending transactions are refreshed this often (ms)
+const POLL_INTERVAL = parseInt(process.env.LEDGER_POLL_INTERVAL_MS || '15000', 10);
+
+// Transactions missing from the node for this long are marked dropped (ms)
+const DROP_AFTER = parseInt(process.env.LEDGER_DROP_AFTER_MS || '600000', 10);
+
+const DEFAULT_PAGE_SIZE = 20;
+const MAX_PAGE_SIZE = 100;
+
+const ledgerStore = getStore('transactions');
+
+let trackerInterval = null;
+let polling = false;
+
+/**
+ * Builds the store key of a transaction
+ * @private
+ */
+const getKey = (txHash) => txHash.toLowerCase();
+
+/**
+ * Records a submitted transaction with status "pending"
+ * @param {Object} tx - { txHash, from, to, nonce, chainId, network, networkType, kind, amount, tokenAddress,
+ *   tokenId, transactionFee, replaces }
+ * @param {Object} request - Request metadata { method, route, apiKeyId, sessionAddress, ip }
+ * @returns {Object} - Ledger record
+ */
+const recordTransaction = (tx, request = {}) => {
+  const now = new Date().toISOString();
+
+  const record = {
+    hash: tx.txHash,
+    kind: tx.kind,
+    status: TX_STATUS.PENDING,
+    from: tx.from ? ethers.getAddress(tx.from) : null,
+    to: tx.to ? ethers.getAddress(tx.to) : null,
+    nonce: tx.nonce !== undefined ? Number(tx.nonce) : null,
+    chainId: Number(tx.chainId),
+    network: tx.network,
+    networkType: tx.networkType,
+    amount: tx.amount || null,
+    tokenAddress: tx.tokenAddress || null,
+    tokenId: tx.tokenId || null,
+    transactionFee: tx.transactionFee || null,
+    replaces: tx.replaces || null,
+    replacedBy: null,
+    blockNumber: null,
+    blockHash: null,
+    gasUsed: null,
+    effectiveGasPrice: null,
+    fee: null,
+    request,
+    submittedAt: now,
+    updatedAt: now,
+    minedAt: null
+  };
+
+  ledgerStore.set(getKey(record.hash), record);
+  return record;
+};
+
+/**
+ * Updates the status of a ledger record and notifies WebSocket subscribers
+ * @param {Object} record - Ledger record
+ * @param {Object} changes - Changed fields (including status)
+ * @param {Object} receipt - Transaction receipt (optional)
+ * @private
+ */
+const updateRecord = (record, changes, receipt = null) => {
+  const statusChanged = changes.status && changes.status !== record.status;
+
+  Object.assign(record, changes, { updatedAt: new Date().toISOString() });
+  ledgerStore.set(getKey(record.hash), record);
+
+  if (statusChanged) {
+    broadcastTransactionUpdate(record.hash, record.status, receipt);
+  }
+};
+
+/**
+ * Returns the other ledger records using the same sender nonce
+ * @private
+ */
+const getSiblings = (record) => {
+  if (record.nonce === null || !record.from) {
+    return [];
+  }
+  return ledgerStore.values(entry =>
+    entry.hash !== record.hash &&
+    entry.chainId === record.chainId &&
+    entry.from === record.from &&
+    entry.nonce === record.nonce
+  );
+};
+
+/**
+ * Refreshes the status of a ledger record from the chain
+ * @param {Object} record - Ledger record
+ * @returns {Promise<Object>} - Updated record
+ * @private
+ */
+const refreshRecord = (record) => {
+  return enqueueNetworkRequest(record.network, record.networkType, async () => {
+    const provider = getProvider(record.network, record.networkType);
+
+    const receipt = await provider.getTransactionReceipt(record.hash);
+    if (receipt) {
+      const block = await provider.getBlock(receipt.blockNumber);
+      const effectiveGasPrice = receipt.gasPrice;
+
+      updateRecord(record, {
+        status: receipt.status === 1 ? TX_STATUS.MINED : TX_STATUS.FAILED,
+        blockNumber: receipt.blockNumber,
+        blockHash: receipt.blockHash,
+        gasUsed: receipt.gasUsed.toString(),
+        effectiveGasPrice: effectiveGasPrice.toString(),
+        fee: ethers.formatEther(receipt.gasUsed * effectiveGasPrice),
+        minedAt: block ? new Date(block.timestamp * 1000).toISOString() : null
+      }, receipt);
+
+      // Other transactions with the same nonce can no longer be mined
+      getSiblings(record)
+        .filter(sibling => OPEN_STATUSES.includes(sibling.status))
+        .forEach(sibling => updateRecord(sibling, { status: TX_STATUS.REPLACED, replacedBy: record.hash }));
+
+      return record;
+    }
+
+    const tx = await provider.getTransaction(record.hash);
+    if (tx) {
+      // Known by the node but not mined yet
+      if (record.status !== TX_STATUS.PENDING) {
+        updateRecord(record, { status: TX_STATUS.PENDING });
+      }
+      return record;
+    }
+
+    // Not known by the node: the nonce was used by another transaction, or the transaction was dropped
+    if (record.nonce !== null && record.from) {
+      const minedCount = await provider.getTransactionCount(record.from, 'latest');
+      if (minedCount > record.nonce) {
+        const minedSibling = getSiblings(record).find(sibling => sibling.status === TX_STATUS.MINED || sibling.status === TX_STATUS.FAILED);
+        updateRecord(record, { status: TX_STATUS.REPLACED, replacedBy: minedSibling ? minedSibling.hash : null });
+        return record;
+      }
+    }
+
+    if (record.status === TX_STATUS.PENDING && Date.now() - Date.parse(record.submittedAt) > DROP_AFTER) {
+      updateRecord(record, { status: TX_STATUS.DROPPED });
+    }
+
+    return record;
+  });
+};
+
+/**
+ * Refreshes all open ledger records
+ * @returns {Promise<number>} - Number of refreshed records
+ */
+const refreshOpenTransactions = async () => {
+  if (polling) {
+    return 0;
+  }
+  polling = true;
+
+  try {
+    const records = ledgerStore.values(record => OPEN_STATUSES.includes(record.status));
+    const results = await Promise.allSettled(records.map(refreshRecord));
+
+    results
+      .filter(result => result.status === 'rejected')
+      .forEach(result => console.error('Ledger status refresh error:', result.reason.message));
+
+    return records.length;
+  } finally {
+    polling = false;
+  }
+};
+
+/**
+ * Starts polling open (pending and dropped) transactions
+ */
+const startLedgerTracker = () => {
+  if (trackerInterval) {
+    return;
+  }
+  trackerInterval = setInterval(() => {
+    refreshOpenTransactions().catch(error => console.error('Ledger tracker error:', error));
+  }, POLL_INTERVAL);
+  trackerInterval.unref();
+};
+
+/**
+ * Stops polling pending transactions
+ */
+const stopLedgerTracker = () => {
+  clearInterval(trackerInterval);
+  trackerInterval = null;
+};
+
+/**
+ * Removes the request metadata (ip, API key, session) unless the record was submitted by the owner
+ * @param {Object} record - Ledger record
+ * @param {string|null} owner - Requesting owner (see utils/request getRequestOwner)
+ * @returns {Object} - Ledger record for the response
+ * @private
+ */
+const toPublicRecord = (record, owner) => {
+  if (owner && record.request && record.request.owner === owner) {
+    return record;
+  }
+  const { request, ...publicRecord } = record;
+  return publicRecord;
+};
+
+/**
+ * Gets a transaction from the ledger (open transactions are refreshed first)
+ * @param {string} txHash - Transaction hash
+ * @param {string|null} owner - Requesting owner; request metadata is only returned to the submitter
+ * @returns {Promise<Object>} - Ledger record
+ */
+const getTransaction = async (txHash, owner = null) => {
+  const record = ledgerStore.get(getKey(txHash));
+  if (!record) {
+    throw createHttpError(404, `Transaction not found in ledger: ${txHash}`);
+  }
+
+  if (OPEN_STATUSES.includes(record.status)) {
+    try {
+      await refreshRecord(record);
+    } catch (error) {
+      // Stored status is still returned when the node is unreachable
+      console.error('Ledger status refresh error:', error.message);
+    }
+  }
+
+  return toPublicRecord(record, owner);
+};
+
+/**
+ * Lists ledger transactions of an address (sent or received), newest first
+ * @param {string} address - Wallet address
+ * @param {Object} filters - { status, kind, network, networkType, direction (in|out|all), since, until, page, limit,
+ *   owner (request metadata is only returned to the submitter) }
+ * @returns {Object} - { transactions, pagination }
+ */
+const listTransactions = (address, {
+  status,
+  kind,
+  network,
+  networkType,
+  direction = 'all',
+  since,
+  until,
+  page = 1,
+  limit = DEFAULT_PAGE_SIZE,
+  owner = null
+} = {}) => {
+  const checksumAddress = ethers.getAddress(address);
+  const pageSize = Math.min(limit, MAX_PAGE_SIZE);
+
+  const matches = ledgerStore
+    .values(record =>
+      ((direction !== 'in' && record.from === checksumAddress) ||
+        (direction !== 'out' && record.to === checksumAddress)) &&
+      (!status || record.status === status) &&
+      (!kind || record.kind === kind) &&
+      (!network || record.network === network) &&
+      (!networkType || record.networkType === networkType) &&
+      (!since || record.submittedAt >= since) &&
+      (!until || record.submittedAt <= until)
+    )
+    .sort((a, b) => b.submittedAt.localeCompare(a.submittedAt));
+
+  return {
+    transactions: matches.slice((page - 1) * pageSize, page * pageSize).map(record => toPublicRecord(record, owner)),
+    pagination: {
+      page,
+      limit: pageSize,
+      total: matches.length,
+      totalPages: Math.ceil(matches.length / pageSize)
+    }
+  };
+};
+
+module.exports = {
+  TX_STATUS,
+  recordTransaction,
+  refreshOpenTransactions,
+  startLedgerTracker,
+  stopLedgerTracker,
+  getTransaction,
+  listTransactions
+};
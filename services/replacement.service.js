@@ -0,0 +1,349 @@
+const { ethers } = require('ethers');
+const { getStore } = require('../utils/store');
+const { createHttpError } = require('../utils/errors');
+const { enqueueNetworkRequest } = require('../utils/queue');
+const { predictGasPrice } = require('../utils/transaction');
+const { getProvider, getNetworkInfo, DEFAULT_NETWORK, DEFAULT_NETWORK_TYPE } = require('../utils/network');
+const { getSigner } = require('./wallet.service');
+
+// Nodes reject replacements that do not raise fees by at least 10%
+const MIN_REPLACEMENT_BUMP_PERCENT = 10n;
+
+// Gas limit of the zero-value self-transfer used to cancel a transaction
+const CANCEL_GAS_LIMIT = 21000n;
+
+// Intrinsic gas of access list entries (EIP-2930)
+const ACCESS_LIST_ADDRESS_GAS = 2400n;
+const ACCESS_LIST_STORAGE_KEY_GAS = 1900n;
+
+const FEE_TIERS = ['slow', 'standard', 'fast'];
+
+// Transactions sharing a sender nonce: "chainId:from:nonce" -> { transactions: [...] }
+const replacementStore = getStore('tx-replacements');
+
+/**
+ * Raises a fee by the minimum replacement bump (rounded up)
+ * @param {bigint} fee - Original fee
+ * @returns {bigint} - Minimum accepted replacement fee
+ * @private
+ */
+const bumpFee = (fee) => (fee * (100n + MIN_REPLACEMENT_BUMP_PERCENT) + 99n) / 100n;
+
+/**
+ * Returns the larger of two fees
+ * @private
+ */
+const maxFee = (a, b) => (a > b ? a : b);
+
+/**
+ * Returns the intrinsic gas an access list adds to a transaction
+ * @param {Array} accessList - Access list ([{ address, storageKeys }])
+ * @returns {bigint} - Additional gas
+ * @private
+ */
+const getAccessListGas = (accessList) => accessList.reduce(
+  (gas, item) => gas + ACCESS_LIST_ADDRESS_GAS + ACCESS_LIST_STORAGE_KEY_GAS * BigInt(item.storageKeys.length),
+  0n
+);
+
+/**
+ * Returns the highest fees paid by the transactions of a nonce (the one the node currently holds)
+ * @param {Object} original - Transaction being replaced (TransactionResponse)
+ * @param {Object|null} group - Replacement group of the nonce
+ * @returns {Object} - { maxFeePerGas, maxPriorityFeePerGas, gasPrice } as bigint
+ * @private
+ */
+const getCurrentFees = (original, group) => {
+  const fees = {
+    maxFeePerGas: original.maxFeePerGas || 0n,
+    maxPriorityFeePerGas: original.maxPriorityFeePerGas || 0n,
+    gasPrice: original.gasPrice || 0n
+  };
+
+  (group ? group.transactions : []).forEach(tx => {
+    Object.keys(fees).forEach(field => {
+      if (tx.fees && tx.fees[field]) {
+        fees[field] = maxFee(fees[field], BigInt(tx.fees[field]));
+      }
+    });
+  });
+
+  return fees;
+};
+
+/**
+ * Builds the replacement fees: the requested predictGasPrice tier, raised to the minimum bump if needed
+ * @param {Object} original - Transaction being replaced (TransactionResponse)
+ * @param {Object} currentFees - Highest fees already sent for the nonce
+ * @param {string} speed - Fee tier (slow, standard, fast)
+ * @param {string} network - Network name
+ * @param {string} networkType - Network type
+ * @returns {Promise<Object>} - Fee fields ({ type, maxFeePerGas, maxPriorityFeePerGas } or { type, gasPrice })
+ * @private
+ */
+const buildReplacementFees = async (original, currentFees, speed, network, networkType) => {
+  const prediction = await predictGasPrice(network, networkType);
+  const tier = prediction[speed];
+
+  if (original.type === 2) {
+    const tierMaxFee = BigInt(tier.maxFeePerGas || tier.gasPrice);
+    const tierPriorityFee = BigInt(tier.maxPriorityFeePerGas || tier.gasPrice);
+
+    const maxPriorityFeePerGas = maxFee(tierPriorityFee, bumpFee(currentFees.maxPriorityFeePerGas));
+    const maxFeePerGas = maxFee(maxFee(tierMaxFee, bumpFee(currentFees.maxFeePerGas)), maxPriorityFeePerGas);
+
+    return { type: 2, maxFeePerGas, maxPriorityFeePerGas };
+  }
+
+  // Legacy transactions are replaced with the same type
+  const tierGasPrice = BigInt(tier.gasPrice || tier.maxFeePerGas);
+  return { type: original.type, gasPrice: maxFee(tierGasPrice, bumpFee(currentFees.gasPrice)) };
+};
+
+/**
+ * Formats the fee fields of a transaction as strings
+ * @param {Object} fees - { maxFeePerGas, maxPriorityFeePerGas, gasPrice }
+ * @returns {Object} - Fee fields that are set
+ * @private
+ */
+const formatFees = (fees) => ({
+  ...(fees.maxFeePerGas ? { maxFeePerGas: fees.maxFeePerGas.toString() } : {}),
+  ...(fees.maxPriorityFeePerGas ? { maxPriorityFeePerGas: fees.maxPriorityFeePerGas.toString() } : {}),
+  ...(fees.gasPrice ? { gasPrice: fees.gasPrice.toString() } : {})
+});
+
+/**
+ * Builds the replacement group key of a transaction
+ * @private
+ */
+const getGroupKey = (chainId, from, nonce) => `${chainId}:${ethers.getAddress(from)}:${nonce}`;
+
+/**
+ * Finds the replacement group containing a transaction hash
+ * @param {string} txHash - Transaction hash
+ * @returns {Object|null} - Replacement group
+ * @private
+ */
+const findGroup = (txHash) => {
+  return replacementStore.values(entry =>
+    entry.transactions.some(tx => tx.hash.toLowerCase() === txHash.toLowerCase())
+  )[0] || null;
+};
+
+/**
+ * Records a replacement in the group of its nonce
+ * @param {Object} original - Replaced transaction (TransactionResponse)
+ * @param {Object} replacement - Replacement transaction (TransactionResponse)
+ * @param {Object} fees - Replacement fees
+ * @param {string} action - speed-up | cancel
+ * @param {string} network - Network name
+ * @param {string} networkType - Network type
+ * @private
+ */
+const recordReplacement = (original, replacement, fees, action, network, networkType) => {
+  const chainId = Number(original.chainId);
+  const key = getGroupKey(chainId, original.from, original.nonce);
+  const group = replacementStore.get(key) || {
+    chainId,
+    network,
+    networkType,
+    from: ethers.getAddress(original.from),
+    nonce: original.nonce,
+    transactions: [{
+      hash: original.hash,
+      action: 'original',
+      fees: formatFees(original),
+      createdAt: new Date().toISOString()
+    }]
+  };
+
+  group.transactions.push({
+    hash: replacement.hash,
+    action,
+    replaces: original.hash,
+    fees: formatFees(fees),
+    createdAt: new Date().toISOString()
+  });
+
+  replacementStore.set(key, group);
+};
+
+/**
+ * Re-signs a pending transaction with the same nonce and bumped fees
+ * @param {string|Object} signerRef - Encrypted private key or signer reference ({ walletId })
+ * @param {string} txHash - Hash of the pending transaction
+ * @param {string} action - speed-up | cancel
+ * @param {string} speed - Fee tier (slow, standard, fast)
+ * @param {string} network - Network name
+ * @param {string} networkType - Network type
+ * @returns {Promise<Object>} - Replacement transaction information
+ * @private
+ */
+const replaceTransaction = async (signerRef, txHash, action, speed, network, networkType) => {
+  if (!FEE_TIERS.includes(speed)) {
+    throw createHttpError(400, `Invalid speed: ${speed}. Please choose one of: ${FEE_TIERS.join(', ')}`);
+  }
+
+  return enqueueNetworkRequest(network, networkType, async () => {
+    try {
+      const provider = getProvider(network, networkType);
+      const networkInfo = getNetworkInfo(network, networkType);
+
+      // A replaced transaction may already be gone from the node, fall back to the latest replacement
+      const group = findGroup(txHash);
+      let original = await provider.getTransaction(txHash);
+      const replacements = group ? group.transactions.map(tx => tx.hash).reverse() : [];
+      for (let i = 0; !original && i < replacements.length; i++) {
+        original = await provider.getTransaction(replacements[i]);
+      }
+      if (!original) {
+        throw createHttpError(404, `Transaction not found (it may have been dropped): ${txHash}`);
+      }
+      if (original.blockNumber !== null) {
+        throw createHttpError(409, `Transaction is already mined in block ${original.blockNumber}`);
+      }
+
+      const wallet = await getSigner(signerRef, network, networkType);
+      const walletAddress = await wallet.getAddress();
+      if (walletAddress !== original.from) {
+        throw createHttpError(403, `Transaction was sent by ${original.from}, not by ${walletAddress}`);
+      }
+
+      const fees = await buildReplacementFees(original, getCurrentFees(original, group), speed, network, networkType);
+
+      // Typed replacements keep the original access list (legacy transactions have none)
+      const accessList = original.type !== 0 && original.accessList ? original.accessList : [];
+
+      // Speed-up resends the same call, cancel sends a zero-value self-transfer
+      const tx = action === 'cancel'
+        ? { to: walletAddress, value: 0n, data: '0x', gasLimit: CANCEL_GAS_LIMIT + getAccessListGas(accessList) }
+        : { to: original.to, value: original.value, data: original.data, gasLimit: original.gasLimit };
+      if (accessList.length > 0) {
+        tx.accessList = accessList;
+      }
+
+      const replacement = await wallet.sendTransaction({
+        ...tx,
+        ...fees,
+        nonce: original.nonce,
+        chainId: original.chainId
+      });
+
+      recordReplacement(original, replacement, fees, action, network, networkType);
+
+      return {
+        txHash: replacement.hash,
+        replacedTxHash: original.hash,
+        action,
+        speed,
+        from: walletAddress,
+        to: replacement.to,
+        nonce: replacement.nonce,
+        network: networkInfo.name,
+        chainId: networkInfo.chainId,
+        transactionFee: {
+          gasLimit: replacement.gasLimit.toString(),
+          ...formatFees(fees)
+        }
+      };
+    } catch (error) {
+      if (error.statusCode) {
+        throw error;
+      }
+      console.error(`Transaction ${action} error:`, error);
+      throw new Error(`Transaction ${action} could not be sent: ` + (error.shortMessage || error.message));
+    }
+  });
+};
+
+/**
+ * Speeds up a pending transaction (same call, same nonce, higher fees)
+ * @param {string|Object} signerRef - Encrypted private key or signer reference ({ walletId })
+ * @param {string} txHash - Hash of the pending transaction
+ * @param {string} speed - Fee tier from predictGasPrice (slow, standard, fast)
+ * @param {string} network - Network name
+ * @param {string} networkType - Network type
+ * @returns {Promise<Object>} - Replacement transaction information
+ */
+const speedUpTransaction = async (
+  signerRef,
+  txHash,
+  speed = 'fast',
+  network = DEFAULT_NETWORK,
+  networkType = DEFAULT_NETWORK_TYPE
+) => {
+  return replaceTransaction(signerRef, txHash, 'speed-up', speed, network, networkType);
+};
+
+/**
+ * Cancels a pending transaction with a zero-value self-transfer using the same nonce
+ * @param {string|Object} signerRef - Encrypted private key or signer reference ({ walletId })
+ * @param {string} txHash - Hash of the pending transaction
+ * @param {string} speed - Fee tier from predictGasPrice (slow, standard, fast)
+ * @param {string} network - Network name
+ * @param {string} networkType - Network type
+ * @returns {Promise<Object>} - Replacement transaction information
+ */
+const cancelTransaction = async (
+  signerRef,
+  txHash,
+  speed = 'fast',
+  network = DEFAULT_NETWORK,
+  networkType = DEFAULT_NETWORK_TYPE
+) => {
+  return replaceTransaction(signerRef, txHash, 'cancel', speed, network, networkType);
+};
+
+/**
+ * Reports which transaction of a replacement group was mined
+ * @param {string} txHash - Hash of the original transaction or of any replacement
+ * @returns {Promise<Object>} - { status, minedTxHash, minedAction, transactions }
+ *   status: mined | pending | replaced-externally (nonce used by a transaction not sent through this API)
+ */
+const getReplacementStatus = async (txHash) => {
+  const group = findGroup(txHash);
+  if (!group) {
+    throw createHttpError(404, `No speed-up or cancel found for transaction: ${txHash}`);
+  }
+
+  return enqueueNetworkRequest(group.network, group.networkType, async () => {
+    try {
+      const provider = getProvider(group.network, group.networkType);
+
+      const receipts = await Promise.all(group.transactions.map(tx => provider.getTransactionReceipt(tx.hash)));
+      const minedIndex = receipts.findIndex(receipt => receipt !== null);
+
+      let status = 'pending';
+      if (minedIndex !== -1) {
+        status = 'mined';
+      } else if (await provider.getTransactionCount(group.from, 'latest') > group.nonce) {
+        status = 'replaced-externally';
+      }
+
+      return {
+        status,
+        from: group.from,
+        nonce: group.nonce,
+        network: group.network,
+        chainId: group.chainId,
+        minedTxHash: minedIndex !== -1 ? group.transactions[minedIndex].hash : null,
+        minedAction: minedIndex !== -1 ? group.transactions[minedIndex].action : null,
+        blockNumber: minedIndex !== -1 ? receipts[minedIndex].blockNumber : null,
+        transactions: group.transactions.map((tx, index) => ({
+          ...tx,
+          status: receipts[index] ? (receipts[index].status === 1 ? 'success' : 'failed') : (minedIndex !== -1 ? 'replaced' : 'pending')
+        }))
+      };
+    } catch (error) {
+      console.error('Replacement status error:', error);
+      throw new Error('Replacement status could not be retrieved: ' + error.message);
+    }
+  });
+};
+
+module.exports = {
+  MIN_REPLACEMENT_BUMP_PERCENT,
+  speedUpTransaction,
+  cancelTransaction,
+  getReplacementStatus
+};
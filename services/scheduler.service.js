@@ -0,0 +1,472 @@
+const crypto = require('crypto');
+const { ethers } = require('ethers');
+const dotenv = require('dotenv');
+const { getStore } = require('../utils/store');
+const { createHttpError } = require('../utils/errors');
+const { enqueueNetworkRequest } = require('../utils/queue');
+const { getNextCronRun } = require('../utils/cron');
+const { DEFAULT_NETWORK, DEFAULT_NETWORK_TYPE } = require('../utils/network');
+const walletService = require('./wallet.service');
+const vaultService = require('./vault.service');
+const ledgerService = require('./ledger.service');
+const { getFeeData } = require('./fee-oracle.service');
+
+dotenv.config();
+
+// Due schedules are checked this often (ms)
+const TICK_INTERVAL = parseInt(process.env.SCHEDULER_TICK_MS || '30000', 10);
+
+// Runs postponed by the gas price ceiling are retried this often (ms)
+const POSTPONE_INTERVAL = parseInt(process.env.SCHEDULER_POSTPONE_MS || '300000', 10);
+
+// Default time a run can be postponed before it is skipped (minutes)
+const DEFAULT_MAX_POSTPONE_MINUTES = 24 * 60;
+
+// Run history entries kept per schedule
+const MAX_RUN_HISTORY = 50;
+
+const SCHEDULE_STATUS = {
+  ACTIVE: 'active',
+  PAUSED: 'paused',
+  COMPLETED: 'completed',
+  CANCELLED: 'cancelled',
+  FAILED: 'failed' // one-time schedule whose run failed or was skipped
+};
+
+const RUN_STATUS = {
+  SENT: 'sent',
+  FAILED: 'failed',
+  SKIPPED: 'skipped'
+};
+
+const scheduleStore = getStore('schedules');
+
+let schedulerInterval = null;
+let ticking = false;
+
+/**
+ * Stores a schedule
+ * @private
+ */
+const saveSchedule = (schedule) => {
+  schedule.updatedAt = new Date().toISOString();
+  scheduleStore.set(schedule.id, schedule);
+  return schedule;
+};
+
+/**
+ * Checks whether a schedule belongs to an owner (a null owner can access every schedule)
+ * @private
+ */
+const isOwnedBy = (schedule, owner) => !owner || schedule.owner === owner;
+
+/**
+ * Reads a schedule of an owner or throws 404 (other owners' schedules are reported as not found)
+ * @private
+ */
+const getScheduleRecord = (scheduleId, owner = null) => {
+  const schedule = scheduleStore.get(scheduleId);
+  if (!schedule || !isOwnedBy(schedule, owner)) {
+    throw createHttpError(404, `Schedule not found: ${scheduleId}`);
+  }
+  return schedule;
+};
+
+/**
+ * Computes the next occurrence of a recurring schedule, or null when it has ended
+ * @param {Object} schedule - Schedule record
+ * @param {Date} after - Occurrence is strictly after this date
+ * @returns {string|null} - ISO date
+ * @private
+ */
+const getNextOccurrence = (schedule, after) => {
+  if (!schedule.cron) {
+    return null;
+  }
+  if (schedule.maxRuns && schedule.runCount >= schedule.maxRuns) {
+    return null;
+  }
+
+  const next = getNextCronRun(schedule.cron, after);
+  if (schedule.endAt && next.getTime() > Date.parse(schedule.endAt)) {
+    return null;
+  }
+  return next.toISOString();
+};
+
+/**
+ * Creates a scheduled transfer (one-time at runAt, or recurring with a cron expression)
+ * Schedules sign with vault wallets only, so no key material is stored with the schedule
+ * @param {Object} params - { walletId, action: { type (native|token), to, amount, tokenAddress, decimals },
+ *   runAt, cron, endAt, maxRuns, maxGasPriceGwei, maxPostponeMinutes, label }
+ * @param {Object} requestMeta - Request metadata recorded with the schedule and its transactions;
+ *   requestMeta.owner owns the schedule and must own the vault wallet
+ * @param {string} network - Network name
+ * @param {string} networkType - Network type
+ * @returns {Object} - Schedule
+ */
+const createSchedule = (
+  {
+    walletId,
+    action,
+    runAt,
+    cron,
+    endAt,
+    maxRuns,
+    maxGasPriceGwei,
+    maxPostponeMinutes = DEFAULT_MAX_POSTPONE_MINUTES,
+    label
+  },
+  requestMeta = {},
+  network = DEFAULT_NETWORK,
+  networkType = DEFAULT_NETWORK_TYPE
+) => {
+  const wallet = vaultService.getWallet(walletId, requestMeta.owner);
+  if (wallet.status !== 'active') {
+    throw createHttpError(409, `Vault wallet is ${wallet.status}: ${walletId}`);
+  }
+
+  const now = new Date();
+  let nextRunAt;
+  if (cron) {
+    try {
+      nextRunAt = getNextCronRun(cron, runAt ? new Date(Date.parse(runAt) - 60 * 1000) : now).toISOString();
+    } catch (error) {
+      throw createHttpError(400, error.message);
+    }
+  } else {
+    if (Date.parse(runAt) <= now.getTime()) {
+      throw createHttpError(400, 'runAt must be in the future');
+    }
+    nextRunAt = new Date(runAt).toISOString();
+  }
+
+  if (endAt && Date.parse(endAt) <= Date.parse(nextRunAt)) {
+    throw createHttpError(400, 'endAt must be after the first run');
+  }
+
+  const schedule = {
+    id: `sch_${crypto.randomBytes(12).toString('hex')}`,
+    label: label || null,
+    walletId,
+    from: wallet.address,
+    action: {
+      type: action.type,
+      to: ethers.getAddress(action.to),
+      amount: action.amount,
+      tokenAddress: action.type === 'token' ? ethers.getAddress(action.tokenAddress) : null,
+      decimals: action.decimals !== undefined ? action.decimals : null
+    },
+    cron: cron || null,
+    endAt: endAt ? new Date(endAt).toISOString() : null,
+    // The validator accepts numeric strings without converting the request body
+    maxRuns: Number(maxRuns) || null,
+    maxGasPriceGwei: Number(maxGasPriceGwei) || null,
+    maxPostponeMinutes: Number(maxPostponeMinutes),
+    network,
+    networkType,
+    status: SCHEDULE_STATUS.ACTIVE,
+    nextRunAt,
+    attemptAt: nextRunAt,
+    postponedCount: 0,
+    runCount: 0,
+    lastRunAt: null,
+    runs: [],
+    owner: requestMeta.owner || null,
+    createdBy: requestMeta,
+    createdAt: now.toISOString(),
+    updatedAt: now.toISOString()
+  };
+
+  return saveSchedule(schedule);
+};
+
+/**
+ * Lists schedules, soonest first
+ * @param {Object} filters - { status, walletId, owner }
+ * @returns {Array<Object>} - Schedules
+ */
+const listSchedules = ({ status, walletId, owner = null } = {}) => {
+  return scheduleStore
+    .values(schedule =>
+      isOwnedBy(schedule, owner) &&
+      (!status || schedule.status === status) &&
+      (!walletId || schedule.walletId === walletId)
+    )
+    .sort((a, b) => (a.nextRunAt || '').localeCompare(b.nextRunAt || ''));
+};
+
+/**
+ * Gets a schedule
+ * @param {string} scheduleId - Schedule ID
+ * @param {string|null} owner - Requesting owner (null: any)
+ * @returns {Object} - Schedule
+ */
+const getSchedule = (scheduleId, owner = null) => getScheduleRecord(scheduleId, owner);
+
+/**
+ * Pauses an active schedule (runs are not executed until it is resumed)
+ * @param {string} scheduleId - Schedule ID
+ * @param {string|null} owner - Requesting owner (null: any)
+ * @returns {Object} - Schedule
+ */
+const pauseSchedule = (scheduleId, owner = null) => {
+  const schedule = getScheduleRecord(scheduleId, owner);
+  if (schedule.status !== SCHEDULE_STATUS.ACTIVE) {
+    throw createHttpError(409, `Only active schedules can be paused (status: ${schedule.status})`);
+  }
+  schedule.status = SCHEDULE_STATUS.PAUSED;
+  return saveSchedule(schedule);
+};
+
+/**
+ * Resumes a paused schedule
+ * Recurring schedules continue with the next occurrence; one-time schedules that are past due run on the next tick
+ * @param {string} scheduleId - Schedule ID
+ * @param {string|null} owner - Requesting owner (null: any)
+ * @returns {Object} - Schedule
+ */
+const resumeSchedule = (scheduleId, owner = null) => {
+  const schedule = getScheduleRecord(scheduleId, owner);
+  if (schedule.status !== SCHEDULE_STATUS.PAUSED) {
+    throw createHttpError(409, `Only paused schedules can be resumed (status: ${schedule.status})`);
+  }
+
+  if (schedule.cron && Date.parse(schedule.nextRunAt) <= Date.now()) {
+    // Occurrences missed while paused are not executed
+    schedule.nextRunAt = getNextOccurrence(schedule, new Date());
+    if (!schedule.nextRunAt) {
+      schedule.status = SCHEDULE_STATUS.COMPLETED;
+      return saveSchedule(schedule);
+    }
+  }
+
+  schedule.status = SCHEDULE_STATUS.ACTIVE;
+  schedule.attemptAt = schedule.nextRunAt;
+  schedule.postponedCount = 0;
+  return saveSchedule(schedule);
+};
+
+/**
+ * Cancels a schedule (cannot be resumed)
+ * @param {string} scheduleId - Schedule ID
+ * @param {string|null} owner - Requesting owner (null: any)
+ * @returns {Object} - Schedule
+ */
+const cancelSchedule = (scheduleId, owner = null) => {
+  const schedule = getScheduleRecord(scheduleId, owner);
+  if ([SCHEDULE_STATUS.COMPLETED, SCHEDULE_STATUS.CANCELLED, SCHEDULE_STATUS.FAILED].includes(schedule.status)) {
+    throw createHttpError(409, `Schedule is already ${schedule.status}`);
+  }
+  schedule.status = SCHEDULE_STATUS.CANCELLED;
+  schedule.nextRunAt = null;
+  schedule.attemptAt = null;
+  return saveSchedule(schedule);
+};
+
+/**
+ * Reads the current fees of a network
+ * gasPrice is the expected price paid per gas: base fee + priority fee, or the legacy gas price.
+ * @private
+ */
+const getCurrentFees = (network, networkType) => {
+  return enqueueNetworkRequest(network, networkType, () => getFeeData(network, networkType));
+};
+
+/**
+ * Builds fee overrides that keep a scheduled send under its gas ceiling
+ * @param {Object} feeData - Current fees (see getCurrentFees)
+ * @param {number} maxGasPriceGwei - Gas ceiling in gwei
+ * @returns {Object} - { maxFeePerGas, maxPriorityFeePerGas } or { gasPrice } on legacy chains
+ * @private
+ */
+const getCappedFees = (feeData, maxGasPriceGwei) => {
+  if (!feeData.maxFeePerGas) {
+    // Already checked against the ceiling
+    return { gasPrice: feeData.gasPrice };
+  }
+
+  const ceiling = ethers.parseUnits(maxGasPriceGwei.toFixed(9), 'gwei');
+  return {
+    maxFeePerGas: ceiling,
+    maxPriorityFeePerGas: feeData.maxPriorityFeePerGas < ceiling ? feeData.maxPriorityFeePerGas : ceiling
+  };
+};
+
+/**
+ * Records a run and moves the schedule to its next occurrence (or final status)
+ * @private
+ */
+const finishRun = (schedule, run) => {
+  schedule.runs.unshift(run);
+  schedule.runs = schedule.runs.slice(0, MAX_RUN_HISTORY);
+  schedule.lastRunAt = run.executedAt;
+  schedule.postponedCount = 0;
+
+  if (run.status === RUN_STATUS.SENT) {
+    schedule.runCount += 1;
+  }
+
+  if (schedule.cron) {
+    // Occurrences missed while the process was stopped are run once, then the schedule continues from now
+    const after = new Date(Math.max(Date.now(), Date.parse(schedule.nextRunAt)));
+    schedule.nextRunAt = getNextOccurrence(schedule, after);
+    schedule.attemptAt = schedule.nextRunAt;
+    if (!schedule.nextRunAt) {
+      schedule.status = SCHEDULE_STATUS.COMPLETED;
+    }
+  } else {
+    schedule.status = run.status === RUN_STATUS.SENT ? SCHEDULE_STATUS.COMPLETED : SCHEDULE_STATUS.FAILED;
+    schedule.nextRunAt = null;
+    schedule.attemptAt = null;
+  }
+
+  saveSchedule(schedule);
+};
+
+/**
+ * Executes one due schedule: checks the gas ceiling, then sends the transfer
+ * @param {Object} schedule - Schedule record
+ * @private
+ */
+const runSchedule = async (schedule) => {
+  const { action, network, networkType } = schedule;
+  const run = {
+    scheduledFor: schedule.nextRunAt,
+    executedAt: null,
+    status: null,
+    txHash: null,
+    gasPriceGwei: null,
+    error: null
+  };
+
+  let feeOverrides = {};
+  if (schedule.maxGasPriceGwei) {
+    const feeData = await getCurrentFees(network, networkType);
+    const gasPriceGwei = Number(ethers.formatUnits(feeData.gasPrice, 'gwei'));
+    run.gasPriceGwei = gasPriceGwei;
+
+    if (gasPriceGwei > schedule.maxGasPriceGwei) {
+      const postponedFor = Date.now() - Date.parse(schedule.nextRunAt);
+
+      if (postponedFor < schedule.maxPostponeMinutes * 60 * 1000) {
+        schedule.attemptAt = new Date(Date.now() + POSTPONE_INTERVAL).toISOString();
+        schedule.postponedCount += 1;
+        saveSchedule(schedule);
+        return;
+      }
+
+      run.executedAt = new Date().toISOString();
+      run.status = RUN_STATUS.SKIPPED;
+      run.error = `Gas price stayed above ${schedule.maxGasPriceGwei} gwei for ${schedule.maxPostponeMinutes} minutes`;
+      finishRun(schedule, run);
+      return;
+    }
+
+    // The base fee can rise before inclusion; never pay more than the ceiling
+    feeOverrides = getCappedFees(feeData, schedule.maxGasPriceGwei);
+  }
+
+  const signerRef = { walletId: schedule.walletId };
+
+  try {
+    const txResult = action.type === 'token'
+      ? await walletService.sendTokenTransaction(
+        signerRef,
+        action.tokenAddress,
+        action.to,
+        action.amount,
+        action.decimals !== null ? action.decimals : undefined,
+        feeOverrides,
+        network,
+        networkType
+      )
+      : await walletService.sendTransaction(signerRef, action.to, action.amount, feeOverrides, network, networkType);
+
+    run.status = RUN_STATUS.SENT;
+    run.txHash = txResult.txHash;
+
+    try {
+      ledgerService.recordTransaction(
+        { ...txResult, kind: action.type, network, networkType },
+        { ...schedule.createdBy, scheduleId: schedule.id }
+      );
+    } catch (error) {
+      console.error('Ledger record error:', error);
+    }
+  } catch (error) {
+    run.status = RUN_STATUS.FAILED;
+    run.error = error.message;
+  }
+
+  run.executedAt = new Date().toISOString();
+  finishRun(schedule, run);
+};
+
+/**
+ * Executes all due schedules
+ * @returns {Promise<number>} - Number of processed schedules
+ */
+const runDueSchedules = async () => {
+  if (ticking) {
+    return 0;
+  }
+  ticking = true;
+
+  try {
+    const now = Date.now();
+    const due = scheduleStore.values(schedule =>
+      schedule.status === SCHEDULE_STATUS.ACTIVE && Date.parse(schedule.attemptAt) <= now
+    );
+
+    // Schedules of the same wallet run one after another (nonce manager keeps them ordered)
+    for (const schedule of due) {
+      try {
+        await runSchedule(schedule);
+      } catch (error) {
+        console.error(`Schedule ${schedule.id} run error:`, error);
+        schedule.attemptAt = new Date(Date.now() + POSTPONE_INTERVAL).toISOString();
+        saveSchedule(schedule);
+      }
+    }
+
+    return due.length;
+  } finally {
+    ticking = false;
+  }
+};
+
+/**
+ * Starts checking for due schedules
+ */
+const startScheduler = () => {
+  if (schedulerInterval) {
+    return;
+  }
+  schedulerInterval = setInterval(() => {
+    runDueSchedules().catch(error => console.error('Scheduler error:', error));
+  }, TICK_INTERVAL);
+  schedulerInterval.unref();
+};
+
+/**
+ * Stops checking for due schedules
+ */
+const stopScheduler = () => {
+  clearInterval(schedulerInterval);
+  schedulerInterval = null;
+};
+
+module.exports = {
+  SCHEDULE_STATUS,
+  RUN_STATUS,
+  createSchedule,
+  listSchedules,
+  getSchedule,
+  pauseSchedule,
+  resumeSchedule,
+  cancelSchedule,
+  runDueSchedules,
+  startScheduler,
+  stopScheduler
+};
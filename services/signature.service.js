@@ -0,0 +1,288 @@
+const { ethers } = require('ethers');
+const { getSigner } = require('./wallet.service');
+const { createHttpError } = require('../utils/errors');
+const { getNetworkInfo, DEFAULT_NETWORK, DEFAULT_NETWORK_TYPE } = require('../utils/network');
+
+// EIP-712 domain fields in canonical order
+const EIP712_DOMAIN_FIELDS = {
+  name: 'string',
+  version: 'string',
+  chainId: 'uint256',
+  verifyingContract: 'address',
+  salt: 'bytes32'
+};
+
+/**
+ * Converts a message to the form used for EIP-191 hashing
+ * @param {string} message - Message text or hex encoded bytes
+ * @param {string} encoding - utf8 | hex
+ * @returns {string|Uint8Array} - Message to sign
+ * @private
+ */
+const toSignableMessage = (message, encoding = 'utf8') => {
+  return encoding === 'hex' ? ethers.getBytes(message) : message;
+};
+
+/**
+ * Signs a message with EIP-191 (personal_sign)
+ * @param {string|Object} signerRef - Encrypted private key or signer reference ({ walletId })
+ * @param {string} message - Message text or hex encoded bytes
+ * @param {string} encoding - utf8 | hex
+ * @returns {Promise<Object>} - Signature information
+ */
+const signMessage = async (signerRef, message, encoding = 'utf8') => {
+  try {
+    const signer = await getSigner(signerRef);
+    const address = await signer.getAddress();
+    const signableMessage = toSignableMessage(message, encoding);
+
+    const signature = await signer.signMessage(signableMessage);
+    const { r, s, v } = ethers.Signature.from(signature);
+
+    return {
+      address,
+      message,
+      encoding,
+      messageHash: ethers.hashMessage(signableMessage),
+      signature,
+      r,
+      s,
+      v
+    };
+  } catch (error) {
+    if (error.statusCode) {
+      throw error;
+    }
+    console.error('Message signing error:', error.message);
+    throw new Error('Message could not be signed: ' + error.message);
+  }
+};
+
+/**
+ * Verifies an EIP-191 (personal_sign) signature by recovering the signer address
+ * @param {string} message - Message text or hex encoded bytes
+ * @param {string} signature - Signature (65 bytes hex)
+ * @param {string} address - Expected signer address
+ * @param {string} encoding - utf8 | hex
+ * @returns {Object} - Verification result
+ */
+const verifyMessage = (message, signature, address, encoding = 'utf8') => {
+  const signableMessage = toSignableMessage(message, encoding);
+
+  let recoveredAddress;
+  try {
+    recoveredAddress = ethers.verifyMessage(signableMessage, signature);
+  } catch (error) {
+    throw createHttpError(400, 'Signature could not be verified: ' + (error.shortMessage || error.message));
+  }
+
+  return {
+    valid: recoveredAddress === ethers.getAddress(address),
+    recoveredAddress,
+    expectedAddress: ethers.getAddress(address),
+    messageHash: ethers.hashMessage(signableMessage)
+  };
+};
+
+/**
+ * Returns the struct name of a (possibly array) EIP-712 type
+ * @param {string} type - Field type, e.g. Person[] or uint256
+ * @returns {string} - Base type name
+ * @private
+ */
+const getBaseType = (type) => type.replace(/(\[\d*\])+$/, '');
+
+/**
+ * Validates typed data structure and reduces types to those used by the primary type
+ * @param {Object} domain - EIP-712 domain
+ * @param {Object} types - EIP-712 types (EIP712Domain is optional)
+ * @param {Object} message - Message value
+ * @param {string} primaryType - Primary type (inferred if omitted)
+ * @returns {Object} - { types, primaryType, encoder }
+ * @private
+ */
+const prepareTypedData = (domain, types, message, primaryType) => {
+  const { EIP712Domain: domainType, ...structTypes } = types;
+
+  // EIP712Domain is derived from the domain, but a provided one must match it
+  if (domainType) {
+    const declared = domainType.map(field => `${field.name}:${field.type}`).sort();
+    const expected = Object.keys(domain).map(name => `${name}:${EIP712_DOMAIN_FIELDS[name]}`).sort();
+    if (declared.join(',') !== expected.join(',')) {
+      throw createHttpError(400, 'EIP712Domain type does not match the domain fields');
+    }
+  }
+
+  if (primaryType) {
+    if (!structTypes[primaryType]) {
+      throw createHttpError(400, `Primary type ${primaryType} is not defined in types`);
+    }
+
+    // Keep only the types reachable from the primary type
+    const usedTypes = {};
+    const pending = [primaryType];
+    while (pending.length) {
+      const name = pending.pop();
+      if (usedTypes[name]) continue;
+      usedTypes[name] = structTypes[name];
+      usedTypes[name].forEach(field => {
+        const baseType = getBaseType(field.type);
+        if (structTypes[baseType] && !usedTypes[baseType]) {
+          pending.push(baseType);
+        }
+      });
+    }
+    Object.keys(structTypes).forEach(name => {
+      if (!usedTypes[name]) delete structTypes[name];
+    });
+  }
+
+  try {
+    const encoder = ethers.TypedDataEncoder.from(structTypes);
+    // Validates domain and message values against the types
+    ethers.TypedDataEncoder.getPayload(domain, structTypes, message);
+
+    return { types: structTypes, primaryType: encoder.primaryType, encoder };
+  } catch (error) {
+    throw createHttpError(400, 'Invalid typed data: ' + (error.shortMessage || error.message));
+  }
+};
+
+/**
+ * Flattens a typed data value into readable field rows
+ * @param {Object} types - EIP-712 types
+ * @param {string} type - Type of the value
+ * @param {*} value - Value
+ * @param {string} path - Field path
+ * @param {Array<Object>} rows - Output rows
+ * @returns {Array<Object>} - [{ path, type, value }]
+ * @private
+ */
+const flattenTypedValue = (types, type, value, path, rows = []) => {
+  const arrayMatch = type.match(/^(.*)\[\d*\]$/);
+
+  if (arrayMatch) {
+    value.forEach((item, index) => flattenTypedValue(types, arrayMatch[1], item, `${path}[${index}]`, rows));
+  } else if (types[type]) {
+    types[type].forEach(field => {
+      flattenTypedValue(types, field.type, value[field.name], path ? `${path}.${field.name}` : field.name, rows);
+    });
+  } else {
+    rows.push({ path, type, value: typeof value === 'bigint' ? value.toString() : value });
+  }
+
+  return rows;
+};
+
+/**
+ * Builds a human-readable preview of what is being signed
+ * @param {Object} domain - EIP-712 domain
+ * @param {Object} types - EIP-712 types (without EIP712Domain)
+ * @param {string} primaryType - Primary type
+ * @param {Object} message - Message value
+ * @returns {Object} - Preview with hashes and flattened fields
+ * @private
+ */
+const buildTypedDataPreview = (domain, types, primaryType, message) => {
+  const warnings = [];
+  if (domain.chainId === undefined) {
+    warnings.push('Domain has no chainId, the signature can be replayed on other chains');
+  }
+  if (!domain.verifyingContract) {
+    warnings.push('Domain has no verifyingContract');
+  }
+
+  return {
+    primaryType,
+    domain: {
+      name: domain.name || null,
+      version: domain.version || null,
+      chainId: domain.chainId !== undefined ? Number(domain.chainId) : null,
+      verifyingContract: domain.verifyingContract || null
+    },
+    fields: flattenTypedValue(types, primaryType, message, ''),
+    domainSeparator: ethers.TypedDataEncoder.hashDomain(domain),
+    structHash: ethers.TypedDataEncoder.hashStruct(primaryType, types, message),
+    digest: ethers.TypedDataEncoder.hash(domain, types, message),
+    warnings
+  };
+};
+
+/**
+ * Signs EIP-712 typed data (eth_signTypedData_v4)
+ * @param {string|Object} signerRef - Encrypted private key or signer reference ({ walletId })
+ * @param {Object} typedData - { domain, types, message, primaryType }
+ * @param {string} network - Network name (domain chainId must match)
+ * @param {string} networkType - Network type
+ * @returns {Promise<Object>} - Signature information with digest preview
+ */
+const signTypedData = async (
+  signerRef,
+  { domain, types, message, primaryType },
+  network = DEFAULT_NETWORK,
+  networkType = DEFAULT_NETWORK_TYPE
+) => {
+  const prepared = prepareTypedData(domain, types, message, primaryType);
+  const networkInfo = getNetworkInfo(network, networkType);
+
+  if (domain.chainId !== undefined && BigInt(domain.chainId) !== BigInt(networkInfo.chainId)) {
+    throw createHttpError(400, `Domain chainId ${domain.chainId} does not match ${networkInfo.name} (${networkType}) chainId ${networkInfo.chainId}`);
+  }
+
+  try {
+    const signer = await getSigner(signerRef, network, networkType);
+    const address = await signer.getAddress();
+
+    const signature = await signer.signTypedData(domain, prepared.types, message);
+    const { r, s, v } = ethers.Signature.from(signature);
+
+    return {
+      address,
+      network: networkInfo.name,
+      chainId: networkInfo.chainId,
+      preview: buildTypedDataPreview(domain, prepared.types, prepared.primaryType, message),
+      signature,
+      r,
+      s,
+      v
+    };
+  } catch (error) {
+    if (error.statusCode) {
+      throw error;
+    }
+    console.error('Typed data signing error:', error.message);
+    throw new Error('Typed data could not be signed: ' + error.message);
+  }
+};
+
+/**
+ * Verifies an EIP-712 signature by recovering the signer address
+ * @param {Object} typedData - { domain, types, message, primaryType }
+ * @param {string} signature - Signature (65 bytes hex)
+ * @param {string} address - Expected signer address
+ * @returns {Object} - Verification result with digest preview
+ */
+const verifyTypedData = ({ domain, types, message, primaryType }, signature, address) => {
+  const prepared = prepareTypedData(domain, types, message, primaryType);
+
+  let recoveredAddress;
+  try {
+    recoveredAddress = ethers.verifyTypedData(domain, prepared.types, message, signature);
+  } catch (error) {
+    throw createHttpError(400, 'Signature could not be verified: ' + (error.shortMessage || error.message));
+  }
+
+  return {
+    valid: recoveredAddress === ethers.getAddress(address),
+    recoveredAddress,
+    expectedAddress: ethers.getAddress(address),
+    preview: buildTypedDataPreview(domain, prepared.types, prepared.primaryType, message)
+  };
+};
+
+module.exports = {
+  signMessage,
+  verifyMessage,
+  signTypedData,
+  verifyTypedData
+};
@@ -0,0 +1,198 @@
+const { ethers } = require('ethers');
+const { getProvider, getNetworkInfo, DEFAULT_NETWORK, DEFAULT_NETWORK_TYPE } = require('../utils/network');
+const { createHttpError } = require('../utils/errors');
+const { STANDARD_ABIS } = require('../utils/abi');
+const {
+  ERC20_STORAGE_LAYOUTS,
+  getBalanceSlot,
+  getAllowanceSlot,
+  toStorageValue
+} = require('../utils/storage-slots');
+
+// Generic mapping slots tried after the known layouts (Solidity and Vyper, slots 0..N)
+const MAX_SCANNED_SLOT = 20n;
+
+// Marker written to candidate slots while detecting a layout
+const MARKER_VALUE = 0x5ca1ab1e5ca1ab1e5ca1ab1en;
+
+// Detected layouts never change, cached by chainId:token:kind
+const slotCache = new Map();
+
+const erc20Interface = new ethers.Interface(STANDARD_ABIS.ERC20);
+
+/**
+ * Candidate base slots for a mapping kind: known layouts first, then generic slots
+ * @param {string} kind - balance or allowance
+ * @returns {Array<Object>} - { layout, language, baseSlot }
+ * @private
+ */
+const getCandidates = (kind) => {
+  const candidates = ERC20_STORAGE_LAYOUTS.map(layout => ({
+    layout: layout.name,
+    language: layout.language,
+    baseSlot: kind === 'balance' ? layout.balanceSlot : layout.allowanceSlot
+  }));
+
+  ['solidity', 'vyper'].forEach(language => {
+    for (let slot = 0n; slot <= MAX_SCANNED_SLOT; slot += 1n) {
+      if (!candidates.some(candidate => candidate.language === language && candidate.baseSlot === slot)) {
+        candidates.push({ layout: `${language}-slot-${slot}`, language, baseSlot: slot });
+      }
+    }
+  });
+
+  return candidates;
+};
+
+/**
+ * Storage slot of a balance or allowance entry for a candidate layout
+ * @private
+ */
+const getEntrySlot = (kind, candidate, owner, spender) => (kind === 'balance'
+  ? getBalanceSlot(owner, candidate.baseSlot, candidate.language)
+  : getAllowanceSlot(owner, spender, candidate.baseSlot, candidate.language));
+
+/**
+ * Detects the storage layout of an ERC-20 balance or allowance mapping
+ * Each candidate slot is overridden with a marker value; the layout whose balanceOf / allowance returns it wins.
+ * Candidates are sent together (JSON-RPC batch).
+ * @param {string} tokenAddress - Token contract address
+ * @param {string} kind - balance or allowance
+ * @param {string} network - Network name
+ * @param {string} networkType - Network type
+ * @returns {Promise<Object|null>} - { layout, language, baseSlot } or null when not detected
+ */
+const detectTokenLayout = async (tokenAddress, kind, network = DEFAULT_NETWORK, networkType = DEFAULT_NETWORK_TYPE) => {
+  const token = ethers.getAddress(tokenAddress);
+  const key = `${getNetworkInfo(network, networkType).chainId}:${token.toLowerCase()}:${kind}`;
+  if (slotCache.has(key)) {
+    return slotCache.get(key);
+  }
+
+  const provider = getProvider(network, networkType);
+  const owner = ethers.Wallet.createRandom().address;
+  const spender = ethers.Wallet.createRandom().address;
+  const data = kind === 'balance'
+    ? erc20Interface.encodeFunctionData('balanceOf', [owner])
+    : erc20Interface.encodeFunctionData('allowance', [owner, spender]);
+
+  const candidates = getCandidates(kind);
+  const results = await Promise.all(candidates.map(async candidate => {
+    try {
+      const result = await provider.send('eth_call', [
+        { to: token, data },
+        'latest',
+        { [token]: { stateDiff: { [getEntrySlot(kind, candidate, owner, spender)]: toStorageValue(MARKER_VALUE) } } }
+      ]);
+      return ethers.dataLength(result) >= 32 && ethers.toBigInt(ethers.dataSlice(result, 0, 32)) === MARKER_VALUE;
+    } catch (error) {
+      return false;
+    }
+  }));
+
+  const index = results.indexOf(true);
+  const layout = index === -1 ? null : candidates[index];
+  // Only successful detections are cached (a failure may be a node error)
+  if (layout) {
+    slotCache.set(key, layout);
+  }
+  return layout;
+};
+
+/**
+ * Storage slots of an ERC-20 token for a holder (and spender)
+ * @param {string} tokenAddress - Token contract address
+ * @param {Object} params - { holder, spender }
+ * @param {string} network - Network name
+ * @param {string} networkType - Network type
+ * @returns {Promise<Object>} - { token, balance, allowance } (null when the layout is not detected)
+ */
+const getTokenStorageSlots = async (tokenAddress, { holder, spender }, network = DEFAULT_NETWORK, networkType = DEFAULT_NETWORK_TYPE) => {
+  const [balanceLayout, allowanceLayout] = await Promise.all([
+    detectTokenLayout(tokenAddress, 'balance', network, networkType),
+    spender ? detectTokenLayout(tokenAddress, 'allowance', network, networkType) : null
+  ]);
+
+  const format = (kind, layout) => layout && {
+    layout: layout.layout,
+    language: layout.language,
+    baseSlot: ethers.toBeHex(layout.baseSlot, 32),
+    slot: getEntrySlot(kind, layout, holder, spender)
+  };
+
+  return {
+    token: ethers.getAddress(tokenAddress),
+    holder,
+    balance: format('balance', balanceLayout),
+    ...(spender ? { spender, allowance: format('allowance', allowanceLayout) } : {})
+  };
+};
+
+/**
+ * Normalizes a storage map ({ slot: value }) to 32-byte hex keys and values
+ * @private
+ */
+const normalizeStorage = (storage) => Object.fromEntries(Object.entries(storage)
+  .map(([slot, value]) => [toStorageValue(slot), toStorageValue(value)]));
+
+/**
+ * Writes a storage slot into an override set (into "state" when the account's storage is replaced)
+ * @private
+ */
+const setStorageSlot = (override, address, slot, value) => {
+  const entry = override[address] || (override[address] = {});
+  const storage = entry.state || entry.stateDiff || (entry.stateDiff = {});
+  storage[slot] = value;
+};
+
+/**
+ * Builds the eth_call state override set of a simulation
+ * @param {Object} params - { stateOverrides, tokenBalances, tokenAllowances }
+ *   stateOverrides: { address: { balance (wei), nonce, code, state | stateDiff ({ slot: value }) } }
+ *   tokenBalances: [{ token, holder, amount }], tokenAllowances: [{ token, owner, spender, amount }] (raw token units)
+ * @param {string} network - Network name
+ * @param {string} networkType - Network type
+ * @returns {Promise<Object|null>} - State override set (JSON-RPC format), null when nothing is overridden
+ */
+const buildStateOverride = async (
+  { stateOverrides = {}, tokenBalances = [], tokenAllowances = [] } = {},
+  network = DEFAULT_NETWORK,
+  networkType = DEFAULT_NETWORK_TYPE
+) => {
+  if (Object.keys(stateOverrides).length === 0 && tokenBalances.length === 0 && tokenAllowances.length === 0) {
+    return null;
+  }
+
+  const override = {};
+  Object.entries(stateOverrides).forEach(([address, account]) => {
+    const entry = {};
+    if (account.balance !== undefined) entry.balance = ethers.toQuantity(BigInt(account.balance));
+    if (account.nonce !== undefined) entry.nonce = ethers.toQuantity(account.nonce);
+    if (account.code !== undefined) entry.code = account.code;
+    if (account.state) entry.state = normalizeStorage(account.state);
+    if (account.stateDiff) entry.stateDiff = normalizeStorage(account.stateDiff);
+    override[ethers.getAddress(address)] = entry;
+  });
+
+  const entries = [
+    ...tokenBalances.map(item => ({ ...item, kind: 'balance', owner: item.holder })),
+    ...tokenAllowances.map(item => ({ ...item, kind: 'allowance' }))
+  ];
+
+  for (const item of entries) {
+    const token = ethers.getAddress(item.token);
+    const layout = await detectTokenLayout(token, item.kind, network, networkType);
+    if (!layout) {
+      throw createHttpError(400, `The ${item.kind} storage slot of ${token} could not be detected, use stateOverrides`);
+    }
+    setStorageSlot(override, token, getEntrySlot(item.kind, layout, item.owner, item.spender), toStorageValue(item.amount));
+  }
+
+  return override;
+};
+
+module.exports = {
+  detectTokenLayout,
+  getTokenStorageSlots,
+  buildStateOverride
+};
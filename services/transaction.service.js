@@ -1,75 +1,62 @@
 const { ethers } = require('ethers');
-const { getProvider, DEFAULT_NETWORK, DEFAULT_NETWORK_TYPE } = require('../utils/network');
+const { getProvider, getNetworkInfo, DEFAULT_NETWORK, DEFAULT_NETWORK_TYPE } = require('../utils/network');
+const { createHttpError } = require('../utils/errors');
+const { simulateTransaction, toRpcTransaction } = require('../utils/transaction');
+const { STANDARD_ABIS, MULTICALL3_ADDRESS, WRAPPED_NATIVE_ADDRESSES } = require('../utils/abi');
+const abiService = require('./abi.service');
+
+// Token metadata (symbol, decimals) never changes, cached by chainId:address
+const tokenMetadataCache = new Map();
 
 /**
- * Simulates transaction
- * @param {Object} txParams - Transaction parameters
- * @param {string} network - Network name
- * @param {string} networkType - Network type
- * @returns {Promise<Object>} - Simulation result
+ * Balance probe, installed as the sender's code with an eth_call state override
+ * Forwards the transaction (msg.sender and tx.origin stay the sender), then reads balances through Multicall3.
+ * Calldata: target (32) | value (32) | data length (32) | query length (32) | data | query (Multicall3 aggregate3)
+ * Calls into the sender from contracts (onERC721Received etc.) are answered with their own selector.
  */
-const simulateTransaction = async (txParams, network = DEFAULT_NETWORK, networkType = DEFAULT_NETWORK_TYPE) => {
-  try {
-    const provider = getProvider(network, networkType);
-    
-    // Estimate gas
-    const gasEstimate = await provider.estimateGas(txParams);
-    
-    // Get call result (static call - throws error on revert)
-    let callResult = null;
-    let success = true;
-    let errorMessage = null;
-    
-    try {
-      callResult = await provider.call(txParams);
-    } catch (error) {
-      success = false;
-      errorMessage = error.message;
-    }
-    
-    // Get current gas prices
-    const feeData = await provider.getFeeData();
-    
-    return {
-      success,
-      gasEstimate: gasEstimate.toString(),
-      callResult,
-      errorMessage,
-      gasInfo: {
-        gasPrice: feeData.gasPrice ? feeData.gasPrice.toString() : null,
-        maxFeePerGas: feeData.maxFeePerGas ? feeData.maxFeePerGas.toString() : null,
-        maxPriorityFeePerGas: feeData.maxPriorityFeePerGas ? feeData.maxPriorityFeePerGas.toString() : null,
-        baseFee: feeData.lastBaseFeePerGas ? feeData.lastBaseFeePerGas.toString() : null
-      }
-    };
-  } catch (error) {
-    throw new Error(`Transaction simulation failed: ${error.message}`);
-  }
-};
+const BALANCE_PROBE_CODE = '0x'
+  + '3332146100185760003560e01c60e01b60005260206000f3' // caller != origin: return the callback selector
+  + '5b60403560806000376000600060403560006020356000355af1' // call(target, value, data)
+  + '610040573d600060003e3d6000fd' // revert with the revert data of the call
+  + '5b606035604035608001600037600060006060356000' // copy the query
+  + '73' + MULTICALL3_ADDRESS.slice(2).toLowerCase() + '5afa' // staticcall(Multicall3, query)
+  + '61007b573d600060003e3d6000fd'
+  + '5b3d600060003e3d6000f3'; // return the aggregate3 result
+
+const multicallInterface = new ethers.Interface(STANDARD_ABIS.Multicall3);
+const erc20Interface = new ethers.Interface(STANDARD_ABIS.ERC20);
+const erc1155Interface = new ethers.Interface(STANDARD_ABIS.ERC1155);
 
 /**
  * Prepares decoded transaction data for EVM-based transactions
+ * Without an ABI the ABI registry (chainId + contract address) and the selector database are used (best effort)
  * @param {Object} txParams - Transaction parameters
- * @param {Object} contractInfo - Contract information (ABI, address etc.)
+ * @param {Object} contractInfo - Contract information (abi, address, chainId), all optional
  * @returns {Object} - Decoded transaction data
  */
-const decodeTransactionData = (txParams, contractInfo) => {
+const decodeTransactionData = (txParams, contractInfo = {}) => {
   try {
     if (!txParams.data || txParams.data === '0x') {
       return { type: 'transfer', decoded: null };
     }
-    
-    const iface = new ethers.Interface(contractInfo.abi);
-    const decoded = iface.parseTransaction({ data: txParams.data, value: txParams.value });
-    
+
+    const decoded = abiService.decodeFunctionData(txParams.data, {
+      abi: contractInfo.abi,
+      chainId: contractInfo.chainId,
+      address: contractInfo.address || txParams.to
+    });
+
+    if (!decoded) {
+      return {
+        type: 'unknown',
+        selector: txParams.data.slice(0, 10),
+        data: txParams.data
+      };
+    }
+
     return {
       type: 'contract_interaction',
-      decoded: {
-        name: decoded.name,
-        signature: decoded.signature,
-        args: decoded.args,
-        functionFragment: decoded.functionFragment
-      }
+      decoded
     };
   } catch (error) {
     return { 
@@ -80,7 +67,542 @@ const decodeTransactionData = (txParams, contractInfo) => {
   }
 };
 
+/**
+ * Reads ERC-20 symbol and decimals (null when the contract does not implement them)
+ * @param {string} tokenAddress - Token contract address
+ * @param {ethers.Provider} provider - Network provider
+ * @param {number} chainId - Chain ID
+ * @returns {Promise<Object>} - { symbol, decimals }
+ * @private
+ */
+const getTokenMetadata = async (tokenAddress, provider, chainId) => {
+  const key = `${chainId}:${tokenAddress.toLowerCase()}`;
+  if (!tokenMetadataCache.has(key)) {
+    const token = new ethers.Contract(tokenAddress, STANDARD_ABIS.ERC20, provider);
+    const [symbol, decimals] = await Promise.all([
+      token.symbol().catch(() => null),
+      token.decimals().then(Number).catch(() => null)
+    ]);
+    tokenMetadataCache.set(key, { symbol, decimals });
+  }
+  return tokenMetadataCache.get(key);
+};
+
+/**
+ * Shortens an address for summaries (0x1234…abcd)
+ * @private
+ */
+const shortAddress = (address) => `${address.slice(0, 6)}…${address.slice(-4)}`;
+
+/**
+ * Extracts token movements and approvals from decoded logs
+ * @param {Array<Object>} logs - Decoded logs ({ address, decoded })
+ * @param {number} chainId - Chain ID (wrapped native token deposits and withdrawals)
+ * @returns {Object} - { movements, approvals }
+ * @private
+ */
+const extractTokenActivity = (logs, chainId) => {
+  const wrappedNative = (WRAPPED_NATIVE_ADDRESSES[chainId] || '').toLowerCase();
+  const movements = [];
+  const approvals = [];
+
+  logs.forEach(({ address, decoded, logIndex }) => {
+    if (!decoded) return;
+    const values = decoded.args.map(arg => arg.value);
+    const indexedCount = decoded.indexedCount;
+
+    switch (decoded.signature) {
+      case 'Transfer(address,address,uint256)':
+        if (indexedCount === 3) {
+          movements.push({ logIndex, standard: 'ERC721', token: address, from: values[0], to: values[1], tokenId: values[2].toString(), amount: '1' });
+        } else {
+          movements.push({ logIndex, standard: 'ERC20', token: address, from: values[0], to: values[1], amount: values[2].toString() });
+        }
+        break;
+      case 'TransferSingle(address,address,address,uint256,uint256)':
+        movements.push({ logIndex, standard: 'ERC1155', token: address, operator: values[0], from: values[1], to: values[2], tokenId: values[3].toString(), amount: values[4].toString() });
+        break;
+      case 'TransferBatch(address,address,address,uint256[],uint256[])':
+        values[3].forEach((tokenId, index) => {
+          movements.push({ logIndex, standard: 'ERC1155', token: address, operator: values[0], from: values[1], to: values[2], tokenId: tokenId.toString(), amount: values[4][index].toString() });
+        });
+        break;
+      // Wrapped native token: deposit mints, withdrawal burns
+      case 'Deposit(address,uint256)':
+        if (address.toLowerCase() !== wrappedNative) break;
+        movements.push({ logIndex, standard: 'ERC20', token: address, from: ethers.ZeroAddress, to: values[0], amount: values[1].toString() });
+        break;
+      case 'Withdrawal(address,uint256)':
+        if (address.toLowerCase() !== wrappedNative) break;
+        movements.push({ logIndex, standard: 'ERC20', token: address, from: values[0], to: ethers.ZeroAddress, amount: values[1].toString() });
+        break;
+      case 'Approval(address,address,uint256)':
+        approvals.push(indexedCount === 3
+          ? { logIndex, standard: 'ERC721', token: address, owner: values[0], spender: values[1], tokenId: values[2].toString() }
+          : { logIndex, standard: 'ERC20', token: address, owner: values[0], spender: values[1], amount: values[2].toString() });
+        break;
+      case 'ApprovalForAll(address,address,bool)':
+        approvals.push({ logIndex, standard: 'ERC721/ERC1155', token: address, owner: values[0], spender: values[1], approved: values[2] });
+        break;
+      default:
+        break;
+    }
+  });
+
+  return { movements, approvals };
+};
+
+/**
+ * Describes a token movement in one sentence
+ * @private
+ */
+const describeMovement = (movement, nativeSymbol) => {
+  if (movement.standard === 'native') {
+    return `${shortAddress(movement.from)} sent ${movement.formattedAmount} ${nativeSymbol} to ${shortAddress(movement.to)}`;
+  }
+
+  const asset = movement.standard === 'ERC20'
+    ? `${movement.formattedAmount || movement.amount} ${movement.symbol || shortAddress(movement.token)}`
+    : `${movement.standard === 'ERC1155' ? movement.amount + ' x ' : ''}${movement.symbol || shortAddress(movement.token)} #${movement.tokenId}`;
+
+  if (movement.from === ethers.ZeroAddress) {
+    return `${asset} minted to ${shortAddress(movement.to)}`;
+  }
+  if (movement.to === ethers.ZeroAddress) {
+    return `${asset} burned from ${shortAddress(movement.from)}`;
+  }
+  return `${shortAddress(movement.from)} sent ${asset} to ${shortAddress(movement.to)}`;
+};
+
+/**
+ * Adds token symbols, decimals, formatted amounts and descriptions to movements and approvals
+ * @private
+ */
+const describeTokenActivity = async (movements, approvals, provider, chainId, nativeSymbol) => {
+  await Promise.all([...movements, ...approvals]
+    .filter(item => item.token)
+    .map(async item => {
+      const metadata = await getTokenMetadata(item.token, provider, chainId);
+      item.symbol = metadata.symbol;
+      if (item.standard === 'ERC20' && metadata.decimals !== null) {
+        item.decimals = metadata.decimals;
+        item.formattedAmount = ethers.formatUnits(item.amount, metadata.decimals);
+      }
+    }));
+
+  movements.forEach(movement => {
+    movement.description = describeMovement(movement, nativeSymbol);
+  });
+};
+
+/**
+ * Decodes a mined or pending transaction: function call, every log and token movements
+ * Logs are decoded with the ABI registry and the topic database (best effort);
+ * native transfers made by contracts (internal transactions) are not visible in logs
+ * @param {string} hash - Transaction hash
+ * @param {string} network - Network name
+ * @param {string} networkType - Network type
+ * @returns {Promise<Object>} - Decoded transaction
+ */
+const decodeTransaction = async (hash, network = DEFAULT_NETWORK, networkType = DEFAULT_NETWORK_TYPE) => {
+  const provider = getProvider(network, networkType);
+  const networkInfo = getNetworkInfo(network, networkType);
+  const chainId = networkInfo.chainId;
+
+  const tx = await provider.getTransaction(hash);
+  if (!tx) {
+    throw createHttpError(404, `Transaction not found: ${hash}`);
+  }
+  const receipt = await provider.getTransactionReceipt(hash);
+
+  const call = decodeTransactionData({ to: tx.to, data: tx.data, value: tx.value }, { chainId });
+
+  const logs = (receipt ? receipt.logs : []).map(log => {
+    const decoded = abiService.decodeLog(log, { chainId });
+    return {
+      logIndex: log.index,
+      address: log.address,
+      decoded: decoded ? { ...decoded, indexedCount: log.topics.length - 1 } : null,
+      ...(decoded ? {} : { topics: log.topics, data: log.data })
+    };
+  });
+
+  const { movements, approvals } = extractTokenActivity(logs, chainId);
+
+  // Only a successful transaction moves its value
+  if (tx.value > 0n && (!receipt || receipt.status === 1)) {
+    movements.unshift({
+      logIndex: null,
+      standard: 'native',
+      token: null,
+      from: tx.from,
+      to: tx.to,
+      amount: tx.value.toString(),
+      formattedAmount: ethers.formatEther(tx.value)
+    });
+  }
+
+  await describeTokenActivity(movements, approvals, provider, chainId, networkInfo.nativeCurrency.symbol);
+
+  let status = 'pending';
+  if (receipt) {
+    status = receipt.status === 1 ? 'success' : 'reverted';
+  }
+
+  return {
+    hash: tx.hash,
+    status,
+    from: tx.from,
+    to: tx.to,
+    value: tx.value.toString(),
+    nonce: tx.nonce,
+    blockNumber: receipt ? receipt.blockNumber : null,
+    gasUsed: receipt ? receipt.gasUsed.toString() : null,
+    fee: receipt ? ethers.formatEther(receipt.gasUsed * receipt.gasPrice) : null,
+    call,
+    logs: logs.map(({ decoded, ...log }) => ({
+      ...log,
+      decoded: decoded ? { name: decoded.name, signature: decoded.signature, args: decoded.args, source: decoded.source } : null
+    })),
+    tokenMovements: movements,
+    approvals,
+    summary: movements.map(movement => movement.description),
+    network: networkInfo.name,
+    chainId
+  };
+};
+
+/**
+ * Traces a call with the callTracer (debug_traceCall) and collects native transfers and logs
+ * Reverted frames move nothing and their logs are dropped. Gas prices are left out, so balances only pay the value.
+ * @returns {Promise<Object>} - { nativeTransfers, logs }
+ * @private
+ */
+const traceCall = async (provider, { from, to, value, data, gasLimit }, stateOverride) => {
+  const trace = await provider.send('debug_traceCall', [
+    toRpcTransaction({ from, to, value, data, gasLimit }),
+    'latest',
+    {
+      tracer: 'callTracer',
+      tracerConfig: { withLog: true },
+      ...(stateOverride ? { stateOverrides: stateOverride } : {})
+    }
+  ]);
+
+  const nativeTransfers = [];
+  const logs = [];
+  const walk = (frame) => {
+    if (frame.error) return;
+    const value = frame.value ? BigInt(frame.value) : 0n;
+    if (value > 0n && frame.type !== 'DELEGATECALL' && frame.type !== 'STATICCALL') {
+      nativeTransfers.push({ from: ethers.getAddress(frame.from), to: ethers.getAddress(frame.to), amount: value });
+    }
+    // "position" is the number of subcalls made before the log
+    const calls = frame.calls || [];
+    const frameLogs = frame.logs || [];
+    for (let index = 0; index <= calls.length; index += 1) {
+      frameLogs
+        .filter(log => (log.position !== undefined ? Number(log.position) : calls.length) === index)
+        .forEach(log => logs.push({ address: ethers.getAddress(log.address), topics: log.topics, data: log.data }));
+      if (index < calls.length) walk(calls[index]);
+    }
+  };
+  walk(trace);
+
+  return { nativeTransfers, logs };
+};
+
+/**
+ * Builds the balance queries of the probe: native balances, token balances (ERC-20 amount / ERC-721 count)
+ * and ERC-1155 balances of the given token IDs
+ * @private
+ */
+const buildBalanceQueries = (accounts, tokens, erc1155) => {
+  const queries = [];
+  accounts.forEach(account => {
+    queries.push({ account, standard: 'native', token: null, target: MULTICALL3_ADDRESS, callData: multicallInterface.encodeFunctionData('getEthBalance', [account]) });
+    tokens.forEach(token => {
+      queries.push({ account, standard: 'token', token, target: token, callData: erc20Interface.encodeFunctionData('balanceOf', [account]) });
+    });
+    if (erc1155) {
+      erc1155.tokenIds.forEach(tokenId => {
+        queries.push({ account, standard: 'ERC1155', token: erc1155.token, tokenId, target: erc1155.token, callData: erc1155Interface.encodeFunctionData('balanceOf', [account, tokenId]) });
+      });
+    }
+  });
+  return queries;
+};
+
+/**
+ * Decodes an aggregate3 result into balances (null when a query failed)
+ * @private
+ */
+const decodeBalances = (returnData) => multicallInterface.decodeFunctionResult('aggregate3', returnData)[0]
+  .map(([success, data]) => (success && ethers.dataLength(data) >= 32 ? ethers.toBigInt(ethers.dataSlice(data, 0, 32)) : null));
+
+/**
+ * Reads balances before and after the transaction with eth_call
+ * The "after" call runs the balance probe at the sender address (state override)
+ * @returns {Promise<Array<Object>>} - Queries with before and after balances
+ * @private
+ */
+const probeBalances = async (provider, txParams, queries, stateOverride) => {
+  const query = multicallInterface.encodeFunctionData('aggregate3', [
+    queries.map(({ target, callData }) => ({ target, allowFailure: true, callData }))
+  ]);
+  const data = txParams.data || '0x';
+  const probeData = ethers.concat([
+    ethers.AbiCoder.defaultAbiCoder().encode(
+      ['address', 'uint256', 'uint256', 'uint256'],
+      [txParams.to, txParams.value || 0n, ethers.dataLength(data), ethers.dataLength(query)]
+    ),
+    data,
+    query
+  ]);
+
+  // The probe replaces the sender's code; other overrides of the sender (balance, storage) are kept
+  const sender = ethers.getAddress(txParams.from);
+  const probeOverride = {
+    ...stateOverride,
+    [sender]: { ...(stateOverride && stateOverride[sender]), code: BALANCE_PROBE_CODE }
+  };
+
+  const before = await provider.send('eth_call', stateOverride
+    ? [{ to: MULTICALL3_ADDRESS, data: query }, 'latest', stateOverride]
+    : [{ to: MULTICALL3_ADDRESS, data: query }, 'latest']);
+  const after = await provider.send('eth_call', [
+    { from: sender, to: sender, data: probeData },
+    'latest',
+    probeOverride
+  ]);
+
+  const beforeBalances = decodeBalances(before);
+  const afterBalances = decodeBalances(after);
+  return queries.map((item, index) => ({ ...item, before: beforeBalances[index], after: afterBalances[index] }));
+};
+
+/**
+ * Token events a standard token call emits (ERC-20, ERC-721, ERC-1155), in decoded log form
+ * @param {Object} call - Decoded call (decodeTransactionData)
+ * @param {Object} txParams - Transaction parameters
+ * @param {boolean} isNft - The called contract is an NFT (no decimals)
+ * @returns {Array<Object>} - Decoded logs for extractTokenActivity
+ * @private
+ */
+const expectedLogsFromCall = (call, txParams, isNft) => {
+  if (call.type !== 'contract_interaction') return [];
+  const values = call.decoded.args.map(arg => arg.value);
+  const log = (signature, indexedCount, args) => ({
+    logIndex: null,
+    address: txParams.to,
+    decoded: { signature, indexedCount, args: args.map(value => ({ value })) }
+  });
+
+  switch (call.decoded.signature) {
+    case 'transfer(address,uint256)':
+      return [log('Transfer(address,address,uint256)', 2, [txParams.from, values[0], values[1]])];
+    case 'transferFrom(address,address,uint256)':
+      return [log('Transfer(address,address,uint256)', isNft ? 3 : 2, values)];
+    case 'safeTransferFrom(address,address,uint256)':
+    case 'safeTransferFrom(address,address,uint256,bytes)':
+      return [log('Transfer(address,address,uint256)', 3, values.slice(0, 3))];
+    case 'safeTransferFrom(address,address,uint256,uint256,bytes)':
+      return [log('TransferSingle(address,address,address,uint256,uint256)', 3, [txParams.from, ...values.slice(0, 4)])];
+    case 'safeBatchTransferFrom(address,address,uint256[],uint256[],bytes)':
+      return [log('TransferBatch(address,address,address,uint256[],uint256[])', 3, [txParams.from, ...values.slice(0, 4)])];
+    case 'approve(address,uint256)':
+      return [log('Approval(address,address,uint256)', isNft ? 3 : 2, [txParams.from, values[0], values[1]])];
+    case 'setApprovalForAll(address,bool)':
+      return [log('ApprovalForAll(address,address,bool)', 2, [txParams.from, values[0], values[1]])];
+    default:
+      return [];
+  }
+};
+
+/**
+ * Sums token movements into balance changes per account and asset
+ * @private
+ */
+const aggregateMovements = (movements) => {
+  const changes = new Map();
+  const apply = (account, movement, delta) => {
+    if (account === ethers.ZeroAddress) return;
+    const key = [account.toLowerCase(), movement.standard, movement.token || '', movement.tokenId || ''].join(':');
+    if (!changes.has(key)) {
+      changes.set(key, { account, standard: movement.standard, token: movement.token, tokenId: movement.tokenId || null, delta: 0n });
+    }
+    changes.get(key).delta += delta;
+  };
+
+  movements.forEach(movement => {
+    apply(movement.from, movement, -BigInt(movement.amount));
+    apply(movement.to, movement, BigInt(movement.amount));
+  });
+
+  return Array.from(changes.values());
+};
+
+/**
+ * Describes a balance change from the sender's point of view
+ * @private
+ */
+const describeChange = (change, nativeSymbol) => {
+  const verb = change.delta < 0n ? 'send' : 'receive';
+  const amount = change.formattedDelta.replace('-', '');
+  const name = change.symbol || shortAddress(change.token || '');
+
+  let asset;
+  if (change.standard === 'native') {
+    asset = `${amount} ${nativeSymbol}`;
+  } else if (change.standard === 'ERC20') {
+    asset = `${amount} ${name}`;
+  } else if (change.tokenId) {
+    asset = `${change.standard === 'ERC1155' ? amount + ' x ' : ''}${name} #${change.tokenId}`;
+  } else {
+    asset = `${amount} ${name} NFT${amount === '1' ? '' : 's'}`;
+  }
+  return `You will ${verb} ${asset}`;
+};
+
+/**
+ * Predicts the native and token balance changes of a transaction before it is sent
+ * Uses debug_traceCall (callTracer with logs) when the node supports it; otherwise balances are read before and
+ * after the call with eth_call (balance probe at the sender address through a state override).
+ * The probe covers the sender, the recipient and the addresses in the calldata, and tokens from the calldata
+ * and options.tokens; it cannot list events, so the events of standard token calls are derived from the calldata.
+ * The transaction fee is not included.
+ * @param {Object} txParams - Transaction parameters ({ from, to, value, data, gasLimit })
+ * @param {string} network - Network name
+ * @param {string} networkType - Network type
+ * @param {Object} options - { tokens, stateOverride } additional token addresses for the probe, eth_call state override set
+ * @returns {Promise<Object>} - { method (trace, probe), balanceChanges, tokenMovements, approvals, summary }
+ */
+const simulateAssetChanges = async (txParams, network = DEFAULT_NETWORK, networkType = DEFAULT_NETWORK_TYPE, { tokens = [], stateOverride = null } = {}) => {
+  const provider = getProvider(network, networkType);
+  const networkInfo = getNetworkInfo(network, networkType);
+  const chainId = networkInfo.chainId;
+  const nativeSymbol = networkInfo.nativeCurrency.symbol;
+  const value = txParams.value ? BigInt(txParams.value) : 0n;
+
+  let method;
+  let movements;
+  let approvals;
+  let changes;
+  let traceError = null;
+
+  try {
+    const { nativeTransfers, logs } = await traceCall(provider, txParams, stateOverride);
+    const decodedLogs = logs.map((log, index) => {
+      const decoded = abiService.decodeLog(log, { chainId });
+      return { logIndex: index, address: log.address, decoded: decoded ? { ...decoded, indexedCount: log.topics.length - 1 } : null };
+    });
+
+    method = 'trace';
+    ({ movements, approvals } = extractTokenActivity(decodedLogs, chainId));
+    movements.unshift(...nativeTransfers.map(transfer => ({
+      logIndex: null,
+      standard: 'native',
+      token: null,
+      from: transfer.from,
+      to: transfer.to,
+      amount: transfer.amount.toString(),
+      formattedAmount: ethers.formatEther(transfer.amount)
+    })));
+    changes = aggregateMovements(movements);
+  } catch (error) {
+    traceError = error.shortMessage || error.message;
+  }
+
+  if (!method) {
+    const call = decodeTransactionData(txParams, { chainId });
+    const addressArgs = call.type === 'contract_interaction'
+      ? call.decoded.args.filter(arg => arg.type === 'address').map(arg => arg.value)
+      : [];
+    const addressListArgs = call.type === 'contract_interaction'
+      ? call.decoded.args.filter(arg => arg.type === 'address[]').flatMap(arg => arg.value)
+      : [];
+
+    const unique = (list) => Array.from(new Map(list.filter(Boolean).map(address => [address.toLowerCase(), ethers.getAddress(address)])).values());
+    const accounts = unique([txParams.from, txParams.to, ...addressArgs]);
+    const hasData = txParams.data && txParams.data !== '0x';
+    const tokenList = unique([hasData ? txParams.to : null, ...addressArgs, ...addressListArgs, ...tokens])
+      .filter(token => token !== ethers.ZeroAddress);
+
+    let erc1155 = null;
+    const erc1155Signatures = ['safeTransferFrom(address,address,uint256,uint256,bytes)', 'safeBatchTransferFrom(address,address,uint256[],uint256[],bytes)'];
+    if (call.type === 'contract_interaction' && erc1155Signatures.includes(call.decoded.signature)) {
+      const ids = call.decoded.args[2].value;
+      erc1155 = { token: txParams.to, tokenIds: (Array.isArray(ids) ? ids : [ids]).map(id => id.toString()) };
+    }
+
+    // A self-call would run the probe again
+    if (txParams.from.toLowerCase() === (txParams.to || '').toLowerCase()) {
+      return { method: 'probe', balanceChanges: [], tokenMovements: [], approvals: [], summary: [] };
+    }
+
+    let probed;
+    try {
+      probed = await probeBalances(provider, txParams, buildBalanceQueries(accounts, tokenList, erc1155), stateOverride);
+    } catch (error) {
+      return {
+        method: null,
+        error: `Asset changes could not be simulated (debug_traceCall: ${traceError}; eth_call state override: ${error.shortMessage || error.message})`
+      };
+    }
+
+    method = 'probe';
+    changes = probed
+      .filter(item => item.before !== null && item.after !== null && item.after !== item.before)
+      .map(item => ({ account: item.account, standard: item.standard, token: item.token, tokenId: item.tokenId || null, delta: item.after - item.before }));
+
+    // balanceOf(address) is an ERC-20 amount or an ERC-721 count
+    await Promise.all(changes.filter(change => change.standard === 'token').map(async change => {
+      const metadata = await getTokenMetadata(change.token, provider, chainId);
+      change.standard = metadata.decimals === null ? 'ERC721' : 'ERC20';
+    }));
+
+    const isNft = hasData ? (await getTokenMetadata(txParams.to, provider, chainId)).decimals === null : false;
+    ({ movements, approvals } = extractTokenActivity(expectedLogsFromCall(call, txParams, isNft), chainId));
+    if (value > 0n) {
+      movements.unshift({ logIndex: null, standard: 'native', token: null, from: txParams.from, to: txParams.to, amount: value.toString(), formattedAmount: ethers.formatEther(value) });
+    }
+  }
+
+  await describeTokenActivity(movements, approvals, provider, chainId, nativeSymbol);
+
+  const balanceChanges = (await Promise.all(changes.filter(change => change.delta !== 0n).map(async change => {
+    let symbol = nativeSymbol;
+    let formattedDelta = change.delta.toString();
+    if (change.standard === 'native') {
+      formattedDelta = ethers.formatEther(change.delta);
+    } else {
+      const metadata = await getTokenMetadata(change.token, provider, chainId);
+      symbol = metadata.symbol;
+      if (change.standard === 'ERC20' && metadata.decimals !== null) {
+        formattedDelta = ethers.formatUnits(change.delta, metadata.decimals);
+      }
+    }
+    return { ...change, symbol, delta: change.delta.toString(), formattedDelta };
+  })));
+
+  const sender = txParams.from.toLowerCase();
+  const summary = balanceChanges
+    .filter(change => change.account.toLowerCase() === sender)
+    .map(change => describeChange({ ...change, delta: BigInt(change.delta) }, nativeSymbol));
+
+  return {
+    method,
+    balanceChanges,
+    tokenMovements: movements,
+    approvals,
+    summary,
+    ...(traceError ? { traceError } : {})
+  };
+};
+
 module.exports = {
   simulateTransaction,
-  decodeTransactionData
+  decodeTransactionData,
+  decodeTransaction,
+  simulateAssetChanges
 }; 
\ No newline at end of file
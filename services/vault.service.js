@@ -0,0 +1,348 @@
+const crypto = require('crypto');
+const { ethers } = require('ethers');
+const { encrypt, decrypt, reencrypt } = require('../utils/crypto');
+const { getStore } = require('../utils/store');
+const { createHttpError } = require('../utils/errors');
+const { RemoteSigner } = require('../utils/signers');
+const { getKmsBackend } = require('../utils/kms');
+
+// Wallet statuses
+const WALLET_STATUS = {
+  ACTIVE: 'active',
+  ARCHIVED: 'archived'
+};
+
+// Vault store - any object with get/set/delete/values methods can be plugged in
+let vaultStore = getStore('vault');
+
+/**
+ * Replaces the vault storage backend
+ * @param {Object} store - Store implementing get(key), set(key, value), delete(key), values(filterFn)
+ */
+const setVaultStore = (store) => {
+  ['get', 'set', 'delete', 'values'].forEach(method => {
+    if (typeof store[method] !== 'function') {
+      throw new Error(`Vault store must implement ${method}()`);
+    }
+  });
+  vaultStore = store;
+};
+
+/**
+ * Strips secret fields from a stored wallet record
+ * @param {Object} record - Stored wallet record
+ * @returns {Object} - Public wallet information
+ * @private
+ */
+const toPublicWallet = (record) => ({
+  walletId: record.id,
+  address: record.address,
+  label: record.label,
+  status: record.status,
+  source: record.source,
+  signerType: record.signer ? record.signer.type : 'local',
+  owner: record.owner || null,
+  createdAt: record.createdAt,
+  updatedAt: record.updatedAt,
+  archivedAt: record.archivedAt || null
+});
+
+/**
+ * Checks whether a wallet belongs to an owner
+ * A null owner (authentication disabled or internal call) can access every wallet.
+ * @private
+ */
+const isOwnedBy = (record, owner) => !owner || record.owner === owner;
+
+/**
+ * Reads a wallet record of an owner or throws 404 (other owners' wallets are reported as not found)
+ * @param {string} walletId - Vault wallet ID
+ * @param {string|null} owner - Requesting owner (see utils/request getRequestOwner)
+ * @returns {Object} - Stored wallet record
+ * @private
+ */
+const getWalletRecord = (walletId, owner = null) => {
+  const record = vaultStore.get(walletId);
+  if (!record || !isOwnedBy(record, owner)) {
+    throw createHttpError(404, `Vault wallet not found: ${walletId}`);
+  }
+  return record;
+};
+
+/**
+ * Saves a wallet record
+ * @param {Object} record - Wallet record
+ * @private
+ */
+const saveRecord = (record) => {
+  record.updatedAt = new Date().toISOString();
+  vaultStore.set(record.id, record);
+};
+
+/**
+ * Registers a key held by an external signer backend
+ * @param {Object} signer - { type: remote | kms, keyId }
+ * @returns {Promise<Object>} - { address, signer, source }
+ * @private
+ */
+const registerExternalSigner = async ({ type, keyId }) => {
+  try {
+    if (type === 'remote') {
+      // Remote keys always live on REMOTE_SIGNER_URL
+      const key = keyId ? { keyId } : await RemoteSigner.createKey();
+      const address = await new RemoteSigner({ keyId: key.keyId }).getAddress();
+
+      return { address, signer: { type, keyId: key.keyId }, source: 'remote-signer' };
+    }
+
+    const backend = getKmsBackend();
+    const key = keyId ? { keyId, address: await backend.getAddress(keyId) } : await backend.createKey();
+
+    return { address: ethers.getAddress(key.address), signer: { type, keyId: key.keyId }, source: 'kms' };
+  } catch (error) {
+    console.error('Signer registration error:', error.message);
+    throw createHttpError(400, `Wallet could not be stored: ${type} signer key unavailable (${error.message})`);
+  }
+};
+
+/**
+ * Stores a wallet in the vault
+ * Accepts an encrypted private key, a raw private key, an external signer (remote/kms),
+ * or nothing (creates a new local wallet)
+ * @param {Object} params - { encryptedPrivateKey, privateKey, signer, label, owner }
+ * @returns {Promise<Object>} - Stored wallet information (without key)
+ */
+const storeWallet = async ({ encryptedPrivateKey, privateKey, signer, label = null, owner = null } = {}) => {
+  let address;
+  let storedKey = null;
+  let signerConfig = { type: 'local' };
+  let source;
+
+  if (signer && signer.type !== 'local') {
+    ({ address, signer: signerConfig, source } = await registerExternalSigner(signer));
+  } else {
+    try {
+      let wallet;
+      if (encryptedPrivateKey) {
+        // Upgrade to the current encryption key before storing
+        storedKey = reencrypt(encryptedPrivateKey).ciphertext;
+        wallet = new ethers.Wallet(decrypt(storedKey));
+        source = 'encrypted-key';
+      } else if (privateKey) {
+        wallet = new ethers.Wallet(privateKey);
+        storedKey = encrypt(wallet.privateKey);
+        source = 'private-key';
+      } else {
+        wallet = ethers.Wallet.createRandom();
+        storedKey = encrypt(wallet.privateKey);
+        source = 'created';
+      }
+      address = wallet.address;
+    } catch (error) {
+      console.error('Vault store error:', error.message);
+      throw createHttpError(400, 'Wallet could not be stored: Invalid private key');
+    }
+  }
+
+  const now = new Date().toISOString();
+  const record = {
+    id: `wlt_${crypto.randomBytes(12).toString('hex')}`,
+    address,
+    label,
+    encryptedPrivateKey: storedKey,
+    signer: signerConfig,
+    owner,
+    status: WALLET_STATUS.ACTIVE,
+    source,
+    createdAt: now,
+    updatedAt: now,
+    archivedAt: null
+  };
+
+  vaultStore.set(record.id, record);
+
+  return toPublicWallet(record);
+};
+
+/**
+ * Lists vault wallets
+ * @param {Object} filters - { status: active | archived | all, address, owner }
+ * @returns {Array<Object>} - Wallets (without keys)
+ */
+const listWallets = ({ status = WALLET_STATUS.ACTIVE, address, owner = null } = {}) => {
+  return vaultStore
+    .values(record =>
+      isOwnedBy(record, owner) &&
+      (status === 'all' || record.status === status) &&
+      (!address || record.address.toLowerCase() === address.toLowerCase())
+    )
+    .sort((a, b) => a.createdAt.localeCompare(b.createdAt))
+    .map(toPublicWallet);
+};
+
+/**
+ * Gets a vault wallet
+ * @param {string} walletId - Vault wallet ID
+ * @param {string|null} owner - Requesting owner (null: any)
+ * @returns {Object} - Wallet information (without key)
+ */
+const getWallet = (walletId, owner = null) => {
+  return toPublicWallet(getWalletRecord(walletId, owner));
+};
+
+/**
+ * Renames a vault wallet
+ * @param {string} walletId - Vault wallet ID
+ * @param {string|null} label - New label
+ * @param {string|null} owner - Requesting owner (null: any)
+ * @returns {Object} - Updated wallet information
+ */
+const renameWallet = (walletId, label, owner = null) => {
+  const record = getWalletRecord(walletId, owner);
+  record.label = label;
+  saveRecord(record);
+  return toPublicWallet(record);
+};
+
+/**
+ * Archives a vault wallet (archived wallets cannot sign)
+ * @param {string} walletId - Vault wallet ID
+ * @param {string|null} owner - Requesting owner (null: any)
+ * @returns {Object} - Updated wallet information
+ */
+const archiveWallet = (walletId, owner = null) => {
+  const record = getWalletRecord(walletId, owner);
+  if (record.status !== WALLET_STATUS.ARCHIVED) {
+    record.status = WALLET_STATUS.ARCHIVED;
+    record.archivedAt = new Date().toISOString();
+    saveRecord(record);
+  }
+  return toPublicWallet(record);
+};
+
+/**
+ * Restores an archived vault wallet
+ * @param {string} walletId - Vault wallet ID
+ * @param {string|null} owner - Requesting owner (null: any)
+ * @returns {Object} - Updated wallet information
+ */
+const restoreWallet = (walletId, owner = null) => {
+  const record = getWalletRecord(walletId, owner);
+  if (record.status !== WALLET_STATUS.ACTIVE) {
+    record.status = WALLET_STATUS.ACTIVE;
+    record.archivedAt = null;
+    saveRecord(record);
+  }
+  return toPublicWallet(record);
+};
+
+/**
+ * Permanently deletes a vault wallet (only archived wallets can be deleted)
+ * @param {string} walletId - Vault wallet ID
+ * @param {string|null} owner - Requesting owner (null: any)
+ * @returns {Object} - Deleted wallet information
+ */
+const deleteWallet = (walletId, owner = null) => {
+  const record = getWalletRecord(walletId, owner);
+  if (record.status !== WALLET_STATUS.ARCHIVED) {
+    throw createHttpError(409, 'Only archived wallets can be deleted. Archive the wallet first.');
+  }
+  vaultStore.delete(walletId);
+  return toPublicWallet(record);
+};
+
+/**
+ * Reads an active wallet record for signing
+ * @param {string} walletId - Vault wallet ID
+ * @param {string|null} owner - Requesting owner (null: any)
+ * @returns {Object} - Stored wallet record
+ * @private
+ */
+const getActiveWalletRecord = (walletId, owner = null) => {
+  const record = getWalletRecord(walletId, owner);
+  if (record.status !== WALLET_STATUS.ACTIVE) {
+    throw createHttpError(409, `Vault wallet ${walletId} is archived and cannot sign`);
+  }
+  return record;
+};
+
+/**
+ * Returns the signer configuration of an active vault wallet
+ * @param {string} walletId - Vault wallet ID
+ * @param {string|null} owner - Requesting owner (null: any)
+ * @returns {Object} - { type, address, encryptedPrivateKey | keyId }
+ */
+const getSignerConfig = (walletId, owner = null) => {
+  const record = getActiveWalletRecord(walletId, owner);
+  const signer = record.signer || { type: 'local' };
+
+  return {
+    ...signer,
+    address: record.address,
+    encryptedPrivateKey: signer.type === 'local' ? record.encryptedPrivateKey : undefined
+  };
+};
+
+/**
+ * Returns the encrypted private key of an active local vault wallet
+ * @param {string} walletId - Vault wallet ID
+ * @param {string|null} owner - Requesting owner (null: any)
+ * @returns {string} - Encrypted private key
+ */
+const getEncryptedKeyForSigning = (walletId, owner = null) => {
+  const config = getSignerConfig(walletId, owner);
+  if (config.type !== 'local') {
+    throw createHttpError(400, `Vault wallet ${walletId} uses a ${config.type} signer, its key cannot be exported`);
+  }
+  return config.encryptedPrivateKey;
+};
+
+/**
+ * Resolves the encrypted key from request parameters (encryptedPrivateKey or local walletId)
+ * @param {Object} params - { encryptedPrivateKey, walletId }
+ * @param {string|null} owner - Requesting owner (null: any)
+ * @returns {string} - Encrypted private key
+ */
+const resolveEncryptedPrivateKey = ({ encryptedPrivateKey, walletId } = {}, owner = null) => {
+  if (walletId) {
+    return getEncryptedKeyForSigning(walletId, owner);
+  }
+  if (!encryptedPrivateKey) {
+    throw createHttpError(400, 'Either encryptedPrivateKey or walletId is required');
+  }
+  return encryptedPrivateKey;
+};
+
+/**
+ * Builds a signer reference from request parameters (encryptedPrivateKey or walletId)
+ * @param {Object} params - { encryptedPrivateKey, walletId }
+ * @param {string|null} owner - Requesting owner (null: any)
+ * @returns {Object} - Signer reference { walletId } or { encryptedPrivateKey }
+ */
+const resolveSignerRef = ({ encryptedPrivateKey, walletId } = {}, owner = null) => {
+  if (walletId) {
+    // Fail early for unknown or archived wallets
+    getActiveWalletRecord(walletId, owner);
+    return { walletId };
+  }
+  if (!encryptedPrivateKey) {
+    throw createHttpError(400, 'Either encryptedPrivateKey or walletId is required');
+  }
+  return { encryptedPrivateKey };
+};
+
+module.exports = {
+  WALLET_STATUS,
+  setVaultStore,
+  storeWallet,
+  listWallets,
+  getWallet,
+  renameWallet,
+  archiveWallet,
+  restoreWallet,
+  deleteWallet,
+  getSignerConfig,
+  getEncryptedKeyForSigning,
+  resolveEncryptedPrivateKey,
+  resolveSignerRef
+};
@@ -1,12 +1,18 @@
 const { ethers } = require("ethers");
 
 const { encrypt, decrypt } = require("../utils/crypto");
+const { encryptKeystore, decryptKeystore } = require("../utils/keystore");
+const { createHttpError } = require("../utils/errors");
+const { RemoteSigner, KmsSigner } = require("../utils/signers");
+const { getKmsBackend } = require("../utils/kms");
+const vaultService = require("./vault.service");
 
 const {
   getProvider,
   getEthBalance,
   detectNftStandard,
   getNftOwner,
+  ERC20_ABI,
   ERC721_ABI,
   ERC1155_ABI,
 } = require("../utils/ethereum");
@@ -23,6 +29,8 @@ const {
 } = require("../utils/network");
 
 const { enqueueNetworkRequest } = require("../utils/queue");
+const { withNonce, confirmNonce } = require("../utils/nonce-manager");
+const { withSuggestedFees } = require("./fee-oracle.service");
 
 /**
  * Creates wallet object from encrypted private key
@@ -65,6 +73,43 @@ const getWalletFromEncryptedKey = (
   }
 };
 
+/**
+ * Creates a signer from an encrypted private key or a vault wallet reference
+ * Vault wallets may be backed by a local key, a remote signer or a KMS key
+ * @param {string|Object} signerRef - Encrypted private key or signer reference ({ encryptedPrivateKey } | { walletId })
+ * @param {string} network - Network name
+ * @param {string} networkType - Network type
+ * @returns {Promise<ethers.AbstractSigner>} - Signer connected to the network provider
+ */
+const getSigner = async (
+  signerRef,
+  network = DEFAULT_NETWORK,
+  networkType = DEFAULT_NETWORK_TYPE
+) => {
+  if (typeof signerRef === "string" || !signerRef.walletId) {
+    const encryptedPrivateKey = typeof signerRef === "string" ? signerRef : signerRef.encryptedPrivateKey;
+    return getWalletFromEncryptedKey(encryptedPrivateKey, decrypt, network, networkType);
+  }
+
+  const config = vaultService.getSignerConfig(signerRef.walletId);
+
+  if (config.type === "local") {
+    return getWalletFromEncryptedKey(config.encryptedPrivateKey, decrypt, network, networkType);
+  }
+
+  const provider = getProvider(network, networkType);
+
+  if (config.type === "remote") {
+    return new RemoteSigner({ keyId: config.keyId, address: config.address }, provider);
+  }
+
+  if (config.type === "kms") {
+    return new KmsSigner({ backend: getKmsBackend(), keyId: config.keyId, address: config.address }, provider);
+  }
+
+  throw new Error(`Unsupported signer type: ${config.type}`);
+};
+
 /**
  * Creates a new wallet
  * @returns {Object} - Created wallet information
@@ -126,6 +171,55 @@ const importWalletFromMnemonic = (mnemonic, path = ethers.defaultPath) => {
   }
 };
 
+/**
+ * Exports an encrypted private key as Web3 Secret Storage v3 keystore
+ * @param {string} encryptedPrivateKey - Encrypted private key
+ * @param {string} password - Keystore password
+ * @param {string} kdf - Key derivation function (scrypt or pbkdf2)
+ * @returns {Promise<Object>} - Address and keystore JSON
+ */
+const exportWalletToKeystore = async (encryptedPrivateKey, password, kdf = "scrypt") => {
+  try {
+    const privateKey = decrypt(encryptedPrivateKey);
+    const keystore = await encryptKeystore(privateKey, password, kdf);
+
+    return {
+      address: ethers.getAddress(`0x${keystore.address}`),
+      keystore,
+    };
+  } catch (error) {
+    console.error("Keystore export error:", error);
+    throw new Error("Keystore could not be exported: " + error.message);
+  }
+};
+
+/**
+ * Imports a wallet from Web3 Secret Storage v3 keystore
+ * @param {Object|string} keystore - Keystore JSON object or string
+ * @param {string} password - Keystore password
+ * @returns {Promise<Object>} - Imported wallet information
+ */
+const importWalletFromKeystore = async (keystore, password) => {
+  try {
+    const account = await decryptKeystore(keystore, password);
+
+    return {
+      address: account.address,
+      encryptedPrivateKey: encrypt(account.privateKey),
+    };
+  } catch (error) {
+    console.error("Keystore import error:", error.message);
+
+    if (/incorrect keystore password/i.test(error.message)) {
+      throw createHttpError(400, "Wallet could not be imported: Incorrect keystore password");
+    }
+    if (/invalid keystore|invalid JSON/i.test(error.message)) {
+      throw createHttpError(400, "Wallet could not be imported: " + error.message);
+    }
+    throw new Error("Wallet could not be imported: " + error.message);
+  }
+};
+
 /**
  * Gets wallet balance and token information
  * @param {string} address - Wallet address
@@ -218,9 +312,21 @@ const getTokenBalance = async (
   });
 };
 
+/**
+ * Formats the fee fields of a transaction
+ * @param {Object} tx - Transaction (ethers.Transaction or TransactionResponse)
+ * @returns {Object} - Fee fields as strings
+ */
+const formatTransactionFee = (tx) => ({
+  gasLimit: tx.gasLimit.toString(),
+  ...(tx.maxFeePerGas ? { maxFeePerGas: tx.maxFeePerGas.toString() } : {}),
+  ...(tx.maxPriorityFeePerGas ? { maxPriorityFeePerGas: tx.maxPriorityFeePerGas.toString() } : {}),
+  ...(tx.gasPrice ? { gasPrice: tx.gasPrice.toString() } : {})
+});
+
 /**
  * Sends transaction with wallet
- * @param {string} encryptedPrivateKey - Encrypted private key
+ * @param {string|Object} signerRef - Encrypted private key or signer reference ({ walletId })
  * @param {string} to - Recipient address
  * @param {string} amount - Amount to send (ETH)
  * @param {Object} options - Additional options (gasLimit, maxFeePerGas etc.)
@@ -229,7 +335,7 @@ const getTokenBalance = async (
  * @returns {Promise<Object>} - Transaction information
  */
 const sendTransaction = async (
-  encryptedPrivateKey,
+  signerRef,
   to,
   amount,
   options = {},
@@ -239,56 +345,34 @@ const sendTransaction = async (
   // Add transaction sending to queue
   return enqueueNetworkRequest(network, networkType, async () => {
     try {
-      const wallet = getWalletFromEncryptedKey(
-        encryptedPrivateKey,
-        decrypt,
-        network,
-        networkType
-      );
+      const wallet = await getSigner(signerRef, network, networkType);
+      const walletAddress = await wallet.getAddress();
       const networkInfo = getNetworkInfo(network, networkType);
-      const provider = getProvider(network, networkType);
-
-      // Get gas prices
-      const feeData = await provider.getFeeData();
 
       console.log("value: ", ethers.parseEther(amount), amount);
 
-      // Create transaction object
-      const tx = {
+      // Create transaction object, fees missing from options are suggested by the fee oracle
+      const tx = await withSuggestedFees({
         to,
         value: ethers.parseEther(amount),
         ...options,
-      };
+      }, network, networkType);
 
-      // EIP-1559 support
-      if (!tx.gasPrice && !tx.maxFeePerGas) {
-        if (feeData.maxFeePerGas && feeData.maxPriorityFeePerGas) {
-          // EIP-1559 supported network
-          tx.maxFeePerGas = feeData.maxFeePerGas;
-          tx.maxPriorityFeePerGas = feeData.maxPriorityFeePerGas;
-        } else {
-          // Legacy network
-          tx.gasPrice = feeData.gasPrice;
-        }
-      }
-
-      // Sign and send transaction
-      const txResponse = await wallet.sendTransaction(tx);
+      // Sign and send transaction with a managed nonce
+      const txResponse = await withNonce(walletAddress, network, networkType, (nonce) =>
+        wallet.sendTransaction({ ...tx, nonce })
+      );
       
       // Return transaction information
       return {
         txHash: txResponse.hash,
-        from: wallet.address,
+        from: walletAddress,
         to,
         amount,
+        nonce: txResponse.nonce,
         network: networkInfo.name,
         chainId: networkInfo.chainId,
-        transactionFee: {
-          gasLimit: txResponse.gasLimit.toString(),
-          ...(txResponse.maxFeePerGas ? { maxFeePerGas: txResponse.maxFeePerGas.toString() } : {}),
-          ...(txResponse.maxPriorityFeePerGas ? { maxPriorityFeePerGas: txResponse.maxPriorityFeePerGas.toString() } : {}),
-          ...(txResponse.gasPrice ? { gasPrice: txResponse.gasPrice.toString() } : {})
-        }
+        transactionFee: formatTransactionFee(txResponse)
       };
     } catch (error) {
       console.error("Transaction sending error:", error);
@@ -297,9 +381,162 @@ const sendTransaction = async (
   });
 };
 
+/**
+ * Builds and signs a transaction without broadcasting it
+ * Missing nonce, fees and gasLimit are read from the network; when all of them are given
+ * the transaction is signed without any RPC call (air-gapped signing). A missing nonce is
+ * taken from the nonce manager, so sends through the API do not reuse it before the broadcast.
+ * @param {string|Object} signerRef - Encrypted private key or signer reference ({ walletId })
+ * @param {Object} txParams - { to, amount, data, nonce, gasLimit, gasPrice, maxFeePerGas, maxPriorityFeePerGas }
+ * @param {string} network - Network name
+ * @param {string} networkType - Network type
+ * @returns {Promise<Object>} - Signed raw transaction and its fields
+ */
+const signTransaction = async (
+  signerRef,
+  txParams,
+  network = DEFAULT_NETWORK,
+  networkType = DEFAULT_NETWORK_TYPE
+) => {
+  try {
+    const wallet = await getSigner(signerRef, network, networkType);
+    const walletAddress = await wallet.getAddress();
+    const networkInfo = getNetworkInfo(network, networkType);
+    const { to, amount = "0", data, nonce, gasLimit, gasPrice, maxFeePerGas, maxPriorityFeePerGas } = txParams;
+
+    // Create transaction object
+    let tx = {
+      to: to || null,
+      value: ethers.parseEther(amount),
+      data: data || "0x",
+      chainId: networkInfo.chainId,
+      gasLimit,
+      gasPrice,
+      maxFeePerGas,
+      maxPriorityFeePerGas,
+    };
+    // Drop fee fields that were not given
+    Object.keys(tx).forEach((key) => tx[key] === undefined && delete tx[key]);
+
+    const sign = (txNonce) => {
+      // gasPrice-only transactions are signed as legacy (type 0)
+      return wallet.signTransaction({ ...tx, nonce: txNonce, ...(tx.gasPrice ? { type: 0 } : {}) });
+    };
+
+    const hasFees = gasPrice || (maxFeePerGas && maxPriorityFeePerGas);
+    let rawTransaction;
+    if (nonce === undefined || !gasLimit || !hasFees) {
+      // Read missing fields from the network
+      rawTransaction = await enqueueNetworkRequest(network, networkType, async () => {
+        const provider = getProvider(network, networkType);
+
+        // Only the fee fields that were not given are suggested
+        tx = await withSuggestedFees(tx, network, networkType);
+
+        if (!tx.gasLimit) {
+          tx.gasLimit = await provider.estimateGas({
+            from: walletAddress,
+            to: tx.to,
+            value: tx.value,
+            data: tx.data,
+          });
+        }
+
+        return nonce === undefined
+          ? withNonce(walletAddress, network, networkType, sign)
+          : sign(nonce);
+      });
+    } else {
+      rawTransaction = await sign(nonce);
+    }
+    const signedTx = ethers.Transaction.from(rawTransaction);
+
+    return {
+      rawTransaction,
+      txHash: signedTx.hash,
+      from: signedTx.from,
+      to: signedTx.to,
+      amount,
+      nonce: signedTx.nonce,
+      type: signedTx.type,
+      network: networkInfo.name,
+      chainId: networkInfo.chainId,
+      transactionFee: formatTransactionFee(signedTx),
+    };
+  } catch (error) {
+    console.error("Transaction signing error:", error);
+    throw new Error("Transaction could not be signed: " + error.message);
+  }
+};
+
+/**
+ * Decodes, validates and broadcasts a signed raw transaction
+ * @param {string} rawTransaction - Signed serialized transaction
+ * @param {Object} options - { from } expected sender address (optional)
+ * @param {string} network - Network name
+ * @param {string} networkType - Network type
+ * @returns {Promise<Object>} - Transaction information
+ */
+const broadcastRawTransaction = async (
+  rawTransaction,
+  { from } = {},
+  network = DEFAULT_NETWORK,
+  networkType = DEFAULT_NETWORK_TYPE
+) => {
+  const networkInfo = getNetworkInfo(network, networkType);
+
+  let tx;
+  try {
+    tx = ethers.Transaction.from(rawTransaction);
+  } catch (error) {
+    throw createHttpError(400, "Invalid raw transaction: " + (error.shortMessage || error.message));
+  }
+
+  if (!tx.signature) {
+    throw createHttpError(400, "Raw transaction is not signed");
+  }
+
+  // Pre-EIP-155 legacy transactions have no chainId and can be replayed on any chain
+  if (tx.chainId === 0n) {
+    throw createHttpError(400, "Raw transaction has no chainId (replay-unprotected transactions are not accepted)");
+  }
+  if (tx.chainId !== BigInt(networkInfo.chainId)) {
+    throw createHttpError(400, `Raw transaction chainId ${tx.chainId} does not match ${networkInfo.name} (${networkType}) chainId ${networkInfo.chainId}`);
+  }
+
+  if (from && tx.from !== ethers.getAddress(from)) {
+    throw createHttpError(400, `Raw transaction sender ${tx.from} does not match ${ethers.getAddress(from)}`);
+  }
+
+  return enqueueNetworkRequest(network, networkType, async () => {
+    try {
+      const provider = getProvider(network, networkType);
+      const txResponse = await provider.broadcastTransaction(tx.serialized);
+
+      // Nonces handed out by signTransaction count as sent from now on
+      confirmNonce(tx.from, tx.nonce, network, networkType);
+
+      return {
+        txHash: txResponse.hash,
+        from: tx.from,
+        to: tx.to,
+        amount: ethers.formatEther(tx.value),
+        nonce: tx.nonce,
+        type: tx.type,
+        network: networkInfo.name,
+        chainId: networkInfo.chainId,
+        transactionFee: formatTransactionFee(tx),
+      };
+    } catch (error) {
+      console.error("Raw transaction broadcast error:", error);
+      throw new Error("Transaction could not be broadcast: " + (error.shortMessage || error.message));
+    }
+  });
+};
+
 /**
  * Performs ERC-20 token transfer operation
- * @param {string} encryptedPrivateKey - Encrypted private key
+ * @param {string|Object} signerRef - Encrypted private key or signer reference ({ walletId })
  * @param {string} tokenAddress - Token contract address
  * @param {string} to - Recipient address
  * @param {string} amount - Amount to send
@@ -310,7 +547,7 @@ const sendTransaction = async (
  * @returns {Promise<Object>} - Transaction information
  */
 const sendTokenTransaction = async (
-  encryptedPrivateKey,
+  signerRef,
   tokenAddress,
   to,
   amount,
@@ -320,255 +557,226 @@ const sendTokenTransaction = async (
   networkType = DEFAULT_NETWORK_TYPE
 ) => {
   // Add token transfer to queue
-  return enqueueNetworkRequest(
-    async () => {
-      try {
-        // Create token contract
-        const provider = getProvider(network, networkType);
-        const wallet = await getWalletFromEncryptedKey(encryptedPrivateKey, decrypt, network, networkType);
-        const tokenContract = new ethers.Contract(tokenAddress, ERC20_ABI, wallet);
+  return enqueueNetworkRequest(network, networkType, async () => {
+    try {
+      const wallet = await getSigner(signerRef, network, networkType);
+      const walletAddress = await wallet.getAddress();
+      const networkInfo = getNetworkInfo(network, networkType);
 
-        // If decimals not specified, get from contract
-        let tokenDecimals = decimals;
-        if (tokenDecimals === undefined) {
-          tokenDecimals = await tokenContract.decimals();
-        }
+      // Create token contract
+      const tokenContract = new ethers.Contract(tokenAddress, ERC20_ABI, wallet);
 
-        // Format amount correctly
-        const formattedAmount = ethers.parseUnits(amount, tokenDecimals);
+      // If decimals not specified, get from contract
+      let tokenDecimals = decimals;
+      if (tokenDecimals === undefined) {
+        tokenDecimals = await tokenContract.decimals();
+      }
 
-        // Send transfer transaction
-        const tx = await tokenContract.transfer(to, formattedAmount, options);
+      // Format amount correctly
+      const formattedAmount = ethers.parseUnits(amount, tokenDecimals);
 
-        // Wait for transaction confirmation
-        const receipt = await tx.wait();
-        return receipt;
-      } catch (error) {
-        console.error('Token transfer failed:', error);
-        throw error;
-      }
-    },
-    network,
-    networkType
-  );
+      const overrides = await withSuggestedFees(options, network, networkType);
+
+      // Send transfer transaction with a managed nonce
+      const txResponse = await withNonce(walletAddress, network, networkType, (nonce) =>
+        tokenContract.transfer(to, formattedAmount, { ...overrides, nonce })
+      );
+
+      return {
+        txHash: txResponse.hash,
+        from: walletAddress,
+        to,
+        tokenAddress,
+        amount,
+        decimals: Number(tokenDecimals),
+        nonce: txResponse.nonce,
+        network: networkInfo.name,
+        chainId: networkInfo.chainId,
+        transactionFee: formatTransactionFee(txResponse)
+      };
+    } catch (error) {
+      console.error("Token transfer error:", error);
+      throw new Error("Token transfer could not be sent: " + error.message);
+    }
+  });
 };
 
 /**
  * Performs ERC-721 NFT transfer operation
- * @param {string} encryptedPrivateKey - Encrypted private key
+ * @param {string|Object} signerRef - Encrypted private key or signer reference ({ walletId })
  * @param {string} contractAddress - NFT contract address
  * @param {string} to - Recipient address
  * @param {string} tokenId - Token ID to transfer
+ * @param {Object} options - Additional options (gasLimit, maxFeePerGas etc.)
  * @param {string} network - Network name
  * @param {string} networkType - Network type
  * @returns {Promise<Object>} - Transaction information
  */
 const sendERC721Transaction = async (
-  encryptedPrivateKey,
+  signerRef,
   contractAddress,
   to,
   tokenId,
+  options = {},
   network = DEFAULT_NETWORK,
-  networkType = DEFAULT_NETWORK_TYPE,
-  options = {}
+  networkType = DEFAULT_NETWORK_TYPE
 ) => {
-  try {
-    const wallet = getWalletFromEncryptedKey(
-      encryptedPrivateKey,
-      decrypt,
-      network,
-      networkType
-    );
-    const networkInfo = getNetworkInfo(network, networkType);
-
-    // Convert tokenId to number
-    const tokenIdNumber = parseInt(tokenId, 10);
-    if (isNaN(tokenIdNumber)) {
-      throw new Error("TokenId should be a valid number");
-    }
+  return enqueueNetworkRequest(network, networkType, async () => {
+    try {
+      const wallet = await getSigner(signerRef, network, networkType);
+      const walletAddress = await wallet.getAddress();
+      const networkInfo = getNetworkInfo(network, networkType);
 
-    // Create contract object
-    const nftContract = new ethers.Contract(contractAddress, ERC721_ABI, wallet);
+      // Convert tokenId to BigInt (token IDs can exceed Number range)
+      const numericTokenId = ethers.getBigInt(tokenId);
 
-    // Check if we own the token
-    const owner = await nftContract.ownerOf(tokenIdNumber);
-    if (owner.toLowerCase() !== wallet.address.toLowerCase()) {
-      throw new Error(`You do not own this NFT (ID: ${tokenId})`);
-    }
+      // Create contract object
+      const nftContract = new ethers.Contract(contractAddress, ERC721_ABI, wallet);
 
-    // Merge override settings
-    const overrideOptions = {
-      ...options,
-    };
+      // Check if we own the token
+      const owner = await nftContract.ownerOf(numericTokenId);
+      if (owner.toLowerCase() !== walletAddress.toLowerCase()) {
+        throw new Error(`You do not own this NFT (ID: ${tokenId})`);
+      }
 
-    // Transfer NFT (from, to, tokenId)
-    const transaction = await nftContract.safeTransferFrom(
-      wallet.address,
-      to,
-      tokenIdNumber,
-      overrideOptions
-    );
+      const overrides = await withSuggestedFees(options, network, networkType);
 
-    // Wait for transaction confirmation
-    const receipt = await transaction.wait();
+      // Transfer NFT (from, to, tokenId) with a managed nonce
+      const txResponse = await withNonce(walletAddress, network, networkType, (nonce) =>
+        nftContract.safeTransferFrom(walletAddress, to, numericTokenId, { ...overrides, nonce })
+      );
 
-    return {
-      txHash: transaction.hash,
-      from: wallet.address,
-      to,
-      nftAddress: contractAddress,
-      tokenId,
-      type: "ERC721",
-      network: networkInfo.name,
-      chainId: networkInfo.chainId,
-      blockNumber: receipt.blockNumber,
-      status: receipt.status === 1 ? "success" : "failed",
-    };
-  } catch (error) {
-    console.error("ERC-721 NFT transfer error:", error);
-    throw new Error("NFT transfer could not be sent: " + error.message);
-  }
+      return {
+        txHash: txResponse.hash,
+        from: walletAddress,
+        to,
+        nftAddress: contractAddress,
+        tokenId,
+        type: "ERC721",
+        nonce: txResponse.nonce,
+        network: networkInfo.name,
+        chainId: networkInfo.chainId,
+        transactionFee: formatTransactionFee(txResponse)
+      };
+    } catch (error) {
+      console.error("ERC-721 NFT transfer error:", error);
+      throw new Error("NFT transfer could not be sent: " + error.message);
+    }
+  });
 };
 
 /**
  * Performs ERC-1155 token transfer operation
- * @param {string} encryptedPrivateKey - Encrypted private key
+ * @param {string|Object} signerRef - Encrypted private key or signer reference ({ walletId })
  * @param {string} contractAddress - NFT contract address
  * @param {string} to - Recipient address
- * @param {string} amount - Amount to transfer (for ERC-1155)
- * @param {Object} options - Optional parameters like gas settings
+ * @param {string} tokenId - Token ID to transfer
+ * @param {string} amount - Amount to transfer
+ * @param {Object} options - Additional options (gasLimit, maxFeePerGas etc.)
  * @param {string} network - Network name
  * @param {string} networkType - Network type
  * @returns {Promise<Object>} - Transaction information
  */
 const sendErc1155Transaction = async (
-  encryptedPrivateKey,
+  signerRef,
   contractAddress,
   to,
-  amount,
+  tokenId,
+  amount = "1",
   options = {},
   network = DEFAULT_NETWORK,
   networkType = DEFAULT_NETWORK_TYPE
 ) => {
-  return enqueueNetworkRequest(
-    async () => {
-      try {
-        // Check if passed as object
-        const params = typeof amount === 'object' ? amount : { tokenId: amount };
-        const { tokenId, data } = params;
+  return enqueueNetworkRequest(network, networkType, async () => {
+    try {
+      const wallet = await getSigner(signerRef, network, networkType);
+      const walletAddress = await wallet.getAddress();
+      const networkInfo = getNetworkInfo(network, networkType);
 
-        // Convert tokenId to number
-        const numericTokenId = ethers.parseUnits(tokenId, 0);
+      const numericTokenId = ethers.getBigInt(tokenId);
+      const requestedAmount = ethers.getBigInt(amount);
 
-        // Create contract object
-        const provider = getProvider(network, networkType);
-        const wallet = await getWalletFromEncryptedKey(encryptedPrivateKey, decrypt, network, networkType);
-        const nftContract = new ethers.Contract(contractAddress, ERC1155_ABI, wallet);
-
-        // Convert amount to BigNumber
-        const requestedAmount = ethers.parseUnits(amount, 0);
-
-        // Merge override settings
-        const txOptions = {
-          ...options,
-          gasLimit: options.gasLimit || await nftContract.estimateGas.safeTransferFrom(
-            wallet.address,
-            to,
-            numericTokenId,
-            requestedAmount,
-            data || ethers.toUtf8Bytes("")
-          )
-        };
-
-        // Transfer NFT (from, to, tokenId, amount, data)
-        const tx = await nftContract.safeTransferFrom(
-          wallet.address,
-          to,
-          numericTokenId,
-          requestedAmount,
-          data || ethers.toUtf8Bytes(""), // Empty data
-          txOptions
-        );
+      // Create contract object
+      const nftContract = new ethers.Contract(contractAddress, ERC1155_ABI, wallet);
 
-        // Wait for transaction confirmation
-        const receipt = await tx.wait();
-        return receipt;
-      } catch (error) {
-        console.error('ERC-1155 transfer failed:', error);
-        throw error;
+      // Check balance
+      const balance = await nftContract.balanceOf(walletAddress, numericTokenId);
+      if (balance < requestedAmount) {
+        throw new Error(`Insufficient balance for token ID ${tokenId}: ${balance} < ${requestedAmount}`);
       }
-    },
-    network,
-    networkType
-  );
+
+      const overrides = await withSuggestedFees(options, network, networkType);
+
+      // Transfer tokens (from, to, id, amount, data) with a managed nonce
+      const txResponse = await withNonce(walletAddress, network, networkType, (nonce) =>
+        nftContract.safeTransferFrom(walletAddress, to, numericTokenId, requestedAmount, "0x", { ...overrides, nonce })
+      );
+
+      return {
+        txHash: txResponse.hash,
+        from: walletAddress,
+        to,
+        nftAddress: contractAddress,
+        tokenId,
+        amount,
+        type: "ERC1155",
+        nonce: txResponse.nonce,
+        network: networkInfo.name,
+        chainId: networkInfo.chainId,
+        transactionFee: formatTransactionFee(txResponse)
+      };
+    } catch (error) {
+      console.error("ERC-1155 transfer error:", error);
+      throw new Error("NFT transfer could not be sent: " + error.message);
+    }
+  });
 };
 
 /**
- * Performs NFT transfer operation
- * @param {string} encryptedPrivateKey - Encrypted private key
+ * Performs NFT transfer operation (ERC-721 or ERC-1155)
+ * @param {string|Object} signerRef - Encrypted private key or signer reference ({ walletId })
  * @param {string} contractAddress - NFT contract address
  * @param {string} to - Recipient address
  * @param {string} tokenId - Token ID to transfer
+ * @param {string} amount - Amount to transfer (ERC-1155 only)
+ * @param {string} nftType - ERC721 | ERC1155
+ * @param {Object} options - Additional options (gasLimit, maxFeePerGas etc.)
  * @param {string} network - Network name
  * @param {string} networkType - Network type
  * @returns {Promise<Object>} - Transaction information
  */
 const sendNftTransaction = async (
-  encryptedPrivateKey,
+  signerRef,
   contractAddress,
   to,
   tokenId,
+  amount = "1",
+  nftType = "ERC721",
+  options = {},
   network = DEFAULT_NETWORK,
   networkType = DEFAULT_NETWORK_TYPE
 ) => {
-  return enqueueNetworkRequest(
-    async () => {
-      try {
-        // Convert tokenId to number
-        const numericTokenId = ethers.parseUnits(tokenId, 0);
-
-        // Create contract object
-        const provider = getProvider(network, networkType);
-        const wallet = await getWalletFromEncryptedKey(encryptedPrivateKey, decrypt, network, networkType);
-        const nftContract = new ethers.Contract(contractAddress, ERC721_ABI, wallet);
-
-        // Check if we own the token
-        const owner = await nftContract.ownerOf(numericTokenId);
-        if (owner.toLowerCase() !== wallet.address.toLowerCase()) {
-          throw new Error('Not the owner of this NFT');
-        }
-
-        // Merge override settings
-        const txOptions = {
-          ...options,
-          gasLimit: options.gasLimit || await nftContract.estimateGas.transferFrom(wallet.address, to, numericTokenId)
-        };
-
-        // Transfer NFT (from, to, tokenId)
-        const tx = await nftContract.transferFrom(wallet.address, to, numericTokenId, txOptions);
-
-        // Wait for transaction confirmation
-        const receipt = await tx.wait();
-        return receipt;
-      } catch (error) {
-        console.error('NFT transfer failed:', error);
-        throw error;
-      }
-    },
-    network,
-    networkType
-  );
+  if (nftType === "ERC1155") {
+    return sendErc1155Transaction(signerRef, contractAddress, to, tokenId, amount, options, network, networkType);
+  }
+  return sendERC721Transaction(signerRef, contractAddress, to, tokenId, options, network, networkType);
 };
 
 module.exports = {
   createWallet,
   importWalletFromPrivateKey,
   importWalletFromMnemonic,
+  exportWalletToKeystore,
+  importWalletFromKeystore,
   getWalletSummary,
   getTokenBalance,
   sendTransaction,
+  signTransaction,
+  broadcastRawTransaction,
   sendTokenTransaction,
   sendNftTransaction,
   sendERC721Transaction,
   sendErc1155Transaction,
+  getSigner,
+  formatTransactionFee,
 };
@@ -2,6 +2,10 @@ const axios = require('axios');
 const { io } = require('socket.io-client');
 const crypto = require('crypto');
 const ethers = require('ethers');
+const CryptoJS = require('crypto-js');
+const { createSiweMessage } = require('./utils/siwe');
+const { getNextCronRun } = require('./utils/cron');
+const { ERC20_STORAGE_LAYOUTS, getMappingSlot, getBalanceSlot, getAllowanceSlot, toStorageValue } = require('./utils/storage-slots');
 
 require('dotenv').config();
 
@@ -14,6 +18,8 @@ const config = {
     address: null,
     encryptedPrivateKey: null
   },
+  // Session token from Sign-In With Ethereum
+  sessionToken: null,
   testTokens: {
     sepolia: process.env.TEST_TOKEN_ADDRESS
   },
@@ -34,7 +40,10 @@ const makeRequest = async (method, endpoint, data = null, params = null) => {
       method,
       url: `${config.baseUrl}${endpoint}`,
       headers: {
-        'Content-Type': 'application/json'
+        'Content-Type': 'application/json',
+        ...(config.sessionToken ? { Authorization: `Bearer ${config.sessionToken}` } : {}),
+        // Cache routes require admin access
+        ...(process.env.ADMIN_API_KEY ? { 'X-Admin-Key': process.env.ADMIN_API_KEY } : {})
       }
     };
 
@@ -76,8 +85,82 @@ const logResult = (result) => console.log(`${colors.magenta}Result:${colors.rese
 // Wait function
 const wait = (ms) => new Promise(resolve => setTimeout(resolve, ms));
 
+// Logs the outcome of a single check and returns it
+const logCheck = (passed, msg) => {
+  if (passed) {
+    logSuccess(msg);
+  } else {
+    logError(msg);
+  }
+  return passed;
+};
+
+// Checks that a function throws
+const throwsError = (fn) => {
+  try {
+    fn();
+    return false;
+  } catch (error) {
+    return true;
+  }
+};
+
+// Loads a fresh copy of a module with the given environment variables (modules reading the environment on load)
+const loadWithEnv = (modulePath, env) => {
+  const previous = {};
+  Object.entries(env).forEach(([name, value]) => {
+    previous[name] = process.env[name];
+    process.env[name] = value;
+  });
+
+  const resolvedPath = require.resolve(modulePath);
+  delete require.cache[resolvedPath];
+
+  try {
+    return require(modulePath);
+  } finally {
+    delete require.cache[resolvedPath];
+    Object.entries(previous).forEach(([name, value]) => {
+      if (value === undefined) {
+        delete process.env[name];
+      } else {
+        process.env[name] = value;
+      }
+    });
+  }
+};
+
 // Test functions
 const testSuite = {
+  async signIn() {
+    logTitle('Sign-In With Ethereum Test');
+
+    const wallet = new ethers.Wallet(`0x${config.testWallet.privateKey}`);
+    const { data: nonceData } = await makeRequest('GET', '/auth/nonce');
+
+    const message = createSiweMessage({
+      domain: nonceData.domain,
+      address: wallet.address,
+      statement: 'Sign in to Web3 Wallet API test suite',
+      uri: config.baseUrl,
+      chainId: 11155111,
+      nonce: nonceData.nonce
+    });
+    const signature = await wallet.signMessage(message);
+
+    const result = await makeRequest('POST', '/auth/verify', { message, signature });
+    logResult({ ...result, data: { ...result.data, token: '***' } });
+
+    if (result.success) {
+      config.sessionToken = result.data.token;
+      logSuccess(`Signed in as ${result.data.address}`);
+      return true;
+    } else {
+      logError('Sign-in failed');
+      return false;
+    }
+  },
+
   async importWallet() {
     logTitle('Wallet Import Test');
     
@@ -589,6 +672,268 @@ const testSuite = {
     }
   },
   
+  async testEncryptionEnvelope() {
+    logTitle('Encryption Envelope Test');
+
+    const { encrypt, decrypt, getEnvelopeInfo } = loadWithEnv('./utils/crypto', {
+      ENCRYPTION_KEY: 'envelope-test-secret',
+      ENCRYPTION_KEYS: '',
+      ENCRYPTION_KEY_ID: ''
+    });
+
+    const plaintext = ethers.Wallet.createRandom().privateKey;
+    const ciphertext = encrypt(plaintext);
+    const [version, keyId, iv, authTag, encrypted] = ciphertext.split(':');
+
+    // Flip one byte of the encrypted data, GCM authentication must reject it
+    const encryptedBytes = Buffer.from(encrypted, 'base64');
+    encryptedBytes[0] ^= 0xff;
+    const tampered = [version, keyId, iv, authTag, encryptedBytes.toString('base64')].join(':');
+
+    const checks = [
+      logCheck(version === 'v1' && keyId === 'default' && getEnvelopeInfo(ciphertext).keyId === 'default',
+        'Ciphertext uses the v1:<keyId>:<iv>:<authTag>:<ciphertext> envelope'),
+      logCheck(decrypt(ciphertext) === plaintext, 'Envelope decrypts to the original text'),
+      logCheck(encrypt(plaintext) !== ciphertext, 'Each encryption uses a new IV'),
+      logCheck(throwsError(() => decrypt(tampered)), 'Tampered ciphertext is rejected')
+    ];
+
+    return checks.every(Boolean);
+  },
+
+  async testKeyRotation() {
+    logTitle('Encryption Key Rotation Test');
+
+    const plaintext = ethers.Wallet.createRandom().privateKey;
+    const oldKeyring = loadWithEnv('./utils/crypto', {
+      ENCRYPTION_KEY: '',
+      ENCRYPTION_KEYS: 'k1:rotation-test-secret-1',
+      ENCRYPTION_KEY_ID: ''
+    });
+    const newKeyring = loadWithEnv('./utils/crypto', {
+      ENCRYPTION_KEY: '',
+      ENCRYPTION_KEYS: 'k1:rotation-test-secret-1,k2:rotation-test-secret-2',
+      ENCRYPTION_KEY_ID: 'k2'
+    });
+    const retiredKeyring = loadWithEnv('./utils/crypto', {
+      ENCRYPTION_KEY: '',
+      ENCRYPTION_KEYS: 'k2:rotation-test-secret-2',
+      ENCRYPTION_KEY_ID: ''
+    });
+
+    const oldCiphertext = oldKeyring.encrypt(plaintext);
+    const upgraded = newKeyring.reencrypt(oldCiphertext);
+
+    // The header is authenticated, so a ciphertext cannot be moved to another key ID
+    const relabeled = upgraded.ciphertext.replace(/^v1:k2:/, 'v1:k1:');
+
+    const checks = [
+      logCheck(newKeyring.getEnvelopeInfo(newKeyring.encrypt(plaintext)).keyId === 'k2', 'New values are encrypted with ENCRYPTION_KEY_ID'),
+      logCheck(newKeyring.decrypt(oldCiphertext) === plaintext, 'Values of the previous key still decrypt'),
+      logCheck(upgraded.upgraded && upgraded.previousKeyId === 'k1' && upgraded.keyId === 'k2' &&
+        newKeyring.decrypt(upgraded.ciphertext) === plaintext, 'Re-encryption moves values to the current key'),
+      logCheck(!newKeyring.reencrypt(upgraded.ciphertext).upgraded, 'Values of the current key are returned unchanged'),
+      logCheck(throwsError(() => newKeyring.decrypt(relabeled)), 'Changing the key ID of a ciphertext is rejected'),
+      logCheck(throwsError(() => retiredKeyring.decrypt(oldCiphertext)) && retiredKeyring.decrypt(upgraded.ciphertext) === plaintext,
+        'Retired key is no longer accepted, re-encrypted values still decrypt')
+    ];
+
+    return checks.every(Boolean);
+  },
+
+  async testLegacyDecryption() {
+    logTitle('Legacy Decryption Test');
+
+    const plaintext = ethers.Wallet.createRandom().privateKey;
+    const { decrypt, reencrypt, getEnvelopeInfo } = loadWithEnv('./utils/crypto', {
+      ENCRYPTION_KEY: 'legacy-test-secret',
+      ENCRYPTION_KEYS: 'k2:rotation-test-secret-2',
+      ENCRYPTION_KEY_ID: 'k2'
+    });
+
+    // Ciphertexts of older versions: CryptoJS passphrase mode with ENCRYPTION_KEY
+    const legacyCiphertext = CryptoJS.AES.encrypt(plaintext, 'legacy-test-secret').toString();
+    const foreignCiphertext = CryptoJS.AES.encrypt(plaintext, 'rotation-test-secret-2').toString();
+    const upgraded = reencrypt(legacyCiphertext);
+
+    const checks = [
+      logCheck(getEnvelopeInfo(legacyCiphertext).version === 'legacy', 'CryptoJS ciphertext is detected as legacy'),
+      logCheck(decrypt(legacyCiphertext) === plaintext, 'Legacy ciphertext decrypts with ENCRYPTION_KEY'),
+      logCheck(upgraded.upgraded && upgraded.previousVersion === 'legacy' && upgraded.keyId === 'k2' &&
+        decrypt(upgraded.ciphertext) === plaintext, 'Legacy ciphertext is upgraded to the current key'),
+      logCheck(throwsError(() => decrypt(foreignCiphertext)), 'Legacy ciphertexts are not decrypted with keyring secrets')
+    ];
+
+    return checks.every(Boolean);
+  },
+
+  async testEncryptionAdmin() {
+    logTitle('Encryption Admin Endpoints Test');
+
+    if (!process.env.ADMIN_API_KEY) {
+      logWarning('ADMIN_API_KEY is not set, encryption admin endpoints are skipped');
+      return true;
+    }
+
+    const status = await makeRequest('GET', '/admin/encryption/status');
+    logResult(status);
+
+    const result = await makeRequest('POST', '/admin/encryption/reencrypt', {
+      ciphertexts: [config.testWallet.encryptedPrivateKey]
+    });
+    logResult(result);
+
+    const [item] = result.data.results;
+    if (status.success && result.success && item.success && item.keyId === status.data.currentKeyId) {
+      logSuccess(`Wallet key is encrypted with the current key: ${status.data.currentKeyId}`);
+      return true;
+    } else {
+      logError('Encryption status or re-encryption failed');
+      return false;
+    }
+  },
+
+  async testCronSchedule() {
+    logTitle('Cron Schedule Test');
+
+    const nextRun = (expression, after) => getNextCronRun(expression, new Date(after)).toISOString();
+
+    const checks = [
+      logCheck(nextRun('0 9 * * 1', '2026-01-07T12:00:00Z') === '2026-01-12T09:00:00.000Z', 'Weekly run moves to the next Monday 09:00 UTC'),
+      logCheck(nextRun('*/15 * * * *', '2026-01-07T10:07:30Z') === '2026-01-07T10:15:00.000Z', 'Minute steps run at the next quarter hour'),
+      logCheck(nextRun('0 9 * * 1', '2026-01-12T09:00:00Z') === '2026-01-19T09:00:00.000Z', 'Next run is strictly after the given time'),
+      logCheck(nextRun('@monthly', '2026-01-31T12:00:00Z') === '2026-02-01T00:00:00.000Z', 'Aliases are expanded'),
+      logCheck(nextRun('0 0 * * 7', '2026-01-01T00:00:00Z') === '2026-01-04T00:00:00.000Z', 'Sunday can be written as 7'),
+      // Both day fields restricted: either one matches (Monday Jan 5 or Thursday Jan 15)
+      logCheck(nextRun('0 0 1,15 * 1', '2026-01-01T00:00:00Z') === '2026-01-05T00:00:00.000Z' &&
+        nextRun('0 0 1,15 * 1', '2026-01-12T00:00:00Z') === '2026-01-15T00:00:00.000Z', 'Restricted day fields match either day'),
+      // A day field starting with "*" has to match as well (Mondays on odd days)
+      logCheck(nextRun('0 0 */2 * 1', '2026-01-05T00:00:00Z') === '2026-01-19T00:00:00.000Z', 'Day fields starting with * match both days'),
+      logCheck(throwsError(() => nextRun('0 0 30 2 *', '2026-01-01T00:00:00Z')), 'Expression that never matches is rejected'),
+      logCheck(throwsError(() => nextRun('61 * * * *', '2026-01-01T00:00:00Z')), 'Out of range field is rejected')
+    ];
+
+    return checks.every(Boolean);
+  },
+
+  async testSchedules() {
+    logTitle('Scheduled Transfers Test');
+
+    try {
+      const wallet = await makeRequest('POST', '/vault/wallets', { label: 'Scheduler test' });
+      const { walletId } = wallet.data;
+
+      const created = await makeRequest('POST', '/schedules', {
+        walletId,
+        label: 'Weekly test transfer',
+        action: { type: 'native', to: config.testWallet.address, amount: '0.0001' },
+        cron: '0 9 * * 1',
+        maxRuns: 3,
+        maxGasPriceGwei: '30',
+        network: config.network,
+        networkType: config.networkType
+      });
+      logResult(created);
+      const scheduleId = created.data.id;
+
+      const listed = await makeRequest('GET', '/schedules', null, { walletId });
+      const paused = await makeRequest('POST', `/schedules/${scheduleId}/pause`);
+      const resumed = await makeRequest('POST', `/schedules/${scheduleId}/resume`);
+      const cancelled = await makeRequest('POST', `/schedules/${scheduleId}/cancel`);
+      const schedule = await makeRequest('GET', `/schedules/${scheduleId}`);
+      logResult(schedule);
+
+      await makeRequest('POST', `/vault/wallets/${walletId}/archive`);
+
+      const checks = [
+        logCheck(created.data.status === 'active' && new Date(created.data.nextRunAt).getUTCDay() === 1, 'Schedule is created with the next Monday run'),
+        logCheck(created.data.maxGasPriceGwei === 30, 'Numeric string limits are stored as numbers'),
+        logCheck(listed.data.schedules.some(item => item.id === scheduleId), 'Schedule is listed for its wallet'),
+        logCheck(paused.data.status === 'paused' && resumed.data.status === 'active', 'Schedule is paused and resumed'),
+        logCheck(cancelled.data.status === 'cancelled' && schedule.data.status === 'cancelled', 'Schedule is cancelled')
+      ];
+
+      return checks.every(Boolean);
+    } catch (error) {
+      logError(`Scheduled transfers failed: ${error.message}`);
+      return false;
+    }
+  },
+
+  async testStorageSlots() {
+    logTitle('Storage Slot Calculation Test');
+
+    const holder = '0x1111111111111111111111111111111111111111';
+    const spender = '0x2222222222222222222222222222222222222222';
+    const word = (value) => ethers.toBeHex(value, 32);
+    const address = (value) => ethers.zeroPadValue(value, 32);
+
+    // ERC-7201 namespace: keccak256(abi.encode(uint256(keccak256(id)) - 1)) & ~bytes32(uint256(0xff))
+    const namespaceSlot = BigInt(ethers.keccak256(word(BigInt(ethers.id('openzeppelin.storage.ERC20')) - 1n))) & ~0xffn;
+    const ozV5Layout = ERC20_STORAGE_LAYOUTS.find(layout => layout.name === 'openzeppelin-v5-upgradeable');
+
+    const checks = [
+      logCheck(getMappingSlot(0n, 0n) === '0xad3228b676f7d3cd4284a5443f17f1962b36e491b30a40b2405849e597ba5fb5', 'Mapping slot of key 0 at slot 0'),
+      logCheck(getBalanceSlot(holder, 9n) === ethers.keccak256(ethers.concat([address(holder), word(9)])), 'Solidity balance slot is keccak256(holder . slot)'),
+      logCheck(getBalanceSlot(holder, 9n, 'vyper') === ethers.keccak256(ethers.concat([word(9), address(holder)])), 'Vyper balance slot is keccak256(slot . holder)'),
+      logCheck(getAllowanceSlot(holder, spender, 1n) ===
+        ethers.keccak256(ethers.concat([address(spender), ethers.keccak256(ethers.concat([address(holder), word(1)]))])),
+        'Allowance slot is keccak256(spender . keccak256(owner . slot))'),
+      logCheck(ozV5Layout.balanceSlot === namespaceSlot && ozV5Layout.allowanceSlot === namespaceSlot + 1n, 'OpenZeppelin 5 namespaced slots'),
+      logCheck(toStorageValue(1000n) === word(1000), 'Storage values are 32-byte words')
+    ];
+
+    return checks.every(Boolean);
+  },
+
+  async testTokenStateOverride() {
+    logTitle('Token State Override Test');
+
+    const tokenAddress = config.testTokens.sepolia;
+    // Address without tokens, its balance only exists in the state override
+    const holder = ethers.Wallet.createRandom().address;
+    const params = {
+      network: config.network,
+      networkType: config.networkType
+    };
+
+    try {
+      const slots = await makeRequest('GET', `/token/${tokenAddress}/storage-slots`, null, { ...params, holder });
+      logResult(slots);
+
+      if (!slots.data.balance) {
+        logWarning('Balance slot layout of the test token is not detected, state override simulation is skipped');
+        return true;
+      }
+
+      const transfer = {
+        from: holder,
+        to: config.testWallet.address,
+        tokenAddress,
+        amount: '1000000000000000000',
+        ...params
+      };
+      const withoutOverride = await makeRequest('POST', '/simulate-token-transfer', transfer);
+      const withOverride = await makeRequest('POST', '/simulate-token-transfer', {
+        ...transfer,
+        tokenBalances: [{ token: tokenAddress, holder, amount: transfer.amount }]
+      });
+      logResult(withOverride);
+
+      const { baseSlot, language, slot } = slots.data.balance;
+      const checks = [
+        logCheck(slot === getBalanceSlot(holder, baseSlot, language), `Balance slot matches the ${slots.data.balance.layout} layout`),
+        logCheck(!withoutOverride.data.success, 'Transfer without balance reverts'),
+        logCheck(withOverride.data.success, 'Transfer succeeds with the overridden balance')
+      ];
+
+      return checks.every(Boolean);
+    } catch (error) {
+      logError(`Token state override failed: ${error.message}`);
+      return false;
+    }
+  },
+
   async testBalanceWebSocket() {
     logTitle('WebSocket Balance Tracking Test');
     
@@ -804,7 +1149,8 @@ const runTests = async () => {
   console.log(`\n${colors.bright}${colors.blue}===== WEB3 WALLET BACKEND TEST SUITE =====${colors.reset}\n`);
   logInfo(`Test network: ${config.network} - ${config.networkType}`);
   
-  // First import wallet - required for other tests
+  // Sign in and import wallet - required for other tests
+  await testSuite.signIn();
   await testSuite.importWallet();
   
   // Run all tests and collect results
@@ -822,6 +1168,14 @@ const runTests = async () => {
     analyzeTransaction: await testSuite.analyzeTransaction(),
     getCacheStats: await testSuite.getCacheStats(),
     clearCache: await testSuite.clearCache(),
+    testEncryptionEnvelope: await testSuite.testEncryptionEnvelope(),
+    testKeyRotation: await testSuite.testKeyRotation(),
+    testLegacyDecryption: await testSuite.testLegacyDecryption(),
+    testEncryptionAdmin: await testSuite.testEncryptionAdmin(),
+    testCronSchedule: await testSuite.testCronSchedule(),
+    testSchedules: await testSuite.testSchedules(),
+    testStorageSlots: await testSuite.testStorageSlots(),
+    testTokenStateOverride: await testSuite.testTokenStateOverride(),
     testBalanceWebSocket: await testSuite.testBalanceWebSocket(),
     testBlocksWebSocket: await testSuite.testBlocksWebSocket(),
     testGasPriceWebSocket: await testSuite.testGasPriceWebSocket(),
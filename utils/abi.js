@@ -0,0 +1,198 @@
+// Standard ABIs (human-readable) used to seed the ABI registry and the signature database
+const STANDARD_ABIS = {
+  ERC20: [
+    'event Transfer(address indexed from, address indexed to, uint256 value)',
+    'event Approval(address indexed owner, address indexed spender, uint256 value)',
+    'function name() view returns (string)',
+    'function symbol() view returns (string)',
+    'function decimals() view returns (uint8)',
+    'function totalSupply() view returns (uint256)',
+    'function balanceOf(address account) view returns (uint256)',
+    'function allowance(address owner, address spender) view returns (uint256)',
+    'function transfer(address to, uint256 value) returns (bool)',
+    'function approve(address spender, uint256 value) returns (bool)',
+    'function transferFrom(address from, address to, uint256 value) returns (bool)'
+  ],
+  ERC721: [
+    'event Transfer(address indexed from, address indexed to, uint256 indexed tokenId)',
+    'event Approval(address indexed owner, address indexed approved, uint256 indexed tokenId)',
+    'event ApprovalForAll(address indexed owner, address indexed operator, bool approved)',
+    'function name() view returns (string)',
+    'function symbol() view returns (string)',
+    'function tokenURI(uint256 tokenId) view returns (string)',
+    'function balanceOf(address owner) view returns (uint256)',
+    'function ownerOf(uint256 tokenId) view returns (address)',
+    'function getApproved(uint256 tokenId) view returns (address)',
+    'function isApprovedForAll(address owner, address operator) view returns (bool)',
+    'function supportsInterface(bytes4 interfaceId) view returns (bool)',
+    'function approve(address to, uint256 tokenId)',
+    'function setApprovalForAll(address operator, bool approved)',
+    'function transferFrom(address from, address to, uint256 tokenId)',
+    'function safeTransferFrom(address from, address to, uint256 tokenId)',
+    'function safeTransferFrom(address from, address to, uint256 tokenId, bytes data)'
+  ],
+  ERC1155: [
+    'event TransferSingle(address indexed operator, address indexed from, address indexed to, uint256 id, uint256 value)',
+    'event TransferBatch(address indexed operator, address indexed from, address indexed to, uint256[] ids, uint256[] values)',
+    'event ApprovalForAll(address indexed account, address indexed operator, bool approved)',
+    'event URI(string value, uint256 indexed id)',
+    'function uri(uint256 id) view returns (string)',
+    'function balanceOf(address account, uint256 id) view returns (uint256)',
+    'function balanceOfBatch(address[] accounts, uint256[] ids) view returns (uint256[])',
+    'function isApprovedForAll(address account, address operator) view returns (bool)',
+    'function supportsInterface(bytes4 interfaceId) view returns (bool)',
+    'function setApprovalForAll(address operator, bool approved)',
+    'function safeTransferFrom(address from, address to, uint256 id, uint256 value, bytes data)',
+    'function safeBatchTransferFrom(address from, address to, uint256[] ids, uint256[] values, bytes data)'
+  ],
+  WETH: [
+    'event Transfer(address indexed src, address indexed dst, uint256 wad)',
+    'event Approval(address indexed src, address indexed guy, uint256 wad)',
+    'event Deposit(address indexed dst, uint256 wad)',
+    'event Withdrawal(address indexed src, uint256 wad)',
+    'function name() view returns (string)',
+    'function symbol() view returns (string)',
+    'function decimals() view returns (uint8)',
+    'function totalSupply() view returns (uint256)',
+    'function balanceOf(address account) view returns (uint256)',
+    'function allowance(address owner, address spender) view returns (uint256)',
+    'function transfer(address dst, uint256 wad) returns (bool)',
+    'function approve(address guy, uint256 wad) returns (bool)',
+    'function transferFrom(address src, address dst, uint256 wad) returns (bool)',
+    'function deposit() payable',
+    'function withdraw(uint256 wad)'
+  ],
+  Multicall3: [
+    'function aggregate(tuple(address target, bytes callData)[] calls) payable returns (uint256 blockNumber, bytes[] returnData)',
+    'function aggregate3(tuple(address target, bool allowFailure, bytes callData)[] calls) payable returns (tuple(bool success, bytes returnData)[] returnData)',
+    'function aggregate3Value(tuple(address target, bool allowFailure, uint256 value, bytes callData)[] calls) payable returns (tuple(bool success, bytes returnData)[] returnData)',
+    'function blockAndAggregate(tuple(address target, bytes callData)[] calls) payable returns (uint256 blockNumber, bytes32 blockHash, tuple(bool success, bytes returnData)[] returnData)',
+    'function tryAggregate(bool requireSuccess, tuple(address target, bytes callData)[] calls) payable returns (tuple(bool success, bytes returnData)[] returnData)',
+    'function tryBlockAndAggregate(bool requireSuccess, tuple(address target, bytes callData)[] calls) payable returns (uint256 blockNumber, bytes32 blockHash, tuple(bool success, bytes returnData)[] returnData)',
+    'function getBasefee() view returns (uint256 basefee)',
+    'function getBlockHash(uint256 blockNumber) view returns (bytes32 blockHash)',
+    'function getBlockNumber() view returns (uint256 blockNumber)',
+    'function getChainId() view returns (uint256 chainid)',
+    'function getCurrentBlockCoinbase() view returns (address coinbase)',
+    'function getCurrentBlockGasLimit() view returns (uint256 gaslimit)',
+    'function getCurrentBlockTimestamp() view returns (uint256 timestamp)',
+    'function getEthBalance(address addr) view returns (uint256 balance)',
+    'function getLastBlockHash() view returns (bytes32 blockHash)'
+  ]
+};
+
+// Well-known signatures outside the standard ABIs (selector/topic database only)
+const COMMON_SIGNATURES = [
+  'function permit(address owner, address spender, uint256 value, uint256 deadline, uint8 v, bytes32 r, bytes32 s)',
+  'function increaseAllowance(address spender, uint256 addedValue) returns (bool)',
+  'function decreaseAllowance(address spender, uint256 subtractedValue) returns (bool)',
+  'function mint(address to, uint256 amount)',
+  'function burn(uint256 amount)',
+  'function transferOwnership(address newOwner)',
+  'function renounceOwnership()',
+  'function multicall(bytes[] data) payable returns (bytes[] results)',
+  'function multicall(uint256 deadline, bytes[] data) payable returns (bytes[] results)',
+  'function swapExactTokensForTokens(uint256 amountIn, uint256 amountOutMin, address[] path, address to, uint256 deadline) returns (uint256[] amounts)',
+  'function swapTokensForExactTokens(uint256 amountOut, uint256 amountInMax, address[] path, address to, uint256 deadline) returns (uint256[] amounts)',
+  'function swapExactETHForTokens(uint256 amountOutMin, address[] path, address to, uint256 deadline) payable returns (uint256[] amounts)',
+  'function swapExactTokensForETH(uint256 amountIn, uint256 amountOutMin, address[] path, address to, uint256 deadline) returns (uint256[] amounts)',
+  'function exactInputSingle(tuple(address tokenIn, address tokenOut, uint24 fee, address recipient, uint256 deadline, uint256 amountIn, uint256 amountOutMinimum, uint160 sqrtPriceLimitX96) params) payable returns (uint256 amountOut)',
+  'function exactInput(tuple(bytes path, address recipient, uint256 deadline, uint256 amountIn, uint256 amountOutMinimum) params) payable returns (uint256 amountOut)',
+  'function disperseEther(address[] recipients, uint256[] values) payable',
+  'function disperseToken(address token, address[] recipients, uint256[] values)',
+  'event OwnershipTransferred(address indexed previousOwner, address indexed newOwner)',
+  'event Upgraded(address indexed implementation)',
+  'event Paused(address account)',
+  'event Unpaused(address account)',
+  'event RoleGranted(bytes32 indexed role, address indexed account, address indexed sender)',
+  'event RoleRevoked(bytes32 indexed role, address indexed account, address indexed sender)',
+  'event Sync(uint112 reserve0, uint112 reserve1)',
+  'event Swap(address indexed sender, uint256 amount0In, uint256 amount1In, uint256 amount0Out, uint256 amount1Out, address indexed to)',
+  'event Swap(address indexed sender, address indexed recipient, int256 amount0, int256 amount1, uint160 sqrtPriceX96, uint128 liquidity, int24 tick)',
+  'error OwnableUnauthorizedAccount(address account)',
+  'error ERC20InsufficientBalance(address sender, uint256 balance, uint256 needed)',
+  'error ERC20InsufficientAllowance(address spender, uint256 allowance, uint256 needed)',
+  'error ERC721NonexistentToken(uint256 tokenId)',
+  'error ERC721IncorrectOwner(address sender, uint256 tokenId, address owner)',
+  'error ERC1155InsufficientBalance(address sender, uint256 balance, uint256 needed, uint256 tokenId)'
+];
+
+// Built-in revert selectors: Error(string) and Panic(uint256)
+const ERROR_STRING_SELECTOR = '0x08c379a0';
+const PANIC_SELECTOR = '0x4e487b71';
+
+// Solidity panic codes (Panic(uint256))
+const PANIC_CODES = {
+  0x00: { name: 'GENERIC', description: 'Generic compiler panic' },
+  0x01: { name: 'ASSERTION_FAILED', description: 'Assertion failed' },
+  0x11: { name: 'ARITHMETIC_OVERFLOW', description: 'Arithmetic overflow or underflow' },
+  0x12: { name: 'DIVISION_BY_ZERO', description: 'Division or modulo by zero' },
+  0x21: { name: 'INVALID_ENUM_VALUE', description: 'Conversion to an invalid enum value' },
+  0x22: { name: 'INVALID_STORAGE_BYTE_ARRAY', description: 'Incorrectly encoded storage byte array' },
+  0x31: { name: 'POP_EMPTY_ARRAY', description: 'pop() on an empty array' },
+  0x32: { name: 'ARRAY_OUT_OF_BOUNDS', description: 'Array index out of bounds' },
+  0x41: { name: 'OUT_OF_MEMORY', description: 'Too much memory allocated' },
+  0x51: { name: 'UNINITIALIZED_FUNCTION', description: 'Call to an uninitialized internal function' }
+};
+
+// Multicall3 is deployed at the same address on every supported chain
+const MULTICALL3_ADDRESS = '0xcA11bde05977b3631167028862bE2a173976CA11';
+
+// Wrapped native token (WETH9 interface) by chain ID
+const WRAPPED_NATIVE_ADDRESSES = {
+  1: '0xC02aaA39b223FE8D0A0e5C4F27eAD9083C756Cc2',
+  5: '0xB4FBF271143F4FBf7B91A5ded31805e42b2208d6',
+  11155111: '0xfFf9976782d46CC05630D1f6eBAb18b2324d6B14',
+  137: '0x0d500B1d8E8eF31E21C99d1Db9A6444d3ADf1270',
+  80001: '0x9c3C9283D3e44854697Cd22D3Faa240Cfb032889',
+  56: '0xbb4CdB9CBd36B01bD1cBaEBF2De08d9173bc095c',
+  97: '0xae13d989daC2f0dEbFf460aC112a837C89BAa7cd',
+  10: '0x4200000000000000000000000000000000000006',
+  420: '0x4200000000000000000000000000000000000006',
+  42161: '0x82aF49447D8a07e3bd95BD0d56f35241523fBab1'
+};
+
+/**
+ * Converts a decoded value to plain JSON (named tuple components become objects)
+ * BigInt values are left as is and serialized by the BigInt JSON middleware
+ * @param {*} value - Decoded value
+ * @param {ethers.ParamType} param - ABI parameter type
+ * @returns {*} - Plain value
+ */
+const formatDecodedValue = (value, param) => {
+  if (param.isArray()) {
+    return Array.from(value).map(item => formatDecodedValue(item, param.arrayChildren));
+  }
+  if (param.isTuple()) {
+    const named = param.components.every(component => component.name);
+    const items = param.components.map((component, index) => formatDecodedValue(value[index], component));
+    return named
+      ? Object.fromEntries(param.components.map((component, index) => [component.name, items[index]]))
+      : items;
+  }
+  return value;
+};
+
+/**
+ * Formats decoded arguments as a list of { name, type, value }
+ * @param {ethers.Result} result - Decoded result
+ * @param {ReadonlyArray<ethers.ParamType>} params - ABI parameters
+ * @returns {Array<Object>} - Arguments
+ */
+const formatDecodedArgs = (result, params) => params.map((param, index) => ({
+  name: param.name || null,
+  type: param.format('sighash'),
+  value: formatDecodedValue(result[index], param)
+}));
+
+module.exports = {
+  STANDARD_ABIS,
+  COMMON_SIGNATURES,
+  ERROR_STRING_SELECTOR,
+  PANIC_SELECTOR,
+  PANIC_CODES,
+  MULTICALL3_ADDRESS,
+  WRAPPED_NATIVE_ADDRESSES,
+  formatDecodedValue,
+  formatDecodedArgs
+};
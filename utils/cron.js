@@ -0,0 +1,150 @@
+// Five field cron expressions (minute hour day-of-month month day-of-week), evaluated in UTC
+
+const FIELDS = [
+  { name: 'minute', min: 0, max: 59 },
+  { name: 'hour', min: 0, max: 23 },
+  { name: 'day of month', min: 1, max: 31 },
+  { name: 'month', min: 1, max: 12 },
+  { name: 'day of week', min: 0, max: 7 } // 0 and 7 are Sunday
+];
+
+const ALIASES = {
+  '@hourly': '0 * * * *',
+  '@daily': '0 0 * * *',
+  '@midnight': '0 0 * * *',
+  '@weekly': '0 0 * * 0',
+  '@monthly': '0 0 1 * *',
+  '@yearly': '0 0 1 1 *',
+  '@annually': '0 0 1 1 *'
+};
+
+// Upper bound for the next run search (a date like Feb 30 never matches)
+const MAX_SEARCH_YEARS = 5;
+
+/**
+ * Parses one cron field ("*", "5", "1-5", "1,15,30", "10-40/10", steps over "*")
+ * @param {string} value - Field value
+ * @param {Object} field - { name, min, max }
+ * @returns {Set<number>} - Matching values
+ * @private
+ */
+const parseField = (value, { name, min, max }) => {
+  const values = new Set();
+
+  value.split(',').forEach(part => {
+    const match = /^(\*|\d+(?:-\d+)?)(?:\/(\d+))?$/.exec(part);
+    if (!match) {
+      throw new Error(`Invalid cron ${name}: ${part}`);
+    }
+
+    const [, range, stepValue] = match;
+    const step = stepValue ? Number(stepValue) : 1;
+    let [start, end] = range === '*' ? [min, max] : range.split('-').map(Number);
+    if (end === undefined) {
+      // "5/10" means from 5 to the end of the range
+      end = stepValue ? max : start;
+    }
+
+    if (start < min || end > max || start > end || step < 1) {
+      throw new Error(`Invalid cron ${name}: ${part} (allowed ${min}-${max})`);
+    }
+
+    for (let current = start; current <= end; current += step) {
+      values.add(current);
+    }
+  });
+
+  return values;
+};
+
+/**
+ * Parses a cron expression
+ * @param {string} expression - Five field expression or alias (@hourly, @daily, @weekly, @monthly, @yearly)
+ * @returns {Object} - { minutes, hours, daysOfMonth, months, daysOfWeek, anyDayOfMonth, anyDayOfWeek }
+ */
+const parseCron = (expression) => {
+  const normalized = ALIASES[expression.trim()] || expression.trim();
+  const parts = normalized.split(/\s+/);
+
+  if (parts.length !== 5) {
+    throw new Error('Cron expression must have 5 fields: minute hour day-of-month month day-of-week');
+  }
+
+  const [minutes, hours, daysOfMonth, months, daysOfWeek] = parts.map((part, index) => parseField(part, FIELDS[index]));
+
+  // Sunday can be written as 0 or 7
+  if (daysOfWeek.has(7)) {
+    daysOfWeek.add(0);
+  }
+
+  return {
+    minutes,
+    hours,
+    daysOfMonth,
+    months,
+    daysOfWeek,
+    // Like Vixie cron, a field starting with "*" (e.g. "*/2") is not combined with OR,
+    // so "0 0 */2 * 1" runs on Mondays that are odd days of the month
+    anyDayOfMonth: parts[2].startsWith('*'),
+    anyDayOfWeek: parts[4].startsWith('*')
+  };
+};
+
+/**
+ * Checks if a day matches the day-of-month and day-of-week fields
+ * When both fields are restricted a day matches either of them (standard cron behavior). A field
+ * starting with "*" (with or without a step) counts as unrestricted, then a day has to match both.
+ * @private
+ */
+const matchesDay = (schedule, date) => {
+  const dayOfMonth = schedule.daysOfMonth.has(date.getUTCDate());
+  const dayOfWeek = schedule.daysOfWeek.has(date.getUTCDay());
+
+  if (schedule.anyDayOfMonth || schedule.anyDayOfWeek) return dayOfMonth && dayOfWeek;
+  return dayOfMonth || dayOfWeek;
+};
+
+/**
+ * Computes the next run time of a cron expression
+ * @param {string} expression - Cron expression
+ * @param {Date} after - Run time is strictly after this date
+ * @returns {Date} - Next run time (UTC, whole minute)
+ */
+const getNextCronRun = (expression, after = new Date()) => {
+  const schedule = parseCron(expression);
+
+  const date = new Date(after.getTime());
+  date.setUTCSeconds(0, 0);
+  date.setUTCMinutes(date.getUTCMinutes() + 1);
+
+  const limit = after.getTime() + MAX_SEARCH_YEARS * 366 * 24 * 60 * 60 * 1000;
+
+  while (date.getTime() <= limit) {
+    if (!schedule.months.has(date.getUTCMonth() + 1)) {
+      date.setUTCMonth(date.getUTCMonth() + 1, 1);
+      date.setUTCHours(0, 0, 0, 0);
+      continue;
+    }
+    if (!matchesDay(schedule, date)) {
+      date.setUTCDate(date.getUTCDate() + 1);
+      date.setUTCHours(0, 0, 0, 0);
+      continue;
+    }
+    if (!schedule.hours.has(date.getUTCHours())) {
+      date.setUTCHours(date.getUTCHours() + 1, 0, 0, 0);
+      continue;
+    }
+    if (!schedule.minutes.has(date.getUTCMinutes())) {
+      date.setUTCMinutes(date.getUTCMinutes() + 1, 0, 0);
+      continue;
+    }
+    return date;
+  }
+
+  throw new Error(`Cron expression never matches: ${expression}`);
+};
+
+module.exports = {
+  parseCron,
+  getNextCronRun
+};
@@ -1,21 +1,124 @@
+const crypto = require('crypto');
 const CryptoJS = require('crypto-js');
 const dotenv = require('dotenv');
 
 dotenv.config();
 
+// Legacy passphrase used by CryptoJS.AES ciphertexts (and as single key if no keyring is configured)
 const ENCRYPTION_KEY = process.env.ENCRYPTION_KEY;
 
+// Current envelope format version
+const ENVELOPE_VERSION = 'v1';
+
+// Key ID used when only ENCRYPTION_KEY is configured
+const DEFAULT_KEY_ID = 'default';
+
+// AES-256-GCM parameters
+const CIPHER_ALGORITHM = 'aes-256-gcm';
+const IV_LENGTH = 12;
+const AUTH_TAG_LENGTH = 16;
+
+/**
+ * Derives a 256-bit AES key from a configured secret (HKDF-SHA256)
+ * @param {string} secret - Configured secret
+ * @param {string} keyId - Key ID (bound into the derivation)
+ * @returns {Buffer} - 32 byte key
+ */
+const deriveKey = (secret, keyId) => {
+  return Buffer.from(crypto.hkdfSync('sha256', secret, 'web3-wallet-backend', `encryption-key:${keyId}`, 32));
+};
+
 /**
- * Encrypts text using AES-256
+ * Parses the keyring from environment variables
+ * ENCRYPTION_KEYS format: "keyId1:secret1,keyId2:secret2"
+ * ENCRYPTION_KEY_ID selects the key used for new ciphertexts (default: first configured key)
+ * @returns {Object} - Keyring { currentKeyId, keys: Map<keyId, Buffer> }
+ */
+const loadKeyring = () => {
+  const keys = new Map();
+
+  const entries = (process.env.ENCRYPTION_KEYS || '')
+    .split(',')
+    .map(entry => entry.trim())
+    .filter(Boolean);
+
+  entries.forEach(entry => {
+    const separatorIndex = entry.indexOf(':');
+    const keyId = entry.slice(0, separatorIndex).trim();
+    const secret = entry.slice(separatorIndex + 1).trim();
+
+    if (separatorIndex <= 0 || !secret || !/^[A-Za-z0-9_-]+$/.test(keyId)) {
+      throw new Error(`Invalid ENCRYPTION_KEYS entry for key "${keyId}"`);
+    }
+
+    keys.set(keyId, deriveKey(secret, keyId));
+  });
+
+  // ENCRYPTION_KEY stays available as "default" key (the only key if no keyring is configured)
+  if (ENCRYPTION_KEY && !keys.has(DEFAULT_KEY_ID)) {
+    keys.set(DEFAULT_KEY_ID, deriveKey(ENCRYPTION_KEY, DEFAULT_KEY_ID));
+  }
+
+  const currentKeyId = process.env.ENCRYPTION_KEY_ID || keys.keys().next().value;
+
+  if (currentKeyId && !keys.has(currentKeyId)) {
+    throw new Error(`ENCRYPTION_KEY_ID "${currentKeyId}" is not present in ENCRYPTION_KEYS`);
+  }
+
+  return { currentKeyId, keys };
+};
+
+const keyring = loadKeyring();
+
+/**
+ * Parses envelope header information
+ * @param {string} ciphertext - Encrypted text
+ * @returns {Object} - Envelope info { version, keyId }
+ */
+const getEnvelopeInfo = (ciphertext) => {
+  if (typeof ciphertext !== 'string') {
+    throw new Error('Ciphertext must be a string');
+  }
+
+  if (!ciphertext.startsWith(`${ENVELOPE_VERSION}:`)) {
+    // CryptoJS passphrase mode output (base64 "Salted__" header)
+    return { version: 'legacy', keyId: null };
+  }
+
+  const parts = ciphertext.split(':');
+  if (parts.length !== 5) {
+    throw new Error('Malformed ciphertext envelope');
+  }
+
+  return { version: parts[0], keyId: parts[1] };
+};
+
+/**
+ * Encrypts text using AES-256-GCM with the current key
+ * Output format: v1:<keyId>:<iv>:<authTag>:<ciphertext> (base64 parts, header is authenticated)
  * @param {string} text - Text to encrypt
  * @returns {string} - Encrypted text
  */
 const encrypt = (text) => {
   if (!text) return null;
-  
+
   try {
-    const ciphertext = CryptoJS.AES.encrypt(text, ENCRYPTION_KEY).toString();
-    return ciphertext;
+    const { currentKeyId, keys } = keyring;
+    if (!currentKeyId) {
+      throw new Error('No encryption key configured');
+    }
+
+    const header = `${ENVELOPE_VERSION}:${currentKeyId}`;
+    const iv = crypto.randomBytes(IV_LENGTH);
+    const cipher = crypto.createCipheriv(CIPHER_ALGORITHM, keys.get(currentKeyId), iv, {
+      authTagLength: AUTH_TAG_LENGTH
+    });
+    cipher.setAAD(Buffer.from(header, 'utf8'));
+
+    const encrypted = Buffer.concat([cipher.update(text, 'utf8'), cipher.final()]);
+    const authTag = cipher.getAuthTag();
+
+    return [header, iv.toString('base64'), authTag.toString('base64'), encrypted.toString('base64')].join(':');
   } catch (error) {
     console.error('Encryption error:', error);
     throw new Error('Encryption operation failed');
@@ -23,21 +126,68 @@ const encrypt = (text) => {
 };
 
 /**
- * Decrypts AES-256 encrypted text
+ * Decrypts a legacy CryptoJS.AES passphrase ciphertext
+ * Legacy ciphertexts were only ever created with ENCRYPTION_KEY. CryptoJS passphrase mode is not
+ * authenticated, so trying other secrets could return garbage that happens to be valid UTF-8.
+ * @param {string} ciphertext - Encrypted text
+ * @returns {string} - Decrypted text
+ * @private
+ */
+const decryptLegacy = (ciphertext) => {
+  if (!ENCRYPTION_KEY) {
+    throw new Error('ENCRYPTION_KEY is required to decrypt legacy ciphertexts');
+  }
+
+  let originalText;
+  try {
+    originalText = CryptoJS.AES.decrypt(ciphertext, ENCRYPTION_KEY).toString(CryptoJS.enc.Utf8);
+  } catch (error) {
+    // Wrong passphrase produces invalid UTF-8
+  }
+
+  if (!originalText) {
+    throw new Error('Decryption failed');
+  }
+
+  return originalText;
+};
+
+/**
+ * Decrypts an envelope (v1) or legacy CryptoJS ciphertext
  * @param {string} ciphertext - Encrypted text
  * @returns {string} - Decrypted text
  */
 const decrypt = (ciphertext) => {
   if (!ciphertext) return null;
-  
+
   try {
-    const bytes = CryptoJS.AES.decrypt(ciphertext, ENCRYPTION_KEY);
-    const originalText = bytes.toString(CryptoJS.enc.Utf8);
-    
+    const { version, keyId } = getEnvelopeInfo(ciphertext);
+
+    if (version === 'legacy') {
+      return decryptLegacy(ciphertext);
+    }
+
+    const key = keyring.keys.get(keyId);
+    if (!key) {
+      throw new Error(`Unknown encryption key ID: ${keyId}`);
+    }
+
+    const [, , iv, authTag, encrypted] = ciphertext.split(':');
+    const decipher = crypto.createDecipheriv(CIPHER_ALGORITHM, key, Buffer.from(iv, 'base64'), {
+      authTagLength: AUTH_TAG_LENGTH
+    });
+    decipher.setAAD(Buffer.from(`${version}:${keyId}`, 'utf8'));
+    decipher.setAuthTag(Buffer.from(authTag, 'base64'));
+
+    const originalText = Buffer.concat([
+      decipher.update(Buffer.from(encrypted, 'base64')),
+      decipher.final()
+    ]).toString('utf8');
+
     if (!originalText) {
       throw new Error('Decryption failed');
     }
-    
+
     return originalText;
   } catch (error) {
     console.error('Decryption error:', error);
@@ -45,7 +195,43 @@ const decrypt = (ciphertext) => {
   }
 };
 
+/**
+ * Re-encrypts a ciphertext with the current key (upgrades legacy or rotated ciphertexts)
+ * @param {string} ciphertext - Encrypted text
+ * @returns {Object} - Re-encryption result
+ */
+const reencrypt = (ciphertext) => {
+  const previous = getEnvelopeInfo(ciphertext);
+  const upToDate = previous.version === ENVELOPE_VERSION && previous.keyId === keyring.currentKeyId;
+
+  // Always decrypt, so that only authentic ciphertexts are accepted
+  const plaintext = decrypt(ciphertext);
+
+  return {
+    ciphertext: upToDate ? ciphertext : encrypt(plaintext),
+    upgraded: !upToDate,
+    previousVersion: previous.version,
+    previousKeyId: previous.keyId,
+    version: ENVELOPE_VERSION,
+    keyId: keyring.currentKeyId
+  };
+};
+
+/**
+ * Returns keyring status (key IDs only, never key material)
+ * @returns {Object} - Keyring status
+ */
+const getKeyringStatus = () => ({
+  version: ENVELOPE_VERSION,
+  currentKeyId: keyring.currentKeyId || null,
+  activeKeyIds: Array.from(keyring.keys.keys()),
+  legacyDecryptionEnabled: Boolean(ENCRYPTION_KEY)
+});
+
 module.exports = {
   encrypt,
-  decrypt
-}; 
\ No newline at end of file
+  decrypt,
+  reencrypt,
+  getEnvelopeInfo,
+  getKeyringStatus
+};
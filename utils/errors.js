@@ -0,0 +1,15 @@
+/**
+ * Creates an error carrying an HTTP status code for the global error handler
+ * @param {number} statusCode - HTTP status code
+ * @param {string} message - Error message
+ * @returns {Error} - Error object with statusCode
+ */
+const createHttpError = (statusCode, message) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+module.exports = {
+  createHttpError
+};
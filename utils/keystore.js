@@ -0,0 +1,161 @@
+const crypto = require('crypto');
+const { promisify } = require('util');
+const { ethers } = require('ethers');
+
+// Node's async KDFs run on the libuv thread pool instead of blocking the event loop
+const pbkdf2 = promisify(crypto.pbkdf2);
+const scrypt = promisify(crypto.scrypt);
+
+// Supported key derivation functions for keystore export
+const KEYSTORE_KDFS = ['scrypt', 'pbkdf2'];
+
+// PBKDF2 parameters used by geth for Web3 Secret Storage v3
+const PBKDF2_ITERATIONS = 262144;
+
+// scrypt parameters used by ethers/MetaMask for Web3 Secret Storage v3
+const SCRYPT_N = 131072;
+const SCRYPT_R = 8;
+const SCRYPT_P = 1;
+
+// Upper bound for scrypt memory (128 * N * r bytes); covers geth's "standard" N = 262144
+const SCRYPT_MAXMEM = 512 * 1024 * 1024;
+
+const KEYSTORE_DKLEN = 32;
+const KEYSTORE_CIPHER = 'aes-128-ctr';
+
+/**
+ * Derives the keystore key from a password with the given KDF parameters
+ * @param {string} password - Keystore password
+ * @param {string} kdf - Key derivation function (scrypt or pbkdf2)
+ * @param {Object} kdfparams - KDF parameters as stored in the keystore
+ * @returns {Promise<Buffer>} - Derived key
+ * @private
+ */
+const deriveKeystoreKey = (password, kdf, kdfparams) => {
+  const passwordBytes = Buffer.from(password.normalize('NFKC'), 'utf8');
+  const salt = Buffer.from(kdfparams.salt, 'hex');
+
+  if (kdf === 'pbkdf2') {
+    if (kdfparams.prf !== 'hmac-sha256') {
+      throw new Error(`Invalid keystore: unsupported PBKDF2 prf ${kdfparams.prf}`);
+    }
+    return pbkdf2(passwordBytes, salt, Number(kdfparams.c), Number(kdfparams.dklen), 'sha256');
+  }
+
+  if (kdf === 'scrypt') {
+    return scrypt(passwordBytes, salt, Number(kdfparams.dklen), {
+      N: Number(kdfparams.n),
+      r: Number(kdfparams.r),
+      p: Number(kdfparams.p),
+      maxmem: SCRYPT_MAXMEM
+    });
+  }
+
+  throw new Error(`Invalid keystore: unsupported KDF ${kdf}`);
+};
+
+/**
+ * Computes the keystore MAC: keccak256(derivedKey[16..32] + ciphertext)
+ * @private
+ */
+const getKeystoreMac = (derivedKey, ciphertext) => {
+  return ethers.keccak256(Buffer.concat([derivedKey.subarray(16, 32), ciphertext])).slice(2);
+};
+
+/**
+ * Encrypts a private key as Web3 Secret Storage v3 keystore
+ * @param {string} privateKey - Private key (0x prefixed)
+ * @param {string} password - Keystore password
+ * @param {string} kdf - Key derivation function (scrypt or pbkdf2)
+ * @returns {Promise<Object>} - Keystore JSON object
+ */
+const encryptKeystore = async (privateKey, password, kdf = 'scrypt') => {
+  if (!KEYSTORE_KDFS.includes(kdf)) {
+    throw new Error(`Unsupported keystore KDF: ${kdf}`);
+  }
+
+  const wallet = new ethers.Wallet(privateKey);
+  const salt = crypto.randomBytes(32).toString('hex');
+  const iv = crypto.randomBytes(16);
+
+  const kdfparams = kdf === 'pbkdf2'
+    ? { c: PBKDF2_ITERATIONS, dklen: KEYSTORE_DKLEN, prf: 'hmac-sha256', salt }
+    : { dklen: KEYSTORE_DKLEN, n: SCRYPT_N, p: SCRYPT_P, r: SCRYPT_R, salt };
+
+  const derivedKey = await deriveKeystoreKey(password, kdf, kdfparams);
+
+  const cipher = crypto.createCipheriv(KEYSTORE_CIPHER, derivedKey.subarray(0, 16), iv);
+  const ciphertext = Buffer.concat([
+    cipher.update(Buffer.from(ethers.getBytes(wallet.privateKey))),
+    cipher.final()
+  ]);
+
+  return {
+    version: 3,
+    id: crypto.randomUUID(),
+    address: wallet.address.slice(2).toLowerCase(),
+    crypto: {
+      cipher: KEYSTORE_CIPHER,
+      cipherparams: { iv: iv.toString('hex') },
+      ciphertext: ciphertext.toString('hex'),
+      kdf,
+      kdfparams,
+      mac: getKeystoreMac(derivedKey, ciphertext)
+    }
+  };
+};
+
+/**
+ * Decrypts a Web3 Secret Storage v3 keystore (scrypt or pbkdf2)
+ * @param {Object|string} keystore - Keystore JSON object or string
+ * @param {string} password - Keystore password
+ * @returns {Promise<Object>} - Decrypted account (address, privateKey)
+ */
+const decryptKeystore = async (keystore, password) => {
+  const json = typeof keystore === 'string' ? keystore : JSON.stringify(keystore);
+
+  if (!ethers.isKeystoreJson(json)) {
+    throw new Error('Invalid keystore JSON');
+  }
+
+  const data = JSON.parse(json);
+  // ethers writes "Crypto", the spec (and geth/MetaMask) use lowercase "crypto"
+  const params = data.crypto || data.Crypto;
+  if (!params || !params.kdfparams || !params.cipherparams) {
+    throw new Error('Invalid keystore: missing crypto parameters');
+  }
+  if (String(params.cipher).toLowerCase() !== KEYSTORE_CIPHER) {
+    throw new Error(`Invalid keystore: unsupported cipher ${params.cipher}`);
+  }
+
+  let derivedKey;
+  try {
+    derivedKey = await deriveKeystoreKey(password, String(params.kdf).toLowerCase(), params.kdfparams);
+  } catch (error) {
+    throw new Error(error.message.startsWith('Invalid keystore') ? error.message : `Invalid keystore: ${error.message}`);
+  }
+
+  const ciphertext = Buffer.from(params.ciphertext, 'hex');
+  if (getKeystoreMac(derivedKey, ciphertext) !== String(params.mac).toLowerCase().replace(/^0x/, '')) {
+    throw new Error('Incorrect keystore password');
+  }
+
+  const decipher = crypto.createDecipheriv(KEYSTORE_CIPHER, derivedKey.subarray(0, 16), Buffer.from(params.cipherparams.iv, 'hex'));
+  const privateKey = ethers.hexlify(Buffer.concat([decipher.update(ciphertext), decipher.final()]));
+  const wallet = new ethers.Wallet(privateKey);
+
+  if (data.address && String(data.address).replace(/^0x/, '').toLowerCase() !== wallet.address.slice(2).toLowerCase()) {
+    throw new Error('Invalid keystore: address does not match the private key');
+  }
+
+  return {
+    address: wallet.address,
+    privateKey: wallet.privateKey
+  };
+};
+
+module.exports = {
+  KEYSTORE_KDFS,
+  encryptKeystore,
+  decryptKeystore
+};
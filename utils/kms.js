@@ -0,0 +1,103 @@
+const crypto = require('crypto');
+const { ethers } = require('ethers');
+const { encrypt, decrypt } = require('./crypto');
+const { getStore } = require('./store');
+
+/**
+ * Local stand-in for a KMS (key management service)
+ * Keys never leave the backend: callers get an address and can request digest signatures,
+ * like AWS KMS / GCP KMS secp256k1 keys. Signatures are returned as { r, s } without recovery id.
+ */
+class LocalKmsBackend {
+  constructor(options = {}) {
+    this.store = options.store || getStore('kms-keys');
+  }
+
+  /**
+   * Creates a new secp256k1 key
+   * @returns {Object} - { keyId, address }
+   */
+  createKey() {
+    const wallet = ethers.Wallet.createRandom();
+    const keyId = `kms_${crypto.randomBytes(12).toString('hex')}`;
+
+    this.store.set(keyId, {
+      keyId,
+      address: wallet.address,
+      encryptedPrivateKey: encrypt(wallet.privateKey),
+      createdAt: new Date().toISOString()
+    });
+
+    return { keyId, address: wallet.address };
+  }
+
+  /**
+   * Returns the address of a key
+   * @param {string} keyId - KMS key ID
+   * @returns {string} - Address
+   */
+  getAddress(keyId) {
+    return this.getKey(keyId).address;
+  }
+
+  /**
+   * Signs a 32 byte digest
+   * @param {string} keyId - KMS key ID
+   * @param {string} digest - 32 byte hex digest
+   * @returns {Object} - { r, s } (recovery id must be computed by the caller)
+   */
+  signDigest(keyId, digest) {
+    const key = this.getKey(keyId);
+    const signingKey = new ethers.SigningKey(decrypt(key.encryptedPrivateKey));
+    const signature = signingKey.sign(digest);
+
+    return { r: signature.r, s: signature.s };
+  }
+
+  /**
+   * Reads a key record
+   * @param {string} keyId - KMS key ID
+   * @returns {Object} - Key record
+   * @private
+   */
+  getKey(keyId) {
+    const key = this.store.get(keyId);
+    if (!key) {
+      throw new Error(`KMS key not found: ${keyId}`);
+    }
+    return key;
+  }
+}
+
+// KMS backend used by KMS signers - can be replaced with a real KMS client
+let kmsBackend = null;
+
+/**
+ * Returns the KMS backend (local stand-in by default)
+ * @returns {Object} - Backend implementing createKey(), getAddress(keyId), signDigest(keyId, digest)
+ */
+const getKmsBackend = () => {
+  if (!kmsBackend) {
+    kmsBackend = new LocalKmsBackend();
+  }
+  return kmsBackend;
+};
+
+/**
+ * Replaces the KMS backend
+ * @param {Object} backend - Backend implementing createKey(), getAddress(keyId), signDigest(keyId, digest)
+ */
+const setKmsBackend = (backend) => {
+  ['createKey', 'getAddress', 'signDigest'].forEach(method => {
+    if (typeof backend[method] !== 'function') {
+      throw new Error(`KMS backend must implement ${method}()`);
+    }
+  });
+  kmsBackend = backend;
+};
+
+module.exports = {
+  LocalKmsBackend,
+  getKmsBackend,
+  setKmsBackend
+};
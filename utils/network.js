@@ -70,6 +70,8 @@ const NETWORKS = {
   },
   optimism: {
     name: 'Optimism',
+    // L2 rollup type, transactions also pay an L1 data fee (see l1-fee.service)
+    rollup: 'optimism',
     chainId: {
       mainnet: 10,
       goerli: 420
@@ -90,6 +92,7 @@ const NETWORKS = {
   },
   arbitrum: {
     name: 'Arbitrum',
+    rollup: 'arbitrum',
     chainId: {
       mainnet: 42161,
       goerli: 421613
@@ -207,7 +210,8 @@ const getNetworkInfo = (network = DEFAULT_NETWORK, networkType = DEFAULT_NETWORK
     chainId: networkConfig.chainId[normalizedNetworkType],
     nativeCurrency: networkConfig.nativeCurrency,
     blockExplorer: networkConfig.blockExplorer[normalizedNetworkType],
-    rpcUrl: networkConfig.rpcUrl[normalizedNetworkType]
+    rpcUrl: networkConfig.rpcUrl[normalizedNetworkType],
+    rollup: networkConfig.rollup || null
   };
 };
 
@@ -221,7 +225,8 @@ const getSupportedNetworks = () => {
     networks[network] = {
       name: data.name,
       types: Object.keys(data.chainId),
-      nativeCurrency: data.nativeCurrency
+      nativeCurrency: data.nativeCurrency,
+      rollup: data.rollup || null
     };
   }
   return networks;
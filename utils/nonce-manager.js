@@ -0,0 +1,295 @@
+const { ethers } = require('ethers');
+const { getProvider } = require('./ethereum');
+const dotenv = require('dotenv');
+
+dotenv.config();
+
+// After this long without a broadcast, nonces the node does not know about are considered dropped (ms)
+const NONCE_RESYNC_GRACE = parseInt(process.env.NONCE_RESYNC_GRACE_MS || '120000', 10);
+
+// Nonce state per "network:networkType:address"
+const nonceStates = {};
+
+// Serializes nonce operations per key
+const locks = {};
+
+/**
+ * Builds the state key of an address
+ * @param {string} address - Wallet address
+ * @param {string} network - Network name
+ * @param {string} networkType - Network type
+ * @returns {string} - State key
+ * @private
+ */
+const getStateKey = (address, network, networkType) => `${network}:${networkType}:${ethers.getAddress(address)}`;
+
+/**
+ * Runs a function while holding the lock of a key
+ * @param {string} key - State key
+ * @param {Function} fn - Async function
+ * @returns {Promise<any>} - Function result
+ * @private
+ */
+const withLock = (key, fn) => {
+  const run = (locks[key] || Promise.resolve()).then(fn);
+  // Keep the chain alive even if fn fails
+  locks[key] = run.catch(() => {});
+  return run;
+};
+
+/**
+ * Reads or creates the nonce state of a key
+ * @param {string} key - State key
+ * @returns {Object} - Nonce state
+ * @private
+ */
+const getState = (key) => {
+  if (!nonceStates[key]) {
+    nonceStates[key] = {
+      nextNonce: null,
+      reserved: new Set(),
+      released: [],
+      chainPendingCount: null,
+      lastSyncedAt: null,
+      lastSentAt: null,
+      stale: true
+    };
+  }
+  return nonceStates[key];
+};
+
+/**
+ * Reconciles local state with the pending transaction count on the chain
+ * Only called when no nonce is reserved, so the local state is not in the middle of a send
+ * @param {Object} state - Nonce state
+ * @param {string} address - Wallet address
+ * @param {string} network - Network name
+ * @param {string} networkType - Network type
+ * @private
+ */
+const syncState = async (state, address, network, networkType) => {
+  const provider = getProvider(network, networkType);
+  const pendingCount = await provider.getTransactionCount(address, 'pending');
+
+  const recentlySent = state.lastSentAt && Date.now() - state.lastSentAt < NONCE_RESYNC_GRACE;
+
+  if (state.nextNonce === null || state.stale || pendingCount > state.nextNonce) {
+    // First use, forced resync or transactions sent from elsewhere
+    state.nextNonce = pendingCount;
+  } else if (pendingCount < state.nextNonce && !recentlySent) {
+    // Our broadcasts never reached the node (dropped), reuse their nonces
+    state.nextNonce = pendingCount;
+  }
+
+  // Released nonces below the chain count were used by other transactions
+  state.released = state.released.filter(nonce => nonce >= pendingCount && nonce < state.nextNonce);
+  state.chainPendingCount = pendingCount;
+  state.lastSyncedAt = Date.now();
+  state.stale = false;
+};
+
+/**
+ * Reserves the next nonce of an address
+ * Released nonces (gaps left by failed broadcasts) are reused first
+ * @param {string} address - Wallet address
+ * @param {string} network - Network name
+ * @param {string} networkType - Network type
+ * @returns {Promise<number>} - Reserved nonce
+ */
+const reserveNonce = (address, network, networkType) => {
+  const key = getStateKey(address, network, networkType);
+
+  return withLock(key, async () => {
+    const state = getState(key);
+
+    if (state.reserved.size === 0) {
+      await syncState(state, address, network, networkType);
+    }
+
+    let nonce;
+    if (state.released.length > 0) {
+      state.released.sort((a, b) => a - b);
+      nonce = state.released.shift();
+    } else {
+      nonce = state.nextNonce;
+      state.nextNonce += 1;
+    }
+
+    state.reserved.add(nonce);
+    return nonce;
+  });
+};
+
+/**
+ * Marks a reserved nonce as used (transaction was broadcast)
+ * @param {string} address - Wallet address
+ * @param {number} nonce - Reserved nonce
+ * @param {string} network - Network name
+ * @param {string} networkType - Network type
+ */
+const confirmNonce = (address, nonce, network, networkType) => {
+  const state = getState(getStateKey(address, network, networkType));
+  state.reserved.delete(nonce);
+  state.lastSentAt = Date.now();
+};
+
+/**
+ * Releases a reserved nonce after a failed broadcast so it can be reused
+ * @param {string} address - Wallet address
+ * @param {number} nonce - Reserved nonce
+ * @param {string} network - Network name
+ * @param {string} networkType - Network type
+ * @param {Object} options - { used } the nonce is already used on the chain: it is not reused
+ *   and the state is resynced with the chain on next reservation
+ */
+const releaseNonce = (address, nonce, network, networkType, { used = false } = {}) => {
+  const state = getState(getStateKey(address, network, networkType));
+  if (!state.reserved.delete(nonce)) {
+    return;
+  }
+
+  if (used) {
+    state.stale = true;
+  } else if (nonce === state.nextNonce - 1) {
+    // Last nonce, shrink instead of leaving a gap
+    state.nextNonce -= 1;
+    state.released.sort((a, b) => a - b);
+    while (state.released.length && state.released[state.released.length - 1] === state.nextNonce - 1) {
+      state.released.pop();
+      state.nextNonce -= 1;
+    }
+  } else {
+    state.released.push(nonce);
+  }
+};
+
+/**
+ * Checks if an error means the nonce was already used on the chain
+ * @param {Error} error - Send error
+ * @returns {boolean} - Whether the nonce is used
+ * @private
+ */
+const isNonceUsedError = (error) => {
+  return error.code === 'NONCE_EXPIRED' ||
+    error.code === 'REPLACEMENT_UNDERPRICED' ||
+    /nonce too low|already known|replacement transaction underpriced/i.test(error.message || '');
+};
+
+/**
+ * Runs a send function with a reserved nonce
+ * The nonce is confirmed if the function resolves and released if it throws
+ * @param {string} address - Wallet address
+ * @param {string} network - Network name
+ * @param {string} networkType - Network type
+ * @param {Function} sendFn - Async function receiving the nonce, must broadcast the transaction
+ * @returns {Promise<any>} - sendFn result
+ */
+const withNonce = async (address, network, networkType, sendFn) => {
+  const nonce = await reserveNonce(address, network, networkType);
+
+  try {
+    const result = await sendFn(nonce);
+    confirmNonce(address, nonce, network, networkType);
+    return result;
+  } catch (error) {
+    releaseNonce(address, nonce, network, networkType, { used: isNonceUsedError(error) });
+    throw error;
+  }
+};
+
+/**
+ * Formats a nonce state for inspection
+ * @param {string} key - State key
+ * @param {Object} state - Nonce state
+ * @returns {Object} - Nonce state information
+ * @private
+ */
+const formatState = (key, state) => {
+  const [network, networkType, address] = key.split(':');
+  return {
+    address,
+    network,
+    networkType,
+    nextNonce: state.nextNonce,
+    chainPendingCount: state.chainPendingCount,
+    reserved: Array.from(state.reserved).sort((a, b) => a - b),
+    released: [...state.released].sort((a, b) => a - b),
+    stale: state.stale,
+    lastSyncedAt: state.lastSyncedAt ? new Date(state.lastSyncedAt).toISOString() : null,
+    lastSentAt: state.lastSentAt ? new Date(state.lastSentAt).toISOString() : null
+  };
+};
+
+/**
+ * Returns nonce manager state
+ * @param {Object} filters - { address, network, networkType } (all optional)
+ * @returns {Array<Object>} - Nonce states
+ */
+const getNonceStates = ({ address, network, networkType } = {}) => {
+  return Object.entries(nonceStates)
+    .map(([key, state]) => formatState(key, state))
+    .filter(state =>
+      (!address || state.address === ethers.getAddress(address)) &&
+      (!network || state.network === network) &&
+      (!networkType || state.networkType === networkType)
+    );
+};
+
+/**
+ * Returns the nonce state of an address together with the current counts on the chain
+ * @param {string} address - Wallet address
+ * @param {string} network - Network name
+ * @param {string} networkType - Network type
+ * @returns {Promise<Object>} - Nonce state with { chain: { latest, pending } }
+ */
+const inspectNonceState = async (address, network, networkType) => {
+  const key = getStateKey(address, network, networkType);
+  const provider = getProvider(network, networkType);
+
+  const [latest, pending] = await Promise.all([
+    provider.getTransactionCount(address, 'latest'),
+    provider.getTransactionCount(address, 'pending')
+  ]);
+
+  // Untracked addresses are reported without creating a state
+  const state = nonceStates[key] || {
+    nextNonce: null,
+    reserved: new Set(),
+    released: [],
+    chainPendingCount: null,
+    lastSyncedAt: null,
+    lastSentAt: null,
+    stale: true
+  };
+
+  return {
+    ...formatState(key, state),
+    tracked: Boolean(nonceStates[key]),
+    chain: { latest, pending }
+  };
+};
+
+/**
+ * Forces a resync with the chain on the next reservation (gaps are dropped)
+ * @param {string} address - Wallet address
+ * @param {string} network - Network name
+ * @param {string} networkType - Network type
+ * @returns {Object} - Nonce state
+ */
+const resetNonceState = (address, network, networkType) => {
+  const key = getStateKey(address, network, networkType);
+  const state = getState(key);
+  state.released = [];
+  state.stale = true;
+  return formatState(key, state);
+};
+
+module.exports = {
+  reserveNonce,
+  confirmNonce,
+  releaseNonce,
+  withNonce,
+  getNonceStates,
+  inspectNonceState,
+  resetNonceState
+};
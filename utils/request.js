@@ -0,0 +1,30 @@
+/**
+ * Identifies who a request acts for, used to scope vault wallets
+ * @param {Object} req - Express request object
+ * @returns {string|null} - apikey:<keyId>, address:<session address> or null when authentication is disabled
+ */
+const getRequestOwner = (req) => {
+  if (req.apiKey) {
+    return `apikey:${req.apiKey.keyId}`;
+  }
+  if (req.session) {
+    return `address:${req.session.address}`;
+  }
+  return null;
+};
+
+/**
+ * Collects the request metadata recorded with submitted transactions
+ * @param {Object} req - Express request object
+ * @returns {Object} - { method, route, apiKeyId, sessionAddress, owner, ip }
+ */
+const getRequestMetadata = (req) => ({
+  method: req.method,
+  route: req.baseUrl + req.path,
+  apiKeyId: req.apiKey ? req.apiKey.keyId : null,
+  sessionAddress: req.session ? req.session.address : null,
+  owner: getRequestOwner(req),
+  ip: req.ip
+});
+
+module.exports = { getRequestOwner, getRequestMetadata };
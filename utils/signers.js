@@ -0,0 +1,231 @@
+const { ethers } = require('ethers');
+const dotenv = require('dotenv');
+
+dotenv.config();
+
+// Supported signer backends
+const SIGNER_TYPES = ['local', 'remote', 'kms'];
+
+// Default remote signer service
+const REMOTE_SIGNER_URL = process.env.REMOTE_SIGNER_URL || 'http://localhost:3100';
+const REMOTE_SIGNER_TOKEN = process.env.REMOTE_SIGNER_TOKEN;
+
+/**
+ * Builds an unsigned transaction from a request, checking the sender address
+ * @param {ethers.AbstractSigner} signer - Signer
+ * @param {Object} tx - Transaction request
+ * @returns {Promise<ethers.Transaction>} - Unsigned transaction
+ */
+const toUnsignedTransaction = async (signer, tx) => {
+  const address = await signer.getAddress();
+  const request = ethers.copyRequest(tx);
+
+  const { to, from } = await ethers.resolveProperties({
+    to: request.to ? ethers.resolveAddress(request.to, signer.provider) : undefined,
+    from: request.from ? ethers.resolveAddress(request.from, signer.provider) : undefined
+  });
+
+  if (to != null) {
+    request.to = to;
+  }
+
+  if (from != null && ethers.getAddress(from) !== address) {
+    throw new Error(`Transaction from address mismatch: ${from}`);
+  }
+  delete request.from;
+
+  return ethers.Transaction.from(request);
+};
+
+/**
+ * Sends a JSON request to a remote signer service
+ * @param {string} url - Full request URL
+ * @param {string} method - HTTP method
+ * @param {Object} body - JSON body (optional)
+ * @param {string} token - Bearer token (optional)
+ * @returns {Promise<Object>} - Response data
+ */
+const sendRemoteSignerRequest = async (url, method, body, token) => {
+  const request = new ethers.FetchRequest(url);
+  request.method = method;
+  request.timeout = 30000;
+  if (body) {
+    request.body = body;
+  }
+  if (token) {
+    request.setHeader('Authorization', `Bearer ${token}`);
+  }
+
+  const response = await request.send();
+  const payload = response.hasBody() ? response.bodyJson : {};
+
+  if (!response.ok()) {
+    throw new Error(`Remote signer error (${response.statusCode}): ${payload.message || response.statusMessage}`);
+  }
+
+  return payload.data;
+};
+
+/**
+ * Signer that delegates signing to an external HTTP signing service
+ * Requests only ever go to REMOTE_SIGNER_URL, which is the only host that receives REMOTE_SIGNER_TOKEN.
+ * Protocol (JSON, optional bearer token):
+ *   GET  /keys/:keyId                  -> { data: { keyId, address } }
+ *   POST /keys/:keyId/sign-transaction -> body { unsignedTransaction } -> { data: { signedTransaction } }
+ *   POST /keys/:keyId/sign-message     -> body { message } (hex)        -> { data: { signature } }
+ *   POST /keys/:keyId/sign-typed-data  -> body { domain, types, value } -> { data: { signature } }
+ * See scripts/remote-signer.js for a reference implementation.
+ */
+class RemoteSigner extends ethers.AbstractSigner {
+  constructor({ keyId, address = null }, provider = null) {
+    super(provider);
+    this.keyId = keyId;
+    this.address = address ? ethers.getAddress(address) : null;
+  }
+
+  /**
+   * Sends a request for this key to the remote signer
+   * @param {string} method - HTTP method
+   * @param {string} path - Path relative to the key
+   * @param {Object} body - JSON body (optional)
+   * @returns {Promise<Object>} - Response data
+   * @private
+   */
+  request(method, path, body) {
+    return sendRemoteSignerRequest(
+      `${REMOTE_SIGNER_URL.replace(/\/$/, '')}/keys/${encodeURIComponent(this.keyId)}${path}`,
+      method,
+      body,
+      REMOTE_SIGNER_TOKEN
+    );
+  }
+
+  /**
+   * Creates a new key on the remote signer
+   * @returns {Promise<Object>} - { keyId, address }
+   */
+  static createKey() {
+    return sendRemoteSignerRequest(`${REMOTE_SIGNER_URL.replace(/\/$/, '')}/keys`, 'POST', {}, REMOTE_SIGNER_TOKEN);
+  }
+
+  async getAddress() {
+    if (!this.address) {
+      const key = await this.request('GET', '');
+      this.address = ethers.getAddress(key.address);
+    }
+    return this.address;
+  }
+
+  connect(provider) {
+    return new RemoteSigner({
+      keyId: this.keyId,
+      address: this.address
+    }, provider);
+  }
+
+  async signTransaction(tx) {
+    const unsignedTx = await toUnsignedTransaction(this, tx);
+    const { signedTransaction } = await this.request('POST', '/sign-transaction', {
+      unsignedTransaction: unsignedTx.unsignedSerialized
+    });
+
+    // Never trust the remote signer blindly
+    const signedTx = ethers.Transaction.from(signedTransaction);
+    if (signedTx.unsignedHash !== unsignedTx.unsignedHash || signedTx.from !== await this.getAddress()) {
+      throw new Error('Remote signer returned a transaction that does not match the request');
+    }
+
+    return signedTx.serialized;
+  }
+
+  async signMessage(message) {
+    const messageHex = typeof message === 'string' ? ethers.hexlify(ethers.toUtf8Bytes(message)) : ethers.hexlify(message);
+    const { signature } = await this.request('POST', '/sign-message', { message: messageHex });
+
+    if (ethers.verifyMessage(ethers.getBytes(messageHex), signature) !== await this.getAddress()) {
+      throw new Error('Remote signer returned an invalid message signature');
+    }
+
+    return signature;
+  }
+
+  async signTypedData(domain, types, value) {
+    const { signature } = await this.request('POST', '/sign-typed-data', { domain, types, value });
+
+    if (ethers.verifyTypedData(domain, types, value, signature) !== await this.getAddress()) {
+      throw new Error('Remote signer returned an invalid typed data signature');
+    }
+
+    return signature;
+  }
+}
+
+/**
+ * Signer backed by a KMS-like service that only signs digests and never exposes the key
+ */
+class KmsSigner extends ethers.AbstractSigner {
+  constructor({ backend, keyId, address = null }, provider = null) {
+    super(provider);
+    this.backend = backend;
+    this.keyId = keyId;
+    this.address = address ? ethers.getAddress(address) : null;
+  }
+
+  async getAddress() {
+    if (!this.address) {
+      this.address = ethers.getAddress(await this.backend.getAddress(this.keyId));
+    }
+    return this.address;
+  }
+
+  connect(provider) {
+    return new KmsSigner({ backend: this.backend, keyId: this.keyId, address: this.address }, provider);
+  }
+
+  /**
+   * Signs a digest with the KMS key and restores the recovery id
+   * @param {string} digest - 32 byte hex digest
+   * @returns {Promise<ethers.Signature>} - Signature with v
+   * @private
+   */
+  async signDigest(digest) {
+    const address = await this.getAddress();
+    const { r, s } = await this.backend.signDigest(this.keyId, digest);
+
+    // KMS signatures may have a high s value, normalize to canonical form
+    const sValue = BigInt(s);
+    const canonicalS = sValue > ethers.N / 2n ? ethers.toBeHex(ethers.N - sValue, 32) : ethers.toBeHex(sValue, 32);
+
+    for (const v of [27, 28]) {
+      const signature = ethers.Signature.from({ r, s: canonicalS, v });
+      if (ethers.recoverAddress(digest, signature) === address) {
+        return signature;
+      }
+    }
+
+    throw new Error('KMS signature does not match the key address');
+  }
+
+  async signTransaction(tx) {
+    const unsignedTx = await toUnsignedTransaction(this, tx);
+    unsignedTx.signature = await this.signDigest(unsignedTx.unsignedHash);
+    return unsignedTx.serialized;
+  }
+
+  async signMessage(message) {
+    const signature = await this.signDigest(ethers.hashMessage(message));
+    return signature.serialized;
+  }
+
+  async signTypedData(domain, types, value) {
+    const signature = await this.signDigest(ethers.TypedDataEncoder.hash(domain, types, value));
+    return signature.serialized;
+  }
+}
+
+module.exports = {
+  SIGNER_TYPES,
+  REMOTE_SIGNER_URL,
+  RemoteSigner,
+  KmsSigner
+};
@@ -0,0 +1,157 @@
+const { ethers } = require('ethers');
+
+// First line of an EIP-4361 message: optional scheme, domain and fixed text
+const HEADER_PATTERN = /^(?:([a-zA-Z][a-zA-Z0-9+.-]*):\/\/)?(\S+) wants you to sign in with your Ethereum account:$/;
+
+// Optional fields, in the order they must appear after Issued At
+const OPTIONAL_FIELDS = [
+  ['Expiration Time', 'expirationTime'],
+  ['Not Before', 'notBefore'],
+  ['Request ID', 'requestId']
+];
+
+/**
+ * Checks an RFC 3339 date-time value
+ * @param {string} value - Date-time string
+ * @returns {boolean} - Whether the value is valid
+ * @private
+ */
+const isDateTime = (value) => {
+  return /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}(\.\d+)?(Z|[+-]\d{2}:\d{2})$/.test(value) && !isNaN(Date.parse(value));
+};
+
+/**
+ * Parses an EIP-4361 (Sign-In With Ethereum) message
+ * @param {string} message - Message text
+ * @returns {Object} - { scheme, domain, address, statement, uri, version, chainId, nonce, issuedAt,
+ *   expirationTime, notBefore, requestId, resources }
+ */
+const parseSiweMessage = (message) => {
+  const lines = message.split('\n');
+  let index = 0;
+
+  const header = (lines[index++] || '').match(HEADER_PATTERN);
+  if (!header) {
+    throw new Error('Invalid SIWE message header');
+  }
+
+  const fields = {
+    scheme: header[1] || null,
+    domain: header[2],
+    address: lines[index++],
+    statement: null,
+    resources: []
+  };
+
+  if (!/^0x[a-fA-F0-9]{40}$/.test(fields.address || '') || ethers.getAddress(fields.address) !== fields.address) {
+    throw new Error('SIWE address must be an EIP-55 checksummed address');
+  }
+
+  if (lines[index++] !== '') {
+    throw new Error('Invalid SIWE message: expected empty line after address');
+  }
+
+  // Statement is optional and surrounded by empty lines
+  if (lines[index] !== '') {
+    fields.statement = lines[index++];
+  }
+  if (lines[index++] !== '') {
+    throw new Error('Invalid SIWE message: expected empty line before URI');
+  }
+
+  // Reads a required "Name: value" line
+  const readField = (name) => {
+    const line = lines[index] || '';
+    if (!line.startsWith(`${name}: `)) {
+      throw new Error(`Invalid SIWE message: missing ${name}`);
+    }
+    index++;
+    return line.slice(name.length + 2);
+  };
+
+  fields.uri = readField('URI');
+  fields.version = readField('Version');
+  fields.chainId = Number(readField('Chain ID'));
+  fields.nonce = readField('Nonce');
+  fields.issuedAt = readField('Issued At');
+
+  OPTIONAL_FIELDS.forEach(([name, key]) => {
+    fields[key] = (lines[index] || '').startsWith(`${name}: `) ? readField(name) : null;
+  });
+
+  if (lines[index] === 'Resources:') {
+    index++;
+    while ((lines[index] || '').startsWith('- ')) {
+      fields.resources.push(lines[index++].slice(2));
+    }
+  }
+
+  if (index !== lines.length) {
+    throw new Error('Invalid SIWE message: unexpected content');
+  }
+
+  if (fields.version !== '1') {
+    throw new Error('Unsupported SIWE version: ' + fields.version);
+  }
+  if (!Number.isSafeInteger(fields.chainId) || fields.chainId <= 0) {
+    throw new Error('Invalid SIWE chain ID');
+  }
+  if (!/^[a-zA-Z0-9]{8,}$/.test(fields.nonce)) {
+    throw new Error('SIWE nonce must be at least 8 alphanumeric characters');
+  }
+  ['issuedAt', 'expirationTime', 'notBefore'].forEach(key => {
+    if (fields[key] !== null && !isDateTime(fields[key])) {
+      throw new Error(`Invalid SIWE ${key} date`);
+    }
+  });
+
+  return fields;
+};
+
+/**
+ * Builds an EIP-4361 (Sign-In With Ethereum) message
+ * @param {Object} fields - Same fields as returned by parseSiweMessage
+ * @returns {string} - Message text
+ */
+const createSiweMessage = ({
+  scheme,
+  domain,
+  address,
+  statement,
+  uri,
+  version = '1',
+  chainId,
+  nonce,
+  issuedAt = new Date().toISOString(),
+  expirationTime,
+  notBefore,
+  requestId,
+  resources = []
+}) => {
+  const lines = [
+    `${scheme ? `${scheme}://` : ''}${domain} wants you to sign in with your Ethereum account:`,
+    ethers.getAddress(address),
+    '',
+    ...(statement ? [statement] : []),
+    '',
+    `URI: ${uri}`,
+    `Version: ${version}`,
+    `Chain ID: ${chainId}`,
+    `Nonce: ${nonce}`,
+    `Issued At: ${issuedAt}`
+  ];
+
+  if (expirationTime) lines.push(`Expiration Time: ${expirationTime}`);
+  if (notBefore) lines.push(`Not Before: ${notBefore}`);
+  if (requestId) lines.push(`Request ID: ${requestId}`);
+  if (resources.length) {
+    lines.push('Resources:', ...resources.map(resource => `- ${resource}`));
+  }
+
+  return lines.join('\n');
+};
+
+module.exports = {
+  parseSiweMessage,
+  createSiweMessage
+};
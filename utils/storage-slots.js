@@ -0,0 +1,72 @@
+const { ethers } = require('ethers');
+
+/**
+ * Storage layouts of common ERC-20 implementations
+ * balanceSlot / allowanceSlot are the base slots of the balance and allowance mappings
+ */
+const ERC20_STORAGE_LAYOUTS = [
+  { name: 'openzeppelin', language: 'solidity', balanceSlot: 0n, allowanceSlot: 1n },
+  { name: 'openzeppelin-upgradeable', language: 'solidity', balanceSlot: 51n, allowanceSlot: 52n },
+  // OpenZeppelin 5 upgradeable contracts use ERC-7201 namespaced storage (openzeppelin.storage.ERC20)
+  {
+    name: 'openzeppelin-v5-upgradeable',
+    language: 'solidity',
+    balanceSlot: 0x52c63247e1f47db19d5ce0460030c497f067ca4cebf71ba98eeadabe20bace00n,
+    allowanceSlot: 0x52c63247e1f47db19d5ce0460030c497f067ca4cebf71ba98eeadabe20bace01n
+  },
+  { name: 'usdc', language: 'solidity', balanceSlot: 9n, allowanceSlot: 10n },
+  { name: 'usdt', language: 'solidity', balanceSlot: 2n, allowanceSlot: 5n },
+  { name: 'weth9', language: 'solidity', balanceSlot: 3n, allowanceSlot: 4n },
+  { name: 'dai', language: 'solidity', balanceSlot: 2n, allowanceSlot: 3n }
+];
+
+/**
+ * Computes the storage slot of a mapping entry
+ * Solidity: keccak256(key . slot), Vyper: keccak256(slot . key)
+ * @param {string|bigint} key - Mapping key (address or 32-byte value)
+ * @param {string|bigint} slot - Base slot of the mapping (or the slot of the outer entry for nested mappings)
+ * @param {string} language - solidity or vyper
+ * @returns {string} - 32-byte storage slot
+ */
+const getMappingSlot = (key, slot, language = 'solidity') => {
+  const coder = ethers.AbiCoder.defaultAbiCoder();
+  const keyType = typeof key === 'string' && ethers.isAddress(key) ? 'address' : 'uint256';
+  return ethers.keccak256(language === 'vyper'
+    ? coder.encode(['uint256', keyType], [slot, key])
+    : coder.encode([keyType, 'uint256'], [key, slot]));
+};
+
+/**
+ * Computes the storage slot of an ERC-20 balance (balances[holder])
+ * @param {string} holder - Token holder address
+ * @param {string|bigint} balanceSlot - Base slot of the balance mapping
+ * @param {string} language - solidity or vyper
+ * @returns {string} - 32-byte storage slot
+ */
+const getBalanceSlot = (holder, balanceSlot, language = 'solidity') => getMappingSlot(holder, balanceSlot, language);
+
+/**
+ * Computes the storage slot of an ERC-20 allowance (allowances[owner][spender])
+ * @param {string} owner - Token owner address
+ * @param {string} spender - Spender address
+ * @param {string|bigint} allowanceSlot - Base slot of the allowance mapping
+ * @param {string} language - solidity or vyper
+ * @returns {string} - 32-byte storage slot
+ */
+const getAllowanceSlot = (owner, spender, allowanceSlot, language = 'solidity') =>
+  getMappingSlot(spender, getMappingSlot(owner, allowanceSlot, language), language);
+
+/**
+ * Encodes a storage value as 32 bytes
+ * @param {string|bigint|number} value - Value
+ * @returns {string} - 32-byte hex value
+ */
+const toStorageValue = (value) => ethers.toBeHex(BigInt(value), 32);
+
+module.exports = {
+  ERC20_STORAGE_LAYOUTS,
+  getMappingSlot,
+  getBalanceSlot,
+  getAllowanceSlot,
+  toStorageValue
+};
@@ -0,0 +1,136 @@
+const fs = require('fs');
+const path = require('path');
+const dotenv = require('dotenv');
+
+dotenv.config();
+
+// Directory where file-backed stores are persisted
+const DATA_DIR = process.env.DATA_DIR || path.join(__dirname, '..', 'data');
+
+/**
+ * Simple file-backed key/value store
+ * Keeps records in memory and persists them as a single JSON file
+ */
+class FileStore {
+  constructor(name, options = {}) {
+    this.name = name;
+    this.dataDir = options.dataDir || DATA_DIR;
+    this.filePath = path.join(this.dataDir, `${name}.json`);
+    this.records = null;
+  }
+
+  /**
+   * Loads records from disk on first access
+   * @private
+   */
+  load() {
+    if (this.records) return;
+
+    this.records = new Map();
+
+    if (!fs.existsSync(this.filePath)) return;
+
+    try {
+      const content = JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+      for (const [key, value] of Object.entries(content)) {
+        this.records.set(key, value);
+      }
+    } catch (error) {
+      console.error(`Store "${this.name}" could not be loaded:`, error);
+      throw new Error(`Store "${this.name}" could not be loaded: ${error.message}`);
+    }
+  }
+
+  /**
+   * Writes all records to disk (write to temp file, then rename)
+   * @private
+   */
+  persist() {
+    fs.mkdirSync(this.dataDir, { recursive: true });
+
+    const tempPath = `${this.filePath}.tmp`;
+    const content = JSON.stringify(Object.fromEntries(this.records), null, 2);
+
+    fs.writeFileSync(tempPath, content, { mode: 0o600 });
+    fs.renameSync(tempPath, this.filePath);
+  }
+
+  /**
+   * Reads a record
+   * @param {string} key - Record key
+   * @returns {Object|undefined} - Stored record or undefined
+   */
+  get(key) {
+    this.load();
+    return this.records.get(key);
+  }
+
+  /**
+   * Checks if a record exists
+   * @param {string} key - Record key
+   * @returns {boolean} - Whether the record exists
+   */
+  has(key) {
+    this.load();
+    return this.records.has(key);
+  }
+
+  /**
+   * Writes a record
+   * @param {string} key - Record key
+   * @param {Object} value - Record to store (must be JSON serializable)
+   * @returns {Object} - Stored record
+   */
+  set(key, value) {
+    this.load();
+    this.records.set(key, value);
+    this.persist();
+    return value;
+  }
+
+  /**
+   * Deletes a record
+   * @param {string} key - Record key
+   * @returns {boolean} - Whether a record was deleted
+   */
+  delete(key) {
+    this.load();
+    const deleted = this.records.delete(key);
+    if (deleted) {
+      this.persist();
+    }
+    return deleted;
+  }
+
+  /**
+   * Returns all records, optionally filtered
+   * @param {Function} filterFn - Filter function (optional)
+   * @returns {Array<Object>} - Matching records
+   */
+  values(filterFn) {
+    this.load();
+    const values = Array.from(this.records.values());
+    return filterFn ? values.filter(filterFn) : values;
+  }
+}
+
+// Store instances shared by all modules, one per store name
+const stores = {};
+
+/**
+ * Gets or creates a named store
+ * @param {string} name - Store name (also used as file name)
+ * @returns {FileStore} - Store instance
+ */
+const getStore = (name) => {
+  if (!stores[name]) {
+    stores[name] = new FileStore(name);
+  }
+  return stores[name];
+};
+
+module.exports = {
+  FileStore,
+  getStore,
+  DATA_DIR
+};
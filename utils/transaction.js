@@ -1,5 +1,8 @@
 const { ethers } = require('ethers');
-const { getProvider, DEFAULT_NETWORK, DEFAULT_NETWORK_TYPE } = require('./network');
+const { getProvider, getNetworkInfo, DEFAULT_NETWORK, DEFAULT_NETWORK_TYPE } = require('./network');
+const abiService = require('../services/abi.service');
+const feeOracle = require('../services/fee-oracle.service');
+const l1FeeService = require('../services/l1-fee.service');
 
 /**
  * Estimates gas limit for transaction
@@ -25,30 +28,77 @@ const estimateGasLimit = async (txParams, network, networkType) => {
   }
 };
 
+/**
+ * Converts transaction parameters to JSON-RPC form (eth_call, eth_estimateGas)
+ * @param {Object} txParams - Transaction parameters
+ * @returns {Object} - JSON-RPC transaction object
+ */
+const toRpcTransaction = (txParams) => {
+  const rpcTx = { from: txParams.from, to: txParams.to };
+  if (txParams.data) rpcTx.data = txParams.data;
+  if (txParams.value) rpcTx.value = ethers.toQuantity(txParams.value);
+  if (txParams.gasLimit) rpcTx.gas = ethers.toQuantity(txParams.gasLimit);
+  if (txParams.gasPrice) rpcTx.gasPrice = ethers.toQuantity(txParams.gasPrice);
+  if (txParams.maxFeePerGas) rpcTx.maxFeePerGas = ethers.toQuantity(txParams.maxFeePerGas);
+  if (txParams.maxPriorityFeePerGas) rpcTx.maxPriorityFeePerGas = ethers.toQuantity(txParams.maxPriorityFeePerGas);
+  return rpcTx;
+};
+
 /**
  * Simulates transaction
+ * A reverting call is reported with its decoded revert (Error(string), Panic(uint256) or a custom error)
  * @param {Object} txParams - Transaction parameters
  * @param {string} network - Network name
  * @param {string} networkType - Network type
+ * @param {Object} options - { abi, stateOverride }
+ *   abi: used to decode custom errors (optional, the registry and selector database are also used)
+ *   stateOverride: eth_call state override set (optional, see state-override.service)
  * @returns {Promise<Object>} - Simulation result
  */
-const simulateTransaction = async (txParams, network = DEFAULT_NETWORK, networkType = DEFAULT_NETWORK_TYPE) => {
+const simulateTransaction = async (txParams, network = DEFAULT_NETWORK, networkType = DEFAULT_NETWORK_TYPE, { abi, stateOverride } = {}) => {
   try {
     const provider = getProvider(network, networkType);
+    const revertContext = {
+      abi,
+      chainId: getNetworkInfo(network, networkType).chainId,
+      address: txParams.to
+    };
     
-    // Estimate gas
-    const gasEstimate = await provider.estimateGas(txParams);
+    // State overrides are only available through the raw JSON-RPC methods
+    const call = stateOverride
+      ? () => provider.send('eth_call', [toRpcTransaction(txParams), 'latest', stateOverride])
+      : () => provider.call(txParams);
+    const estimateGas = stateOverride
+      ? async () => BigInt(await provider.send('eth_estimateGas', [toRpcTransaction(txParams), 'latest', stateOverride]))
+      : () => provider.estimateGas(txParams);
     
     // Get call result (static call - throws error on revert)
     let callResult = null;
     let success = true;
     let errorMessage = null;
+    let revert = null;
     
     try {
-      callResult = await provider.call(txParams);
+      callResult = await call();
     } catch (error) {
       success = false;
-      errorMessage = error.message;
+      revert = abiService.decodeRevertError(error, revertContext);
+      errorMessage = revert ? revert.reason : error.message;
+    }
+    
+    // Estimate gas (estimation fails for reverting calls)
+    let gasEstimate = null;
+    if (success) {
+      try {
+        gasEstimate = await estimateGas();
+      } catch (error) {
+        revert = abiService.decodeRevertError(error, revertContext);
+        if (!revert) {
+          throw error;
+        }
+        success = false;
+        errorMessage = revert.reason;
+      }
     }
     
     // Get current gas prices
@@ -56,9 +106,10 @@ const simulateTransaction = async (txParams, network = DEFAULT_NETWORK, networkT
     
     return {
       success,
-      gasEstimate: gasEstimate.toString(),
+      gasEstimate: gasEstimate !== null ? gasEstimate.toString() : null,
       callResult,
       errorMessage,
+      revert,
       gasInfo: {
         gasPrice: feeData.gasPrice ? feeData.gasPrice.toString() : null,
         maxFeePerGas: feeData.maxFeePerGas ? feeData.maxFeePerGas.toString() : null,
@@ -72,71 +123,14 @@ const simulateTransaction = async (txParams, network = DEFAULT_NETWORK, networkT
 };
 
 /**
- * Gas price prediction
+ * Gas price prediction from the priority fees paid in recent blocks (see fee-oracle.service)
  * @param {string} network - Network name
  * @param {string} networkType - Network type
- * @returns {Promise<Object>} - Gas price prediction
+ * @returns {Promise<Object>} - Slow / standard / fast fees with inclusion probabilities
  */
 const predictGasPrice = async (network = DEFAULT_NETWORK, networkType = DEFAULT_NETWORK_TYPE) => {
   try {
-    const provider = getProvider(network, networkType);
-    const feeData = await provider.getFeeData();
-    
-    const baseFee = feeData.lastBaseFeePerGas || feeData.gasPrice;
-    
-    // For EIP-1559 supported chains
-    if (feeData.maxFeePerGas) {
-      const slow = {
-        maxFeePerGas: (baseFee * BigInt(120) / BigInt(100)).toString(), // 20% more
-        maxPriorityFeePerGas: (feeData.maxPriorityFeePerGas / BigInt(2)).toString(), // Half priority fee
-        estimatedTime: '3-5 minutes'
-      };
-      
-      const standard = {
-        maxFeePerGas: (baseFee * BigInt(150) / BigInt(100)).toString(), // 50% more
-        maxPriorityFeePerGas: feeData.maxPriorityFeePerGas.toString(),
-        estimatedTime: '1-3 minutes'
-      };
-      
-      const fast = {
-        maxFeePerGas: (baseFee * BigInt(200) / BigInt(100)).toString(), // 100% more
-        maxPriorityFeePerGas: (feeData.maxPriorityFeePerGas * BigInt(2)).toString(), // 2x priority fee
-        estimatedTime: '<1 minute'
-      };
-      
-      return {
-        slow,
-        standard,
-        fast,
-        baseFee: baseFee.toString(),
-        eip1559Supported: true
-      };
-    } else {
-      // For legacy gas price model
-      const gasPrice = feeData.gasPrice;
-      
-      const slow = {
-        gasPrice: (gasPrice * BigInt(80) / BigInt(100)).toString(), // 20% lower
-        estimatedTime: '3-5 minutes'
-      };
-      
-      const standard = {
-        gasPrice: gasPrice.toString(),
-        estimatedTime: '1-3 minutes'
-      };
-      
-      const fast = {
-        gasPrice: (gasPrice * BigInt(120) / BigInt(100)).toString(), // 20% higher
-        estimatedTime: '<1 minute'
-      };
-      
-      return {
-        slow,
-        standard,
-        fast,
-        eip1559Supported: false
-      };
-    }
+    return await feeOracle.getFeeEstimate(network, networkType);
   } catch (error) {
     throw new Error(`Gas price prediction failed: ${error.message}`);
   }
@@ -157,20 +151,23 @@ const getOptimalGasFees = async (network = DEFAULT_NETWORK, networkType = DEFAUL
     
     switch(priority) {
       case 'low':
-        result = prediction.slow;
+        result = { ...prediction.slow };
         break;
       case 'high':
-        result = prediction.fast;
+        result = { ...prediction.fast };
         break;
       case 'medium':
       default:
-        result = prediction.standard;
+        result = { ...prediction.standard };
         break;
     }
     
     // Add base fee and EIP-1559 support information
     result.baseFee = prediction.baseFee;
     result.eip1559Supported = prediction.eip1559Supported;
+    if (prediction.l1DataFee) {
+      result.l1DataFee = prediction.l1DataFee;
+    }
     
     return result;
   } catch (error) {
@@ -178,17 +175,85 @@ const getOptimalGasFees = async (network = DEFAULT_NETWORK, networkType = DEFAUL
   }
 };
 
+/**
+ * Expected saving of the slow tier over the standard one (effective price paid in the next block)
+ * @param {Object} prediction - predictGasPrice result
+ * @returns {string} - Saving percentage
+ * @private
+ */
+const getSavingsPercent = (prediction) => {
+  const effectivePrice = (tier) => (prediction.eip1559Supported
+    ? BigInt(prediction.baseFee) + BigInt(tier.maxPriorityFeePerGas)
+    : BigInt(tier.gasPrice));
+  const standard = effectivePrice(prediction.standard);
+  if (standard === 0n) return '0%';
+  return `~${Number((standard - effectivePrice(prediction.slow)) * 10000n / standard) / 100}%`;
+};
+
+/**
+ * Price per gas a fee tier is expected to pay in the next block
+ * Arbitrum does not charge priority fees.
+ * @private
+ */
+const getEffectiveGasPrice = (tier, prediction, rollup) => {
+  if (!prediction.eip1559Supported) {
+    return BigInt(tier.gasPrice);
+  }
+  const baseFee = BigInt(prediction.baseFee);
+  const price = rollup === 'arbitrum' ? baseFee : baseFee + BigInt(tier.maxPriorityFeePerGas);
+  const maxFeePerGas = BigInt(tier.maxFeePerGas);
+  return price < maxFeePerGas ? price : maxFeePerGas;
+};
+
+/**
+ * Expected cost of a transaction in the native currency at a fee tier
+ * On rollups it is the L2 execution fee plus the L1 data fee. The Arbitrum L1 component is paid in L2 gas and is
+ * already part of the gas estimate, so it is only split out.
+ * @param {bigint} gasUnits - Estimated gas used
+ * @param {Object} tier - predictGasPrice tier
+ * @param {Object} prediction - predictGasPrice result
+ * @param {Object|null} l1Fee - l1-fee.service getL1DataFee result
+ * @param {Object} nativeCurrency - { symbol, decimals }
+ * @returns {Object} - { effectiveGasPrice, executionFee, l1DataFee, totalFee, formattedTotal, currency }
+ * @private
+ */
+const describeCost = (gasUnits, tier, prediction, l1Fee, nativeCurrency) => {
+  const effectiveGasPrice = getEffectiveGasPrice(tier, prediction, l1Fee?.rollup);
+  let executionGas = gasUnits;
+  let l1DataFee = l1Fee ? l1Fee.l1DataFee : null;
+
+  if (l1Fee && l1Fee.l1GasInL2Units > 0n) {
+    const l1Gas = l1Fee.l1GasInL2Units < gasUnits ? l1Fee.l1GasInL2Units : gasUnits;
+    executionGas = gasUnits - l1Gas;
+    l1DataFee = l1Gas * effectiveGasPrice;
+  }
+
+  const executionFee = executionGas * effectiveGasPrice;
+  const totalFee = executionFee + (l1DataFee || 0n);
+
+  return {
+    effectiveGasPrice: effectiveGasPrice.toString(),
+    executionGas: executionGas.toString(),
+    executionFee: executionFee.toString(),
+    l1DataFee: l1DataFee !== null ? l1DataFee.toString() : null,
+    totalFee: totalFee.toString(),
+    formattedTotal: ethers.formatUnits(totalFee, nativeCurrency.decimals),
+    currency: nativeCurrency.symbol
+  };
+};
+
 /**
  * Analyzes transaction and provides gas usage recommendations
  * @param {Object} txParams - Transaction parameters
  * @param {string} network - Network name
  * @param {string} networkType - Network type
+ * @param {Object} options - { abi, stateOverride } (see simulateTransaction)
  * @returns {Promise<Object>} - Transaction analysis and recommendations
  */
-const analyzeAndOptimizeGas = async (txParams, network = DEFAULT_NETWORK, networkType = DEFAULT_NETWORK_TYPE) => {
+const analyzeAndOptimizeGas = async (txParams, network = DEFAULT_NETWORK, networkType = DEFAULT_NETWORK_TYPE, options = {}) => {
   try {
     // Simulate transaction
-    const simulation = await simulateTransaction(txParams, network, networkType);
+    const simulation = await simulateTransaction(txParams, network, networkType, options);
     
     // Gas predictions
     const gasPrediction = await predictGasPrice(network, networkType);
@@ -199,6 +264,26 @@ const analyzeAndOptimizeGas = async (txParams, network = DEFAULT_NETWORK, networ
       transactionType = 'Smart Contract Interaction';
     }
     
+    const { nativeCurrency, rollup } = getNetworkInfo(network, networkType);
+    const currentNetworkConditions = {
+      baseFee: gasPrediction.baseFee,
+      eip1559Supported: gasPrediction.eip1559Supported,
+      rollup
+    };
+    
+    // No gas estimate for a reverting transaction, so no fee recommendations
+    if (!simulation.success) {
+      return {
+        transactionType,
+        gasEstimate: simulation.gasEstimate,
+        success: false,
+        errorMessage: simulation.errorMessage,
+        revert: simulation.revert,
+        currentNetworkConditions,
+        recommendations: null
+      };
+    }
+    
     // Generate optimization recommendations
     const gasEstimateBigInt = BigInt(simulation.gasEstimate);
     const recommendations = {};
@@ -220,7 +305,7 @@ const analyzeAndOptimizeGas = async (txParams, network = DEFAULT_NETWORK, networ
         gasLimit: recommendedGasLimit,
         maxFeePerGas: gasPrediction.slow.maxFeePerGas,
         maxPriorityFeePerGas: gasPrediction.slow.maxPriorityFeePerGas,
-        estimatedSavingsPercent: '~30%',
+        estimatedSavingsPercent: getSavingsPercent(gasPrediction),
         estimatedTime: gasPrediction.slow.estimatedTime
       };
       
@@ -246,7 +331,7 @@ const analyzeAndOptimizeGas = async (txParams, network = DEFAULT_NETWORK, networ
       recommendations.savingOptions = {
         gasLimit: recommendedGasLimit,
         gasPrice: gasPrediction.slow.gasPrice,
-        estimatedSavingsPercent: '~20%',
+        estimatedSavingsPercent: getSavingsPercent(gasPrediction),
         estimatedTime: gasPrediction.slow.estimatedTime
       };
       
@@ -258,15 +343,28 @@ const analyzeAndOptimizeGas = async (txParams, network = DEFAULT_NETWORK, networ
       };
     }
     
+    // Cost in the native currency, rollups add the L1 data fee of the transaction
+    let l1Fee = null;
+    if (rollup) {
+      try {
+        l1Fee = await l1FeeService.getL1DataFee({ ...txParams, ...recommendations.recommendedParams }, network, networkType);
+        currentNetworkConditions.l1BaseFee = l1Fee.l1BaseFee.toString();
+      } catch (error) {
+        currentNetworkConditions.l1DataFeeError = `L1 data fee could not be estimated: ${error.message}`;
+      }
+    }
+    
+    recommendations.estimatedCost = describeCost(gasEstimateBigInt, gasPrediction.standard, gasPrediction, l1Fee, nativeCurrency);
+    recommendations.savingOptions.estimatedCost = describeCost(gasEstimateBigInt, gasPrediction.slow, gasPrediction, l1Fee, nativeCurrency);
+    recommendations.speedOptions.estimatedCost = describeCost(gasEstimateBigInt, gasPrediction.fast, gasPrediction, l1Fee, nativeCurrency);
+    
     return {
       transactionType,
       gasEstimate: simulation.gasEstimate,
       success: simulation.success,
       errorMessage: simulation.errorMessage,
-      currentNetworkConditions: {
-        baseFee: gasPrediction.baseFee,
-        eip1559Supported: gasPrediction.eip1559Supported
-      },
+      revert: simulation.revert,
+      currentNetworkConditions,
       recommendations
     };
   } catch (error) {
@@ -275,6 +373,7 @@ const analyzeAndOptimizeGas = async (txParams, network = DEFAULT_NETWORK, networ
 };
 
 module.exports = {
+  toRpcTransaction,
   estimateGasLimit,
   simulateTransaction,
   predictGasPrice,
@@ -3,6 +3,7 @@ const { ethers } = require('ethers');
 const { getProvider } = require('./network');
 const { getEthBalance } = require('./ethereum');
 const { enqueueNetworkRequest } = require('./queue');
+const { getFeeEstimate, getFeeData } = require('../services/fee-oracle.service');
 
 // Objects to manage WebSocket connections and subscriptions
 let io;
@@ -19,6 +20,34 @@ const connectionLimits = {
   connections: {}, // IP -> connection count mapping
 };
 
+/**
+ * Builds a gasPrice:update payload from the fee oracle
+ * gasPrice / maxFeePerGas / maxPriorityFeePerGas are the standard tier.
+ * @param {string} network - Network name
+ * @param {string} networkType - Network type
+ * @returns {Promise<Object>} - Update payload
+ */
+const getGasPriceUpdate = async (network, networkType) => {
+  const estimate = await getFeeEstimate(network, networkType);
+  const feeData = await getFeeData(network, networkType, 'standard');
+
+  return {
+    network,
+    networkType,
+    gasPrice: feeData.gasPrice?.toString(),
+    maxFeePerGas: feeData.maxFeePerGas?.toString(),
+    maxPriorityFeePerGas: feeData.maxPriorityFeePerGas?.toString(),
+    baseFee: estimate.baseFee,
+    eip1559Supported: estimate.eip1559Supported,
+    tiers: {
+      slow: estimate.slow,
+      standard: estimate.standard,
+      fast: estimate.fast
+    },
+    timestamp: Date.now()
+  };
+};
+
 // Initialize WebSocket server
 const initializeWebSocketServer = (server) => {
   io = socketIo(server, {
@@ -310,21 +339,11 @@ const initializeWebSocketServer = (server) => {
             }
             
             // Queue and check gas price
-            enqueueNetworkRequest(network, networkType, async () => {
-              const provider = getProvider(network, networkType);
-              return await provider.getFeeData();
-            })
-            .then(feeData => {
-              if (feeData) {
+            enqueueNetworkRequest(network, networkType, () => getGasPriceUpdate(network, networkType))
+            .then(update => {
+              if (update) {
                 const clients = Array.from(activeSubscriptions.gasPrice[networkKey]);
-                io.to(clients).emit('gasPrice:update', {
-                  network,
-                  networkType,
-                  gasPrice: feeData.gasPrice?.toString(),
-                  maxFeePerGas: feeData.maxFeePerGas?.toString(),
-                  maxPriorityFeePerGas: feeData.maxPriorityFeePerGas?.toString(),
-                  timestamp: Date.now()
-                });
+                io.to(clients).emit('gasPrice:update', update);
               }
             })
             .catch(error => {
@@ -337,19 +356,9 @@ const initializeWebSocketServer = (server) => {
         clientSubscriptions.gasPrice.add(networkKey);
         
         // Queue and send initial gas price information
-        enqueueNetworkRequest(network, networkType, async () => {
-          const provider = getProvider(network, networkType);
-          return await provider.getFeeData();
-        })
-        .then(feeData => {
-          socket.emit('gasPrice:update', {
-            network,
-            networkType,
-            gasPrice: feeData.gasPrice?.toString(),
-            maxFeePerGas: feeData.maxFeePerGas?.toString(),
-            maxPriorityFeePerGas: feeData.maxPriorityFeePerGas?.toString(),
-            timestamp: Date.now()
-          });
+        enqueueNetworkRequest(network, networkType, () => getGasPriceUpdate(network, networkType))
+        .then(update => {
+          socket.emit('gasPrice:update', update);
         })
         .catch(error => {
           console.error('Gas price retrieval error:', error);
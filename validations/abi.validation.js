@@ -0,0 +1,38 @@
+const Joi = require('joi');
+const { networkFields } = require('./common.validation');
+
+/**
+ * ABI registry validation schemas
+ */
+const abiSchema = {
+  // Upload (or replace) the ABI of a contract
+  register: Joi.object({
+    address: Joi.string().required().pattern(/^0x[a-fA-F0-9]{40}$/).messages({
+      'string.empty': 'Contract address cannot be empty',
+      'string.pattern.base': 'Invalid contract address',
+      'any.required': 'Contract address is required'
+    }),
+    name: Joi.string().max(100).optional(),
+    abi: Joi.alternatives().try(
+      Joi.array().items(Joi.alternatives().try(Joi.string(), Joi.object())).min(1),
+      Joi.string()
+    ).required().messages({
+      'alternatives.match': 'ABI must be a JSON ABI array or human-readable fragments',
+      'any.required': 'ABI is required'
+    }),
+    ...networkFields
+  }),
+
+  // Add signatures to the selector/topic database
+  signatures: Joi.object({
+    signatures: Joi.array().items(Joi.string().max(1024)).min(1).max(500).required().messages({
+      'array.min': 'At least one signature is required',
+      'array.max': 'At most 500 signatures can be sent at once',
+      'any.required': 'Signatures are required'
+    })
+  })
+};
+
+module.exports = {
+  abiSchema
+};
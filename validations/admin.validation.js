@@ -0,0 +1,43 @@
+const Joi = require('joi');
+const { API_KEY_SCOPES } = require('../services/apikey.service');
+
+/**
+ * Ciphertext re-encryption validation schema
+ */
+const reencryptSchema = Joi.object({
+  ciphertext: Joi.string().messages({
+    'string.empty': 'Ciphertext cannot be empty'
+  }),
+  ciphertexts: Joi.array().items(Joi.string().required()).min(1).max(100).messages({
+    'array.min': 'At least one ciphertext is required',
+    'array.max': 'At most 100 ciphertexts can be re-encrypted at once'
+  })
+}).xor('ciphertext', 'ciphertexts').messages({
+  'object.missing': 'Either ciphertext or ciphertexts is required',
+  'object.xor': 'Only one of ciphertext or ciphertexts can be sent'
+});
+
+/**
+ * API key creation validation schema
+ */
+const createApiKeySchema = Joi.object({
+  name: Joi.string().required().max(64).messages({
+    'string.empty': 'Name cannot be empty',
+    'any.required': 'Name is required'
+  }),
+  scopes: Joi.array().items(Joi.string().valid(...Object.values(API_KEY_SCOPES))).min(1).unique().required().messages({
+    'any.only': 'Scopes must be one of: ' + Object.values(API_KEY_SCOPES).join(', '),
+    'array.min': 'At least one scope is required',
+    'array.unique': 'Scopes must be unique',
+    'any.required': 'Scopes are required'
+  }),
+  rateLimit: Joi.number().integer().min(1).max(100000).optional().messages({
+    'number.base': 'Rate limit must be a number of requests per window',
+    'number.min': 'Rate limit must be at least 1'
+  })
+});
+
+module.exports = {
+  reencryptSchema,
+  createApiKeySchema
+};
@@ -0,0 +1,21 @@
+const Joi = require('joi');
+
+/**
+ * Sign-In With Ethereum (EIP-4361) validation schema
+ */
+const siweVerifySchema = Joi.object({
+  message: Joi.string().required().max(4096).messages({
+    'string.empty': 'Message cannot be empty',
+    'string.max': 'Message cannot be longer than 4096 characters',
+    'any.required': 'Message is required'
+  }),
+  signature: Joi.string().required().pattern(/^0x[a-fA-F0-9]{130}$/).messages({
+    'string.empty': 'Signature cannot be empty',
+    'string.pattern.base': 'Signature must be 65 bytes hex',
+    'any.required': 'Signature is required'
+  })
+});
+
+module.exports = {
+  siweVerifySchema
+};
@@ -0,0 +1,48 @@
+const Joi = require('joi');
+
+// Supported networks
+const supportedNetworks = ['ethereum', 'polygon', 'bsc', 'optimism', 'arbitrum'];
+const supportedNetworkTypes = ['mainnet', 'testnet', 'sepolia', 'goerli', 'mumbai', 'bsc-testnet', 'optimism-goerli', 'arbitrum-goerli'];
+
+// Network selection (both optional, defaults come from utils/network)
+const networkFields = {
+  network: Joi.string().valid(...supportedNetworks).optional().messages({
+    'any.only': 'Unsupported network. Please choose one of: ' + supportedNetworks.join(', ')
+  }),
+  networkType: Joi.string().valid(...supportedNetworkTypes).optional().messages({
+    'any.only': 'Unsupported network type. Please choose one of: ' + supportedNetworkTypes.join(', ')
+  })
+};
+
+// Signer reference: an encrypted private key or a vault wallet ID
+const signerRefFields = {
+  encryptedPrivateKey: Joi.string().messages({
+    'string.empty': 'Encrypted private key cannot be empty'
+  }),
+  walletId: Joi.string().pattern(/^wlt_[a-f0-9]{24}$/).messages({
+    'string.empty': 'Wallet ID cannot be empty',
+    'string.pattern.base': 'Invalid vault wallet ID'
+  })
+};
+
+/**
+ * Builds an object schema that signs with exactly one of encryptedPrivateKey or walletId
+ * Further rules can be chained; their messages are merged with the signer reference ones.
+ * @param {Object} keys - Other fields of the schema
+ * @returns {Joi.ObjectSchema} - Object schema
+ */
+const signerRefSchema = (keys) => Joi.object({
+  ...signerRefFields,
+  ...keys
+}).xor('encryptedPrivateKey', 'walletId').messages({
+  'object.missing': 'Either encryptedPrivateKey or walletId is required',
+  'object.xor': 'Only one of encryptedPrivateKey or walletId can be sent'
+});
+
+module.exports = {
+  supportedNetworks,
+  supportedNetworkTypes,
+  networkFields,
+  signerRefFields,
+  signerRefSchema
+};
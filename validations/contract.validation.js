@@ -0,0 +1,73 @@
+const Joi = require('joi');
+const { networkFields, signerRefSchema } = require('./common.validation');
+const { waitForFields } = require('./wallet.validation');
+
+// Fields shared by contract call and execute requests
+const contractCallFields = {
+  contractAddress: Joi.string().required().pattern(/^0x[a-fA-F0-9]{40}$/).messages({
+    'string.empty': 'Contract address cannot be empty',
+    'string.pattern.base': 'Invalid contract address',
+    'any.required': 'Contract address is required'
+  }),
+  abi: Joi.alternatives().try(
+    Joi.array().items(Joi.alternatives().try(Joi.string(), Joi.object())).min(1),
+    Joi.string(),
+    Joi.object()
+  ).messages({
+    'alternatives.match': 'ABI must be a JSON ABI array, human-readable fragments or a single fragment'
+  }),
+  abiName: Joi.string().valid('ERC20', 'ERC721', 'ERC1155', 'WETH', 'Multicall3').messages({
+    'any.only': 'ABI name must be one of: ERC20, ERC721, ERC1155, WETH, Multicall3'
+  }),
+  method: Joi.string().required().max(1024).messages({
+    'string.empty': 'Method cannot be empty',
+    'any.required': 'Method (function name or signature) is required'
+  }),
+  args: Joi.array().optional().messages({
+    'array.base': 'Args must be an array'
+  }),
+  value: Joi.string().pattern(/^\d+$/).optional().messages({
+    'string.pattern.base': 'Value must be an amount in wei'
+  }),
+  ...networkFields
+};
+
+/**
+ * Read-only contract call validation schema
+ */
+const contractCallSchema = Joi.object({
+  ...contractCallFields,
+  from: Joi.string().pattern(/^0x[a-fA-F0-9]{40}$/).optional().messages({
+    'string.pattern.base': 'Invalid sender address'
+  }),
+  blockTag: Joi.alternatives().try(
+    Joi.string().valid('latest', 'pending', 'safe', 'finalized', 'earliest'),
+    Joi.number().integer().min(0)
+  ).optional().messages({
+    'alternatives.match': 'Block tag must be a block number or one of: latest, pending, safe, finalized, earliest'
+  })
+}).oxor('abi', 'abiName').messages({
+  'object.oxor': 'Only one of abi or abiName can be sent'
+});
+
+/**
+ * Contract transaction (sign and send) validation schema
+ */
+const contractExecuteSchema = signerRefSchema({
+  ...contractCallFields,
+  gasLimit: Joi.string().pattern(/^\d+$/).optional(),
+  gasPrice: Joi.string().pattern(/^\d+$/).optional(),
+  maxFeePerGas: Joi.string().pattern(/^\d+$/).optional(),
+  maxPriorityFeePerGas: Joi.string().pattern(/^\d+$/).optional(),
+  ...waitForFields
+})
+  .oxor('abi', 'abiName')
+  .oxor('gasPrice', 'maxFeePerGas')
+  .messages({
+    'object.oxor': 'Only one of {{#peersWithLabels}} can be sent'
+  });
+
+module.exports = {
+  contractCallSchema,
+  contractExecuteSchema
+};
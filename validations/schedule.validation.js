@@ -0,0 +1,64 @@
+const Joi = require('joi');
+const { networkFields } = require('./common.validation');
+
+/**
+ * Scheduled transfer validation schema
+ * Schedules sign with vault wallets only (walletId)
+ */
+const createScheduleSchema = Joi.object({
+  walletId: Joi.string().required().pattern(/^wlt_[a-f0-9]{24}$/).messages({
+    'string.empty': 'Wallet ID cannot be empty',
+    'string.pattern.base': 'Invalid vault wallet ID',
+    'any.required': 'Wallet ID is required (schedules sign with vault wallets)'
+  }),
+  label: Joi.string().max(100).optional(),
+  action: Joi.object({
+    type: Joi.string().valid('native', 'token').required().messages({
+      'any.only': 'Action type must be native or token',
+      'any.required': 'Action type is required'
+    }),
+    to: Joi.string().required().pattern(/^0x[a-fA-F0-9]{40}$/).messages({
+      'string.empty': 'Recipient address cannot be empty',
+      'string.pattern.base': 'Invalid Ethereum address',
+      'any.required': 'Recipient address is required'
+    }),
+    amount: Joi.string().required().pattern(/^\d*\.?\d+$/).messages({
+      'string.empty': 'Amount cannot be empty',
+      'string.pattern.base': 'Invalid amount value',
+      'any.required': 'Amount is required'
+    }),
+    tokenAddress: Joi.string().pattern(/^0x[a-fA-F0-9]{40}$/).when('type', {
+      is: 'token',
+      then: Joi.required(),
+      otherwise: Joi.forbidden()
+    }).messages({
+      'string.pattern.base': 'Invalid token address',
+      'any.required': 'Token address is required for token transfers',
+      'any.unknown': 'Token address is only allowed for token transfers'
+    }),
+    decimals: Joi.number().integer().min(0).max(36).optional()
+  }).required().messages({
+    'any.required': 'Action is required'
+  }),
+  runAt: Joi.date().iso().optional().messages({
+    'date.format': 'runAt must be an ISO 8601 date'
+  }),
+  cron: Joi.string().max(100).optional(),
+  endAt: Joi.date().iso().optional().messages({
+    'date.format': 'endAt must be an ISO 8601 date'
+  }),
+  maxRuns: Joi.number().integer().min(1).optional(),
+  maxGasPriceGwei: Joi.number().positive().optional(),
+  maxPostponeMinutes: Joi.number().integer().min(1).max(7 * 24 * 60).optional(),
+  ...networkFields
+}).or('runAt', 'cron')
+  .with('endAt', 'cron')
+  .with('maxRuns', 'cron')
+  .messages({
+    'object.missing': 'Either runAt (one-time) or cron (recurring) is required',
+    'object.with': '{{#main}} is only allowed with cron'
+  });
+
+module.exports = {
+  createScheduleSchema
+};
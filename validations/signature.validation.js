@@ -0,0 +1,115 @@
+const Joi = require('joi');
+const { networkFields, signerRefSchema } = require('./common.validation');
+
+// Message is either UTF-8 text or hex encoded bytes
+const messageField = Joi.string().required().max(10000).when('encoding', {
+  is: 'hex',
+  then: Joi.string().pattern(/^0x([a-fA-F0-9]{2})*$/)
+}).messages({
+  'string.empty': 'Message cannot be empty',
+  'string.max': 'Message cannot be longer than 10000 characters',
+  'string.pattern.base': 'Hex message must be 0x prefixed bytes',
+  'any.required': 'Message is required'
+});
+
+const encodingField = Joi.string().valid('utf8', 'hex').default('utf8').messages({
+  'any.only': 'Encoding must be utf8 or hex'
+});
+
+/**
+ * EIP-191 message signing validation schemas
+ */
+const messageSchema = {
+  // Sign message
+  sign: signerRefSchema({
+    message: messageField,
+    encoding: encodingField
+  }),
+
+  // Verify signature
+  verify: Joi.object({
+    message: messageField,
+    encoding: encodingField,
+    signature: Joi.string().required().pattern(/^0x[a-fA-F0-9]{130}$/).messages({
+      'string.empty': 'Signature cannot be empty',
+      'string.pattern.base': 'Signature must be 65 bytes hex',
+      'any.required': 'Signature is required'
+    }),
+    address: Joi.string().required().pattern(/^0x[a-fA-F0-9]{40}$/).messages({
+      'string.empty': 'Address cannot be empty',
+      'string.pattern.base': 'Invalid Ethereum address',
+      'any.required': 'Address is required'
+    })
+  })
+};
+
+// EIP-712 typed data fields
+const typedDataFields = {
+  domain: Joi.object({
+    name: Joi.string(),
+    version: Joi.string(),
+    chainId: Joi.alternatives().try(
+      Joi.number().integer().positive(),
+      Joi.string().pattern(/^\d+$/)
+    ).messages({
+      'alternatives.match': 'Domain chainId must be a positive integer'
+    }),
+    verifyingContract: Joi.string().pattern(/^0x[a-fA-F0-9]{40}$/).messages({
+      'string.pattern.base': 'Domain verifyingContract must be a valid address'
+    }),
+    salt: Joi.string().pattern(/^0x[a-fA-F0-9]{64}$/).messages({
+      'string.pattern.base': 'Domain salt must be 32 bytes hex'
+    })
+  }).required().min(1).messages({
+    'object.min': 'Domain must have at least one field',
+    'object.unknown': 'Domain can only contain name, version, chainId, verifyingContract and salt',
+    'any.required': 'Domain is required'
+  }),
+  types: Joi.object().pattern(
+    /^[A-Za-z_][A-Za-z0-9_]*$/,
+    Joi.array().items(Joi.object({
+      name: Joi.string().required(),
+      type: Joi.string().required().pattern(/^[A-Za-z_][A-Za-z0-9_]*(\[\d*\])*$/)
+    })).required()
+  ).required().min(1).messages({
+    'object.min': 'At least one type is required',
+    'object.unknown': 'Invalid type name',
+    'string.pattern.base': 'Invalid field type',
+    'any.required': 'Types are required'
+  }),
+  message: Joi.object().required().messages({
+    'any.required': 'Message is required'
+  }),
+  primaryType: Joi.string().optional()
+};
+
+/**
+ * EIP-712 typed data signing validation schemas
+ */
+const typedDataSchema = {
+  // Sign typed data
+  sign: signerRefSchema({
+    ...typedDataFields,
+    ...networkFields
+  }),
+
+  // Verify typed data signature
+  verify: Joi.object({
+    ...typedDataFields,
+    signature: Joi.string().required().pattern(/^0x[a-fA-F0-9]{130}$/).messages({
+      'string.empty': 'Signature cannot be empty',
+      'string.pattern.base': 'Signature must be 65 bytes hex',
+      'any.required': 'Signature is required'
+    }),
+    address: Joi.string().required().pattern(/^0x[a-fA-F0-9]{40}$/).messages({
+      'string.empty': 'Address cannot be empty',
+      'string.pattern.base': 'Invalid Ethereum address',
+      'any.required': 'Address is required'
+    })
+  })
+};
+
+module.exports = {
+  messageSchema,
+  typedDataSchema
+};
@@ -1,8 +1,71 @@
 const Joi = require('joi');
+const { supportedNetworks, supportedNetworkTypes } = require('./common.validation');
 
-// Supported networks
-const supportedNetworks = ['ethereum', 'polygon', 'bsc', 'optimism', 'arbitrum'];
-const supportedNetworkTypes = ['mainnet', 'testnet', 'sepolia', 'goerli', 'mumbai', 'bsc-testnet', 'optimism-goerli', 'arbitrum-goerli'];
+// Contract ABI (JSON ABI array, human-readable fragments or a single fragment)
+const abiField = Joi.alternatives().try(
+  Joi.array().items(Joi.alternatives().try(Joi.string(), Joi.object())).min(1),
+  Joi.string(),
+  Joi.object()
+).messages({
+  'alternatives.match': 'ABI must be a JSON ABI array, human-readable fragments or a single fragment'
+});
+
+const addressPattern = /^0x[a-fA-F0-9]{40}$/;
+const storageWordPattern = /^0x[a-fA-F0-9]{1,64}$/;
+
+// Storage slots to values (32-byte hex words)
+const storageMap = Joi.object().pattern(
+  Joi.string().pattern(storageWordPattern),
+  Joi.string().pattern(storageWordPattern)
+).max(100).messages({
+  'object.unknown': 'Storage slots and values must be hex words of up to 32 bytes',
+  'string.pattern.base': 'Storage slots and values must be hex words of up to 32 bytes',
+  'object.max': 'At most 100 storage slots can be overridden per account'
+});
+
+// eth_call state overrides of the simulation routes
+const stateOverrideFields = {
+  stateOverrides: Joi.object().pattern(
+    Joi.string().pattern(addressPattern),
+    Joi.object({
+      balance: Joi.string().pattern(/^\d+$/).messages({
+        'string.pattern.base': 'Override balance must be numeric (wei)'
+      }),
+      nonce: Joi.number().integer().min(0).messages({
+        'number.base': 'Override nonce must be an integer',
+        'number.min': 'Override nonce must be 0 or greater'
+      }),
+      code: Joi.string().pattern(/^0x([a-fA-F0-9]{2})*$/).messages({
+        'string.pattern.base': 'Override code must be 0x prefixed hex bytes'
+      }),
+      state: storageMap,
+      stateDiff: storageMap
+    }).min(1).oxor('state', 'stateDiff').messages({
+      'object.min': 'An account override needs balance, nonce, code, state or stateDiff',
+      'object.oxor': 'An account override cannot have both state and stateDiff'
+    })
+  ).max(20).messages({
+    'object.unknown': 'State overrides must be keyed by account address',
+    'object.max': 'At most 20 accounts can be overridden'
+  }),
+  tokenBalances: Joi.array().items(Joi.object({
+    token: Joi.string().required().pattern(addressPattern),
+    holder: Joi.string().required().pattern(addressPattern),
+    amount: Joi.string().required().pattern(/^\d+$/)
+  })).max(20).messages({
+    'string.pattern.base': 'tokenBalances entries need token and holder addresses and a raw amount',
+    'any.required': 'tokenBalances entries need token, holder and amount'
+  }),
+  tokenAllowances: Joi.array().items(Joi.object({
+    token: Joi.string().required().pattern(addressPattern),
+    owner: Joi.string().required().pattern(addressPattern),
+    spender: Joi.string().required().pattern(addressPattern),
+    amount: Joi.string().required().pattern(/^\d+$/)
+  })).max(20).messages({
+    'string.pattern.base': 'tokenAllowances entries need token, owner and spender addresses and a raw amount',
+    'any.required': 'tokenAllowances entries need token, owner, spender and amount'
+  })
+};
 
 /**
  * Transaction simulation validation schema
@@ -38,6 +101,11 @@ const simulateTransactionSchema = Joi.object({
     'number.base': 'Nonce must be an integer',
     'number.min': 'Nonce must be 0 or greater'
   }),
+  abi: abiField,
+  tokens: Joi.array().items(Joi.string().pattern(/^0x[a-fA-F0-9]{40}$/)).max(20).messages({
+    'string.pattern.base': 'Token addresses must be valid Ethereum addresses',
+    'array.max': 'At most 20 token addresses can be checked'
+  }),
   network: Joi.string().valid(...supportedNetworks).messages({
     'any.only': 'Please enter a valid network name'
   }),
@@ -46,7 +114,8 @@ const simulateTransactionSchema = Joi.object({
   }),
   priority: Joi.string().valid('low', 'medium', 'high').messages({
     'any.only': 'Priority must be low, medium or high'
-  })
+  }),
+  ...stateOverrideFields
 });
 
 /**
@@ -95,7 +164,8 @@ const simulateTokenTransferSchema = Joi.object({
   }),
   networkType: Joi.string().valid(...supportedNetworkTypes).messages({
     'any.only': 'Unsupported network type. Please choose one of: ' + supportedNetworkTypes.join(', ')
-  })
+  }),
+  ...stateOverrideFields
 });
 
 /**
@@ -120,6 +190,30 @@ const simulateNftTransferSchema = Joi.object({
   }),
   amount: Joi.string().pattern(/^\d+$/).messages({
     'string.pattern.base': 'Amount must be numeric only'
+  }),
+  ...stateOverrideFields
+});
+
+/**
+ * Calldata decoding schema
+ */
+const decodeCalldataSchema = Joi.object({
+  data: Joi.string().required().pattern(/^0x([a-fA-F0-9]{2})*$/).messages({
+    'string.pattern.base': 'Data must be 0x prefixed hex bytes',
+    'any.required': 'Data is required'
+  }),
+  to: Joi.string().pattern(/^0x[a-fA-F0-9]{40}$/).messages({
+    'string.pattern.base': 'Please enter a valid contract address'
+  }),
+  value: Joi.string().pattern(/^\d+$/).messages({
+    'string.pattern.base': 'Value must be numeric only'
+  }),
+  abi: abiField,
+  network: Joi.string().valid(...supportedNetworks).messages({
+    'any.only': 'Unsupported network. Please choose one of: ' + supportedNetworks.join(', ')
+  }),
+  networkType: Joi.string().valid(...supportedNetworkTypes).messages({
+    'any.only': 'Unsupported network type. Please choose one of: ' + supportedNetworkTypes.join(', ')
   })
 });
 
@@ -127,5 +221,6 @@ module.exports = {
   simulateTransactionSchema,
   simulateTokenTransferSchema,
   simulateNftTransferSchema,
+  decodeCalldataSchema,
   gasParamsSchema
 }; 
\ No newline at end of file
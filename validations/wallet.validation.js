@@ -1,4 +1,5 @@
 const Joi = require('joi');
+const { networkFields, signerRefSchema } = require('./common.validation');
 
 /**
  * Wallet import validation schema
@@ -22,18 +23,152 @@ const importWalletSchema = {
   })
 };
 
-// Supported networks
-const supportedNetworks = ['ethereum', 'polygon', 'bsc', 'optimism', 'arbitrum'];
-const supportedNetworkTypes = ['mainnet', 'testnet', 'sepolia', 'goerli', 'mumbai', 'bsc-testnet', 'optimism-goerli', 'arbitrum-goerli'];
+/**
+ * JSON keystore (Web3 Secret Storage v3) validation schemas
+ */
+const keystoreSchema = {
+  // Export encrypted private key as keystore
+  export: signerRefSchema({
+    password: Joi.string().min(8).max(256).required().messages({
+      'string.empty': 'Keystore password cannot be empty',
+      'string.min': 'Keystore password must be at least 8 characters',
+      'string.max': 'Keystore password must be maximum 256 characters',
+      'any.required': 'Keystore password is required'
+    }),
+    kdf: Joi.string().valid('scrypt', 'pbkdf2').optional().messages({
+      'any.only': 'KDF must be either scrypt or pbkdf2'
+    })
+  }),
+
+  // Import wallet from keystore
+  import: Joi.object({
+    keystore: Joi.alternatives().try(
+      Joi.object({
+        version: Joi.number().valid(3).required(),
+        crypto: Joi.object(),
+        Crypto: Joi.object()
+      }).xor('crypto', 'Crypto').unknown(true),
+      Joi.string()
+    ).required().messages({
+      'alternatives.match': 'Keystore must be a version 3 keystore JSON object or string',
+      'any.required': 'Keystore is required'
+    }),
+    password: Joi.string().max(256).required().messages({
+      'string.empty': 'Keystore password cannot be empty',
+      'any.required': 'Keystore password is required'
+    })
+  })
+};
+
+// Confirmation policy of send routes: none | included | finalized | number of confirmations
+const WAIT_FOR_MESSAGE = 'waitFor must be none, included, finalized or a number of confirmations (1-64)';
+const waitForFields = {
+  waitFor: Joi.alternatives().try(
+    Joi.string().valid('none', 'included', 'finalized'),
+    Joi.number().integer().min(1).max(64)
+  ).optional().messages({
+    'alternatives.types': WAIT_FOR_MESSAGE,
+    'any.only': WAIT_FOR_MESSAGE,
+    'number.integer': WAIT_FOR_MESSAGE,
+    'number.min': WAIT_FOR_MESSAGE,
+    'number.max': WAIT_FOR_MESSAGE
+  }),
+  waitTimeout: Joi.number().integer().min(1000).max(600000).optional().messages({
+    'number.base': 'waitTimeout must be a number of milliseconds',
+    'number.min': 'waitTimeout must be at least 1000 ms',
+    'number.max': 'waitTimeout cannot exceed 600000 ms'
+  })
+};
 
 /**
- * Send transaction validation schema
+ * HD wallet validation schemas
+ */
+const hdWalletSchema = {
+  // Create HD wallet with random mnemonic
+  create: Joi.object({
+    wordCount: Joi.number().valid(12, 15, 18, 21, 24).optional().messages({
+      'any.only': 'Word count must be one of: 12, 15, 18, 21, 24'
+    }),
+    passphrase: Joi.string().allow('').optional(),
+    label: Joi.string().max(64).optional()
+  }),
+
+  // Import HD wallet with mnemonic
+  import: Joi.object({
+    mnemonic: Joi.string().required().messages({
+      'string.empty': 'Mnemonic words cannot be empty',
+      'any.required': 'Mnemonic words are required'
+    }),
+    passphrase: Joi.string().allow('').optional(),
+    label: Joi.string().max(64).optional()
+  }),
+
+  // Derive accounts by index
+  derive: Joi.object({
+    index: Joi.number().integer().min(0).max(2147483647).optional().messages({
+      'number.base': 'Account index must be an integer',
+      'number.min': 'Account index must be 0 or greater'
+    }),
+    count: Joi.number().integer().min(1).max(50).optional().messages({
+      'number.min': 'Count must be at least 1',
+      'number.max': 'At most 50 accounts can be derived at once'
+    }),
+    label: Joi.string().max(64).optional()
+  }),
+
+  // Set account label
+  label: Joi.object({
+    label: Joi.string().max(64).allow(null).required().messages({
+      'any.required': 'Label is required'
+    })
+  }),
+
+  // Discover used accounts
+  discover: Joi.object({
+    gapLimit: Joi.number().integer().min(1).max(100).optional().messages({
+      'number.min': 'Gap limit must be at least 1',
+      'number.max': 'Gap limit must be maximum 100'
+    }),
+    ...networkFields
+  })
+};
+
+/**
+ * Vault wallet validation schemas
  */
-const sendTransactionSchema = Joi.object({
-  encryptedPrivateKey: Joi.string().required().messages({
-    'string.empty': 'Encrypted private key cannot be empty',
-    'any.required': 'Encrypted private key is required'
+const vaultSchema = {
+  // Store wallet in vault (creates a new wallet if no key is given)
+  store: Joi.object({
+    encryptedPrivateKey: Joi.string().messages({
+      'string.empty': 'Encrypted private key cannot be empty'
+    }),
+    privateKey: Joi.string().messages({
+      'string.empty': 'Private key cannot be empty'
+    }),
+    signer: Joi.object({
+      type: Joi.string().valid('local', 'remote', 'kms').required().messages({
+        'any.only': 'Signer type must be local, remote or kms',
+        'any.required': 'Signer type is required'
+      }),
+      keyId: Joi.string().max(128).optional()
+    }),
+    label: Joi.string().max(64).optional()
+  }).oxor('encryptedPrivateKey', 'privateKey', 'signer').messages({
+    'object.oxor': 'Only one of encryptedPrivateKey, privateKey or signer can be sent'
   }),
+
+  // Rename wallet
+  rename: Joi.object({
+    label: Joi.string().max(64).allow(null).required().messages({
+      'any.required': 'Label is required'
+    })
+  })
+};
+
+/**
+ * Send transaction validation schema
+ */
+const sendTransactionSchema = signerRefSchema({
   to: Joi.string().required().pattern(/^0x[a-fA-F0-9]{40}$/).messages({
     'string.empty': 'Recipient address cannot be empty',
     'string.pattern.base': 'Invalid Ethereum address',
@@ -47,22 +182,14 @@ const sendTransactionSchema = Joi.object({
   gasLimit: Joi.string().optional(),
   maxFeePerGas: Joi.string().optional(),
   maxPriorityFeePerGas: Joi.string().optional(),
-  network: Joi.string().valid(...supportedNetworks).optional().messages({
-    'any.only': 'Unsupported network. Please choose one of: ' + supportedNetworks.join(', ')
-  }),
-  networkType: Joi.string().valid(...supportedNetworkTypes).optional().messages({
-    'any.only': 'Unsupported network type. Please choose one of: ' + supportedNetworkTypes.join(', ')
-  })
+  ...networkFields,
+  ...waitForFields
 });
 
 /**
  * Token transaction validation schema
  */
-const sendTokenTransactionSchema = Joi.object({
-  encryptedPrivateKey: Joi.string().required().messages({
-    'string.empty': 'Encrypted private key cannot be empty',
-    'any.required': 'Encrypted private key is required'
-  }),
+const sendTokenTransactionSchema = signerRefSchema({
   tokenAddress: Joi.string().required().pattern(/^0x[a-fA-F0-9]{40}$/).messages({
     'string.empty': 'Token address cannot be empty',
     'string.pattern.base': 'Invalid token address',
@@ -79,22 +206,14 @@ const sendTokenTransactionSchema = Joi.object({
     'any.required': 'Amount is required'
   }),
   decimals: Joi.number().optional().min(0).max(18),
-  network: Joi.string().valid(...supportedNetworks).optional().messages({
-    'any.only': 'Unsupported network. Please choose one of: ' + supportedNetworks.join(', ')
-  }),
-  networkType: Joi.string().valid(...supportedNetworkTypes).optional().messages({
-    'any.only': 'Unsupported network type. Please choose one of: ' + supportedNetworkTypes.join(', ')
-  })
+  ...networkFields,
+  ...waitForFields
 });
 
 /**
  * NFT transaction validation schema
  */
-const sendNftTransactionSchema = Joi.object({
-  encryptedPrivateKey: Joi.string().required().messages({
-    'string.empty': 'Encrypted private key cannot be empty',
-    'any.required': 'Encrypted private key is required'
-  }),
+const sendNftTransactionSchema = signerRefSchema({
   contractAddress: Joi.string().required().pattern(/^0x[a-fA-F0-9]{40}$/).messages({
     'string.empty': 'NFT contract address cannot be empty',
     'string.pattern.base': 'Invalid NFT contract address',
@@ -116,12 +235,51 @@ const sendNftTransactionSchema = Joi.object({
   nftType: Joi.string().optional().valid('ERC721', 'ERC1155').default('ERC721').messages({
     'any.only': 'NFT type must be either ERC721 or ERC1155'
   }),
-  network: Joi.string().valid(...supportedNetworks).optional().messages({
-    'any.only': 'Unsupported network. Please choose one of: ' + supportedNetworks.join(', ')
+  ...networkFields,
+  ...waitForFields
+});
+
+/**
+ * Offline transaction signing validation schema
+ */
+const signTransactionSchema = signerRefSchema({
+  to: Joi.string().pattern(/^0x[a-fA-F0-9]{40}$/).when('data', {
+    is: Joi.exist(),
+    otherwise: Joi.required()
+  }).messages({
+    'string.pattern.base': 'Invalid Ethereum address',
+    'any.required': 'Recipient address is required (only contract deployments with data can omit it)'
+  }),
+  amount: Joi.string().optional().pattern(/^\d*\.?\d*$/).messages({
+    'string.pattern.base': 'Invalid amount value'
   }),
-  networkType: Joi.string().valid(...supportedNetworkTypes).optional().messages({
-    'any.only': 'Unsupported network type. Please choose one of: ' + supportedNetworkTypes.join(', ')
-  })
+  data: Joi.string().optional().pattern(/^0x([a-fA-F0-9]{2})*$/).messages({
+    'string.pattern.base': 'Data must be 0x prefixed hex bytes'
+  }),
+  nonce: Joi.number().integer().min(0).optional(),
+  gasLimit: Joi.string().pattern(/^\d+$/).optional(),
+  gasPrice: Joi.string().pattern(/^\d+$/).optional(),
+  maxFeePerGas: Joi.string().pattern(/^\d+$/).optional(),
+  maxPriorityFeePerGas: Joi.string().pattern(/^\d+$/).optional(),
+  ...networkFields
+}).oxor('gasPrice', 'maxFeePerGas').messages({
+  'object.oxor': 'Only one of gasPrice or maxFeePerGas can be sent'
+});
+
+/**
+ * Raw transaction broadcast validation schema
+ */
+const broadcastRawTransactionSchema = Joi.object({
+  rawTransaction: Joi.string().required().pattern(/^0x([a-fA-F0-9]{2})+$/).messages({
+    'string.empty': 'Raw transaction cannot be empty',
+    'string.pattern.base': 'Raw transaction must be 0x prefixed hex bytes',
+    'any.required': 'Raw transaction is required'
+  }),
+  from: Joi.string().optional().pattern(/^0x[a-fA-F0-9]{40}$/).messages({
+    'string.pattern.base': 'Invalid sender address'
+  }),
+  ...networkFields,
+  ...waitForFields
 });
 
 /**
@@ -135,10 +293,73 @@ const addressSchema = Joi.object({
   })
 });
 
+/**
+ * Speed-up / cancel (replace-by-fee) validation schema
+ */
+const replaceTransactionSchema = signerRefSchema({
+  txHash: Joi.string().required().pattern(/^0x[a-fA-F0-9]{64}$/).messages({
+    'string.empty': 'Transaction hash cannot be empty',
+    'string.pattern.base': 'Invalid transaction hash',
+    'any.required': 'Transaction hash is required'
+  }),
+  speed: Joi.string().valid('slow', 'standard', 'fast').optional().messages({
+    'any.only': 'Speed must be one of: slow, standard, fast'
+  }),
+  ...networkFields,
+  ...waitForFields
+});
+
+/**
+ * Batch payout validation schema
+ * Addresses and amounts are checked per recipient by the batch service (reported with line numbers)
+ */
+const batchPayoutSchema = signerRefSchema({
+  asset: Joi.string().valid('native', 'token').optional().messages({
+    'any.only': 'Asset must be native or token'
+  }),
+  tokenAddress: Joi.string().pattern(/^0x[a-fA-F0-9]{40}$/).when('asset', {
+    is: 'token',
+    then: Joi.required(),
+    otherwise: Joi.forbidden()
+  }).messages({
+    'string.pattern.base': 'Invalid token address',
+    'any.required': 'Token address is required for token payouts',
+    'any.unknown': 'Token address is only allowed with asset "token"'
+  }),
+  decimals: Joi.number().integer().optional().min(0).max(36),
+  recipients: Joi.array().min(1).max(1000).items(Joi.object({
+    to: Joi.string().required(),
+    amount: Joi.string().required()
+  })).messages({
+    'array.min': 'At least one recipient is required',
+    'array.max': 'A batch can contain at most 1000 recipients'
+  }),
+  csv: Joi.string().max(200000).messages({
+    'string.empty': 'CSV cannot be empty'
+  }),
+  mode: Joi.string().valid('sequential', 'multisend').optional().messages({
+    'any.only': 'Mode must be sequential or multisend'
+  }),
+  stopOnError: Joi.boolean().optional(),
+  dryRun: Joi.boolean().optional(),
+  ...networkFields
+}).xor('recipients', 'csv').messages({
+  'object.missing': 'One of {{#peersWithLabels}} is required',
+  'object.xor': 'Only one of {{#peersWithLabels}} can be sent'
+});
+
 module.exports = {
   importWalletSchema,
+  hdWalletSchema,
+  keystoreSchema,
+  vaultSchema,
   sendTransactionSchema,
   sendTokenTransactionSchema,
   sendNftTransactionSchema,
-  addressSchema
+  signTransactionSchema,
+  broadcastRawTransactionSchema,
+  replaceTransactionSchema,
+  batchPayoutSchema,
+  addressSchema,
+  waitForFields
 }; 
\ No newline at end of file